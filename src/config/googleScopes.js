@@ -0,0 +1,23 @@
+// OAuth scopes requested from Google when a Gmail account is connected. gmail.modify also
+// allows sending messages (emailed digests) and creating drafts (draft replies), so those
+// need no further consent.
+const GOOGLE_SCOPES = [
+  'https://www.googleapis.com/auth/gmail.modify',
+  'https://www.googleapis.com/auth/gmail.readonly',
+  'https://www.googleapis.com/auth/userinfo.email',
+  'https://www.googleapis.com/auth/userinfo.profile',
+];
+
+// Any one of these allows creating drafts
+const DRAFT_SCOPES = [
+  'https://mail.google.com/',
+  'https://www.googleapis.com/auth/gmail.modify',
+  'https://www.googleapis.com/auth/gmail.compose',
+];
+
+// Google lists granted scopes space-separated, as stored in email_accounts.granted_scopes
+const parseScopes = scope => (scope ? scope.split(/\s+/).filter(Boolean) : []);
+
+const hasAnyScope = (grantedScopes, scopes) => scopes.some(scope => grantedScopes.includes(scope));
+
+module.exports = { GOOGLE_SCOPES, DRAFT_SCOPES, parseScopes, hasAnyScope };
@@ -10,11 +10,8 @@ logger.info('Redis Queue Environment Variables:', {
   REDIS_QUEUE_URL: process.env.REDIS_QUEUE_URL ? 'Set (hidden)' : 'Not set',
 });
 
-// Create Redis connection following same pattern as redisCache.js
-let redisConnection;
-let isConnected = false;
-
-try {
+// Build the queue Redis URL from env, shared by the queues and their workers
+const getRedisQueueUrl = () => {
   // Build Redis URL from components if not explicitly provided
   const redisHost = process.env.REDIS_QUEUE_HOST || process.env.REDIS_HOST || 'localhost';
   const redisPort = process.env.REDIS_QUEUE_PORT || process.env.REDIS_PORT || '6379';
@@ -35,6 +32,18 @@ try {
     redisUrl = process.env.REDIS_URL;
   }
 
+  return redisUrl;
+};
+
+// Create Redis connection following same pattern as redisCache.js
+let redisConnection;
+let isConnected = false;
+
+try {
+  const redisHost = process.env.REDIS_QUEUE_HOST || process.env.REDIS_HOST || 'localhost';
+  const redisPort = process.env.REDIS_QUEUE_PORT || process.env.REDIS_PORT || '6379';
+  const redisUrl = getRedisQueueUrl();
+
   logger.info('Creating Redis connection for BullMQ', {
     url: redisUrl.replace(/:([^:@]+)@/, ':****@'),
     host: redisHost,
@@ -80,6 +89,18 @@ const unsubscribeQueue = new Queue('unsubscribe', {
   connection: redisConnection,
 });
 
+// One job per email account; see jobs/emailProcessor.js
+const emailProcessingQueue = new Queue('email-processing', {
+  connection: redisConnection,
+  defaultJobOptions: {
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 30000,
+    },
+  },
+});
+
 logger.info('BullMQ queues created successfully', {
   queues: ['email-processing', 'unsubscribe'],
 });
@@ -150,10 +171,15 @@ unsubscribeQueue.on('stalled', job => {
   logger.warn('Unsubscribe job stalled', { jobId: job?.id });
 });
 
+emailProcessingQueue.on('error', error => {
+  logger.error('Email processing queue error:', error);
+});
+
 // Log successful module export
 logger.info('Redis connection test module initialized');
 
-// Export empty object - no queues
 module.exports = {
   unsubscribeQueue,
+  emailProcessingQueue,
+  getRedisQueueUrl,
 };
@@ -0,0 +1,15 @@
+-- Structured AI classification: the model's category pick, confidence and rationale.
+-- Emails classified below the user's threshold are stored without a category and wait
+-- in the review queue (needs_review) until the user files them.
+ALTER TABLE emails
+ADD COLUMN IF NOT EXISTS ai_category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS ai_confidence REAL,
+ADD COLUMN IF NOT EXISTS ai_rationale TEXT,
+ADD COLUMN IF NOT EXISTS needs_review BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_emails_needs_review ON emails(user_id) WHERE needs_review;
+
+-- Minimum confidence for filing an email automatically, per user
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS review_threshold REAL NOT NULL DEFAULT 0.6
+    CHECK (review_threshold >= 0 AND review_threshold <= 1);
@@ -0,0 +1,19 @@
+-- Email embeddings (pgvector) and per-category centroids, used to file new mail by
+-- similarity before asking the language model. Dimensions are left open so any embedding
+-- model works; only vectors from the same model are compared.
+CREATE EXTENSION IF NOT EXISTS vector;
+
+ALTER TABLE emails
+ADD COLUMN IF NOT EXISTS embedding vector,
+ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(100);
+
+CREATE TABLE IF NOT EXISTS category_embeddings (
+    category_id INTEGER PRIMARY KEY REFERENCES categories(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    embedding_model VARCHAR(100) NOT NULL,
+    centroid vector NOT NULL,
+    email_count INTEGER NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_category_embeddings_user_id ON category_embeddings(user_id);
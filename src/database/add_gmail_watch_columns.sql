@@ -0,0 +1,19 @@
+-- Track Gmail push notification (users.watch) state per email account
+
+-- When the current watch expires (Gmail watches last at most 7 days)
+ALTER TABLE email_accounts
+ADD COLUMN IF NOT EXISTS watch_expiration TIMESTAMP;
+
+-- historyId returned by the last successful users.watch call
+ALTER TABLE email_accounts
+ADD COLUMN IF NOT EXISTS watch_history_id VARCHAR(64);
+
+-- Last time a push notification was received for this account
+ALTER TABLE email_accounts
+ADD COLUMN IF NOT EXISTS last_push_at TIMESTAMP;
+
+-- Index used by the renewal job to find watches about to expire
+CREATE INDEX IF NOT EXISTS idx_email_accounts_watch_expiration ON email_accounts(watch_expiration);
+
+-- Push notifications identify the mailbox by address only
+CREATE INDEX IF NOT EXISTS idx_email_accounts_lower_email ON email_accounts(LOWER(email));
@@ -0,0 +1,5 @@
+-- Scopes the user granted when connecting a Gmail account, space-separated as in Google's
+-- token response. NULL for accounts connected before they were stored; those are looked up
+-- with Google's tokeninfo when needed and stored then.
+ALTER TABLE email_accounts
+ADD COLUMN IF NOT EXISTS granted_scopes TEXT;
@@ -0,0 +1,9 @@
+-- Store the Gmail History API cursor per email account
+
+-- Last historyId that was fully synced; NULL forces a bounded full resync
+ALTER TABLE email_accounts
+ADD COLUMN IF NOT EXISTS history_id VARCHAR(64);
+
+-- When the account was last synced successfully
+ALTER TABLE email_accounts
+ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMP;
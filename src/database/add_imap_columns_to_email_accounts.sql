@@ -0,0 +1,29 @@
+-- Connection settings for accounts using the generic IMAP provider (provider = 'imap')
+
+-- IMAP accounts authenticate with a password instead of OAuth tokens
+ALTER TABLE email_accounts
+ALTER COLUMN access_token DROP NOT NULL;
+
+ALTER TABLE email_accounts
+ALTER COLUMN refresh_token DROP NOT NULL;
+
+ALTER TABLE email_accounts
+ADD COLUMN IF NOT EXISTS imap_host VARCHAR(255);
+
+ALTER TABLE email_accounts
+ADD COLUMN IF NOT EXISTS imap_port INTEGER DEFAULT 993;
+
+ALTER TABLE email_accounts
+ADD COLUMN IF NOT EXISTS imap_secure BOOLEAN DEFAULT true;
+
+-- Login name, when it differs from the email address
+ALTER TABLE email_accounts
+ADD COLUMN IF NOT EXISTS imap_username VARCHAR(255);
+
+-- Encrypted with CREDENTIALS_ENCRYPTION_KEY, never stored in plain text
+ALTER TABLE email_accounts
+ADD COLUMN IF NOT EXISTS imap_password TEXT;
+
+-- Mailbox processed emails are moved to; defaults to the server's \Archive folder
+ALTER TABLE email_accounts
+ADD COLUMN IF NOT EXISTS imap_archive_mailbox VARCHAR(255);
@@ -0,0 +1,5 @@
+-- Per-account ingestion policy (see src/services/ingestionPolicy.js):
+-- { query, archive, markAsRead, excludeLabels, maxMessagesPerRun }
+-- An empty object means the defaults: process all unread inbox mail and archive it
+ALTER TABLE email_accounts
+ADD COLUMN IF NOT EXISTS ingestion_policy JSONB NOT NULL DEFAULT '{}'::jsonb;
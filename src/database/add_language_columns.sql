@@ -0,0 +1,10 @@
+-- Language of each email as an ISO 639-1 code (en, pt, es, ...), detected from its text.
+-- NULL when there was too little text to tell.
+ALTER TABLE emails
+ADD COLUMN IF NOT EXISTS language VARCHAR(10);
+
+CREATE INDEX IF NOT EXISTS idx_emails_category_language ON emails(category_id, language);
+
+-- Language summaries are written in; NULL keeps the language of each email
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS preferred_language VARCHAR(10);
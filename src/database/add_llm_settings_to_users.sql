@@ -0,0 +1,4 @@
+-- Per-user language model settings: models per task (categorize, summarize, unsubscribe)
+-- and, where the deployment allows it, an OpenAI-compatible endpoint with an encrypted key
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS llm_settings JSONB NOT NULL DEFAULT '{}';
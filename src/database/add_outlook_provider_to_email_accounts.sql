@@ -0,0 +1,6 @@
+-- Support Microsoft 365 / Outlook accounts (provider = 'outlook')
+
+-- Outlook stores a Microsoft Graph delta link as the sync cursor, which is far longer
+-- than a Gmail historyId
+ALTER TABLE email_accounts
+ALTER COLUMN history_id TYPE TEXT;
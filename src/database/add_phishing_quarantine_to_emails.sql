@@ -0,0 +1,15 @@
+-- Phishing risk of each email from 0 to 1, with the signals behind it as
+-- [{"type": "dmarc_fail", "weight": 0.6, "detail": "DMARC check failed"}, ...].
+-- NULL when risk scoring is disabled.
+ALTER TABLE emails
+ADD COLUMN IF NOT EXISTS risk_score REAL;
+
+ALTER TABLE emails
+ADD COLUMN IF NOT EXISTS risk_signals JSONB;
+
+-- Likely phishing: kept out of the categories and the review queue, with its unsubscribe
+-- link hidden, until the user releases it
+ALTER TABLE emails
+ADD COLUMN IF NOT EXISTS quarantined BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_emails_quarantined ON emails(user_id) WHERE quarantined = true;
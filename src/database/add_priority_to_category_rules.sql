@@ -0,0 +1,12 @@
+-- Category rules engine: rules match on sender, domain, subject, List-Id or whether an
+-- unsubscribe link is present, and are evaluated by ascending priority before the AI
+ALTER TABLE category_rules
+ADD COLUMN IF NOT EXISTS priority INTEGER NOT NULL DEFAULT 100;
+
+CREATE INDEX IF NOT EXISTS idx_category_rules_user_priority ON category_rules(user_id, priority);
+
+-- Rule that filed an email, if any
+ALTER TABLE emails
+ADD COLUMN IF NOT EXISTS matched_rule_id INTEGER REFERENCES category_rules(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_emails_matched_rule_id ON emails(matched_rule_id);
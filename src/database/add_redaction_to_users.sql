@@ -0,0 +1,10 @@
+-- How much personal data is masked in email content before it is sent to a language model:
+-- off, standard or strict. Opt-in, so existing users keep their current prompts.
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS redaction_level VARCHAR(20) NOT NULL DEFAULT 'off'
+CHECK (redaction_level IN ('off', 'standard', 'strict'));
+
+-- Number of masked items per type for each email, e.g. {"phone": 2, "otp": 1}, for audit.
+-- NULL when nothing was masked.
+ALTER TABLE emails
+ADD COLUMN IF NOT EXISTS redaction_counts JSONB;
@@ -0,0 +1,6 @@
+-- What moved an email, so statistics can tell corrections of the model from moves made by
+-- features: user (moved in the app), gmail_label (category label changed in Gmail), rule
+-- (a rule applied to stored emails), suggestion (accepted category suggestion) or preview
+-- (corrected in a preview before the email was stored)
+ALTER TABLE category_movements
+ADD COLUMN IF NOT EXISTS source VARCHAR(50) NOT NULL DEFAULT 'user';
@@ -0,0 +1,25 @@
+-- Create table for tracking historical backfills of newly connected accounts
+CREATE TABLE IF NOT EXISTS backfill_jobs (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    account_id INTEGER NOT NULL REFERENCES email_accounts(id) ON DELETE CASCADE,
+    since_date DATE NOT NULL,
+    archive BOOLEAN NOT NULL DEFAULT TRUE,
+    status VARCHAR(50) NOT NULL DEFAULT 'pending', -- pending, running, completed, failed, cancelled
+    page_token TEXT, -- Gmail nextPageToken to resume from; NULL means the first page
+    pages_processed INTEGER NOT NULL DEFAULT 0,
+    estimated_total INTEGER,
+    processed_count INTEGER NOT NULL DEFAULT 0,
+    skipped_count INTEGER NOT NULL DEFAULT 0,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create indexes for efficient querying
+CREATE INDEX IF NOT EXISTS idx_backfill_jobs_user_id ON backfill_jobs(user_id);
+CREATE INDEX IF NOT EXISTS idx_backfill_jobs_account_id ON backfill_jobs(account_id);
+CREATE INDEX IF NOT EXISTS idx_backfill_jobs_status ON backfill_jobs(status);
@@ -0,0 +1,18 @@
+-- Mirror app categories as Gmail labels (e.g. "Sorted/Newsletters")
+
+-- Opt-in per account; only Gmail accounts support it
+ALTER TABLE email_accounts
+ADD COLUMN IF NOT EXISTS mirror_labels BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Gmail label created for each category in each mirroring account. The label ID stays
+-- the same when the label is renamed, so category renames and deletes can follow it.
+CREATE TABLE IF NOT EXISTS category_labels (
+    id SERIAL PRIMARY KEY,
+    category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+    account_id INTEGER NOT NULL REFERENCES email_accounts(id) ON DELETE CASCADE,
+    label_id VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (category_id, account_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_category_labels_account_id ON category_labels(account_id);
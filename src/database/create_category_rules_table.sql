@@ -0,0 +1,16 @@
+-- Deterministic rules that file emails into a category without asking the AI.
+-- Sender rules match the sender's email address exactly; rules with source 'auto' are
+-- created after repeated identical corrections of the same sender.
+CREATE TABLE IF NOT EXISTS category_rules (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+    match_type VARCHAR(50) NOT NULL DEFAULT 'sender', -- sender
+    pattern TEXT NOT NULL, -- lowercased email address for sender rules
+    source VARCHAR(50) NOT NULL DEFAULT 'user', -- user, auto
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, match_type, pattern)
+);
+
+CREATE INDEX IF NOT EXISTS idx_category_rules_category_id ON category_rules(category_id);
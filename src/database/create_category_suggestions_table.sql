@@ -0,0 +1,19 @@
+-- Proposed categories for groups of similar uncategorized or low-confidence emails.
+-- Generating suggestions replaces the user's pending ones; accepting one creates the
+-- category and moves the emails in email_ids that are still unsorted.
+CREATE TABLE IF NOT EXISTS category_suggestions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT NOT NULL,
+    email_ids INTEGER[] NOT NULL DEFAULT '{}',
+    -- [{ emailId, subject, sender, summary }]
+    examples JSONB NOT NULL DEFAULT '[]'::jsonb,
+    status VARCHAR(50) NOT NULL DEFAULT 'pending', -- pending, accepted, dismissed
+    category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_category_suggestions_user_status
+ON category_suggestions(user_id, status);
@@ -0,0 +1,34 @@
+-- When each user gets a digest of newly processed emails: off, daily or weekly (Mondays),
+-- at digest_hour (UTC). digest_email also sends it through the user's Gmail account.
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS digest_frequency VARCHAR(10) NOT NULL DEFAULT 'off'
+CHECK (digest_frequency IN ('off', 'daily', 'weekly'));
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS digest_hour SMALLINT NOT NULL DEFAULT 8
+CHECK (digest_hour BETWEEN 0 AND 23);
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS digest_email BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- End of the period the last digest covered; the next one starts there
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS last_digest_at TIMESTAMP;
+
+-- Generated digests. sections holds one entry per category with its key points, open
+-- action items and notable senders.
+CREATE TABLE IF NOT EXISTS digests (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    frequency VARCHAR(10) NOT NULL,
+    period_start TIMESTAMP NOT NULL,
+    period_end TIMESTAMP NOT NULL,
+    email_count INTEGER NOT NULL DEFAULT 0,
+    sections JSONB NOT NULL DEFAULT '[]',
+    emailed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_digests_user_created ON digests(user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_emails_user_processed_at ON emails(user_id, processed_at);
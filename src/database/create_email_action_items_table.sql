@@ -0,0 +1,22 @@
+-- Priority of each email (urgent, normal or low) and whether the sender expects a reply,
+-- extracted with the summary. NULL when no extraction was made.
+ALTER TABLE emails
+ADD COLUMN IF NOT EXISTS priority VARCHAR(10)
+CHECK (priority IN ('urgent', 'normal', 'low'));
+
+ALTER TABLE emails
+ADD COLUMN IF NOT EXISTS reply_expected BOOLEAN;
+
+-- Things an email asks the user to do, with the deadline if it gives one
+CREATE TABLE IF NOT EXISTS email_action_items (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    email_id INTEGER REFERENCES emails(id) ON DELETE CASCADE,
+    description TEXT NOT NULL,
+    due_date DATE,
+    done_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_action_items_open
+ON email_action_items(user_id, due_date) WHERE done_at IS NULL;
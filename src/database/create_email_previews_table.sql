@@ -0,0 +1,17 @@
+-- Dry runs of categorization: a sample of messages is categorized and summarized without
+-- storing emails or changing the mailbox, so users can check the result before the first
+-- real run. Accepting a preview stores the emails, with corrections as category movements.
+CREATE TABLE IF NOT EXISTS email_previews (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    account_id INTEGER NOT NULL REFERENCES email_accounts(id) ON DELETE CASCADE,
+    status VARCHAR(50) NOT NULL DEFAULT 'pending', -- pending, accepted, discarded
+    -- [{ messageId, subject, from, date, body, categoryId, categoryName, summary, unsubscribeLink }]
+    items JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    accepted_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_previews_user_id ON email_previews(user_id);
+CREATE INDEX IF NOT EXISTS idx_email_previews_account_id ON email_previews(account_id);
@@ -0,0 +1,13 @@
+-- Messages a regular run failed to process. The sync cursor moves past them, so they are
+-- retried from here on the next runs until they failed `attempts` times; after that the
+-- row stays as a record of the permanent failure.
+CREATE TABLE IF NOT EXISTS failed_messages (
+    id SERIAL PRIMARY KEY,
+    account_id INTEGER NOT NULL REFERENCES email_accounts(id) ON DELETE CASCADE,
+    message_id VARCHAR(255) NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (account_id, message_id)
+);
@@ -0,0 +1,18 @@
+-- One row per language model call, with its token counts and estimated cost in USD.
+-- Calls not made for a user, such as embedding backfills, have no user_id.
+CREATE TABLE IF NOT EXISTS llm_usage (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    task VARCHAR(50) NOT NULL,
+    model VARCHAR(100) NOT NULL,
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    cost NUMERIC(12, 6) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_user_created ON llm_usage(user_id, created_at);
+
+-- Monthly token budget set by the user; NULL leaves only the deployment's budget
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS llm_token_budget INTEGER;
@@ -0,0 +1,10 @@
+-- Messages a regular run left alone because the account's ingestion policy excludes them.
+-- They are never stored in emails, so they are recorded here to keep them from taking up
+-- the per-run limit again when the same messages are listed by the next runs.
+CREATE TABLE IF NOT EXISTS skipped_messages (
+    id SERIAL PRIMARY KEY,
+    account_id INTEGER NOT NULL REFERENCES email_accounts(id) ON DELETE CASCADE,
+    message_id VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (account_id, message_id)
+);
@@ -0,0 +1,7 @@
+-- Message IDs are only unique within an account: IMAP accounts use the Message-ID header,
+-- so the same message delivered to two accounts of a user has the same ID in both
+ALTER TABLE emails
+DROP CONSTRAINT IF EXISTS emails_gmail_id_user_id_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_emails_account_id_gmail_id
+ON emails(account_id, gmail_id);
@@ -0,0 +1,49 @@
+const { scheduleEmailProcessing, enqueueEmailProcessing } = require('../emailProcessor');
+const db = require('../../config/database');
+const { emailProcessingQueue } = require('../../config/queues');
+
+jest.mock('../../config/database');
+
+describe('Email Processor Jobs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('enqueueEmailProcessing', () => {
+    it('should add a job deduplicated per account', async () => {
+      emailProcessingQueue.add.mockResolvedValue({ id: '1' });
+
+      const job = await enqueueEmailProcessing(123, { id: 7, email: 'test@gmail.com' }, 'push');
+
+      expect(emailProcessingQueue.add).toHaveBeenCalledWith(
+        'process-account',
+        { userId: 123, accountId: 7, accountEmail: 'test@gmail.com', trigger: 'push' },
+        { deduplication: { id: 'account-7' } }
+      );
+      expect(job).toEqual({ id: '1' });
+    });
+  });
+
+  describe('scheduleEmailProcessing', () => {
+    it('should queue a job for every connected account', async () => {
+      db.query.mockResolvedValue({
+        rows: [
+          { id: 1, email: 'a@gmail.com', user_id: 10 },
+          { id: 2, email: 'b@gmail.com', user_id: 20 }
+        ]
+      });
+      emailProcessingQueue.add
+        .mockRejectedValueOnce(new Error('Redis error'))
+        .mockResolvedValueOnce({ id: '2' });
+
+      await scheduleEmailProcessing();
+
+      expect(emailProcessingQueue.add).toHaveBeenCalledTimes(2);
+      expect(emailProcessingQueue.add).toHaveBeenLastCalledWith(
+        'process-account',
+        expect.objectContaining({ userId: 20, accountId: 2, trigger: 'scheduled' }),
+        { deduplication: { id: 'account-2' } }
+      );
+    });
+  });
+});
@@ -1,51 +1,51 @@
 const db = require('../config/database');
-const { processNewEmails } = require('../services/gmail');
+const { emailProcessingQueue } = require('../config/queues');
+
+// While a job for an account is waiting, further requests for that account reuse it
+const getDeduplicationId = accountId => `account-${accountId}`;
+
+// Queue ingestion for one email account. Returns the new job, or the one already pending.
+const enqueueEmailProcessing = async (userId, account, trigger = 'manual') => {
+  return emailProcessingQueue.add(
+    'process-account',
+    {
+      userId,
+      accountId: account.id,
+      accountEmail: account.email,
+      trigger,
+    },
+    {
+      deduplication: { id: getDeduplicationId(account.id) },
+    }
+  );
+};
 
 const scheduleEmailProcessing = async () => {
   try {
-    console.log('Starting email processing for all users...');
+    console.log('Queueing email processing for all accounts...');
 
-    const users = await db.query(`
-      SELECT DISTINCT u.id, u.email, u.name 
-      FROM users u 
-      JOIN email_accounts ea ON u.id = ea.user_id
-      WHERE ea.access_token IS NOT NULL
+    const accounts = await db.query(`
+      SELECT ea.id, ea.email, ea.user_id
+      FROM email_accounts ea
+      JOIN users u ON u.id = ea.user_id
+      WHERE ea.access_token IS NOT NULL OR ea.provider = 'imap'
     `);
 
-    console.log(`Found ${users.rows.length} users with email accounts`);
+    console.log(`Found ${accounts.rows.length} connected email accounts`);
 
-    for (const user of users.rows) {
+    for (const account of accounts.rows) {
       try {
-        console.log(`Processing emails for user: ${user.name} (${user.email})`);
-        
-        // Get all email accounts for this user
-        const emailAccounts = await db.query(
-          'SELECT id, email FROM email_accounts WHERE user_id = $1 AND access_token IS NOT NULL',
-          [user.id]
-        );
-        
-        console.log(`User ${user.name} has ${emailAccounts.rows.length} connected email accounts`);
-        
-        // Process emails for each account
-        for (const account of emailAccounts.rows) {
-          try {
-            console.log(`Processing emails from account: ${account.email}`);
-            await processNewEmails(user.id, account.email);
-          } catch (error) {
-            console.error(`Error processing emails for account ${account.email}:`, error);
-            // Continue with other accounts
-          }
-        }
+        await enqueueEmailProcessing(account.user_id, account, 'scheduled');
       } catch (error) {
-        console.error(`Error processing emails for user ${user.email}:`, error);
-        // Continue with other users
+        console.error(`Error queueing email processing for account ${account.email}:`, error);
+        // Continue with other accounts
       }
     }
 
-    console.log('Email processing completed');
+    console.log('Email processing queued');
   } catch (error) {
     console.error('Error in scheduled email processing:', error);
   }
 };
 
-module.exports = { scheduleEmailProcessing };
+module.exports = { scheduleEmailProcessing, enqueueEmailProcessing, getDeduplicationId };
@@ -0,0 +1,421 @@
+const request = require('supertest');
+const express = require('express');
+const accountsRouter = require('../accounts');
+const db = require('../../config/database');
+const { authenticateToken } = require('../../middleware/auth');
+const { createProvider } = require('../../services/providers');
+const { startBackfill } = require('../../services/backfill');
+const { decrypt } = require('../../utils/encryption');
+const { syncAccountLabels } = require('../../services/labelMirror');
+const { createPreview, acceptPreview } = require('../../services/preview');
+const { stopWatch } = require('../../services/gmailWatch');
+
+jest.mock('googleapis');
+jest.mock('../../config/database');
+jest.mock('../../middleware/auth');
+jest.mock('../../services/providers');
+jest.mock('../../services/backfill', () => ({
+  ...jest.requireActual('../../services/backfill'),
+  startBackfill: jest.fn(),
+}));
+jest.mock('../../services/gmailWatch');
+jest.mock('../../jobs/emailProcessor');
+jest.mock('../../services/labelMirror');
+jest.mock('../../services/preview', () => ({
+  ...jest.requireActual('../../services/preview'),
+  createPreview: jest.fn(),
+  acceptPreview: jest.fn(),
+}));
+
+describe('Accounts Routes', () => {
+  let app;
+  let mockProvider;
+
+  const imapAccount = {
+    email: 'team@example.com',
+    host: 'imap.example.com',
+    port: 993,
+    password: 'secret',
+  };
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/accounts', accountsRouter);
+
+    jest.clearAllMocks();
+    process.env.CREDENTIALS_ENCRYPTION_KEY = 'c'.repeat(64);
+
+    authenticateToken.mockImplementation((req, res, next) => {
+      req.user = { id: 123, email: 'test@example.com' };
+      next();
+    });
+
+    mockProvider = {
+      testConnection: jest.fn().mockResolvedValue({ messagesTotal: 10, unreadCount: 2 }),
+      close: jest.fn(),
+    };
+    createProvider.mockReturnValue(mockProvider);
+  });
+
+  afterAll(() => {
+    delete process.env.CREDENTIALS_ENCRYPTION_KEY;
+  });
+
+  describe('POST /accounts/imap', () => {
+    it('should verify the login and store the account with an encrypted password', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({
+        rows: [{ id: 9, email: 'team@example.com', provider: 'imap' }],
+      });
+
+      const response = await request(app).post('/accounts/imap').send(imapAccount).expect(201);
+
+      expect(createProvider).toHaveBeenCalledWith(
+        expect.objectContaining({ provider: 'imap', imap_host: 'imap.example.com' })
+      );
+      expect(mockProvider.testConnection).toHaveBeenCalled();
+      expect(mockProvider.close).toHaveBeenCalled();
+
+      const insertParams = db.query.mock.calls[1][1];
+      expect(insertParams).not.toContain('secret');
+      expect(decrypt(insertParams[6])).toBe('secret');
+      expect(response.body.account).toEqual({ id: 9, email: 'team@example.com', provider: 'imap' });
+      expect(startBackfill).not.toHaveBeenCalled();
+    });
+
+    it('should start a backfill when requested', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 9, email: 'team@example.com' }] });
+      startBackfill.mockResolvedValue({ id: 4, status: 'pending' });
+
+      const response = await request(app)
+        .post('/accounts/imap')
+        .send({ ...imapAccount, backfill: { since: '2024-01-01' } })
+        .expect(201);
+
+      expect(startBackfill).toHaveBeenCalledWith(
+        123,
+        { id: 9, email: 'team@example.com' },
+        expect.objectContaining({ archive: true })
+      );
+      expect(response.body.backfill).toEqual({ id: 4, status: 'pending' });
+    });
+
+    it('should return the connected account when the backfill fails to start', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 9, email: 'team@example.com' }] });
+      startBackfill.mockRejectedValue(new Error('Redis unavailable'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app)
+        .post('/accounts/imap')
+        .send({ ...imapAccount, backfill: { since: '2024-01-01' } })
+        .expect(201);
+
+      expect(response.body.account).toEqual({ id: 9, email: 'team@example.com' });
+      expect(response.body.backfill).toBeNull();
+      console.error.mockRestore();
+    });
+
+    it('should not save the account when the login fails', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+      mockProvider.testConnection.mockRejectedValue(new Error('Authentication failed'));
+
+      const response = await request(app).post('/accounts/imap').send(imapAccount).expect(400);
+
+      expect(response.body.error).toBe('Could not connect to the IMAP server');
+      expect(db.query).toHaveBeenCalledTimes(1);
+      expect(mockProvider.close).toHaveBeenCalled();
+    });
+
+    it('should reject incomplete settings', async () => {
+      const response = await request(app)
+        .post('/accounts/imap')
+        .send({ email: 'team@example.com', password: 'secret' })
+        .expect(400);
+
+      expect(response.body.error).toContain('host');
+      expect(createProvider).not.toHaveBeenCalled();
+    });
+
+    it('should reject accounts that are already connected', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 9 }] });
+
+      await request(app).post('/accounts/imap').send(imapAccount).expect(400);
+
+      expect(createProvider).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /accounts/:id', () => {
+    const mockDelete = account => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ count: '2' }] })
+        .mockResolvedValueOnce({ rows: [account] })
+        .mockResolvedValueOnce({ rows: [{ email: account.email }] });
+    };
+    const watched = {
+      email: 'test@gmail.com',
+      provider: 'google',
+      watch_expiration: '2026-10-25T00:00:00Z',
+    };
+
+    it('should stop the Gmail watch before removing the account', async () => {
+      stopWatch.mockResolvedValue();
+      mockDelete(watched);
+
+      const response = await request(app).delete('/accounts/5').expect(200);
+
+      expect(stopWatch).toHaveBeenCalledWith(123, 'test@gmail.com');
+      expect(stopWatch.mock.invocationCallOrder[0]).toBeLessThan(
+        db.query.mock.invocationCallOrder[2]
+      );
+      expect(db.query.mock.calls[2][0]).toContain('DELETE FROM email_accounts');
+      expect(response.body.removedEmail).toBe('test@gmail.com');
+    });
+
+    it('should remove the account when the watch cannot be stopped', async () => {
+      stopWatch.mockRejectedValue(new Error('invalid_grant'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockDelete(watched);
+
+      await request(app).delete('/accounts/5').expect(200);
+
+      expect(db.query.mock.calls[2][0]).toContain('DELETE FROM email_accounts');
+      console.error.mockRestore();
+    });
+
+    it('should not stop a watch for accounts without one', async () => {
+      mockDelete({ email: 'team@example.com', provider: 'imap', watch_expiration: null });
+
+      await request(app).delete('/accounts/5').expect(200);
+
+      expect(stopWatch).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for accounts of other users', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ count: '2' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app).delete('/accounts/5').expect(404);
+
+      expect(db.query).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('DELETE /accounts/:id/watch', () => {
+    it('should stop push notifications for a Gmail account', async () => {
+      stopWatch.mockResolvedValue();
+      db.query.mockResolvedValueOnce({ rows: [{ email: 'me@gmail.com', provider: 'google' }] });
+
+      await request(app).delete('/accounts/5/watch').expect(200);
+
+      expect(stopWatch).toHaveBeenCalledWith(123, 'me@gmail.com');
+    });
+
+    it('should reject accounts other than Gmail', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ email: 'team@example.com', provider: 'imap' }] });
+
+      const response = await request(app).delete('/accounts/5/watch').expect(400);
+
+      expect(response.body.error).toBe('Push notifications are only available for Gmail');
+      expect(stopWatch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /accounts/:id/labels', () => {
+    it('should create the category labels and enable mirroring', async () => {
+      const account = { id: 9, email: 'test@gmail.com', provider: 'google' };
+      db.query.mockResolvedValueOnce({ rows: [account] }).mockResolvedValueOnce({ rows: [] });
+      syncAccountLabels.mockResolvedValue(4);
+
+      const response = await request(app)
+        .put('/accounts/9/labels')
+        .send({ enabled: true })
+        .expect(200);
+
+      expect(syncAccountLabels).toHaveBeenCalledWith(account);
+      expect(db.query).toHaveBeenLastCalledWith(
+        'UPDATE email_accounts SET mirror_labels = $1, updated_at = NOW() WHERE id = $2',
+        [true, '9']
+      );
+      expect(response.body).toMatchObject({ mirrorLabels: true, labelCount: 4 });
+    });
+
+    it('should disable mirroring without touching Gmail', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 9, email: 'test@gmail.com', provider: 'google' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .put('/accounts/9/labels')
+        .send({ enabled: false })
+        .expect(200);
+
+      expect(syncAccountLabels).not.toHaveBeenCalled();
+      expect(response.body.mirrorLabels).toBe(false);
+    });
+
+    it('should reject accounts that are not Gmail', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: 9, email: 'team@example.com', provider: 'imap' }],
+      });
+
+      const response = await request(app)
+        .put('/accounts/9/labels')
+        .send({ enabled: true })
+        .expect(400);
+
+      expect(response.body.error).toBe('Label mirroring is only available for Gmail');
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should require the enabled flag', async () => {
+      await request(app).put('/accounts/9/labels').send({}).expect(400);
+    });
+  });
+
+  describe('GET /accounts/:id/policy', () => {
+    it('should return the stored policy with defaults filled in', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: 9, email: 'test@gmail.com', ingestion_policy: { markAsRead: true } }],
+      });
+
+      const response = await request(app).get('/accounts/9/policy').expect(200);
+
+      expect(response.body.policy).toEqual({
+        query: null,
+        archive: true,
+        markAsRead: true,
+        excludeLabels: [],
+        maxMessagesPerRun: 500,
+      });
+    });
+  });
+
+  describe('PUT /accounts/:id/policy', () => {
+    it('should validate and store the policy', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 9, email: 'test@gmail.com', provider: 'google' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .put('/accounts/9/policy')
+        .send({ query: ' category:promotions ', archive: false, excludeLabels: ['STARRED'] })
+        .expect(200);
+
+      const policy = {
+        query: 'category:promotions',
+        archive: false,
+        markAsRead: false,
+        excludeLabels: ['STARRED'],
+        maxMessagesPerRun: 500,
+      };
+      const [sql, [stored, id]] = db.query.mock.calls[1];
+      expect(sql).toBe(
+        'UPDATE email_accounts SET ingestion_policy = $1, updated_at = NOW() WHERE id = $2'
+      );
+      expect(JSON.parse(stored)).toEqual(policy);
+      expect(id).toBe('9');
+      expect(response.body.policy).toEqual(policy);
+    });
+
+    it('should reject custom queries for accounts that are not Gmail', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: 9, email: 'team@example.com', provider: 'imap' }],
+      });
+
+      const response = await request(app)
+        .put('/accounts/9/policy')
+        .send({ query: 'from:boss@example.com' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Custom queries are only available for Gmail');
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject invalid values', async () => {
+      await request(app).put('/accounts/9/policy').send({ maxMessagesPerRun: 0 }).expect(400);
+      await request(app).put('/accounts/9/policy').send({ unknown: true }).expect(400);
+
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for accounts of other users', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).put('/accounts/9/policy').send({ markAsRead: true }).expect(404);
+    });
+  });
+
+  describe('POST /accounts/:id/preview', () => {
+    it('should return the proposed categories without message bodies', async () => {
+      const account = { id: 9, email: 'test@gmail.com', provider: 'google' };
+      db.query.mockResolvedValueOnce({ rows: [account] });
+      createPreview.mockResolvedValue({
+        id: 4,
+        account_id: 9,
+        status: 'pending',
+        items: [
+          {
+            messageId: 'msg1',
+            subject: 'Sale',
+            body: 'Body',
+            categoryId: 2,
+            categoryName: 'Promotions',
+            summary: 'A sale',
+            unsubscribeLink: 'https://example.com/unsubscribe',
+          },
+        ],
+      });
+
+      const response = await request(app).post('/accounts/9/preview').send({}).expect(201);
+
+      expect(createPreview).toHaveBeenCalledWith(123, account, { size: 10 });
+      expect(response.body.preview.items[0]).toMatchObject({
+        messageId: 'msg1',
+        categoryName: 'Promotions',
+        summary: 'A sale',
+      });
+      expect(response.body.preview.items[0]).not.toHaveProperty('body');
+    });
+
+    it('should limit the sample size', async () => {
+      await request(app).post('/accounts/9/preview').send({ size: 100 }).expect(400);
+
+      expect(createPreview).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /accounts/:id/preview/:previewId/accept', () => {
+    it('should accept the preview with corrections', async () => {
+      const account = { id: 9, email: 'test@gmail.com', provider: 'google' };
+      db.query.mockResolvedValueOnce({ rows: [account] });
+      acceptPreview.mockResolvedValue({ accepted: 3, corrected: 1, skipped: 0, failed: 0 });
+
+      const response = await request(app)
+        .post('/accounts/9/preview/4/accept')
+        .send({ corrections: [{ messageId: 'msg1', categoryId: 1 }] })
+        .expect(200);
+
+      expect(acceptPreview).toHaveBeenCalledWith(123, account, '4', [
+        { messageId: 'msg1', categoryId: 1 },
+      ]);
+      expect(response.body).toMatchObject({ accepted: 3, corrected: 1 });
+    });
+
+    it('should report previews that were already accepted', async () => {
+      const conflict = new Error('Preview has already been accepted or discarded');
+      conflict.status = 409;
+      db.query.mockResolvedValueOnce({ rows: [{ id: 9 }] });
+      acceptPreview.mockRejectedValue(conflict);
+
+      const response = await request(app).post('/accounts/9/preview/4/accept').send({}).expect(409);
+
+      expect(response.body.error).toBe('Preview has already been accepted or discarded');
+    });
+  });
+});
@@ -0,0 +1,323 @@
+const request = require('supertest');
+const express = require('express');
+const { google } = require('googleapis');
+const authRouter = require('../auth');
+const db = require('../../config/database');
+const { authenticateToken } = require('../../middleware/auth');
+const microsoftAuth = require('../../services/microsoftAuth');
+const { startBackfill } = require('../../services/backfill');
+const { GOOGLE_SCOPES, DRAFT_SCOPES, hasAnyScope } = require('../../config/googleScopes');
+
+jest.mock('googleapis');
+jest.mock('../../config/database');
+jest.mock('../../middleware/auth');
+jest.mock('../../services/microsoftAuth');
+jest.mock('../../services/backfill', () => ({
+  ...jest.requireActual('../../services/backfill'),
+  startBackfill: jest.fn(),
+}));
+jest.mock('../../services/gmailWatch');
+
+// Created when the router is loaded, before the mocks are cleared
+const [oauth2Client] = google.auth.OAuth2.mock.instances;
+
+describe('Auth Routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/auth', authRouter);
+
+    jest.clearAllMocks();
+
+    authenticateToken.mockImplementation((req, res, next) => {
+      req.user = { id: 123, email: 'test@example.com' };
+      next();
+    });
+  });
+
+  describe('GET /auth/google', () => {
+    it('should request the scopes that allow sending and creating drafts', async () => {
+      oauth2Client.generateAuthUrl.mockReturnValue('https://accounts.google.com/o/oauth2/auth');
+
+      const response = await request(app).get('/auth/google').expect(200);
+
+      expect(response.body.url).toBe('https://accounts.google.com/o/oauth2/auth');
+      expect(oauth2Client.generateAuthUrl).toHaveBeenCalledWith(
+        expect.objectContaining({ scope: GOOGLE_SCOPES })
+      );
+      // users.messages.send and users.drafts.create accept gmail.modify; gmail.readonly
+      // alone would leave emailed digests and draft replies failing with 403
+      expect(hasAnyScope(GOOGLE_SCOPES, DRAFT_SCOPES)).toBe(true);
+    });
+  });
+
+  describe('GET /auth/microsoft/add-account', () => {
+    it('should return the Microsoft sign-in URL', async () => {
+      microsoftAuth.isMicrosoftConfigured.mockReturnValue(true);
+      microsoftAuth.getAuthorizeUrl.mockReturnValue('https://login.microsoftonline.com/authorize');
+
+      microsoftAuth.createState.mockReturnValue('signed-state');
+
+      const response = await request(app).get('/auth/microsoft/add-account').expect(200);
+
+      expect(response.body.url).toBe('https://login.microsoftonline.com/authorize');
+      expect(microsoftAuth.createState).toHaveBeenCalledWith(123);
+      expect(microsoftAuth.getAuthorizeUrl).toHaveBeenCalledWith('signed-state');
+    });
+
+    it('should fail when Microsoft sign-in is not configured', async () => {
+      microsoftAuth.isMicrosoftConfigured.mockReturnValue(false);
+
+      await request(app).get('/auth/microsoft/add-account').expect(400);
+    });
+  });
+
+  describe('POST /auth/microsoft/callback', () => {
+    beforeEach(() => {
+      microsoftAuth.exchangeCodeForTokens.mockResolvedValue({
+        access_token: 'access-1',
+        refresh_token: 'refresh-1',
+      });
+      microsoftAuth.getMailboxAddress.mockResolvedValue('user@contoso.com');
+      microsoftAuth.verifyState.mockReturnValue(123);
+    });
+
+    it('should store the account as an outlook provider for the signed-in user', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 5, email: 'user@contoso.com' }] });
+
+      const response = await request(app)
+        .post('/auth/microsoft/callback')
+        .send({ code: 'auth-code', state: 'signed-state' })
+        .expect(200);
+
+      expect(microsoftAuth.exchangeCodeForTokens).toHaveBeenCalledWith('auth-code');
+      expect(microsoftAuth.verifyState).toHaveBeenCalledWith('signed-state');
+      expect(db.query.mock.calls[1][0]).toMatch(/'outlook'/);
+      expect(db.query.mock.calls[1][1]).toEqual([123, 'user@contoso.com', 'access-1', 'refresh-1']);
+      expect(response.body).toMatchObject({
+        success: true,
+        flow: 'add_account',
+        email: 'user@contoso.com',
+        backfill: null,
+      });
+    });
+
+    it('should start a backfill when requested', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 5, email: 'user@contoso.com' }] });
+      startBackfill.mockResolvedValue({ id: 2, status: 'pending' });
+
+      const response = await request(app)
+        .post('/auth/microsoft/callback')
+        .send({ code: 'auth-code', state: 'signed-state', backfill: { since: '2024-01-01' } })
+        .expect(200);
+
+      expect(startBackfill).toHaveBeenCalledWith(
+        123,
+        { id: 5, email: 'user@contoso.com' },
+        expect.objectContaining({ archive: true })
+      );
+      expect(response.body.backfill).toEqual({ id: 2, status: 'pending' });
+    });
+
+    it('should reject accounts that are already connected', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 5 }] });
+
+      const response = await request(app)
+        .post('/auth/microsoft/callback')
+        .send({ code: 'auth-code', state: 'signed-state' })
+        .expect(400);
+
+      expect(response.body.error).toBe('This email account is already connected');
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail when the code cannot be exchanged', async () => {
+      const error = new Error('Request failed with status code 400');
+      error.response = { data: { error_description: 'AADSTS70008: code expired' } };
+      microsoftAuth.exchangeCodeForTokens.mockRejectedValue(error);
+
+      const response = await request(app)
+        .post('/auth/microsoft/callback')
+        .send({ code: 'auth-code', state: 'signed-state' })
+        .expect(400);
+
+      expect(response.body.message).toBe('AADSTS70008: code expired');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should require an authorization code', async () => {
+      await request(app).post('/auth/microsoft/callback').send({}).expect(400);
+    });
+
+    it('should reject a state that was not issued to the signed-in user', async () => {
+      microsoftAuth.verifyState.mockReturnValue(456);
+
+      const response = await request(app)
+        .post('/auth/microsoft/callback')
+        .send({ code: 'auth-code', state: 'other-state' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid or expired OAuth state');
+      expect(microsoftAuth.exchangeCodeForTokens).not.toHaveBeenCalled();
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('model settings', () => {
+    const originalEnv = process.env;
+
+    beforeEach(() => {
+      db.query.mockReset();
+      process.env = { ...originalEnv, CREDENTIALS_ENCRYPTION_KEY: 'b'.repeat(64) };
+      delete process.env.LLM_ALLOW_USER_ENDPOINTS;
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    it('should return the settings without the API key', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ llm_settings: { apiKey: 'encrypted', models: { summarize: 'llama3' } } }],
+      });
+
+      const response = await request(app).get('/auth/me/llm-settings').expect(200);
+
+      expect(response.body).toMatchObject({ hasApiKey: true, models: { summarize: 'llama3' } });
+      expect(response.body).not.toHaveProperty('apiKey');
+    });
+
+    it('should store model overrides per task', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ llm_settings: {} }] }).mockResolvedValueOnce({});
+
+      const response = await request(app)
+        .put('/auth/me/llm-settings')
+        .send({ models: { categorize: 'gpt-4.1-mini' } })
+        .expect(200);
+
+      expect(response.body.models).toEqual({ categorize: 'gpt-4.1-mini' });
+      expect(JSON.parse(db.query.mock.calls[1][1][0])).toEqual({
+        baseUrl: null,
+        apiKey: null,
+        models: { categorize: 'gpt-4.1-mini' },
+      });
+    });
+
+    it('should reject custom endpoints unless the deployment allows them', async () => {
+      const response = await request(app)
+        .put('/auth/me/llm-settings')
+        .send({ baseUrl: 'http://localhost:11434/v1' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Custom model endpoints are not enabled');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should store a custom endpoint with an encrypted key', async () => {
+      process.env.LLM_ALLOW_USER_ENDPOINTS = 'true';
+      db.query.mockResolvedValueOnce({ rows: [{ llm_settings: {} }] }).mockResolvedValueOnce({});
+
+      const response = await request(app)
+        .put('/auth/me/llm-settings')
+        .send({ baseUrl: 'http://localhost:11434/v1', apiKey: 'secret' })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        baseUrl: 'http://localhost:11434/v1',
+        hasApiKey: true,
+      });
+      expect(db.query.mock.calls[1][1][0]).not.toContain('secret');
+    });
+  });
+
+  describe('redaction settings', () => {
+    beforeEach(() => {
+      db.query.mockReset();
+    });
+
+    it('should return the level with the masked items of the last 30 days', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ redaction_level: 'standard' }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { type: 'phone', count: '3' },
+            { type: 'otp', count: '1' },
+          ],
+        });
+
+      const response = await request(app).get('/auth/me/redaction').expect(200);
+
+      expect(response.body).toEqual({
+        level: 'standard',
+        levels: ['off', 'standard', 'strict'],
+        audit: { days: 30, counts: { phone: 3, otp: 1 } },
+      });
+      expect(db.query.mock.calls[1][1]).toEqual([123, 30]);
+    });
+
+    it('should update the level', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ redaction_level: 'strict' }] });
+
+      const response = await request(app)
+        .put('/auth/me/redaction')
+        .send({ level: 'strict' })
+        .expect(200);
+
+      expect(response.body.level).toBe('strict');
+      expect(db.query.mock.calls[0][1]).toEqual(['strict', 123]);
+    });
+
+    it('should reject unknown levels', async () => {
+      await request(app).put('/auth/me/redaction').send({ level: 'paranoid' }).expect(400);
+
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('language settings', () => {
+    beforeEach(() => {
+      db.query.mockReset();
+    });
+
+    it('should return the preferred language with the supported ones', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ preferred_language: 'pt' }] });
+
+      const response = await request(app).get('/auth/me/language').expect(200);
+
+      expect(response.body.preferredLanguage).toBe('pt');
+      expect(response.body.languages).toMatchObject({ en: 'English', pt: 'Portuguese' });
+    });
+
+    it('should update the preferred language', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ preferred_language: 'fr' }] });
+
+      const response = await request(app)
+        .put('/auth/me/language')
+        .send({ preferredLanguage: 'fr' })
+        .expect(200);
+
+      expect(response.body.preferredLanguage).toBe('fr');
+      expect(db.query.mock.calls[0][1]).toEqual(['fr', 123]);
+    });
+
+    it('should clear the preferred language', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ preferred_language: null }] });
+
+      await request(app).put('/auth/me/language').send({ preferredLanguage: null }).expect(200);
+
+      expect(db.query.mock.calls[0][1]).toEqual([null, 123]);
+    });
+
+    it('should reject unsupported languages', async () => {
+      await request(app).put('/auth/me/language').send({ preferredLanguage: 'xx' }).expect(400);
+
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+});
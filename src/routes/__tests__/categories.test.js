@@ -3,9 +3,35 @@ const express = require('express');
 const categoriesRouter = require('../categories');
 const db = require('../../config/database');
 const { authenticateToken } = require('../../middleware/auth');
+const {
+  createCategoryLabels,
+  renameCategoryLabels,
+  deleteCategoryLabels,
+  relabelEmails,
+} = require('../../services/labelMirror');
+const { findMatchingEmails, applyRule } = require('../../services/rules');
+const {
+  generateSuggestions,
+  getPendingSuggestions,
+  acceptSuggestion,
+  dismissSuggestion,
+} = require('../../services/categorySuggestions');
 
 jest.mock('../../config/database');
 jest.mock('../../middleware/auth');
+jest.mock('../../services/labelMirror');
+jest.mock('../../services/rules', () => ({
+  ...jest.requireActual('../../services/rules'),
+  findMatchingEmails: jest.fn(),
+  applyRule: jest.fn(),
+}));
+jest.mock('../../services/categorySuggestions', () => ({
+  ...jest.requireActual('../../services/categorySuggestions'),
+  generateSuggestions: jest.fn(),
+  getPendingSuggestions: jest.fn(),
+  acceptSuggestion: jest.fn(),
+  dismissSuggestion: jest.fn(),
+}));
 
 describe('Categories Routes', () => {
   let app;
@@ -25,6 +51,11 @@ describe('Categories Routes', () => {
     });
 
     jest.clearAllMocks();
+
+    createCategoryLabels.mockResolvedValue();
+    renameCategoryLabels.mockResolvedValue();
+    deleteCategoryLabels.mockResolvedValue();
+    relabelEmails.mockResolvedValue();
   });
 
   describe('GET /categories', () => {
@@ -139,6 +170,7 @@ describe('Categories Routes', () => {
         'INSERT INTO categories (user_id, name, description) VALUES ($1, $2, $3) RETURNING *',
         [mockUser.id, newCategory.name, newCategory.description]
       );
+      expect(createCategoryLabels).toHaveBeenCalledWith(mockUser.id, createdCategory);
     });
 
     it('should trim whitespace from input', async () => {
@@ -272,6 +304,7 @@ describe('Categories Routes', () => {
         'UPDATE categories SET name = $1, description = $2, updated_at = NOW() WHERE id = $3 AND user_id = $4 RETURNING *',
         [updateData.name, updateData.description, '1', mockUser.id]
       );
+      expect(renameCategoryLabels).toHaveBeenCalledWith(mockUser.id, updatedCategory);
     });
 
     it('should prevent duplicate names when updating', async () => {
@@ -359,6 +392,7 @@ describe('Categories Routes', () => {
         'DELETE FROM categories WHERE id = $1 AND user_id = $2 RETURNING *',
         ['1', mockUser.id]
       );
+      expect(deleteCategoryLabels).toHaveBeenCalledWith(mockUser.id, '1');
     });
 
     it('should prevent deletion of category with emails', async () => {
@@ -371,6 +405,7 @@ describe('Categories Routes', () => {
       expect(response.body).toEqual({
         error: 'Cannot delete category with emails. Please move or delete emails first.'
       });
+      expect(deleteCategoryLabels).not.toHaveBeenCalled();
     });
 
     it('should return 404 when category not found', async () => {
@@ -396,6 +431,278 @@ describe('Categories Routes', () => {
     });
   });
 
+  describe('category rules', () => {
+    const rule = {
+      id: 5,
+      user_id: 123,
+      category_id: 1,
+      match_type: 'domain',
+      pattern: 'example.com',
+      priority: 10,
+      source: 'user'
+    };
+
+    beforeEach(() => {
+      db.query.mockReset();
+    });
+
+    it('should list the rules of a category in priority order', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] }) // Category exists
+        .mockResolvedValueOnce({ rows: [rule] });
+
+      const response = await request(app)
+        .get('/categories/1/rules')
+        .expect(200);
+
+      expect(response.body).toEqual([rule]);
+      expect(db.query.mock.calls[1][0]).toContain('ORDER BY priority, id');
+    });
+
+    it('should return 404 for rules of an unknown category', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .get('/categories/999/rules')
+        .expect(404);
+    });
+
+    it('should create a rule with a normalized pattern', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({ rows: [rule] });
+
+      const response = await request(app)
+        .post('/categories/1/rules')
+        .send({ matchType: 'domain', pattern: '@Example.com', priority: 10 })
+        .expect(201);
+
+      expect(response.body).toEqual(rule);
+      expect(db.query.mock.calls[1][1]).toEqual([123, '1', 'domain', 'example.com', 10]);
+    });
+
+    it('should validate rules', async () => {
+      const response = await request(app)
+        .post('/categories/1/rules')
+        .send({ matchType: 'subject', pattern: '[unclosed' })
+        .expect(400);
+
+      expect(response.body.error).toBe('pattern must be a valid regular expression');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject duplicate rules', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({ rows: [] }); // Conflict
+
+      await request(app)
+        .post('/categories/1/rules')
+        .send({ matchType: 'sender', pattern: 'news@example.com' })
+        .expect(409);
+    });
+
+    it('should update a rule and take it over from the corrections learner', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...rule, priority: 1 }] });
+
+      const response = await request(app)
+        .put('/categories/1/rules/5')
+        .send({ matchType: 'domain', pattern: 'example.com', priority: 1 })
+        .expect(200);
+
+      expect(response.body.priority).toBe(1);
+      expect(db.query.mock.calls[0][0]).toMatch(/source = 'user'/);
+      expect(db.query.mock.calls[0][1]).toEqual(['domain', 'example.com', 1, '5', '1', 123]);
+    });
+
+    it('should return 404 when updating an unknown rule', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .put('/categories/1/rules/99')
+        .send({ matchType: 'has_unsubscribe', pattern: false })
+        .expect(404);
+    });
+
+    it('should test a draft rule against stored emails', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 1, name: 'Work' }] });
+      findMatchingEmails.mockResolvedValue([
+        { id: 10, subject: 'A', sender: 'a@example.com', category_id: 2, category_name: 'Other' },
+        { id: 11, subject: 'B', sender: 'b@example.com', category_id: 1, category_name: 'Work' }
+      ]);
+
+      const response = await request(app)
+        .post('/categories/1/rules/test')
+        .send({ matchType: 'domain', pattern: 'Example.com' })
+        .expect(200);
+
+      expect(findMatchingEmails).toHaveBeenCalledWith(123, {
+        match_type: 'domain',
+        pattern: 'example.com'
+      });
+      expect(response.body.matchCount).toBe(2);
+      expect(response.body.changeCount).toBe(1);
+      expect(response.body.emails[0]).toMatchObject({
+        id: 10,
+        from_category_name: 'Other',
+        to_category_id: 1,
+        to_category_name: 'Work',
+        changes: true
+      });
+      expect(response.body.emails[1].changes).toBe(false);
+    });
+
+    it('should refuse to test List-Id rules', async () => {
+      await request(app)
+        .post('/categories/1/rules/test')
+        .send({ matchType: 'list_id', pattern: 'news.example.com' })
+        .expect(400);
+
+      expect(findMatchingEmails).not.toHaveBeenCalled();
+    });
+
+    it('should apply a saved rule to stored emails', async () => {
+      const moved = [{ id: 10, account_id: 1, gmail_id: 'msg10', category_id: 2 }];
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, name: 'Work' }] })
+        .mockResolvedValueOnce({ rows: [rule] });
+      applyRule.mockResolvedValue(moved);
+
+      const response = await request(app)
+        .post('/categories/1/rules/5/apply')
+        .expect(200);
+
+      expect(applyRule).toHaveBeenCalledWith(123, rule);
+      expect(response.body).toEqual({
+        message: 'Moved 1 emails to Work',
+        movedCount: 1,
+        movedIds: [10]
+      });
+      expect(relabelEmails).toHaveBeenCalledWith(123, moved, { id: 1, name: 'Work' });
+    });
+
+    it('should return 404 when applying an unknown rule', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, name: 'Work' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .post('/categories/1/rules/99/apply')
+        .expect(404);
+
+      expect(applyRule).not.toHaveBeenCalled();
+    });
+
+    it('should delete a rule', async () => {
+      db.query.mockResolvedValueOnce({ rows: [rule] });
+
+      const response = await request(app)
+        .delete('/categories/1/rules/5')
+        .expect(200);
+
+      expect(response.body).toEqual({ message: 'Rule deleted successfully' });
+      expect(db.query.mock.calls[0][1]).toEqual(['5', '1', 123]);
+    });
+  });
+
+  describe('category suggestions', () => {
+    const suggestion = {
+      id: 10,
+      name: 'Flights',
+      description: 'Flight bookings and updates',
+      email_ids: [1, 2, 3],
+      examples: [{ emailId: 1, subject: 'Your flight', sender: 'trips@airline.com' }],
+      status: 'pending',
+      category_id: null,
+      created_at: '2024-03-13T09:30:00Z',
+    };
+    const formatted = {
+      id: 10,
+      name: 'Flights',
+      description: 'Flight bookings and updates',
+      emailCount: 3,
+      emailIds: [1, 2, 3],
+      examples: suggestion.examples,
+      status: 'pending',
+      categoryId: null,
+      createdAt: '2024-03-13T09:30:00Z',
+    };
+
+    const statusError = (status, message) => Object.assign(new Error(message), { status });
+
+    it('should list the pending suggestions', async () => {
+      getPendingSuggestions.mockResolvedValue([suggestion]);
+
+      const response = await request(app).get('/categories/suggestions').expect(200);
+
+      expect(response.body).toEqual({ suggestions: [formatted] });
+      expect(getPendingSuggestions).toHaveBeenCalledWith(123);
+    });
+
+    it('should generate new suggestions', async () => {
+      generateSuggestions.mockResolvedValue([suggestion]);
+
+      const response = await request(app).post('/categories/suggestions').expect(201);
+
+      expect(response.body).toEqual({ suggestions: [formatted] });
+      expect(generateSuggestions).toHaveBeenCalledWith(123);
+    });
+
+    it('should handle errors when generating suggestions', async () => {
+      generateSuggestions.mockRejectedValue(new Error('DB error'));
+
+      const response = await request(app).post('/categories/suggestions').expect(500);
+
+      expect(response.body.error).toBe('Failed to generate category suggestions');
+    });
+
+    it('should accept a suggestion under another name', async () => {
+      const category = { id: 9, name: 'Trips', description: 'Flight bookings and updates' };
+      acceptSuggestion.mockResolvedValue({ category, movedIds: [1, 3] });
+
+      const response = await request(app)
+        .post('/categories/suggestions/10/accept')
+        .send({ name: ' Trips ' })
+        .expect(201);
+
+      expect(response.body).toEqual({ category, movedCount: 2, movedIds: [1, 3] });
+      expect(acceptSuggestion).toHaveBeenCalledWith(123, '10', { name: 'Trips' });
+    });
+
+    it('should reject invalid names', async () => {
+      await request(app)
+        .post('/categories/suggestions/10/accept')
+        .send({ name: 'x'.repeat(101) })
+        .expect(400);
+
+      expect(acceptSuggestion).not.toHaveBeenCalled();
+    });
+
+    it('should pass on the status of refused accepts', async () => {
+      acceptSuggestion.mockRejectedValue(
+        statusError(409, 'Suggestion has already been accepted or dismissed')
+      );
+
+      const response = await request(app).post('/categories/suggestions/10/accept').expect(409);
+
+      expect(response.body.error).toBe('Suggestion has already been accepted or dismissed');
+    });
+
+    it('should dismiss a suggestion', async () => {
+      dismissSuggestion.mockResolvedValue({ ...suggestion, status: 'dismissed' });
+
+      await request(app).delete('/categories/suggestions/10').expect(200);
+
+      expect(dismissSuggestion).toHaveBeenCalledWith(123, '10');
+    });
+
+    it('should return 404 when dismissing unknown suggestions', async () => {
+      dismissSuggestion.mockRejectedValue(statusError(404, 'Suggestion not found'));
+
+      await request(app).delete('/categories/suggestions/10').expect(404);
+    });
+  });
+
   describe('Authentication', () => {
     it('should require authentication for all routes', async () => {
       // Mock authenticateToken to fail
@@ -0,0 +1,126 @@
+const request = require('supertest');
+const express = require('express');
+const digestsRouter = require('../digests');
+const db = require('../../config/database');
+const { authenticateToken } = require('../../middleware/auth');
+
+jest.mock('../../config/database');
+jest.mock('../../middleware/auth');
+jest.mock('../../services/openai');
+jest.mock('../../services/gmail');
+jest.mock('../../routes/notifications');
+jest.mock('../../utils/logger');
+
+describe('Digests Routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/digests', digestsRouter);
+
+    jest.clearAllMocks();
+    db.query.mockReset();
+
+    authenticateToken.mockImplementation((req, res, next) => {
+      req.user = { id: 123, email: 'test@example.com' };
+      next();
+    });
+  });
+
+  describe('GET /digests', () => {
+    it('should list the digests newest first with pagination', async () => {
+      db.query
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 2, sections: [] },
+            { id: 1, sections: [] },
+          ],
+        })
+        .mockResolvedValueOnce({ rows: [{ count: '2' }] });
+
+      const response = await request(app).get('/digests?limit=10').expect(200);
+
+      expect(response.body.digests.map(digest => digest.id)).toEqual([2, 1]);
+      expect(response.body.pagination).toEqual({ page: 1, limit: 10, total: 2, totalPages: 1 });
+      expect(db.query.mock.calls[0][1]).toEqual([123, '10', 0]);
+    });
+
+    it('should handle database errors', async () => {
+      db.query.mockRejectedValueOnce(new Error('DB error'));
+
+      const response = await request(app).get('/digests').expect(500);
+
+      expect(response.body.error).toBe('Failed to fetch digests');
+    });
+  });
+
+  describe('GET /digests/:id', () => {
+    it('should return a digest of the user', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 4, sections: [{ categoryName: 'Work' }] }] });
+
+      const response = await request(app).get('/digests/4').expect(200);
+
+      expect(response.body.sections[0].categoryName).toBe('Work');
+      expect(db.query.mock.calls[0][1]).toEqual(['4', 123]);
+    });
+
+    it('should return 404 for digests of other users', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).get('/digests/4').expect(404);
+    });
+  });
+
+  describe('digest settings', () => {
+    const row = {
+      digest_frequency: 'weekly',
+      digest_hour: 7,
+      digest_email: true,
+      last_digest_at: null,
+    };
+
+    it('should return the schedule', async () => {
+      db.query.mockResolvedValueOnce({ rows: [row] });
+
+      const response = await request(app).get('/digests/settings').expect(200);
+
+      expect(response.body).toEqual({
+        frequency: 'weekly',
+        hour: 7,
+        email: true,
+        lastDigestAt: null,
+        frequencies: ['off', 'daily', 'weekly'],
+      });
+    });
+
+    it('should update the schedule', async () => {
+      db.query.mockResolvedValueOnce({ rows: [row] });
+
+      await request(app)
+        .put('/digests/settings')
+        .send({ frequency: 'weekly', hour: 7, email: true })
+        .expect(200);
+
+      expect(db.query.mock.calls[0][1]).toEqual(['weekly', 7, true, 123]);
+    });
+
+    it('should default to 8:00 without email', async () => {
+      db.query.mockResolvedValueOnce({ rows: [row] });
+
+      await request(app).put('/digests/settings').send({ frequency: 'daily' }).expect(200);
+
+      expect(db.query.mock.calls[0][1]).toEqual(['daily', 8, false, 123]);
+    });
+
+    it('should reject invalid schedules', async () => {
+      await request(app).put('/digests/settings').send({ frequency: 'hourly' }).expect(400);
+      await request(app)
+        .put('/digests/settings')
+        .send({ frequency: 'daily', hour: 24 })
+        .expect(400);
+
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -4,11 +4,21 @@ const emailsRouter = require('../emails');
 const db = require('../../config/database');
 const redis = require('../../config/redisCache');
 const { authenticateToken } = require('../../middleware/auth');
+const { relabelEmails } = require('../../services/labelMirror');
+const { learnFromCorrections } = require('../../services/corrections');
+const { getMailProvider } = require('../../services/providers');
+const { draftReply } = require('../../services/openai');
+const { getBudgetStatus } = require('../../services/usage');
 
 jest.mock('../../config/database');
 jest.mock('../../config/redisCache');
 jest.mock('../../middleware/auth');
-jest.mock('../../services/gmail');
+jest.mock('../../services/providers');
+jest.mock('../../jobs/emailProcessor');
+jest.mock('../../services/labelMirror');
+jest.mock('../../services/corrections');
+jest.mock('../../services/openai');
+jest.mock('../../services/usage');
 jest.mock('../../utils/logger');
 
 describe('Emails Routes - Smoke Tests', () => {
@@ -39,6 +49,9 @@ describe('Emails Routes - Smoke Tests', () => {
     db.connect = jest.fn();
 
     jest.clearAllMocks();
+
+    relabelEmails.mockResolvedValue();
+    learnFromCorrections.mockResolvedValue([]);
   });
 
   describe('GET /emails/category/:categoryId', () => {
@@ -76,6 +89,154 @@ describe('Emails Routes - Smoke Tests', () => {
         .get('/emails/category/999')
         .expect(404);
     });
+
+    it('should filter by language', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] });
+
+      await request(app).get('/emails/category/1?language=pt').expect(200);
+
+      const [sql, params] = db.query.mock.calls[1];
+      expect(sql).toContain('AND e.language = $3');
+      expect(params).toEqual(['1', 123, 'pt', 20, 0]);
+    });
+
+    it('should filter emails of undetected language', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] });
+
+      await request(app).get('/emails/category/1?language=unknown').expect(200);
+
+      expect(db.query.mock.calls[1][0]).toContain('AND e.language IS NULL');
+    });
+  });
+
+  describe('GET /emails/review', () => {
+    it('should list emails waiting for review with the AI suggestion', async () => {
+      db.query
+        .mockResolvedValueOnce({
+          rows: [{ id: 5, subject: 'Hmm', ai_category_name: 'Work', ai_confidence: 0.4 }]
+        })
+        .mockResolvedValueOnce({ rows: [{ count: '1' }] })
+        .mockResolvedValueOnce({ rows: [{ review_threshold: 0.6 }] });
+
+      const response = await request(app).get('/emails/review').expect(200);
+
+      expect(db.query.mock.calls[0][0]).toContain('e.needs_review = true');
+      expect(response.body.emails[0].ai_category_name).toBe('Work');
+      expect(response.body.threshold).toBe(0.6);
+      expect(response.body.pagination.total).toBe(1);
+    });
+  });
+
+  describe('PUT /emails/review/threshold', () => {
+    it('should update the user threshold', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).put('/emails/review/threshold').send({ threshold: 0.75 }).expect(200);
+
+      expect(db.query).toHaveBeenCalledWith(
+        'UPDATE users SET review_threshold = $1, updated_at = NOW() WHERE id = $2',
+        [0.75, 123]
+      );
+    });
+
+    it('should reject thresholds outside 0-1', async () => {
+      await request(app).put('/emails/review/threshold').send({ threshold: 2 }).expect(400);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /emails/quarantine', () => {
+    it('should list quarantined emails with their risk', async () => {
+      db.query
+        .mockResolvedValueOnce({
+          rows: [{ id: 9, subject: 'Verify your account', risk_score: 0.92, risk_signals: [] }]
+        })
+        .mockResolvedValueOnce({ rows: [{ count: '1' }] });
+
+      const response = await request(app).get('/emails/quarantine').expect(200);
+
+      expect(response.body.emails[0].risk_score).toBe(0.92);
+      expect(response.body.emails[0]).not.toHaveProperty('unsubscribe_link');
+      expect(db.query.mock.calls[0][0]).toContain('e.quarantined = true');
+      expect(response.body.pagination.total).toBe(1);
+    });
+  });
+
+  describe('POST /emails/:id/release', () => {
+    it('should move a quarantined email to the review queue', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 9, quarantined: false, needs_review: true }] });
+
+      const response = await request(app).post('/emails/9/release').expect(200);
+
+      expect(response.body.needs_review).toBe(true);
+      expect(db.query.mock.calls[0][0]).toMatch(/SET quarantined = false, needs_review = true/);
+      expect(db.query.mock.calls[0][1]).toEqual(['9', 123]);
+    });
+
+    it('should return 404 for emails that are not quarantined', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).post('/emails/9/release').expect(404);
+    });
+  });
+
+  describe('GET /emails/actions', () => {
+    it('should list open action items by deadline', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: 1, description: 'Sign the contract', due_date: '2026-10-23', overdue: false }]
+      });
+
+      const response = await request(app).get('/emails/actions').expect(200);
+
+      expect(response.body.actions).toHaveLength(1);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain('ai.done_at IS NULL');
+      expect(sql).toMatch(/ORDER BY ai\.due_date ASC NULLS LAST/);
+      expect(params).toEqual([123, 100]);
+    });
+
+    it('should list done action items on request', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).get('/emails/actions?status=done&limit=10').expect(200);
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain('ai.done_at IS NOT NULL');
+      expect(params).toEqual([123, 10]);
+    });
+
+    it('should reject unknown statuses', async () => {
+      await request(app).get('/emails/actions?status=later').expect(400);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /emails/actions/:itemId', () => {
+    it('should mark an action item done', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 7, done_at: '2026-10-19T10:00:00Z' }] });
+
+      const response = await request(app).put('/emails/actions/7').send({ done: true }).expect(200);
+
+      expect(response.body.id).toBe(7);
+      expect(db.query.mock.calls[0][1]).toEqual([true, '7', 123]);
+    });
+
+    it('should return 404 for action items of other users', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app).put('/emails/actions/7').send({ done: false }).expect(404);
+    });
+
+    it('should require the done flag', async () => {
+      await request(app).put('/emails/actions/7').send({}).expect(400);
+      expect(db.query).not.toHaveBeenCalled();
+    });
   });
 
   describe('GET /emails/:id', () => {
@@ -94,6 +255,44 @@ describe('Emails Routes - Smoke Tests', () => {
 
       expect(response.body.subject).toBe('Test Email');
     });
+
+    it('should warn about quarantined emails and hide their unsubscribe link', async () => {
+      const signals = [{ type: 'dmarc_fail', weight: 0.6, detail: 'DMARC check failed' }];
+      db.query
+        .mockResolvedValueOnce({
+          rows: [
+            {
+              id: 9,
+              quarantined: true,
+              risk_score: 0.9,
+              risk_signals: signals,
+              unsubscribe_link: 'http://evil.example/unsubscribe'
+            }
+          ]
+        })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app).get('/emails/9').expect(200);
+
+      expect(response.body.unsubscribe_link).toBeNull();
+      expect(response.body.warning).toEqual({
+        message: expect.stringMatching(/likely phishing/),
+        riskScore: 0.9,
+        signals
+      });
+    });
+
+    it('should include the action items of the email', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 5, subject: 'Contract' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 1, description: 'Sign it', due_date: null }] });
+
+      const response = await request(app).get('/emails/5').expect(200);
+
+      expect(response.body.action_items).toEqual([
+        { id: 1, description: 'Sign it', due_date: null }
+      ]);
+    });
   });
 
   describe('GET /emails/:id/content', () => {
@@ -128,6 +327,157 @@ describe('Emails Routes - Smoke Tests', () => {
     });
   });
 
+  describe('POST /emails/:id/draft-reply', () => {
+    const email = {
+      id: 7,
+      gmail_id: 'gmail-7',
+      subject: 'Dinner',
+      sender: 'Bob <bob@example.com>',
+      account_id: 1,
+      account_email: 'test@gmail.com',
+      provider: 'google',
+      quarantined: false,
+    };
+    let provider;
+
+    beforeEach(() => {
+      provider = {
+        fetchContent: jest.fn(),
+        createReplyDraft: jest.fn().mockResolvedValue({ draftId: 'd1', threadId: 't1' }),
+        getGrantedScopes: jest
+          .fn()
+          .mockResolvedValue(['https://www.googleapis.com/auth/gmail.modify']),
+        close: jest.fn(),
+      };
+      getMailProvider.mockResolvedValue(provider);
+      getBudgetStatus.mockResolvedValue({ mode: 'full' });
+      draftReply.mockResolvedValue('Sorry, I cannot make it.');
+    });
+
+    it('should draft a reply from the cached content and save it in the thread', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [email] })
+        .mockResolvedValueOnce({ rows: [{ name: 'Jane', llm_settings: null }] });
+      redis.get.mockResolvedValue(
+        JSON.stringify({ body: '<p>Dinner on Friday?</p><p>Bob</p>', isHtml: true })
+      );
+
+      const response = await request(app)
+        .post('/emails/7/draft-reply')
+        .send({ instruction: 'politely decline' })
+        .expect(201);
+
+      expect(response.body).toEqual({
+        draftId: 'd1',
+        threadId: 't1',
+        reply: 'Sorry, I cannot make it.'
+      });
+      expect(draftReply).toHaveBeenCalledWith(
+        { subject: 'Dinner', from: 'Bob <bob@example.com>', body: 'Dinner on Friday?\nBob' },
+        'politely decline',
+        { settings: null, userId: 123, senderName: 'Jane' }
+      );
+      expect(provider.createReplyDraft).toHaveBeenCalledWith('gmail-7', 'Sorry, I cannot make it.');
+      expect(provider.fetchContent).not.toHaveBeenCalled();
+      expect(provider.close).toHaveBeenCalled();
+    });
+
+    it('should fetch and cache the content when it is not cached', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [email] })
+        .mockResolvedValueOnce({ rows: [{ name: 'Jane', redaction_level: 'standard' }] });
+      redis.get.mockResolvedValue(null);
+      redis.setEx.mockResolvedValue(true);
+      provider.fetchContent.mockResolvedValue({
+        body: 'Call me on 415 555 0134',
+        isHtml: false,
+        attachments: []
+      });
+
+      await request(app)
+        .post('/emails/7/draft-reply')
+        .send({ instruction: 'say yes' })
+        .expect(201);
+
+      expect(provider.fetchContent).toHaveBeenCalledWith('gmail-7');
+      expect(redis.setEx.mock.calls[0][0]).toBe('email:1:gmail-7');
+      expect(draftReply.mock.calls[0][0].body).toBe('Call me on [PHONE]');
+    });
+
+    it('should require an instruction', async () => {
+      await request(app).post('/emails/7/draft-reply').send({}).expect(400);
+
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should refuse quarantined emails', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...email, quarantined: true }] });
+
+      await request(app)
+        .post('/emails/7/draft-reply')
+        .send({ instruction: 'say yes' })
+        .expect(409);
+
+      expect(draftReply).not.toHaveBeenCalled();
+    });
+
+    it('should refuse emails of other providers', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...email, provider: 'imap' }] });
+
+      await request(app)
+        .post('/emails/7/draft-reply')
+        .send({ instruction: 'say yes' })
+        .expect(400);
+    });
+
+    it('should refuse users over their LLM budget', async () => {
+      db.query.mockResolvedValueOnce({ rows: [email] });
+      getBudgetStatus.mockResolvedValue({ mode: 'rules_only' });
+
+      await request(app)
+        .post('/emails/7/draft-reply')
+        .send({ instruction: 'say yes' })
+        .expect(429);
+
+      expect(getMailProvider).not.toHaveBeenCalled();
+    });
+
+    it('should ask to reconnect before drafting when no draft scope was granted', async () => {
+      db.query.mockResolvedValueOnce({ rows: [email] });
+      provider.getGrantedScopes.mockResolvedValue([
+        'https://www.googleapis.com/auth/gmail.readonly'
+      ]);
+
+      const response = await request(app)
+        .post('/emails/7/draft-reply')
+        .send({ instruction: 'say yes' })
+        .expect(403);
+
+      expect(response.body.error).toBe('Gmail permission missing');
+      expect(draftReply).not.toHaveBeenCalled();
+      expect(provider.createReplyDraft).not.toHaveBeenCalled();
+      expect(provider.close).toHaveBeenCalled();
+    });
+
+    it('should ask to reconnect when Gmail refuses the draft', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [email] })
+        .mockResolvedValueOnce({ rows: [{ name: 'Jane' }] });
+      redis.get.mockResolvedValue(JSON.stringify({ body: 'Hi', isHtml: false }));
+      provider.createReplyDraft.mockRejectedValue(
+        Object.assign(new Error('Insufficient Permission'), { code: 403 })
+      );
+
+      const response = await request(app)
+        .post('/emails/7/draft-reply')
+        .send({ instruction: 'say yes' })
+        .expect(403);
+
+      expect(response.body.error).toBe('Gmail permission missing');
+      expect(provider.close).toHaveBeenCalled();
+    });
+  });
+
   describe('DELETE /emails/bulk', () => {
     it('should delete multiple emails', async () => {
       db.query.mockResolvedValue({ 
@@ -152,9 +502,13 @@ describe('Emails Routes - Smoke Tests', () => {
         .mockResolvedValueOnce({ // Update result
           rows: [{
             id: '550e8400-e29b-41d4-a716-446655440001',
-            category_id: 2
+            category_id: 2,
+            sender: 'news@example.com',
+            ai_summary: 'Summary',
+            previous_category_id: 1
           }]
-        });
+        })
+        .mockResolvedValueOnce({ rows: [] }); // Movement tracking
 
       const response = await request(app)
         .put('/emails/550e8400-e29b-41d4-a716-446655440001/category')
@@ -162,6 +516,33 @@ describe('Emails Routes - Smoke Tests', () => {
         .expect(200);
 
       expect(response.body.category_id).toBe(2);
+      expect(response.body).not.toHaveProperty('previous_category_id');
+      // Filing an email takes it out of the review queue
+      expect(db.query.mock.calls[1][0]).toContain('needs_review = false');
+      expect(db.query.mock.calls[2]).toEqual([
+        expect.stringContaining('INSERT INTO category_movements'),
+        [123, '550e8400-e29b-41d4-a716-446655440001', 1, 2, 'news@example.com', 'Summary']
+      ]);
+      expect(learnFromCorrections).toHaveBeenCalledWith(123, ['news@example.com']);
+      expect(relabelEmails).toHaveBeenCalledWith(
+        123,
+        [expect.objectContaining({ id: '550e8400-e29b-41d4-a716-446655440001', category_id: 2 })],
+        { id: 2 }
+      );
+    });
+
+    it('should not record a correction when the category is unchanged', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 2 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 5, category_id: 2, previous_category_id: 2 }] });
+
+      await request(app)
+        .put('/emails/5/category')
+        .send({ categoryId: 2 })
+        .expect(200);
+
+      expect(db.query).toHaveBeenCalledTimes(2);
+      expect(learnFromCorrections).not.toHaveBeenCalled();
     });
   });
 
@@ -199,29 +580,93 @@ describe('Emails Routes - Smoke Tests', () => {
       expect(response.body.toCategoryName).toBe('Personal');
       expect(response.body.movedCount).toBe(3);
       expect(response.body.movedIds).toHaveLength(3);
+      expect(relabelEmails).toHaveBeenCalledWith(123, expect.any(Array), {
+        id: 2,
+        name: 'Personal',
+      });
+      expect(learnFromCorrections).toHaveBeenCalledWith(123, [
+        'test1@example.com',
+        'test2@example.com',
+        'test3@example.com'
+      ]);
     });
   });
 
   describe('POST /emails/process', () => {
-    it('should trigger email processing', async () => {
+    it('should queue one processing job per account', async () => {
       // Mock getting user accounts
       db.query.mockResolvedValue({
         rows: [
-          { email: 'test1@gmail.com' },
-          { email: 'test2@gmail.com' }
+          { id: 1, email: 'test1@gmail.com' },
+          { id: 2, email: 'test2@gmail.com' }
         ]
       });
 
-      // Mock processNewEmails from gmail service
-      const { processNewEmails } = require('../../services/gmail');
-      processNewEmails.mockResolvedValue(5); // Processed 5 emails
+      const { enqueueEmailProcessing } = require('../../jobs/emailProcessor');
+      enqueueEmailProcessing
+        .mockResolvedValueOnce({ id: 'job-1' })
+        .mockResolvedValueOnce({ id: 'job-2' });
 
       const response = await request(app)
         .post('/emails/process')
+        .expect(202);
+
+      expect(response.body.message).toBe('Email processing queued');
+      expect(response.body.accounts).toEqual([
+        { account: 'test1@gmail.com', accountId: 1, status: 'queued', jobId: 'job-1' },
+        { account: 'test2@gmail.com', accountId: 2, status: 'queued', jobId: 'job-2' }
+      ]);
+      expect(enqueueEmailProcessing).toHaveBeenCalledWith(
+        mockUser.id,
+        { id: 1, email: 'test1@gmail.com' },
+        'manual'
+      );
+    });
+  });
+
+  describe('GET /emails/process/jobs/:jobId', () => {
+    const { emailProcessingQueue } = require('../../config/queues');
+
+    it('should return the state of the user\'s job', async () => {
+      emailProcessingQueue.getJob.mockResolvedValue({
+        id: 'job-1',
+        data: { userId: mockUser.id, accountId: 1, accountEmail: 'test1@gmail.com', trigger: 'push' },
+        getState: jest.fn().mockResolvedValue('completed'),
+        progress: 100,
+        attemptsMade: 1,
+        returnvalue: { account: 'test1@gmail.com', processed: 3 },
+        timestamp: Date.UTC(2025, 0, 1),
+        finishedOn: Date.UTC(2025, 0, 1, 0, 1)
+      });
+
+      const response = await request(app)
+        .get('/emails/process/jobs/job-1')
         .expect(200);
 
-      expect(response.body.message).toBe('Email processing completed');
-      expect(response.body.accounts).toHaveLength(2);
+      expect(response.body).toMatchObject({
+        jobId: 'job-1',
+        account: 'test1@gmail.com',
+        trigger: 'push',
+        state: 'completed',
+        result: { processed: 3 },
+        finishedAt: '2025-01-01T00:01:00.000Z'
+      });
+    });
+
+    it('should not expose jobs of other users', async () => {
+      emailProcessingQueue.getJob.mockResolvedValue({ id: 'job-9', data: { userId: 999 } });
+
+      await request(app)
+        .get('/emails/process/jobs/job-9')
+        .expect(404);
+    });
+
+    it('should return 404 for unknown jobs', async () => {
+      emailProcessingQueue.getJob.mockResolvedValue(undefined);
+
+      await request(app)
+        .get('/emails/process/jobs/missing')
+        .expect(404);
     });
   });
 
@@ -258,6 +703,44 @@ describe('Emails Routes - Smoke Tests', () => {
     });
   });
 
+  describe('GET /emails/stats/accuracy', () => {
+    it('should return the weekly correction rate', async () => {
+      db.query
+        .mockResolvedValueOnce({
+          rows: [
+            { week: '2024-01-01T00:00:00.000Z', processed: '20', corrected: '5', in_review: '2' },
+            { week: '2024-01-08T00:00:00.000Z', processed: '20', corrected: '1', in_review: '0' }
+          ]
+        })
+        .mockResolvedValueOnce({ rows: [{ count: '3' }] });
+
+      const response = await request(app)
+        .get('/emails/stats/accuracy?weeks=4')
+        .expect(200);
+
+      expect(db.query.mock.calls[0][1]).toEqual([123, 4]);
+      // Moves by rules, suggestions or from the review queue are not corrections
+      expect(db.query.mock.calls[0][0]).toMatch(/m\.source IN \('user', 'gmail_label'\)/);
+      expect(db.query.mock.calls[0][0]).toContain('m.from_category_id = e.ai_category_id');
+      expect(response.body.weeks[0]).toEqual({
+        week: '2024-01-01T00:00:00.000Z',
+        processed: 20,
+        corrected: 5,
+        in_review: 2,
+        correction_rate: 0.25
+      });
+      expect(response.body.weeks[1].correction_rate).toBe(0.05);
+      expect(response.body.totals).toEqual({ processed: 40, corrected: 6, correction_rate: 0.15 });
+      expect(response.body.auto_rules).toBe(3);
+    });
+
+    it('should reject an invalid number of weeks', async () => {
+      await request(app)
+        .get('/emails/stats/accuracy?weeks=0')
+        .expect(400);
+    });
+  });
+
   describe('Authentication', () => {
     it('should require authentication for all routes', async () => {
       authenticateToken.mockImplementation((req, res, next) => {
@@ -0,0 +1,111 @@
+const request = require('supertest');
+const express = require('express');
+const usageRouter = require('../usage');
+const db = require('../../config/database');
+const { authenticateToken } = require('../../middleware/auth');
+const { getBudgetStatus } = require('../../services/usage');
+
+jest.mock('../../config/database');
+jest.mock('../../middleware/auth');
+jest.mock('../../services/usage', () => ({
+  ...jest.requireActual('../../services/usage'),
+  getBudgetStatus: jest.fn(),
+}));
+jest.mock('../../utils/logger');
+
+describe('Usage Routes', () => {
+  let app;
+  const budget = { monthlyTokens: 1000, used: 100, remaining: 900, mode: 'full' };
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/usage', usageRouter);
+
+    jest.clearAllMocks();
+    db.query.mockReset();
+
+    authenticateToken.mockImplementation((req, res, next) => {
+      req.user = { id: 123, email: 'test@example.com' };
+      next();
+    });
+    getBudgetStatus.mockResolvedValue(budget);
+  });
+
+  describe('GET /usage', () => {
+    it('should return daily and monthly rollups with the budget', async () => {
+      const totals = {
+        requests: '3',
+        prompt_tokens: '900',
+        completion_tokens: '90',
+        cost: '0.0012',
+      };
+      db.query
+        .mockResolvedValueOnce({ rows: [{ period: '2026-10-18T00:00:00.000Z', ...totals }] })
+        .mockResolvedValueOnce({ rows: [{ period: '2026-10-01T00:00:00.000Z', ...totals }] })
+        .mockResolvedValueOnce({ rows: [{ task: 'analyze', model: 'gpt-4o-mini', ...totals }] });
+
+      const response = await request(app).get('/usage?days=7').expect(200);
+
+      expect(db.query.mock.calls[0][0]).toMatch(/DATE_TRUNC\('day', created_at\)/);
+      expect(db.query.mock.calls[0][1]).toEqual([123, 7]);
+      expect(db.query.mock.calls[1][1]).toEqual([123, 12]);
+      expect(response.body).toEqual({
+        daily: [
+          {
+            day: '2026-10-18T00:00:00.000Z',
+            requests: 3,
+            prompt_tokens: 900,
+            completion_tokens: 90,
+            cost: 0.0012,
+          },
+        ],
+        monthly: [expect.objectContaining({ month: '2026-10-01T00:00:00.000Z', requests: 3 })],
+        this_month_by_task: [
+          expect.objectContaining({ task: 'analyze', model: 'gpt-4o-mini', cost: 0.0012 }),
+        ],
+        budget,
+      });
+    });
+
+    it('should validate the ranges', async () => {
+      await request(app).get('/usage?days=0').expect(400);
+      await request(app).get('/usage?months=25').expect(400);
+    });
+
+    it('should handle database errors', async () => {
+      db.query.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app).get('/usage').expect(500);
+
+      expect(response.body.error).toBe('Failed to fetch usage');
+    });
+  });
+
+  describe('PUT /usage/budget', () => {
+    it('should set the monthly token budget', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 123 }] });
+
+      const response = await request(app)
+        .put('/usage/budget')
+        .send({ monthlyTokens: 1000 })
+        .expect(200);
+
+      expect(db.query.mock.calls[0][1]).toEqual([1000, 123]);
+      expect(response.body).toEqual(budget);
+    });
+
+    it('should remove the budget with null', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 123 }] });
+
+      await request(app).put('/usage/budget').send({ monthlyTokens: null }).expect(200);
+
+      expect(db.query.mock.calls[0][1]).toEqual([null, 123]);
+    });
+
+    it('should reject invalid budgets', async () => {
+      await request(app).put('/usage/budget').send({ monthlyTokens: 'lots' }).expect(400);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,231 @@
+const request = require('supertest');
+const express = require('express');
+const { google } = require('googleapis');
+const webhooksRouter = require('../webhooks');
+const db = require('../../config/database');
+const { enqueueEmailProcessing } = require('../../jobs/emailProcessor');
+
+jest.mock('googleapis');
+jest.mock('../../config/database');
+jest.mock('../../jobs/emailProcessor');
+jest.mock('../../utils/logger');
+
+// Build a Pub/Sub push envelope the way Google delivers it
+const buildEnvelope = (data, overrides = {}) => ({
+  message: {
+    data: Buffer.from(JSON.stringify(data)).toString('base64'),
+    messageId: '2070443601311540',
+    publishTime: '2025-01-20T19:13:55.749Z',
+    attributes: {},
+    ...overrides,
+  },
+  subscription: 'projects/test-project/subscriptions/gmail-push',
+});
+
+describe('Webhooks Routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/webhooks', webhooksRouter);
+
+    jest.clearAllMocks();
+    process.env.PUBSUB_VERIFICATION_TOKEN = 'push-secret';
+    delete process.env.PUBSUB_AUDIENCE;
+    delete process.env.PUBSUB_SERVICE_ACCOUNT;
+
+    enqueueEmailProcessing.mockResolvedValue({ id: '1' });
+  });
+
+  afterAll(() => {
+    delete process.env.PUBSUB_VERIFICATION_TOKEN;
+  });
+
+  describe('POST /webhooks/gmail', () => {
+    it('should process the matching account for a valid notification', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 7, user_id: 123, email: 'user@gmail.com' }] })
+        .mockResolvedValueOnce({ rows: [] }); // last_push_at update
+
+      await request(app)
+        .post('/webhooks/gmail?token=push-secret')
+        .send(buildEnvelope({ emailAddress: 'user@gmail.com', historyId: 12345 }))
+        .expect(204);
+
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('LOWER(email) = LOWER($1)'), [
+        'user@gmail.com',
+      ]);
+      expect(enqueueEmailProcessing).toHaveBeenCalledWith(
+        123,
+        { id: 7, user_id: 123, email: 'user@gmail.com' },
+        'push'
+      );
+    });
+
+    it('should process every user that connected the same mailbox', async () => {
+      db.query
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 8, user_id: 1, email: 'shared@gmail.com' },
+            { id: 9, user_id: 2, email: 'shared@gmail.com' },
+          ],
+        })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .post('/webhooks/gmail?token=push-secret')
+        .send(buildEnvelope({ emailAddress: 'shared@gmail.com', historyId: '1' }))
+        .expect(204);
+
+      expect(enqueueEmailProcessing).toHaveBeenCalledTimes(2);
+      expect(enqueueEmailProcessing).toHaveBeenCalledWith(
+        1,
+        expect.objectContaining({ id: 8 }),
+        'push'
+      );
+      expect(enqueueEmailProcessing).toHaveBeenCalledWith(
+        2,
+        expect.objectContaining({ id: 9 }),
+        'push'
+      );
+    });
+
+    it('should acknowledge notifications for unknown mailboxes without processing', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await request(app)
+        .post('/webhooks/gmail?token=push-secret')
+        .send(buildEnvelope({ emailAddress: 'nobody@gmail.com', historyId: '1' }))
+        .expect(204);
+
+      expect(enqueueEmailProcessing).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 so Pub/Sub retries when the job cannot be queued', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 7, user_id: 123, email: 'user@gmail.com' }] })
+        .mockResolvedValueOnce({ rows: [] });
+      enqueueEmailProcessing.mockRejectedValue(new Error('Redis connection lost'));
+
+      await request(app)
+        .post('/webhooks/gmail?token=push-secret')
+        .send(buildEnvelope({ emailAddress: 'user@gmail.com', historyId: '1' }))
+        .expect(500);
+    });
+
+    it('should reject requests with a wrong verification token', async () => {
+      await request(app)
+        .post('/webhooks/gmail?token=wrong')
+        .send(buildEnvelope({ emailAddress: 'user@gmail.com', historyId: '1' }))
+        .expect(403);
+
+      expect(db.query).not.toHaveBeenCalled();
+      expect(enqueueEmailProcessing).not.toHaveBeenCalled();
+    });
+
+    it('should reject requests when no verification method is configured', async () => {
+      delete process.env.PUBSUB_VERIFICATION_TOKEN;
+
+      await request(app)
+        .post('/webhooks/gmail')
+        .send(buildEnvelope({ emailAddress: 'user@gmail.com', historyId: '1' }))
+        .expect(403);
+    });
+
+    it('should return 400 for envelopes without message data', async () => {
+      const response = await request(app)
+        .post('/webhooks/gmail?token=push-secret')
+        .send({ subscription: 'projects/test-project/subscriptions/gmail-push' })
+        .expect(400);
+
+      expect(response.body).toEqual({ error: 'Invalid Pub/Sub message' });
+    });
+
+    it('should return 400 when the data is not a Gmail notification', async () => {
+      await request(app)
+        .post('/webhooks/gmail?token=push-secret')
+        .send(buildEnvelope({ hello: 'world' }))
+        .expect(400);
+
+      await request(app)
+        .post('/webhooks/gmail?token=push-secret')
+        .send(buildEnvelope(null, { data: Buffer.from('not json').toString('base64') }))
+        .expect(400);
+    });
+
+    it('should return 500 so Pub/Sub retries when the database fails', async () => {
+      db.query.mockRejectedValueOnce(new Error('Database error'));
+
+      await request(app)
+        .post('/webhooks/gmail?token=push-secret')
+        .send(buildEnvelope({ emailAddress: 'user@gmail.com', historyId: '1' }))
+        .expect(500);
+    });
+
+    describe('with OIDC verification', () => {
+      let verifyIdToken;
+
+      beforeEach(() => {
+        delete process.env.PUBSUB_VERIFICATION_TOKEN;
+        process.env.PUBSUB_AUDIENCE = 'https://api.example.com/api/webhooks/gmail';
+        process.env.PUBSUB_SERVICE_ACCOUNT = 'push@test-project.iam.gserviceaccount.com';
+
+        verifyIdToken = jest.fn();
+        google.auth = { OAuth2: jest.fn().mockReturnValue({ verifyIdToken }) };
+      });
+
+      it('should accept a token issued to the push service account', async () => {
+        verifyIdToken.mockResolvedValue({
+          getPayload: () => ({
+            email: 'push@test-project.iam.gserviceaccount.com',
+            email_verified: true,
+          }),
+        });
+        db.query.mockResolvedValueOnce({ rows: [] });
+
+        await request(app)
+          .post('/webhooks/gmail')
+          .set('Authorization', 'Bearer signed-jwt')
+          .send(buildEnvelope({ emailAddress: 'user@gmail.com', historyId: '1' }))
+          .expect(204);
+
+        expect(verifyIdToken).toHaveBeenCalledWith({
+          idToken: 'signed-jwt',
+          audience: 'https://api.example.com/api/webhooks/gmail',
+        });
+      });
+
+      it('should reject a token issued to another account', async () => {
+        verifyIdToken.mockResolvedValue({
+          getPayload: () => ({ email: 'attacker@example.com', email_verified: true }),
+        });
+
+        await request(app)
+          .post('/webhooks/gmail')
+          .set('Authorization', 'Bearer signed-jwt')
+          .send(buildEnvelope({ emailAddress: 'user@gmail.com', historyId: '1' }))
+          .expect(403);
+      });
+
+      it('should reject requests without a bearer token', async () => {
+        await request(app)
+          .post('/webhooks/gmail')
+          .send(buildEnvelope({ emailAddress: 'user@gmail.com', historyId: '1' }))
+          .expect(403);
+
+        expect(verifyIdToken).not.toHaveBeenCalled();
+      });
+
+      it('should reject tokens that fail signature verification', async () => {
+        verifyIdToken.mockRejectedValue(new Error('Invalid token signature'));
+
+        await request(app)
+          .post('/webhooks/gmail')
+          .set('Authorization', 'Bearer forged-jwt')
+          .send(buildEnvelope({ emailAddress: 'user@gmail.com', historyId: '1' }))
+          .expect(403);
+      });
+    });
+  });
+});
@@ -1,8 +1,28 @@
 const express = require('express');
+const Joi = require('joi');
 const { google } = require('googleapis');
 const db = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
-const { processNewEmails } = require('../services/gmail');
+const { enqueueEmailProcessing } = require('../jobs/emailProcessor');
+const { isPushEnabled, watchAccount, stopWatch } = require('../services/gmailWatch');
+const {
+  startBackfill,
+  resumeBackfill,
+  cancelBackfill,
+  backfillOptionsSchema,
+} = require('../services/backfill');
+const { createProvider } = require('../services/providers');
+const { syncAccountLabels } = require('../services/labelMirror');
+const { ingestionPolicySchema, getIngestionPolicy } = require('../services/ingestionPolicy');
+const {
+  previewOptionsSchema,
+  formatPreview,
+  createPreview,
+  getPreview,
+  acceptPreview,
+  discardPreview,
+} = require('../services/preview');
+const { encrypt } = require('../utils/encryption');
 
 const router = express.Router();
 
@@ -12,6 +32,46 @@ const oauth2Client = new google.auth.OAuth2(
   process.env.GOOGLE_REDIRECT_URI
 );
 
+// Validation schema for IMAP accounts
+const imapAccountSchema = Joi.object({
+  email: Joi.string().email().required(),
+  host: Joi.string().hostname().required(),
+  port: Joi.number().integer().min(1).max(65535).default(993),
+  secure: Joi.boolean().default(true),
+  username: Joi.string().max(255),
+  password: Joi.string().required(),
+  archiveMailbox: Joi.string().max(255),
+  backfill: backfillOptionsSchema,
+});
+
+// Start the requested backfill of a newly connected account. The account is already saved,
+// so a failure is logged and the account returned without a backfill.
+const startNewAccountBackfill = async (userId, account, options) => {
+  if (!options) return null;
+  try {
+    return await startBackfill(userId, account, options);
+  } catch (error) {
+    console.error(`Failed to start backfill for ${account.email}:`, error);
+    return null;
+  }
+};
+
+const labelMirroringSchema = Joi.object({
+  enabled: Joi.boolean().required(),
+});
+
+const acceptPreviewSchema = Joi.object({
+  corrections: Joi.array()
+    .items(
+      Joi.object({
+        messageId: Joi.string().required(),
+        categoryId: Joi.number().integer().required(),
+      })
+    )
+    .unique('messageId')
+    .default([]),
+});
+
 // Get user's connected accounts
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -24,7 +84,9 @@ router.get('/', authenticateToken, async (req, res) => {
         updated_at,
         COALESCE(is_connected, true) as is_connected,
         last_tested,
-        last_error
+        last_error,
+        mirror_labels,
+        ingestion_policy
       FROM email_accounts 
       WHERE user_id = $1 
       ORDER BY created_at DESC`,
@@ -41,12 +103,22 @@ router.get('/', authenticateToken, async (req, res) => {
 // Add new Gmail account
 router.post('/google', authenticateToken, async (req, res) => {
   try {
-    const { code } = req.body;
+    const { code, backfill: backfillOptions } = req.body;
 
     if (!code) {
       return res.status(400).json({ error: 'Authorization code required' });
     }
 
+    // Optional historical import to run once the account is connected
+    let backfillRequest = null;
+    if (backfillOptions) {
+      const { error, value } = backfillOptionsSchema.validate(backfillOptions);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+      backfillRequest = value;
+    }
+
     const { tokens } = await oauth2Client.getToken(code);
     oauth2Client.setCredentials(tokens);
 
@@ -66,14 +138,25 @@ router.post('/google', authenticateToken, async (req, res) => {
 
     // Add new account
     const result = await db.query(
-      `INSERT INTO email_accounts (user_id, email, access_token, refresh_token, provider)
-       VALUES ($1, $2, $3, $4, 'google') RETURNING id, email, provider, created_at`,
-      [req.user.id, email, tokens.access_token, tokens.refresh_token]
+      `INSERT INTO email_accounts (
+         user_id, email, access_token, refresh_token, granted_scopes, provider)
+       VALUES ($1, $2, $3, $4, $5, 'google') RETURNING id, email, provider, created_at`,
+      [req.user.id, email, tokens.access_token, tokens.refresh_token, tokens.scope || null]
     );
 
+    // Subscribe to push notifications for the new mailbox
+    if (isPushEnabled()) {
+      watchAccount(req.user.id, email).catch(error =>
+        console.error(`Failed to start Gmail watch for ${email}:`, error)
+      );
+    }
+
+    const backfill = await startNewAccountBackfill(req.user.id, result.rows[0], backfillRequest);
+
     res.status(201).json({
       message: 'Gmail account connected successfully',
       account: result.rows[0],
+      backfill,
     });
   } catch (error) {
     console.error('Error connecting Gmail account:', error);
@@ -81,6 +164,78 @@ router.post('/google', authenticateToken, async (req, res) => {
   }
 });
 
+// Add new IMAP account
+router.post('/imap', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = imapAccountSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const existingAccount = await db.query(
+      'SELECT id FROM email_accounts WHERE user_id = $1 AND email = $2',
+      [req.user.id, value.email]
+    );
+
+    if (existingAccount.rows.length > 0) {
+      return res.status(400).json({ error: 'This email account is already connected' });
+    }
+
+    const account = {
+      email: value.email,
+      provider: 'imap',
+      imap_host: value.host,
+      imap_port: value.port,
+      imap_secure: value.secure,
+      imap_username: value.username || null,
+      imap_password: encrypt(value.password),
+      imap_archive_mailbox: value.archiveMailbox || null,
+    };
+
+    // Check the credentials before saving anything
+    const provider = createProvider(account);
+    try {
+      await provider.testConnection();
+    } catch (connectionError) {
+      return res.status(400).json({
+        error: 'Could not connect to the IMAP server',
+        details: connectionError.message,
+      });
+    } finally {
+      await provider.close();
+    }
+
+    const result = await db.query(
+      `INSERT INTO email_accounts (
+        user_id, email, provider, imap_host, imap_port, imap_secure,
+        imap_username, imap_password, imap_archive_mailbox
+      ) VALUES ($1, $2, 'imap', $3, $4, $5, $6, $7, $8)
+      RETURNING id, email, provider, created_at`,
+      [
+        req.user.id,
+        account.email,
+        account.imap_host,
+        account.imap_port,
+        account.imap_secure,
+        account.imap_username,
+        account.imap_password,
+        account.imap_archive_mailbox,
+      ]
+    );
+
+    const backfill = await startNewAccountBackfill(req.user.id, result.rows[0], value.backfill);
+
+    res.status(201).json({
+      message: 'IMAP account connected successfully',
+      account: result.rows[0],
+      backfill,
+    });
+  } catch (error) {
+    console.error('Error connecting IMAP account:', error);
+    res.status(500).json({ error: 'Failed to connect IMAP account' });
+  }
+});
+
 // Remove connected account
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
@@ -98,6 +253,26 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    const accountResult = await db.query(
+      'SELECT email, provider, watch_expiration FROM email_accounts WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+
+    if (accountResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    // Stop push notifications while the tokens are still stored; the account is removed
+    // even when Gmail cannot be reached
+    const account = accountResult.rows[0];
+    if (account.provider === 'google' && account.watch_expiration) {
+      try {
+        await stopWatch(req.user.id, account.email);
+      } catch (error) {
+        console.error(`Error stopping Gmail watch for ${account.email}:`, error);
+      }
+    }
+
     const result = await db.query(
       'DELETE FROM email_accounts WHERE id = $1 AND user_id = $2 RETURNING email',
       [id, req.user.id]
@@ -124,7 +299,7 @@ router.post('/:id/process', authenticateToken, async (req, res) => {
 
     // Verify account belongs to user
     const accountResult = await db.query(
-      'SELECT email FROM email_accounts WHERE id = $1 AND user_id = $2',
+      'SELECT id, email FROM email_accounts WHERE id = $1 AND user_id = $2',
       [id, req.user.id]
     );
 
@@ -132,12 +307,13 @@ router.post('/:id/process', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Account not found' });
     }
 
-    // Process emails for this user
-    await processNewEmails(req.user.id);
+    const account = accountResult.rows[0];
+    const job = await enqueueEmailProcessing(req.user.id, account, 'manual');
 
-    res.json({
+    res.status(202).json({
       message: 'Email processing started',
-      account: accountResult.rows[0].email,
+      account: account.email,
+      jobId: job.id,
     });
   } catch (error) {
     console.error('Error processing emails:', error);
@@ -145,6 +321,408 @@ router.post('/:id/process', authenticateToken, async (req, res) => {
   }
 });
 
+// Start or renew Gmail push notifications for an account
+router.post('/:id/watch', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isPushEnabled()) {
+      return res.status(400).json({ error: 'Push notifications are not configured' });
+    }
+
+    const accountResult = await db.query(
+      'SELECT email, provider FROM email_accounts WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+
+    if (accountResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    if (accountResult.rows[0].provider !== 'google') {
+      return res.status(400).json({ error: 'Push notifications are only available for Gmail' });
+    }
+
+    const watch = await watchAccount(req.user.id, accountResult.rows[0].email);
+
+    res.json({
+      message: 'Push notifications enabled',
+      account: accountResult.rows[0].email,
+      historyId: watch.historyId,
+      expiresAt: watch.expiration,
+    });
+  } catch (error) {
+    console.error('Error starting Gmail watch:', error);
+    res.status(500).json({ error: 'Failed to enable push notifications' });
+  }
+});
+
+// Stop Gmail push notifications for an account
+router.delete('/:id/watch', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const accountResult = await db.query(
+      'SELECT email, provider FROM email_accounts WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+
+    if (accountResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    if (accountResult.rows[0].provider !== 'google') {
+      return res.status(400).json({ error: 'Push notifications are only available for Gmail' });
+    }
+
+    await stopWatch(req.user.id, accountResult.rows[0].email);
+
+    res.json({
+      message: 'Push notifications disabled',
+      account: accountResult.rows[0].email,
+    });
+  } catch (error) {
+    console.error('Error stopping Gmail watch:', error);
+    res.status(500).json({ error: 'Failed to disable push notifications' });
+  }
+});
+
+// Turn mirroring of categories as Gmail labels on or off
+router.put('/:id/labels', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = labelMirroringSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const accountResult = await db.query(
+      'SELECT * FROM email_accounts WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+
+    if (accountResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const account = accountResult.rows[0];
+
+    if (account.provider !== 'google') {
+      return res.status(400).json({ error: 'Label mirroring is only available for Gmail' });
+    }
+
+    // Create the labels up front so they show up in Gmail right away
+    const labelCount = value.enabled ? await syncAccountLabels(account) : 0;
+
+    await db.query(
+      'UPDATE email_accounts SET mirror_labels = $1, updated_at = NOW() WHERE id = $2',
+      [value.enabled, id]
+    );
+
+    res.json({
+      message: value.enabled ? 'Label mirroring enabled' : 'Label mirroring disabled',
+      account: account.email,
+      mirrorLabels: value.enabled,
+      labelCount,
+    });
+  } catch (error) {
+    console.error('Error updating label mirroring:', error);
+    res.status(500).json({ error: 'Failed to update label mirroring' });
+  }
+});
+
+// Get the account's ingestion policy, with defaults filled in
+router.get('/:id/policy', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const accountResult = await db.query(
+      'SELECT * FROM email_accounts WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+
+    if (accountResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const account = accountResult.rows[0];
+
+    res.json({ account: account.email, policy: getIngestionPolicy(account) });
+  } catch (error) {
+    console.error('Error fetching ingestion policy:', error);
+    res.status(500).json({ error: 'Failed to fetch ingestion policy' });
+  }
+});
+
+// Replace the account's ingestion policy; omitted fields go back to their defaults
+router.put('/:id/policy', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = ingestionPolicySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const accountResult = await db.query(
+      'SELECT * FROM email_accounts WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+
+    if (accountResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const account = accountResult.rows[0];
+
+    if (value.query && account.provider !== 'google') {
+      return res.status(400).json({ error: 'Custom queries are only available for Gmail' });
+    }
+
+    await db.query(
+      'UPDATE email_accounts SET ingestion_policy = $1, updated_at = NOW() WHERE id = $2',
+      [JSON.stringify(value), id]
+    );
+
+    res.json({
+      message: 'Ingestion policy updated',
+      account: account.email,
+      policy: value,
+    });
+  } catch (error) {
+    console.error('Error updating ingestion policy:', error);
+    res.status(500).json({ error: 'Failed to update ingestion policy' });
+  }
+});
+
+// Categorize a sample of new emails without storing them or changing the mailbox
+router.post('/:id/preview', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = previewOptionsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const accountResult = await db.query(
+      'SELECT * FROM email_accounts WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+
+    if (accountResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const preview = await createPreview(req.user.id, accountResult.rows[0], value);
+
+    res.status(201).json({
+      message: 'Preview created',
+      preview: formatPreview(preview),
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error creating preview:', error);
+    res.status(500).json({ error: 'Failed to create preview' });
+  }
+});
+
+router.get('/:id/preview/:previewId', authenticateToken, async (req, res) => {
+  try {
+    const { id, previewId } = req.params;
+
+    const preview = await getPreview(req.user.id, id, previewId);
+
+    if (!preview) {
+      return res.status(404).json({ error: 'Preview not found' });
+    }
+
+    res.json(formatPreview(preview));
+  } catch (error) {
+    console.error('Error fetching preview:', error);
+    res.status(500).json({ error: 'Failed to fetch preview' });
+  }
+});
+
+// Store the previewed emails, optionally with corrected categories
+router.post('/:id/preview/:previewId/accept', authenticateToken, async (req, res) => {
+  try {
+    const { id, previewId } = req.params;
+
+    const { error, value } = acceptPreviewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const accountResult = await db.query(
+      'SELECT * FROM email_accounts WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+
+    if (accountResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const result = await acceptPreview(
+      req.user.id,
+      accountResult.rows[0],
+      previewId,
+      value.corrections
+    );
+
+    res.json({
+      message: 'Preview accepted',
+      ...result,
+    });
+  } catch (error) {
+    if ([400, 404, 409].includes(error.status)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error accepting preview:', error);
+    res.status(500).json({ error: 'Failed to accept preview' });
+  }
+});
+
+router.delete('/:id/preview/:previewId', authenticateToken, async (req, res) => {
+  try {
+    const { id, previewId } = req.params;
+
+    await discardPreview(req.user.id, id, previewId);
+
+    res.json({ message: 'Preview discarded' });
+  } catch (error) {
+    if ([404, 409].includes(error.status)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error discarding preview:', error);
+    res.status(500).json({ error: 'Failed to discard preview' });
+  }
+});
+
+// Start importing older emails for an account
+router.post('/:id/backfill', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = backfillOptionsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const accountResult = await db.query(
+      'SELECT id, email FROM email_accounts WHERE id = $1 AND user_id = $2',
+      [id, req.user.id]
+    );
+
+    if (accountResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const backfill = await startBackfill(req.user.id, accountResult.rows[0], value);
+
+    res.status(202).json({
+      message: 'Backfill started',
+      backfill,
+    });
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error starting backfill:', error);
+    res.status(500).json({ error: 'Failed to start backfill' });
+  }
+});
+
+// Get the most recent backfill for an account
+router.get('/:id/backfill', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      `SELECT * FROM backfill_jobs
+       WHERE account_id = $1 AND user_id = $2
+       ORDER BY created_at DESC LIMIT 1`,
+      [id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No backfill found for this account' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error fetching backfill:', error);
+    res.status(500).json({ error: 'Failed to fetch backfill' });
+  }
+});
+
+// Resume a failed or cancelled backfill from its last completed page
+router.post('/:id/backfill/resume', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const latestResult = await db.query(
+      `SELECT id FROM backfill_jobs
+       WHERE account_id = $1 AND user_id = $2
+       ORDER BY created_at DESC LIMIT 1`,
+      [id, req.user.id]
+    );
+
+    if (latestResult.rows.length === 0) {
+      return res.status(404).json({ error: 'No backfill found for this account' });
+    }
+
+    const backfill = await resumeBackfill(req.user.id, latestResult.rows[0].id);
+
+    if (!backfill) {
+      return res.status(409).json({ error: 'Only failed or cancelled backfills can be resumed' });
+    }
+
+    res.status(202).json({
+      message: 'Backfill resumed',
+      backfill,
+    });
+  } catch (error) {
+    console.error('Error resuming backfill:', error);
+    res.status(500).json({ error: 'Failed to resume backfill' });
+  }
+});
+
+// Cancel a running backfill; pages already imported are kept
+router.delete('/:id/backfill', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const latestResult = await db.query(
+      `SELECT id FROM backfill_jobs
+       WHERE account_id = $1 AND user_id = $2
+       ORDER BY created_at DESC LIMIT 1`,
+      [id, req.user.id]
+    );
+
+    if (latestResult.rows.length === 0) {
+      return res.status(404).json({ error: 'No backfill found for this account' });
+    }
+
+    const backfill = await cancelBackfill(req.user.id, latestResult.rows[0].id);
+
+    if (!backfill) {
+      return res.status(409).json({ error: 'Backfill is not running' });
+    }
+
+    res.json({
+      message: 'Backfill cancelled',
+      backfill,
+    });
+  } catch (error) {
+    console.error('Error cancelling backfill:', error);
+    res.status(500).json({ error: 'Failed to cancel backfill' });
+  }
+});
+
 // Get account statistics
 router.get('/:id/stats', authenticateToken, async (req, res) => {
   try {
@@ -235,6 +813,56 @@ router.get('/:id/test', authenticateToken, async (req, res) => {
 
     const account = accountResult.rows[0];
 
+    // Other providers test themselves: an IMAP login or a Microsoft Graph request
+    if (account.provider === 'imap' || account.provider === 'outlook') {
+      const provider = createProvider(account);
+      try {
+        const { messagesTotal, unreadCount } = await provider.testConnection();
+
+        await db.query(
+          'UPDATE email_accounts SET is_connected = true, last_tested = NOW(), last_error = NULL WHERE id = $1',
+          [id]
+        );
+
+        return res.json({
+          connected: true,
+          status: 'connected',
+          account: {
+            id: account.id,
+            email: account.email,
+            provider: account.provider,
+          },
+          profile: {
+            emailAddress: account.email,
+            messagesTotal,
+          },
+          recentUnreadCount: unreadCount,
+          lastTested: new Date().toISOString(),
+        });
+      } catch (providerError) {
+        await db.query(
+          'UPDATE email_accounts SET is_connected = false, last_tested = NOW(), last_error = $1 WHERE id = $2',
+          [providerError.message, id]
+        );
+
+        return res.status(401).json({
+          connected: false,
+          status: 'disconnected',
+          error:
+            account.provider === 'imap'
+              ? 'Could not log in to the IMAP server. Please check the account settings.'
+              : 'Could not connect to Outlook. Please reconnect your account.',
+          account: {
+            id: account.id,
+            email: account.email,
+            provider: account.provider,
+          },
+        });
+      } finally {
+        await provider.close();
+      }
+    }
+
     // Set up OAuth client with stored tokens
     oauth2Client.setCredentials({
       access_token: account.access_token,
@@ -1,8 +1,21 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
+const Joi = require('joi');
 const { google } = require('googleapis');
 const db = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { isPushEnabled, watchAccount } = require('../services/gmailWatch');
+const { startBackfill, backfillOptionsSchema } = require('../services/backfill');
+const microsoftAuth = require('../services/microsoftAuth');
+const {
+  llmSettingsSchema,
+  userEndpointsAllowed,
+  toStoredSettings,
+  formatSettings,
+} = require('../services/llm');
+const { REDACTION_LEVELS } = require('../utils/redaction');
+const { LANGUAGES } = require('../utils/language');
+const { GOOGLE_SCOPES } = require('../config/googleScopes');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -21,20 +34,40 @@ if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
   logger.warn('⚠️ Google OAuth not fully configured');
 }
 
+// Subscribe a freshly connected mailbox to push notifications (best effort)
+const startPushNotifications = (userId, email) => {
+  if (!isPushEnabled()) return;
+
+  watchAccount(userId, email).catch(error =>
+    logger.error(`Failed to start Gmail watch for ${email}:`, error)
+  );
+};
+
+// Optionally import older mail for a new account; the account stays connected if this fails
+const startRequestedBackfill = async (userId, account, backfillOptions) => {
+  if (!backfillOptions) return null;
+
+  const { error, value } = backfillOptionsSchema.validate(backfillOptions);
+  if (error) {
+    logger.warn(`Ignoring invalid backfill options for ${account.email}: ${error.message}`);
+    return null;
+  }
+
+  try {
+    return await startBackfill(userId, account, value);
+  } catch (backfillError) {
+    logger.error(`Failed to start backfill for ${account.email}:`, backfillError);
+    return null;
+  }
+};
+
 // Generate Google OAuth URL
 router.get('/google', (req, res) => {
   const { state } = req.query; // 'login' or 'add_account'
   
-  const scopes = [
-    'https://www.googleapis.com/auth/gmail.modify',
-    'https://www.googleapis.com/auth/gmail.readonly',
-    'https://www.googleapis.com/auth/userinfo.email',
-    'https://www.googleapis.com/auth/userinfo.profile',
-  ];
-
   const url = oauth2Client.generateAuthUrl({
     access_type: 'offline',
-    scope: scopes,
+    scope: GOOGLE_SCOPES,
     prompt: 'consent',
     include_granted_scopes: true,
     state: state || 'login', // Pass state to identify the flow
@@ -45,16 +78,9 @@ router.get('/google', (req, res) => {
 
 // Generate Google OAuth URL for adding an account (requires authentication)
 router.get('/google/add-account', authenticateToken, (req, res) => {
-  const scopes = [
-    'https://www.googleapis.com/auth/gmail.modify',
-    'https://www.googleapis.com/auth/gmail.readonly',
-    'https://www.googleapis.com/auth/userinfo.email',
-    'https://www.googleapis.com/auth/userinfo.profile',
-  ];
-
   const url = oauth2Client.generateAuthUrl({
     access_type: 'offline',
-    scope: scopes,
+    scope: GOOGLE_SCOPES,
     prompt: 'consent',
     include_granted_scopes: true,
     state: `add_account:${req.user.id}`, // Include user ID in state
@@ -65,7 +91,7 @@ router.get('/google/add-account', authenticateToken, (req, res) => {
 
 // Handle Google OAuth callback
 router.post('/google/callback', async (req, res) => {
-  const { code, state } = req.body;
+  const { code, state, backfill: backfillOptions } = req.body;
 
   if (!code) {
     logger.warn('OAuth callback called without authorization code');
@@ -109,17 +135,23 @@ router.post('/google/callback', async (req, res) => {
       }
 
       // Add new email account
-      await db.query(
-        `INSERT INTO email_accounts (user_id, email, access_token, refresh_token, provider)
-         VALUES ($1, $2, $3, $4, 'google')`,
-        [userId, email, tokens.access_token, tokens.refresh_token]
+      const accountResult = await db.query(
+        `INSERT INTO email_accounts (
+           user_id, email, access_token, refresh_token, granted_scopes, provider)
+         VALUES ($1, $2, $3, $4, $5, 'google') RETURNING id, email`,
+        [userId, email, tokens.access_token, tokens.refresh_token, tokens.scope || null]
       );
 
+      startPushNotifications(userId, email);
+
+      const backfill = await startRequestedBackfill(userId, accountResult.rows[0], backfillOptions);
+
       return res.json({
         success: true,
         flow: 'add_account',
         message: 'Gmail account connected successfully',
-        email: email
+        email: email,
+        backfill
       });
     }
 
@@ -165,13 +197,16 @@ router.post('/google/callback', async (req, res) => {
 
     // Store/update email account
     await db.query(
-      `INSERT INTO email_accounts (user_id, email, access_token, refresh_token, provider)
-       VALUES ($1, $2, $3, $4, 'google')
+      `INSERT INTO email_accounts (
+         user_id, email, access_token, refresh_token, granted_scopes, provider)
+       VALUES ($1, $2, $3, $4, $5, 'google')
        ON CONFLICT (user_id, email) DO UPDATE SET
-       access_token = $3, refresh_token = $4, updated_at = NOW()`,
-      [user.id, email, tokens.access_token, tokens.refresh_token]
+       access_token = $3, refresh_token = $4, granted_scopes = $5, updated_at = NOW()`,
+      [user.id, email, tokens.access_token, tokens.refresh_token, tokens.scope || null]
     );
 
+    startPushNotifications(user.id, email);
+
     // Generate JWT
     const token = jwt.sign({ userId: user.id, email: user.email }, process.env.JWT_SECRET, {
       expiresIn: '7d',
@@ -213,6 +248,75 @@ router.post('/google/callback', async (req, res) => {
   }
 });
 
+// Generate Microsoft OAuth URL for adding an Outlook / Microsoft 365 account
+router.get('/microsoft/add-account', authenticateToken, (req, res) => {
+  if (!microsoftAuth.isMicrosoftConfigured()) {
+    return res.status(400).json({ error: 'Microsoft sign-in is not configured' });
+  }
+
+  // The state ties the sign-in to this user; the callback checks it
+  res.json({ url: microsoftAuth.getAuthorizeUrl(microsoftAuth.createState(req.user.id)) });
+});
+
+// Handle Microsoft OAuth callback for an Outlook account
+router.post('/microsoft/callback', authenticateToken, async (req, res) => {
+  const { code, state, backfill: backfillOptions } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ error: 'Authorization code required' });
+  }
+
+  if (microsoftAuth.verifyState(state) !== req.user.id) {
+    return res.status(400).json({ error: 'Invalid or expired OAuth state' });
+  }
+
+  try {
+    const tokens = await microsoftAuth.exchangeCodeForTokens(code);
+    const email = await microsoftAuth.getMailboxAddress(tokens.access_token);
+    logger.info(`Adding Outlook account ${email} for user ID: ${req.user.id}`);
+
+    const existingAccount = await db.query(
+      'SELECT id FROM email_accounts WHERE user_id = $1 AND email = $2',
+      [req.user.id, email]
+    );
+
+    if (existingAccount.rows.length > 0) {
+      return res.status(400).json({
+        error: 'This email account is already connected',
+        flow: 'add_account',
+      });
+    }
+
+    const accountResult = await db.query(
+      `INSERT INTO email_accounts (user_id, email, access_token, refresh_token, provider)
+       VALUES ($1, $2, $3, $4, 'outlook') RETURNING id, email`,
+      [req.user.id, email, tokens.access_token, tokens.refresh_token]
+    );
+
+    const backfill = await startRequestedBackfill(
+      req.user.id,
+      accountResult.rows[0],
+      backfillOptions
+    );
+
+    res.json({
+      success: true,
+      flow: 'add_account',
+      message: 'Outlook account connected successfully',
+      email,
+      backfill,
+    });
+  } catch (error) {
+    const details = error.response?.data?.error_description || error.message;
+    logger.error('Microsoft auth error:', { message: details });
+
+    res.status(400).json({
+      error: 'Authentication failed',
+      message: details,
+    });
+  }
+});
+
 // Get current user
 router.get('/me', authenticateToken, async (req, res) => {
   try {
@@ -232,6 +336,174 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+// Get the user's language model settings, with the deployment defaults
+router.get('/me/llm-settings', authenticateToken, async (req, res) => {
+  try {
+    const result = await db.query('SELECT llm_settings FROM users WHERE id = $1', [req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(formatSettings(result.rows[0].llm_settings));
+  } catch (error) {
+    logger.error('Get LLM settings error:', error);
+    res.status(500).json({ error: 'Failed to get model settings' });
+  }
+});
+
+// Override the models per task and, where the deployment allows it, the endpoint
+router.put('/me/llm-settings', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = llmSettingsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (value.baseUrl && !userEndpointsAllowed()) {
+      return res.status(400).json({ error: 'Custom model endpoints are not enabled' });
+    }
+
+    const current = await db.query('SELECT llm_settings FROM users WHERE id = $1', [req.user.id]);
+    if (current.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const settings = toStoredSettings(value, current.rows[0].llm_settings || {});
+    await db.query('UPDATE users SET llm_settings = $1, updated_at = NOW() WHERE id = $2', [
+      JSON.stringify(settings),
+      req.user.id,
+    ]);
+
+    res.json(formatSettings(settings));
+  } catch (error) {
+    logger.error('Update LLM settings error:', error);
+    res.status(500).json({ error: 'Failed to update model settings' });
+  }
+});
+
+// Days of masked items shown with the redaction level
+const REDACTION_AUDIT_DAYS = 30;
+
+const redactionSchema = Joi.object({
+  level: Joi.string().valid(...REDACTION_LEVELS).required(),
+});
+
+// Masked items per type in the emails processed over the audit period
+const getRedactionAudit = async userId => {
+  const result = await db.query(
+    `SELECT counts.key as type, SUM(counts.value::int) as count
+     FROM emails e, jsonb_each_text(e.redaction_counts) counts
+     WHERE e.user_id = $1 AND e.processed_at >= NOW() - $2 * INTERVAL '1 day'
+     GROUP BY counts.key`,
+    [userId, REDACTION_AUDIT_DAYS]
+  );
+
+  return {
+    days: REDACTION_AUDIT_DAYS,
+    counts: Object.fromEntries(result.rows.map(row => [row.type, parseInt(row.count)])),
+  };
+};
+
+// Get the user's redaction level and what was masked recently
+router.get('/me/redaction', authenticateToken, async (req, res) => {
+  try {
+    const result = await db.query('SELECT redaction_level FROM users WHERE id = $1', [
+      req.user.id,
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      level: result.rows[0].redaction_level,
+      levels: REDACTION_LEVELS,
+      audit: await getRedactionAudit(req.user.id),
+    });
+  } catch (error) {
+    logger.error('Get redaction settings error:', error);
+    res.status(500).json({ error: 'Failed to get redaction settings' });
+  }
+});
+
+// Choose how much personal data is masked before email content is sent to the model
+router.put('/me/redaction', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = redactionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await db.query(
+      `UPDATE users SET redaction_level = $1, updated_at = NOW()
+       WHERE id = $2
+       RETURNING redaction_level`,
+      [value.level, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ level: result.rows[0].redaction_level, levels: REDACTION_LEVELS });
+  } catch (error) {
+    logger.error('Update redaction settings error:', error);
+    res.status(500).json({ error: 'Failed to update redaction settings' });
+  }
+});
+
+const languageSchema = Joi.object({
+  preferredLanguage: Joi.string()
+    .valid(...Object.keys(LANGUAGES))
+    .allow(null)
+    .required(),
+});
+
+// Get the language summaries are written in, with the supported languages
+router.get('/me/language', authenticateToken, async (req, res) => {
+  try {
+    const result = await db.query('SELECT preferred_language FROM users WHERE id = $1', [
+      req.user.id,
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ preferredLanguage: result.rows[0].preferred_language, languages: LANGUAGES });
+  } catch (error) {
+    logger.error('Get language error:', error);
+    res.status(500).json({ error: 'Failed to get language settings' });
+  }
+});
+
+// Set the language summaries are written in from now on; null keeps each email's language
+router.put('/me/language', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = languageSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await db.query(
+      `UPDATE users SET preferred_language = $1, updated_at = NOW()
+       WHERE id = $2
+       RETURNING preferred_language`,
+      [value.preferredLanguage, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ preferredLanguage: result.rows[0].preferred_language, languages: LANGUAGES });
+  } catch (error) {
+    logger.error('Update language error:', error);
+    res.status(500).json({ error: 'Failed to update language settings' });
+  }
+});
+
 // Refresh token
 router.post('/refresh', authenticateToken, async (req, res) => {
   try {
@@ -2,9 +2,33 @@ const express = require('express');
 const Joi = require('joi');
 const db = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const {
+  createCategoryLabels,
+  renameCategoryLabels,
+  deleteCategoryLabels,
+  relabelEmails,
+} = require('../services/labelMirror');
+const {
+  STORED_EMAIL_MATCH_TYPES,
+  ruleSchema,
+  normalizePattern,
+  findMatchingEmails,
+  applyRule,
+} = require('../services/rules');
+const {
+  acceptSuggestionSchema,
+  formatSuggestion,
+  generateSuggestions,
+  getPendingSuggestions,
+  acceptSuggestion,
+  dismissSuggestion,
+} = require('../services/categorySuggestions');
 
 const router = express.Router();
 
+// Matching emails listed in a rule test; the counts cover all of them
+const RULE_TEST_EMAIL_LIMIT = 100;
+
 // Validation schema
 const categorySchema = Joi.object({
   name: Joi.string().required().max(100).trim(),
@@ -31,6 +55,68 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Pending category suggestions for the user's unsorted emails, largest group first
+router.get('/suggestions', authenticateToken, async (req, res) => {
+  try {
+    const suggestions = await getPendingSuggestions(req.user.id);
+    res.json({ suggestions: suggestions.map(formatSuggestion) });
+  } catch (error) {
+    console.error('Error fetching category suggestions:', error);
+    res.status(500).json({ error: 'Failed to fetch category suggestions' });
+  }
+});
+
+// Group recent uncategorized and low-confidence emails and propose a category for each
+// group, replacing the pending suggestions
+router.post('/suggestions', authenticateToken, async (req, res) => {
+  try {
+    const suggestions = await generateSuggestions(req.user.id);
+    res.status(201).json({ suggestions: suggestions.map(formatSuggestion) });
+  } catch (error) {
+    console.error('Error generating category suggestions:', error);
+    res.status(500).json({ error: 'Failed to generate category suggestions' });
+  }
+});
+
+// Create the suggested category, optionally renamed ({ name, description }), and move
+// its emails into it
+router.post('/suggestions/:suggestionId/accept', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = acceptSuggestionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const { category, movedIds } = await acceptSuggestion(
+      req.user.id,
+      req.params.suggestionId,
+      value
+    );
+
+    res.status(201).json({ category, movedCount: movedIds.length, movedIds });
+  } catch (error) {
+    if ([400, 404, 409].includes(error.status)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error accepting category suggestion:', error);
+    res.status(500).json({ error: 'Failed to accept category suggestion' });
+  }
+});
+
+// Dismiss a suggestion; generating suggestions again may propose it anew
+router.delete('/suggestions/:suggestionId', authenticateToken, async (req, res) => {
+  try {
+    await dismissSuggestion(req.user.id, req.params.suggestionId);
+    res.json({ message: 'Suggestion dismissed' });
+  } catch (error) {
+    if ([404, 409].includes(error.status)) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error dismissing category suggestion:', error);
+    res.status(500).json({ error: 'Failed to dismiss category suggestion' });
+  }
+});
+
 // Get single category
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
@@ -77,6 +163,11 @@ router.post('/', authenticateToken, async (req, res) => {
       [req.user.id, name, description]
     );
 
+    // Mirrored Gmail labels are updated in the background; failures are only logged
+    createCategoryLabels(req.user.id, result.rows[0]).catch(error =>
+      console.error('Error creating Gmail labels for category:', error)
+    );
+
     res.status(201).json(result.rows[0]);
   } catch (error) {
     console.error('Error creating category:', error);
@@ -114,6 +205,10 @@ router.put('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Category not found' });
     }
 
+    renameCategoryLabels(req.user.id, result.rows[0]).catch(error =>
+      console.error('Error renaming Gmail labels for category:', error)
+    );
+
     res.json(result.rows[0]);
   } catch (error) {
     console.error('Error updating category:', error);
@@ -135,6 +230,9 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    // Mirrored Gmail labels go first, while their IDs are still stored
+    await deleteCategoryLabels(req.user.id, id);
+
     const result = await db.query(
       'DELETE FROM categories WHERE id = $1 AND user_id = $2 RETURNING *',
       [id, req.user.id]
@@ -151,4 +249,215 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Rules that file emails into a category before the AI is asked. Rules of all categories
+// are evaluated together by ascending priority; the first match wins.
+const findCategory = async (categoryId, userId) => {
+  const result = await db.query('SELECT id, name FROM categories WHERE id = $1 AND user_id = $2', [
+    categoryId,
+    userId,
+  ]);
+  return result.rows[0] || null;
+};
+
+// Get rules of a category
+router.get('/:id/rules', authenticateToken, async (req, res) => {
+  try {
+    if (!(await findCategory(req.params.id, req.user.id))) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const result = await db.query(
+      'SELECT * FROM category_rules WHERE category_id = $1 AND user_id = $2 ORDER BY priority, id',
+      [req.params.id, req.user.id]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching category rules:', error);
+    res.status(500).json({ error: 'Failed to fetch category rules' });
+  }
+});
+
+// Create rule
+router.post('/:id/rules', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = ruleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (!(await findCategory(req.params.id, req.user.id))) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const result = await db.query(
+      `INSERT INTO category_rules (user_id, category_id, match_type, pattern, priority)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_id, match_type, pattern) DO NOTHING
+       RETURNING *`,
+      [
+        req.user.id,
+        req.params.id,
+        value.matchType,
+        normalizePattern(value.matchType, value.pattern),
+        value.priority,
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'A rule with this pattern already exists' });
+    }
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error('Error creating category rule:', error);
+    res.status(500).json({ error: 'Failed to create category rule' });
+  }
+});
+
+// Test a draft rule against the stored emails without saving it
+router.post('/:id/rules/test', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = ruleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (!STORED_EMAIL_MATCH_TYPES.includes(value.matchType)) {
+      return res
+        .status(400)
+        .json({ error: 'List-Id rules cannot be tested because email headers are not stored' });
+    }
+
+    const category = await findCategory(req.params.id, req.user.id);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const matches = await findMatchingEmails(req.user.id, {
+      match_type: value.matchType,
+      pattern: normalizePattern(value.matchType, value.pattern),
+    });
+
+    res.json({
+      category,
+      matchCount: matches.length,
+      changeCount: matches.filter(email => email.category_id !== category.id).length,
+      emails: matches.slice(0, RULE_TEST_EMAIL_LIMIT).map(email => ({
+        id: email.id,
+        subject: email.subject,
+        sender: email.sender,
+        received_at: email.received_at,
+        from_category_id: email.category_id,
+        from_category_name: email.category_name,
+        to_category_id: category.id,
+        to_category_name: category.name,
+        changes: email.category_id !== category.id,
+      })),
+    });
+  } catch (error) {
+    console.error('Error testing category rule:', error);
+    res.status(500).json({ error: 'Failed to test category rule' });
+  }
+});
+
+// Apply a saved rule to the stored emails, moving the ones it matches into its category
+router.post('/:id/rules/:ruleId/apply', authenticateToken, async (req, res) => {
+  try {
+    const category = await findCategory(req.params.id, req.user.id);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const ruleResult = await db.query(
+      'SELECT * FROM category_rules WHERE id = $1 AND category_id = $2 AND user_id = $3',
+      [req.params.ruleId, category.id, req.user.id]
+    );
+    if (ruleResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    const rule = ruleResult.rows[0];
+    if (!STORED_EMAIL_MATCH_TYPES.includes(rule.match_type)) {
+      return res
+        .status(400)
+        .json({ error: 'List-Id rules cannot be applied because email headers are not stored' });
+    }
+
+    const moved = await applyRule(req.user.id, rule);
+
+    // Keep mirrored Gmail labels in step (best effort, in the background)
+    if (moved.length > 0) {
+      relabelEmails(req.user.id, moved, category).catch(error =>
+        console.error('Error updating Gmail labels for rule:', error)
+      );
+    }
+
+    res.json({
+      message: `Moved ${moved.length} emails to ${category.name}`,
+      movedCount: moved.length,
+      movedIds: moved.map(email => email.id),
+    });
+  } catch (error) {
+    console.error('Error applying category rule:', error);
+    res.status(500).json({ error: 'Failed to apply category rule' });
+  }
+});
+
+// Update rule; rules created from corrections become the user's own once edited
+router.put('/:id/rules/:ruleId', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = ruleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await db.query(
+      `UPDATE category_rules
+       SET match_type = $1, pattern = $2, priority = $3, source = 'user', updated_at = NOW()
+       WHERE id = $4 AND category_id = $5 AND user_id = $6
+       RETURNING *`,
+      [
+        value.matchType,
+        normalizePattern(value.matchType, value.pattern),
+        value.priority,
+        req.params.ruleId,
+        req.params.id,
+        req.user.id,
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A rule with this pattern already exists' });
+    }
+    console.error('Error updating category rule:', error);
+    res.status(500).json({ error: 'Failed to update category rule' });
+  }
+});
+
+// Delete rule; emails it filed keep their category
+router.delete('/:id/rules/:ruleId', authenticateToken, async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM category_rules WHERE id = $1 AND category_id = $2 AND user_id = $3 RETURNING *',
+      [req.params.ruleId, req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    res.json({ message: 'Rule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting category rule:', error);
+    res.status(500).json({ error: 'Failed to delete category rule' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,112 @@
+const express = require('express');
+const db = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { DIGEST_FREQUENCIES, digestSettingsSchema } = require('../services/digest');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const formatSettings = row => ({
+  frequency: row.digest_frequency,
+  hour: row.digest_hour,
+  email: row.digest_email,
+  lastDigestAt: row.last_digest_at,
+  frequencies: DIGEST_FREQUENCIES,
+});
+
+// List the user's digests, newest first
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const result = await db.query(
+      `SELECT * FROM digests
+       WHERE user_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [req.user.id, limit, offset]
+    );
+    const countResult = await db.query('SELECT COUNT(*) FROM digests WHERE user_id = $1', [
+      req.user.id,
+    ]);
+
+    res.json({
+      digests: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: parseInt(countResult.rows[0].count),
+        totalPages: Math.ceil(countResult.rows[0].count / limit),
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching digests:', error);
+    res.status(500).json({ error: 'Failed to fetch digests' });
+  }
+});
+
+// When digests are generated and whether they are also emailed
+router.get('/settings', authenticateToken, async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT digest_frequency, digest_hour, digest_email, last_digest_at
+       FROM users WHERE id = $1`,
+      [req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(formatSettings(result.rows[0]));
+  } catch (error) {
+    logger.error('Error fetching digest settings:', error);
+    res.status(500).json({ error: 'Failed to fetch digest settings' });
+  }
+});
+
+// Set the digest schedule: frequency ('off', 'daily' or 'weekly'), hour (UTC) and email
+router.put('/settings', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = digestSettingsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await db.query(
+      `UPDATE users
+       SET digest_frequency = $1, digest_hour = $2, digest_email = $3, updated_at = NOW()
+       WHERE id = $4
+       RETURNING digest_frequency, digest_hour, digest_email, last_digest_at`,
+      [value.frequency, value.hour, value.email, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(formatSettings(result.rows[0]));
+  } catch (error) {
+    logger.error('Error updating digest settings:', error);
+    res.status(500).json({ error: 'Failed to update digest settings' });
+  }
+});
+
+// Get one digest
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await db.query('SELECT * FROM digests WHERE id = $1 AND user_id = $2', [
+      req.params.id,
+      req.user.id,
+    ]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Digest not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    logger.error('Error fetching digest:', error);
+    res.status(500).json({ error: 'Failed to fetch digest' });
+  }
+});
+
+module.exports = router;
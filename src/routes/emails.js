@@ -3,16 +3,83 @@ const Joi = require('joi');
 const db = require('../config/database');
 const redis = require('../config/redisCache');
 const { authenticateToken } = require('../middleware/auth');
-const { getGmailClient, processNewEmails } = require('../services/gmail');
+const { emailProcessingQueue } = require('../config/queues');
+const { DRAFT_SCOPES, hasAnyScope } = require('../config/googleScopes');
+const { getMailProvider } = require('../services/providers');
+const { enqueueEmailProcessing } = require('../jobs/emailProcessor');
+const { relabelEmails } = require('../services/labelMirror');
+const { learnFromCorrections } = require('../services/corrections');
+const { draftReply } = require('../services/openai');
+const { getBudgetStatus } = require('../services/usage');
+const { redactEmail } = require('../utils/redaction');
+const { htmlToText } = require('../utils/emailParser');
+const { LANGUAGES } = require('../utils/language');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+const reviewThresholdSchema = Joi.object({
+  threshold: Joi.number().min(0).max(1).required(),
+});
+
+const accuracyQuerySchema = Joi.object({
+  weeks: Joi.number().integer().min(1).max(52).default(12),
+});
+
+const actionsQuerySchema = Joi.object({
+  status: Joi.string().valid('open', 'done', 'all').default('open'),
+  limit: Joi.number().integer().min(1).max(500).default(100),
+});
+
+const actionItemSchema = Joi.object({
+  done: Joi.boolean().required(),
+});
+
+const draftReplySchema = Joi.object({
+  instruction: Joi.string().trim().min(1).max(1000).required(),
+});
+
+const ACTION_STATUS_FILTERS = {
+  open: 'AND ai.done_at IS NULL',
+  done: 'AND ai.done_at IS NOT NULL',
+  all: '',
+};
+
+// Full email content is cached for a day per account and message
+const CONTENT_CACHE_TTL = 24 * 60 * 60;
+const contentCacheKey = email => `email:${email.account_id}:${email.gmail_id}`;
+
+// Fetch the full content of a stored email from the mailbox and cache it
+const fetchAndCacheContent = async (provider, email) => {
+  const content = {
+    ...(await provider.fetchContent(email.gmail_id)),
+    fetchedAt: new Date().toISOString(),
+  };
+
+  const cacheSuccess = await redis.setEx(
+    contentCacheKey(email),
+    CONTENT_CACHE_TTL,
+    JSON.stringify(content)
+  );
+  if (!cacheSuccess) {
+    logger.warn(`Failed to cache email content for email ${email.id}, continuing without cache`);
+  }
+
+  return content;
+};
+
 // Get emails for a category
 router.get('/category/:categoryId', authenticateToken, async (req, res) => {
   try {
     const { categoryId } = req.params;
-    const { page = 1, limit = 20, accountId, hasUnsubscribe, unsubscribeStatus } = req.query;
+    const {
+      page = 1,
+      limit = 20,
+      accountId,
+      hasUnsubscribe,
+      unsubscribeStatus,
+      language,
+    } = req.query;
     const offset = (page - 1) * limit;
 
     // Verify category belongs to user
@@ -59,6 +126,14 @@ router.get('/category/:categoryId', authenticateToken, async (req, res) => {
       }
     }
 
+    // Add language filter; "unknown" is for emails whose language could not be detected
+    if (language === 'unknown') {
+      whereClause += ' AND e.language IS NULL';
+    } else if (LANGUAGES[language]) {
+      whereClause += ` AND e.language = $${queryParams.length + 1}`;
+      queryParams.push(language);
+    }
+
     const result = await db.query(
       `SELECT e.*, c.name as category_name, ea.email as account_email,
        e.unsubscribe_status, e.unsubscribe_completed_at
@@ -88,15 +163,207 @@ router.get('/category/:categoryId', authenticateToken, async (req, res) => {
   }
 });
 
+// Review queue: emails the AI could not classify with enough confidence. They have no
+// category until the user files them with PUT /:id/category or /bulk/move.
+router.get('/review', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const result = await db.query(
+      `SELECT e.*, ac.name as ai_category_name, ea.email as account_email
+       FROM emails e
+       LEFT JOIN categories ac ON e.ai_category_id = ac.id
+       LEFT JOIN email_accounts ea ON e.account_id = ea.id
+       WHERE e.user_id = $1 AND e.needs_review = true
+       ORDER BY e.received_at DESC
+       LIMIT $2 OFFSET $3`,
+      [req.user.id, limit, offset]
+    );
+
+    const countResult = await db.query(
+      'SELECT COUNT(*) FROM emails WHERE user_id = $1 AND needs_review = true',
+      [req.user.id]
+    );
+    const userResult = await db.query('SELECT review_threshold FROM users WHERE id = $1', [
+      req.user.id,
+    ]);
+
+    res.json({
+      emails: result.rows,
+      threshold: userResult.rows[0].review_threshold,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: parseInt(countResult.rows[0].count),
+        totalPages: Math.ceil(countResult.rows[0].count / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching review queue:', error);
+    res.status(500).json({ error: 'Failed to fetch review queue' });
+  }
+});
+
+// Minimum AI confidence for filing emails automatically; applies to emails processed
+// from now on
+router.put('/review/threshold', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = reviewThresholdSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    await db.query('UPDATE users SET review_threshold = $1, updated_at = NOW() WHERE id = $2', [
+      value.threshold,
+      req.user.id,
+    ]);
+
+    res.json({ message: 'Review threshold updated', threshold: value.threshold });
+  } catch (error) {
+    console.error('Error updating review threshold:', error);
+    res.status(500).json({ error: 'Failed to update review threshold' });
+  }
+});
+
+// Quarantine: emails scored as likely phishing, with the signals behind the score. Their
+// unsubscribe links are hidden, since following them is what the sender wants.
+router.get('/quarantine', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const result = await db.query(
+      `SELECT e.id, e.account_id, e.subject, e.sender, e.ai_summary, e.received_at,
+         e.risk_score, e.risk_signals, ea.email as account_email
+       FROM emails e
+       LEFT JOIN email_accounts ea ON e.account_id = ea.id
+       WHERE e.user_id = $1 AND e.quarantined = true
+       ORDER BY e.received_at DESC
+       LIMIT $2 OFFSET $3`,
+      [req.user.id, limit, offset]
+    );
+
+    const countResult = await db.query(
+      'SELECT COUNT(*) FROM emails WHERE user_id = $1 AND quarantined = true',
+      [req.user.id]
+    );
+
+    res.json({
+      emails: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: parseInt(countResult.rows[0].count),
+        totalPages: Math.ceil(countResult.rows[0].count / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching quarantine:', error);
+    res.status(500).json({ error: 'Failed to fetch quarantine' });
+  }
+});
+
+// Release a quarantined email the user trusts into the review queue, to be filed there
+router.post('/:id/release', authenticateToken, async (req, res) => {
+  try {
+    const result = await db.query(
+      `UPDATE emails
+       SET quarantined = false, needs_review = true,
+         unsubscribe_status = CASE WHEN unsubscribe_link IS NOT NULL THEN 'pending' END,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND user_id = $2 AND quarantined = true
+       RETURNING *`,
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Quarantined email not found' });
+    }
+
+    logger.info(`Email ${req.params.id} released from quarantine by user ${req.user.id}`);
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error releasing email:', error);
+    res.status(500).json({ error: 'Failed to release email' });
+  }
+});
+
+// Action items extracted from emails across all categories, soonest deadline first; items
+// without a deadline come last, by the priority of their email. Quarantined emails' items
+// are left out.
+router.get('/actions', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = actionsQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await db.query(
+      `SELECT ai.id, ai.email_id, ai.description, ai.due_date, ai.done_at, ai.created_at,
+         ai.due_date < CURRENT_DATE AND ai.done_at IS NULL as overdue,
+         e.subject, e.sender, e.priority, e.reply_expected, e.received_at,
+         e.category_id, c.name as category_name
+       FROM email_action_items ai
+       JOIN emails e ON ai.email_id = e.id
+       LEFT JOIN categories c ON e.category_id = c.id
+       WHERE ai.user_id = $1 AND e.quarantined = false ${ACTION_STATUS_FILTERS[value.status]}
+       ORDER BY ai.due_date ASC NULLS LAST,
+         CASE e.priority WHEN 'urgent' THEN 0 WHEN 'normal' THEN 1 WHEN 'low' THEN 2 ELSE 1 END,
+         e.received_at DESC, ai.id
+       LIMIT $2`,
+      [req.user.id, value.limit]
+    );
+
+    res.json({ actions: result.rows });
+  } catch (error) {
+    console.error('Error fetching action items:', error);
+    res.status(500).json({ error: 'Failed to fetch action items' });
+  }
+});
+
+// Mark an action item done, or open again
+router.put('/actions/:itemId', authenticateToken, async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    if (!/^\d+$/.test(itemId)) {
+      return res.status(400).json({ error: 'Invalid action item ID' });
+    }
+
+    const { error, value } = actionItemSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await db.query(
+      `UPDATE email_action_items
+       SET done_at = CASE WHEN $1::boolean THEN COALESCE(done_at, NOW()) ELSE NULL END
+       WHERE id = $2 AND user_id = $3
+       RETURNING *`,
+      [value.done, itemId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Action item not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error updating action item:', error);
+    res.status(500).json({ error: 'Failed to update action item' });
+  }
+});
+
 // Get single email
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
 
+    // Emails waiting for review have no category yet
     const result = await db.query(
       `SELECT e.*, c.name as category_name 
        FROM emails e
-       JOIN categories c ON e.category_id = c.id
+       LEFT JOIN categories c ON e.category_id = c.id
        WHERE e.id = $1 AND e.user_id = $2`,
       [id, req.user.id]
     );
@@ -105,7 +372,26 @@ router.get('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Email not found' });
     }
 
-    res.json(result.rows[0]);
+    const actionItems = await db.query(
+      `SELECT id, description, due_date, done_at FROM email_action_items
+       WHERE email_id = $1 AND user_id = $2
+       ORDER BY id`,
+      [id, req.user.id]
+    );
+
+    const email = { ...result.rows[0], action_items: actionItems.rows };
+    if (email.quarantined) {
+      email.unsubscribe_link = null;
+      email.warning = {
+        message:
+          'This email is likely phishing or a scam. Do not open its links or attachments, ' +
+          'reply to it or trust its summary.',
+        riskScore: email.risk_score,
+        signals: email.risk_signals || [],
+      };
+    }
+
+    res.json(email);
   } catch (error) {
     console.error('Error fetching email:', error);
     res.status(500).json({ error: 'Failed to fetch email' });
@@ -148,7 +434,7 @@ router.get('/:id/content', authenticateToken, async (req, res) => {
     }
 
     // Check Redis cache first
-    const cacheKey = `email:${email.account_id}:${email.gmail_id}`;
+    const cacheKey = contentCacheKey(email);
     logger.info(`Checking Redis cache with key: ${cacheKey}`);
     const cachedContent = await redis.get(cacheKey);
 
@@ -164,89 +450,20 @@ router.get('/:id/content', authenticateToken, async (req, res) => {
       });
     }
 
-    // Cache miss - fetch from Gmail
-    logger.info(`Cache miss for email ${id} (Gmail ID: ${email.gmail_id}), fetching from Gmail`);
+    // Cache miss - fetch from the mailbox
+    logger.info(`Cache miss for email ${id} (Gmail ID: ${email.gmail_id}), fetching from mailbox`);
     logger.info(`Using account: ${email.account_email}`);
 
+    let provider;
     try {
-      // Get Gmail client for the account
-      logger.info(`Getting Gmail client for account: ${email.account_email}`);
-      const { gmail } = await getGmailClient(req.user.id, email.account_email);
-      logger.info('Gmail client obtained successfully');
-
-      // Fetch the email from Gmail
-      logger.info(`Fetching email from Gmail API: GmailID=${email.gmail_id}`);
-      const gmailResponse = await gmail.users.messages.get({
-        userId: 'me',
-        id: email.gmail_id,
-        format: 'full',
-      });
-      logger.info('Gmail API response received successfully');
+      // Get the mail provider for the account
+      provider = await getMailProvider(req.user.id, email.account_email);
+      logger.info(`Mail provider obtained successfully (${provider.name})`);
 
-      // Extract email content
-      const emailContent = {
-        body: '',
-        html: '',
-        attachments: [],
-      };
-
-      // Helper function to decode base64url
-      const decodeBase64 = data => {
-        if (!data) return '';
-        // Replace URL-safe characters and add padding if needed
-        const base64 = data.replace(/-/g, '+').replace(/_/g, '/');
-        const padding = '='.repeat((4 - (base64.length % 4)) % 4);
-        return Buffer.from(base64 + padding, 'base64').toString('utf-8');
-      };
-
-      // Extract body from parts
-      const extractBody = parts => {
-        for (const part of parts) {
-          if (part.mimeType === 'text/html' && part.body.data) {
-            emailContent.html = decodeBase64(part.body.data);
-          } else if (part.mimeType === 'text/plain' && part.body.data) {
-            emailContent.body = decodeBase64(part.body.data);
-          } else if (part.parts) {
-            extractBody(part.parts);
-          }
-
-          // Check for attachments
-          if (part.filename) {
-            emailContent.attachments.push({
-              filename: part.filename,
-              mimeType: part.mimeType,
-              size: part.body.size,
-              attachmentId: part.body.attachmentId,
-            });
-          }
-        }
-      };
-
-      if (gmailResponse.data.payload.parts) {
-        extractBody(gmailResponse.data.payload.parts);
-      } else if (gmailResponse.data.payload.body.data) {
-        // Single part message
-        emailContent.body = decodeBase64(gmailResponse.data.payload.body.data);
-      }
-
-      // Use HTML content if available, otherwise use plain text
-      const content = {
-        body: emailContent.html || emailContent.body,
-        isHtml: !!emailContent.html,
-        attachments: emailContent.attachments,
-        fetchedAt: new Date().toISOString(),
-      };
-
-      // Cache the content in Redis with 24-hour TTL
-      const ttl = 24 * 60 * 60; // 24 hours in seconds
-      logger.info(`Caching email content in Redis: key=${cacheKey}, ttl=${ttl}s`);
-      const cacheSuccess = await redis.setEx(cacheKey, ttl, JSON.stringify(content));
-
-      if (!cacheSuccess) {
-        logger.warn(`Failed to cache email content for email ${id}, continuing without cache`);
-      } else {
-        logger.info('Email content cached successfully');
-      }
+      // Fetch the email content and cache it
+      logger.info(`Fetching email content: GmailID=${email.gmail_id}`);
+      const content = await fetchAndCacheContent(provider, email);
+      logger.info('Email content received successfully');
 
       logger.info(`Returning email content: EmailID=${email.id}, ContentSize=${content.body.length} chars, Attachments=${content.attachments.length}`);
       res.json({
@@ -283,6 +500,10 @@ router.get('/:id/content', authenticateToken, async (req, res) => {
         error: 'Failed to fetch email content',
         message: gmailError.message,
       });
+    } finally {
+      if (provider) {
+        await provider.close();
+      }
     }
   } catch (error) {
     logger.error(`Error in email content endpoint for ID=${req.params.id}:`, error);
@@ -291,6 +512,113 @@ router.get('/:id/content', authenticateToken, async (req, res) => {
   }
 });
 
+const gmailPermissionMissing = res =>
+  res.status(403).json({
+    error: 'Gmail permission missing',
+    message: 'Please reconnect your Gmail account to allow creating drafts',
+  });
+
+// Draft a reply to an email following the user's instruction (e.g. "politely decline") and
+// save it as a Gmail draft in the email's thread; nothing is sent. The account's granted
+// scopes are checked before the model is called, so accounts connected without a draft
+// scope (gmail.modify is requested at sign-in) get the reconnect error without spending
+// tokens.
+router.post('/:id/draft-reply', authenticateToken, async (req, res) => {
+  let provider;
+  try {
+    const { id } = req.params;
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({ error: 'Invalid email ID format' });
+    }
+
+    const { error, value } = draftReplySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const emailResult = await db.query(
+      `SELECT e.id, e.gmail_id, e.subject, e.sender, e.account_id, e.quarantined,
+              ea.email as account_email, ea.provider
+       FROM emails e
+       JOIN email_accounts ea ON e.account_id = ea.id
+       WHERE e.id = $1 AND e.user_id = $2`,
+      [id, req.user.id]
+    );
+    if (emailResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    const email = emailResult.rows[0];
+    if (email.quarantined) {
+      return res.status(409).json({ error: 'Quarantined emails cannot be replied to' });
+    }
+    if ((email.provider || 'google') !== 'google') {
+      return res.status(400).json({ error: 'Draft replies are only supported for Gmail accounts' });
+    }
+    if ((await getBudgetStatus(req.user.id)).mode === 'rules_only') {
+      return res.status(429).json({ error: 'LLM budget exceeded' });
+    }
+
+    provider = await getMailProvider(req.user.id, email.account_email);
+    if (!hasAnyScope(await provider.getGrantedScopes(), DRAFT_SCOPES)) {
+      return gmailPermissionMissing(res);
+    }
+
+    const userResult = await db.query(
+      'SELECT name, llm_settings, redaction_level FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    const user = userResult.rows[0] || {};
+
+    // Full content, like GET /:id/content; it quotes the earlier messages of the thread
+    const cachedContent = await redis.get(contentCacheKey(email));
+    const content = cachedContent
+      ? JSON.parse(cachedContent)
+      : await fetchAndCacheContent(provider, email);
+    const body = content.isHtml ? htmlToText(content.body) : content.body;
+
+    const { email: prompt } = redactEmail(
+      { subject: email.subject, from: email.sender, body },
+      user.redaction_level || 'off'
+    );
+    const reply = await draftReply(prompt, value.instruction, {
+      settings: user.llm_settings,
+      userId: req.user.id,
+      senderName: user.name,
+    });
+    if (!reply) {
+      return res.status(502).json({ error: 'Failed to draft a reply' });
+    }
+
+    const draft = await provider.createReplyDraft(email.gmail_id, reply);
+    logger.info(`Draft reply ${draft.draftId} created for email ${email.id}`);
+
+    res.status(201).json({ ...draft, reply });
+  } catch (error) {
+    logger.error(`Error drafting reply for email ${req.params.id}:`, error);
+
+    if (error.code === 403) {
+      return gmailPermissionMissing(res);
+    } else if (error.code === 404) {
+      return res.status(404).json({
+        error: 'Email not found in Gmail',
+        message: 'This email may have been deleted from Gmail',
+      });
+    } else if (error.code === 401) {
+      return res.status(401).json({
+        error: 'Gmail authentication failed',
+        message: 'Please reconnect your Gmail account',
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to draft reply' });
+  } finally {
+    if (provider) {
+      await provider.close();
+    }
+  }
+});
+
 // Bulk delete emails
 router.delete('/bulk', authenticateToken, async (req, res) => {
   try {
@@ -324,7 +652,7 @@ router.put('/:id/category', authenticateToken, async (req, res) => {
 
     // Verify category belongs to user
     const categoryResult = await db.query(
-      'SELECT id FROM categories WHERE id = $1 AND user_id = $2',
+      'SELECT id, name FROM categories WHERE id = $1 AND user_id = $2',
       [categoryId, req.user.id]
     );
 
@@ -332,8 +660,12 @@ router.put('/:id/category', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Category not found' });
     }
 
+    // The subquery still sees the category the email had before the update
     const result = await db.query(
-      'UPDATE emails SET category_id = $1 WHERE id = $2 AND user_id = $3 RETURNING *',
+      `UPDATE emails e SET category_id = $1, needs_review = false, quarantined = false
+       FROM (SELECT id, category_id FROM emails WHERE id = $2 AND user_id = $3 FOR UPDATE) previous
+       WHERE e.id = previous.id
+       RETURNING e.*, previous.category_id AS previous_category_id`,
       [categoryId, id, req.user.id]
     );
 
@@ -341,7 +673,26 @@ router.put('/:id/category', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Email not found' });
     }
 
-    res.json(result.rows[0]);
+    const { previous_category_id: previousCategoryId, ...email } = result.rows[0];
+
+    // Record the correction like a bulk move, so the AI can learn from it
+    if (previousCategoryId !== email.category_id) {
+      await db.query(
+        `INSERT INTO category_movements (user_id, email_id, from_category_id, to_category_id, sender, ai_summary)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [req.user.id, email.id, previousCategoryId, email.category_id, email.sender, email.ai_summary]
+      );
+      learnFromCorrections(req.user.id, [email.sender]).catch(error =>
+        logger.error('Failed to learn from email correction:', error)
+      );
+    }
+
+    // Keep mirrored Gmail labels in step (best effort, in the background)
+    relabelEmails(req.user.id, [email], categoryResult.rows[0]).catch(error =>
+      logger.error('Failed to update Gmail labels for moved email:', error)
+    );
+
+    res.json(email);
   } catch (error) {
     console.error('Error moving email:', error);
     res.status(500).json({ error: 'Failed to move email' });
@@ -398,7 +749,7 @@ router.put('/bulk/move', authenticateToken, async (req, res) => {
     logger.info('Fetching email details', { emailCount: emailIds.length });
     
     const emailsResult = await client.query(
-      `SELECT e.id, e.category_id, e.sender, e.ai_summary, c.name as from_category_name
+      `SELECT e.id, e.account_id, e.gmail_id, e.category_id, e.sender, e.ai_summary, c.name as from_category_name
        FROM emails e
        LEFT JOIN categories c ON e.category_id = c.id
        WHERE e.id IN (${placeholders}) AND e.user_id = $1`,
@@ -418,7 +769,8 @@ router.put('/bulk/move', authenticateToken, async (req, res) => {
     const updatePlaceholders = emailIds.map((_, index) => `$${index + 3}`).join(',');
     const updateResult = await client.query(
       `UPDATE emails 
-       SET category_id = $1, updated_at = CURRENT_TIMESTAMP 
+       SET category_id = $1, needs_review = false, quarantined = false,
+         updated_at = CURRENT_TIMESTAMP
        WHERE id IN (${updatePlaceholders}) AND user_id = $2 
        RETURNING id`,
       [toCategoryId, req.user.id, ...emailIds]
@@ -457,6 +809,16 @@ router.put('/bulk/move', authenticateToken, async (req, res) => {
     await client.query('COMMIT');
     logger.info('Transaction committed successfully');
 
+    // Keep mirrored Gmail labels in step and create sender rules for repeated corrections
+    // (best effort, in the background)
+    relabelEmails(req.user.id, emailsResult.rows, toCategory).catch(error =>
+      logger.error('Failed to update Gmail labels for moved emails:', error)
+    );
+    learnFromCorrections(
+      req.user.id,
+      emailsResult.rows.map(email => email.sender)
+    ).catch(error => logger.error('Failed to learn from moved emails:', error));
+
     const response = {
       message: `Successfully moved ${updateResult.rows.length} emails to ${toCategory.name}`,
       movedCount: updateResult.rows.length,
@@ -488,40 +850,43 @@ router.put('/bulk/move', authenticateToken, async (req, res) => {
   }
 });
 
-// Process emails for all user's accounts
+// Queue email processing for all user's accounts
 router.post('/process', authenticateToken, async (req, res) => {
   try {
     // Get all user's email accounts
-    const accountsResult = await db.query('SELECT email FROM email_accounts WHERE user_id = $1', [
-      req.user.id,
-    ]);
+    const accountsResult = await db.query(
+      'SELECT id, email FROM email_accounts WHERE user_id = $1',
+      [req.user.id]
+    );
 
     if (accountsResult.rows.length === 0) {
       return res.status(404).json({ error: 'No email accounts found' });
     }
 
-    // Process emails for all accounts
+    // One job per account, so a slow account does not hold up the others
     const results = [];
     for (const account of accountsResult.rows) {
       try {
-        const processed = await processNewEmails(req.user.id, account.email);
+        const job = await enqueueEmailProcessing(req.user.id, account, 'manual');
         results.push({
           account: account.email,
-          status: 'success',
-          processed: processed,
+          accountId: account.id,
+          status: 'queued',
+          jobId: job.id,
         });
       } catch (error) {
-        console.error(`Error processing emails for ${account.email}:`, error);
+        console.error(`Error queueing email processing for ${account.email}:`, error);
         results.push({
           account: account.email,
+          accountId: account.id,
           status: 'error',
           error: error.message,
         });
       }
     }
 
-    res.json({
-      message: 'Email processing completed',
+    res.status(202).json({
+      message: 'Email processing queued',
       accounts: results,
     });
   } catch (error) {
@@ -530,6 +895,34 @@ router.post('/process', authenticateToken, async (req, res) => {
   }
 });
 
+// Get the status of an email processing job
+router.get('/process/jobs/:jobId', authenticateToken, async (req, res) => {
+  try {
+    const job = await emailProcessingQueue.getJob(req.params.jobId);
+
+    if (!job || job.data.userId !== req.user.id) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+      jobId: job.id,
+      account: job.data.accountEmail,
+      accountId: job.data.accountId,
+      trigger: job.data.trigger,
+      state: await job.getState(),
+      progress: job.progress,
+      attemptsMade: job.attemptsMade,
+      result: job.returnvalue || null,
+      failedReason: job.failedReason || null,
+      createdAt: new Date(job.timestamp).toISOString(),
+      finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null,
+    });
+  } catch (error) {
+    logger.error('Error fetching email processing job:', error);
+    res.status(500).json({ error: 'Failed to fetch job status' });
+  }
+});
+
 // Get user's email stats overview
 router.get('/stats/overview', authenticateToken, async (req, res) => {
   try {
@@ -541,7 +934,8 @@ router.get('/stats/overview', authenticateToken, async (req, res) => {
         COUNT(DISTINCT sender) as unique_senders,
         COUNT(CASE WHEN received_at >= CURRENT_DATE - INTERVAL '7 days' THEN 1 END) as last_7_days,
         COUNT(CASE WHEN unsubscribe_link IS NOT NULL THEN 1 END) as with_unsubscribe_link,
-        COUNT(DISTINCT category_id) as categories_used
+        COUNT(DISTINCT category_id) as categories_used,
+        COUNT(CASE WHEN needs_review THEN 1 END) as needs_review
        FROM emails WHERE user_id = $1`,
       [req.user.id]
     );
@@ -568,6 +962,7 @@ router.get('/stats/overview', authenticateToken, async (req, res) => {
         unique_senders: parseInt(overallResult.rows[0].unique_senders),
         unsubscribed_count: parseInt(overallResult.rows[0].unsubscribed_count),
         with_unsubscribe_link: parseInt(overallResult.rows[0].with_unsubscribe_link),
+        needs_review: parseInt(overallResult.rows[0].needs_review),
       },
       byCategory: categoryResult.rows.map(row => ({
         category_name: row.category_name,
@@ -581,4 +976,69 @@ router.get('/stats/overview', authenticateToken, async (req, res) => {
   }
 });
 
+// Classification accuracy per week: of the emails processed in a week, how many the user
+// later moved away from the category the model assigned, in the app or in Gmail. Moves by
+// rules, accepted suggestions and filing from the review queue are not corrections. A
+// falling correction rate means the AI is learning.
+router.get('/stats/accuracy', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = accuracyQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const weeklyResult = await db.query(
+      `SELECT
+        DATE_TRUNC('week', e.created_at) as week,
+        COUNT(*) as processed,
+        COUNT(CASE WHEN EXISTS (
+          SELECT 1 FROM category_movements m
+          WHERE m.email_id = e.id AND m.source IN ('user', 'gmail_label')
+            AND m.from_category_id = e.ai_category_id
+        ) THEN 1 END) as corrected,
+        COUNT(CASE WHEN e.needs_review THEN 1 END) as in_review
+       FROM emails e
+       WHERE e.user_id = $1
+         AND e.created_at >= DATE_TRUNC('week', NOW()) - ($2 - 1) * INTERVAL '1 week'
+       GROUP BY week
+       ORDER BY week`,
+      [req.user.id, value.weeks]
+    );
+
+    const rulesResult = await db.query(
+      `SELECT COUNT(*) FROM category_rules
+       WHERE user_id = $1 AND source = 'auto'`,
+      [req.user.id]
+    );
+
+    const weeks = weeklyResult.rows.map(row => {
+      const processed = parseInt(row.processed);
+      const corrected = parseInt(row.corrected);
+      return {
+        week: row.week,
+        processed,
+        corrected,
+        in_review: parseInt(row.in_review),
+        correction_rate: corrected / processed,
+      };
+    });
+
+    const processed = weeks.reduce((sum, week) => sum + week.processed, 0);
+    const corrected = weeks.reduce((sum, week) => sum + week.corrected, 0);
+
+    res.json({
+      weeks,
+      totals: {
+        processed,
+        corrected,
+        correction_rate: processed > 0 ? corrected / processed : 0,
+      },
+      auto_rules: parseInt(rulesResult.rows[0].count),
+    });
+  } catch (error) {
+    console.error('Error fetching classification accuracy:', error);
+    res.status(500).json({ error: 'Failed to fetch classification accuracy' });
+  }
+});
+
 module.exports = router;
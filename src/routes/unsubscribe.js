@@ -31,6 +31,7 @@ router.post('/unsubscribe/batch', authenticateToken, async (req, res) => {
       `SELECT id, subject, sender, unsubscribe_link, unsubscribe_status 
        FROM emails 
        WHERE id IN (${placeholders}) AND user_id = $1 AND unsubscribe_link IS NOT NULL 
+       AND quarantined = false
        AND (unsubscribe_status IS NULL OR unsubscribe_status IN ('pending', 'failed'))`,
       [req.user.id, ...emailIds]
     );
@@ -55,7 +56,10 @@ router.post('/unsubscribe/batch', authenticateToken, async (req, res) => {
         );
 
         logger.info(`Processing unsubscribe for email ${email.id} in batch`);
-        const unsubscribeResult = await unsubscribeService.unsubscribeFromEmail(email.unsubscribe_link);
+        const unsubscribeResult = await unsubscribeService.unsubscribeFromEmail(
+          email.unsubscribe_link,
+          { userId: req.user.id }
+        );
         logger.info('Batch unsubscribe result:', { emailId: email.id, result: unsubscribeResult });
         
         // Update with result
@@ -151,6 +155,7 @@ router.post('/unsubscribe/async/batch', authenticateToken, async (req, res) => {
       `SELECT id, subject, sender, unsubscribe_link, unsubscribe_status 
        FROM emails 
        WHERE id IN (${placeholders}) AND user_id = $1 AND unsubscribe_link IS NOT NULL
+       AND quarantined = false
        AND (unsubscribe_status IS NULL OR unsubscribe_status IN ('pending', 'failed'))`,
       [req.user.id, ...emailIds]
     );
@@ -0,0 +1,103 @@
+const express = require('express');
+const Joi = require('joi');
+const db = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { budgetSchema, getBudgetStatus } = require('../services/usage');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const usageQuerySchema = Joi.object({
+  days: Joi.number().integer().min(1).max(366).default(30),
+  months: Joi.number().integer().min(1).max(24).default(12),
+});
+
+const formatTotals = row => ({
+  requests: parseInt(row.requests),
+  prompt_tokens: parseInt(row.prompt_tokens),
+  completion_tokens: parseInt(row.completion_tokens),
+  cost: parseFloat(row.cost),
+});
+
+const rollup = (userId, unit, count) =>
+  db.query(
+    `SELECT
+      DATE_TRUNC('${unit}', created_at) as period,
+      COUNT(*) as requests,
+      SUM(prompt_tokens) as prompt_tokens,
+      SUM(completion_tokens) as completion_tokens,
+      SUM(cost) as cost
+     FROM llm_usage
+     WHERE user_id = $1
+       AND created_at >= DATE_TRUNC('${unit}', NOW()) - ($2 - 1) * INTERVAL '1 ${unit}'
+     GROUP BY period
+     ORDER BY period`,
+    [userId, count]
+  );
+
+// Language model usage: daily and monthly rollups, this month's usage per task and model,
+// and the budget
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = usageQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const dailyResult = await rollup(req.user.id, 'day', value.days);
+    const monthlyResult = await rollup(req.user.id, 'month', value.months);
+    const tasksResult = await db.query(
+      `SELECT task, model,
+        COUNT(*) as requests,
+        SUM(prompt_tokens) as prompt_tokens,
+        SUM(completion_tokens) as completion_tokens,
+        SUM(cost) as cost
+       FROM llm_usage
+       WHERE user_id = $1 AND created_at >= DATE_TRUNC('month', NOW())
+       GROUP BY task, model
+       ORDER BY cost DESC, task`,
+      [req.user.id]
+    );
+    const budget = await getBudgetStatus(req.user.id);
+
+    res.json({
+      daily: dailyResult.rows.map(row => ({ day: row.period, ...formatTotals(row) })),
+      monthly: monthlyResult.rows.map(row => ({ month: row.period, ...formatTotals(row) })),
+      this_month_by_task: tasksResult.rows.map(row => ({
+        task: row.task,
+        model: row.model,
+        ...formatTotals(row),
+      })),
+      budget,
+    });
+  } catch (error) {
+    logger.error('Error fetching LLM usage:', error);
+    res.status(500).json({ error: 'Failed to fetch usage' });
+  }
+});
+
+// Set the user's monthly token budget; null removes it. The deployment's budget
+// (LLM_MONTHLY_TOKEN_BUDGET) still applies when it is lower.
+router.put('/budget', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = budgetSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await db.query(
+      'UPDATE users SET llm_token_budget = $1, updated_at = NOW() WHERE id = $2 RETURNING id',
+      [value.monthlyTokens, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(await getBudgetStatus(req.user.id));
+  } catch (error) {
+    logger.error('Error updating LLM budget:', error);
+    res.status(500).json({ error: 'Failed to update budget' });
+  }
+});
+
+module.exports = router;
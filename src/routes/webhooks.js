@@ -0,0 +1,58 @@
+const express = require('express');
+const db = require('../config/database');
+const { enqueueEmailProcessing } = require('../jobs/emailProcessor');
+const { decodePushMessage, verifyPushRequest } = require('../services/gmailWatch');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Gmail push notifications delivered by a Cloud Pub/Sub push subscription
+router.post('/gmail', async (req, res) => {
+  const verified = await verifyPushRequest(req);
+  if (!verified) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  let notification;
+  try {
+    notification = decodePushMessage(req.body);
+  } catch (error) {
+    logger.warn('Invalid Gmail push notification received:', { error: error.message });
+    return res.status(400).json({ error: 'Invalid Pub/Sub message' });
+  }
+
+  try {
+    const { emailAddress, historyId, messageId } = notification;
+    logger.info(`Gmail push received for ${emailAddress}`, { historyId, messageId });
+
+    // The same mailbox may be connected by more than one user
+    const accountsResult = await db.query(
+      `SELECT id, user_id, email FROM email_accounts
+       WHERE LOWER(email) = LOWER($1) AND provider = 'google' AND access_token IS NOT NULL`,
+      [emailAddress]
+    );
+
+    if (accountsResult.rows.length === 0) {
+      // Acknowledge anyway so Pub/Sub stops redelivering it
+      logger.warn(`Gmail push for unknown account ${emailAddress}, ignoring`);
+      return res.status(204).end();
+    }
+
+    await db.query('UPDATE email_accounts SET last_push_at = NOW() WHERE id = ANY($1)', [
+      accountsResult.rows.map(account => account.id),
+    ]);
+
+    // Pushes for an account that already has a pending job are folded into it
+    for (const account of accountsResult.rows) {
+      await enqueueEmailProcessing(account.user_id, account, 'push');
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    // Non-2xx makes Pub/Sub redeliver the notification later
+    logger.error('Error handling Gmail push notification:', error);
+    res.status(500).json({ error: 'Failed to handle push notification' });
+  }
+});
+
+module.exports = router;
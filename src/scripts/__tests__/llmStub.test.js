@@ -0,0 +1,161 @@
+const request = require('supertest');
+const { createStubApp } = require('../llmStub');
+
+jest.mock('../../utils/logger');
+
+describe('LLM Stub Server', () => {
+  const app = createStubApp();
+
+  const classificationRequest = subject => ({
+    model: 'stub',
+    messages: [
+      {
+        role: 'user',
+        content: `Subject: ${subject}\n\nAvailable Categories:\n- [1] Work: Work emails\n- [2] Newsletters: Digests`,
+      },
+    ],
+    response_format: {
+      type: 'json_schema',
+      json_schema: { schema: { properties: { categoryId: { enum: [1, 2, null] } } } },
+    },
+  });
+
+  it('should classify by the category mentioned in the email', async () => {
+    const response = await request(app)
+      .post('/v1/chat/completions')
+      .send(classificationRequest('Weekly newsletters roundup'))
+      .expect(200);
+
+    expect(JSON.parse(response.body.choices[0].message.content)).toEqual({
+      categoryId: 2,
+      confidence: 0.9,
+      rationale: 'Mentions Newsletters',
+    });
+  });
+
+  it('should leave emails without a mentioned category unclassified', async () => {
+    const response = await request(app)
+      .post('/v1/chat/completions')
+      .send(classificationRequest('Hello'))
+      .expect(200);
+
+    expect(JSON.parse(response.body.choices[0].message.content).categoryId).toBeNull();
+  });
+
+  it('should answer batch analyses with one result per email', async () => {
+    const response = await request(app)
+      .post('/v1/chat/completions')
+      .send({
+        model: 'stub',
+        messages: [
+          {
+            role: 'user',
+            content:
+              'Email 0:\nSubject: Team sync\n\nEmail 1:\nSubject: Work offsite\n\n' +
+              'Available Categories:\n- [1] Work: Work emails',
+          },
+        ],
+        response_format: {
+          type: 'json_schema',
+          json_schema: {
+            schema: {
+              properties: {
+                results: { items: { properties: { categoryId: { enum: [1, null] } } } },
+              },
+            },
+          },
+        },
+      })
+      .expect(200);
+
+    const { results } = JSON.parse(response.body.choices[0].message.content);
+    expect(results.map(result => [result.index, result.categoryId])).toEqual([
+      [0, null],
+      [1, 1],
+    ]);
+    expect(results[0].summary).toBe('Stub summary of the email.');
+  });
+
+  it('should answer action extractions without action items', async () => {
+    const response = await request(app)
+      .post('/v1/chat/completions')
+      .send({
+        model: 'stub',
+        messages: [{ role: 'user', content: 'Extract what this email asks of the recipient.' }],
+        response_format: {
+          type: 'json_schema',
+          json_schema: { schema: { properties: { priority: {}, actionItems: {} } } },
+        },
+      })
+      .expect(200);
+
+    expect(JSON.parse(response.body.choices[0].message.content)).toEqual({
+      priority: 'normal',
+      replyExpected: false,
+      actionItems: [],
+    });
+  });
+
+  it('should answer digest requests with a fixed key point', async () => {
+    const response = await request(app)
+      .post('/v1/chat/completions')
+      .send({
+        model: 'stub',
+        messages: [{ role: 'user', content: 'Condense these 2 emails into key points.' }],
+        response_format: {
+          type: 'json_schema',
+          json_schema: { schema: { properties: { keyPoints: {} } } },
+        },
+      })
+      .expect(200);
+
+    expect(JSON.parse(response.body.choices[0].message.content)).toEqual({
+      keyPoints: ['Stub key point.'],
+    });
+  });
+
+  it('should name each group of a category suggestion request', async () => {
+    const response = await request(app)
+      .post('/v1/chat/completions')
+      .send({
+        model: 'stub',
+        messages: [
+          { role: 'user', content: 'Group 0:\n- From: a@x.com\n\nGroup 1:\n- From: b@y.com' },
+        ],
+        response_format: {
+          type: 'json_schema',
+          json_schema: { schema: { properties: { suggestions: {} } } },
+        },
+      })
+      .expect(200);
+
+    const { suggestions } = JSON.parse(response.body.choices[0].message.content);
+    expect(suggestions.map(suggestion => suggestion.name)).toEqual([
+      'Stub category 1',
+      'Stub category 2',
+    ]);
+  });
+
+  it('should answer other prompts with a fixed summary', async () => {
+    const response = await request(app)
+      .post('/v1/chat/completions')
+      .send({ model: 'stub', messages: [{ role: 'user', content: 'Summarize this' }] })
+      .expect(200);
+
+    expect(response.body.choices[0].message.content).toBe('Stub summary of the email.');
+  });
+
+  it('should return similar embeddings for texts sharing words', async () => {
+    const response = await request(app)
+      .post('/v1/embeddings')
+      .send({ model: 'stub', input: ['weekly digest', 'your weekly digest', 'invoice due'] })
+      .expect(200);
+
+    const [a, b, c] = response.body.data.map(item => item.embedding);
+    const dot = (x, y) => x.reduce((sum, value, i) => sum + value * y[i], 0);
+
+    expect(a).toHaveLength(64);
+    expect(dot(a, a)).toBeCloseTo(1);
+    expect(dot(a, b)).toBeGreaterThan(dot(a, c));
+  });
+});
@@ -0,0 +1,23 @@
+require('dotenv').config();
+const { backfillEmbeddings } = require('../services/embeddings');
+const logger = require('../utils/logger');
+
+// Embed emails stored before embeddings were enabled, or with another embedding model,
+// and refresh the category centroids. Optionally limited to one user:
+//   npm run embeddings:backfill -- <userId>
+const run = async () => {
+  const userId = process.argv[2] ? parseInt(process.argv[2]) : null;
+
+  try {
+    const count = await backfillEmbeddings({ userId });
+    logger.info(`Embedding backfill completed: ${count} emails embedded`);
+    process.exit(0);
+  } catch (error) {
+    logger.error('Embedding backfill failed:', error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  run();
+}
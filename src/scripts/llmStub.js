@@ -0,0 +1,154 @@
+const express = require('express');
+const logger = require('../utils/logger');
+
+// Minimal OpenAI-compatible server for running offline in development and CI. Point
+// LLM_BASE_URL at it (http://localhost:11435/v1). Answers are deterministic:
+// - classification requests (JSON schema responses) pick the first category whose name
+//   appears in the email, or none with a low confidence; batch requests get one fixed
+//   summary, classification and extraction per email
+// - action extraction requests get a normal priority and no action items
+// - digest requests get one fixed key point
+// - category suggestion requests get a numbered stub category per group
+// - everything else gets a fixed one-line summary
+// - embeddings hash the words of the text into a small normalized vector, so texts sharing
+//   words are similar
+
+const CATEGORY_LINE = /^\s*- \[(\d+)\] ([^:]+):/;
+
+const parseCategories = (prompt, allowedIds) =>
+  prompt
+    .split('\n')
+    .map(line => line.match(CATEGORY_LINE))
+    .filter(Boolean)
+    .map(([, id, name]) => ({ id: parseInt(id), name: name.trim() }))
+    .filter(category => allowedIds.includes(category.id));
+
+const classifyText = (text, categories) => {
+  const match = categories.find(category =>
+    text.toLowerCase().includes(category.name.toLowerCase())
+  );
+  return match
+    ? { categoryId: match.id, confidence: 0.9, rationale: `Mentions ${match.name}` }
+    : { categoryId: null, confidence: 0.2, rationale: 'No category mentioned' };
+};
+
+const EXTRACTION = { priority: 'normal', replyExpected: false, actionItems: [] };
+
+const classify = (prompt, schema) => {
+  const [emails] = prompt.split('Available Categories:');
+
+  if (schema.properties.actionItems) {
+    return EXTRACTION;
+  }
+
+  if (schema.properties.keyPoints) {
+    return { keyPoints: ['Stub key point.'] };
+  }
+
+  // Groups are numbered "Group 0:", "Group 1:", ...
+  if (schema.properties.suggestions) {
+    return {
+      suggestions: [...prompt.matchAll(/^\s*Group (\d+):/gm)].map(([, index]) => ({
+        index: parseInt(index),
+        name: `Stub category ${parseInt(index) + 1}`,
+        description: 'Stub description of the category.',
+      })),
+    };
+  }
+
+  // Batch analysis: emails are numbered "Email 0:", "Email 1:", ...
+  if (schema.properties.results) {
+    const itemSchema = schema.properties.results.items;
+    const allowedIds = itemSchema.properties.categoryId.enum.filter(id => id !== null);
+    const categories = parseCategories(prompt, allowedIds);
+
+    return {
+      results: emails
+        .split(/^\s*Email (\d+):/m)
+        .slice(1)
+        .reduce((results, part, i, parts) => {
+          if (i % 2 === 0) {
+            results.push({
+              index: parseInt(part),
+              summary: 'Stub summary of the email.',
+              ...classifyText(parts[i + 1], categories),
+              ...(itemSchema.properties.actionItems && EXTRACTION),
+            });
+          }
+          return results;
+        }, []),
+    };
+  }
+
+  const allowedIds = schema.properties.categoryId.enum.filter(id => id !== null);
+  return classifyText(emails, parseCategories(prompt, allowedIds));
+};
+
+const EMBEDDING_DIMENSIONS = 64;
+
+const embed = text => {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  for (const word of String(text)
+    .toLowerCase()
+    .match(/[a-z0-9]+/g) || []) {
+    let hash = 0;
+    for (const char of word) {
+      hash = (hash * 31 + char.charCodeAt(0)) % EMBEDDING_DIMENSIONS;
+    }
+    vector[hash] += 1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+};
+
+const createStubApp = () => {
+  const app = express();
+  app.use(express.json({ limit: '1mb' }));
+
+  app.get('/v1/models', (req, res) => {
+    res.json({ object: 'list', data: [{ id: 'stub', object: 'model', owned_by: 'stub' }] });
+  });
+
+  app.post('/v1/chat/completions', (req, res) => {
+    const { model, messages = [], response_format: responseFormat } = req.body;
+    const prompt = messages.map(message => message.content).join('\n');
+
+    const content =
+      responseFormat?.type === 'json_schema'
+        ? JSON.stringify(classify(prompt, responseFormat.json_schema.schema))
+        : 'Stub summary of the email.';
+
+    res.json({
+      id: `chatcmpl-stub-${Date.now()}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: model || 'stub',
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+    });
+  });
+
+  app.post('/v1/embeddings', (req, res) => {
+    const { model, input } = req.body;
+    const texts = Array.isArray(input) ? input : [input];
+
+    res.json({
+      object: 'list',
+      data: texts.map((text, index) => ({ object: 'embedding', index, embedding: embed(text) })),
+      model: model || 'stub',
+      usage: { prompt_tokens: 0, total_tokens: 0 },
+    });
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.LLM_STUB_PORT) || 11435;
+  createStubApp().listen(port, () => {
+    logger.info(`Stub language model listening on http://localhost:${port}/v1`);
+  });
+}
+
+module.exports = { createStubApp };
@@ -14,7 +14,12 @@ const accountRoutes = require('./routes/accounts');
 const unsubscribeRoutes = require('./routes/unsubscribe');
 const notificationRoutes = require('./routes/notifications');
 const testQueueRoutes = require('./routes/test-queue');
+const webhookRoutes = require('./routes/webhooks');
+const usageRoutes = require('./routes/usage');
+const digestRoutes = require('./routes/digests');
 const { scheduleEmailProcessing } = require('./jobs/emailProcessor');
+const { isPushEnabled, renewExpiringWatches } = require('./services/gmailWatch');
+const { generateDueDigests } = require('./services/digest');
 const { initializeWorkers } = require('./workers');
 const { initializeWebSocket } = require('./websocket/notificationSocket');
 
@@ -45,6 +50,9 @@ app.use(
   })
 );
 
+// Webhooks are called by Google Pub/Sub, not users, so they sit outside the IP rate limit
+app.use('/api/webhooks', express.json({ limit: '1mb' }), webhookRoutes);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -63,6 +71,8 @@ app.use('/api/categories', categoryRoutes);
 app.use('/api/emails', emailRoutes);
 app.use('/api/accounts', accountRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/digests', digestRoutes);
 app.use('/api', unsubscribeRoutes);
 app.use('/api', testQueueRoutes);
 
@@ -118,6 +128,34 @@ if (process.env.NODE_ENV === 'production') {
   });
   emailJob.start();
   logger.info('Email processing scheduled');
+
+  // Digests are scheduled per user by the hour
+  const digestJob = new CronJob('0 * * * *', async () => {
+    try {
+      const generated = await generateDueDigests();
+      logger.info(`Generated ${generated} digests`);
+    } catch (error) {
+      logger.error('Digest generation failed:', error);
+    }
+  });
+  digestJob.start();
+  logger.info('Digest generation scheduled');
+
+  if (isPushEnabled()) {
+    // Gmail watches expire after 7 days - renew daily, and once at startup
+    const renewWatches = async () => {
+      try {
+        logger.info('Starting Gmail watch renewal...');
+        await renewExpiringWatches();
+      } catch (error) {
+        logger.error('Gmail watch renewal failed:', error);
+      }
+    };
+    const watchJob = new CronJob('0 3 * * *', renewWatches);
+    watchJob.start();
+    renewWatches();
+    logger.info('Gmail push notifications enabled, watch renewal scheduled');
+  }
 }
 
 // Error handling middleware
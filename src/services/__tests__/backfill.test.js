@@ -0,0 +1,321 @@
+process.env.BACKFILL_MESSAGE_DELAY_MS = '1';
+
+const {
+  startBackfill,
+  resumeBackfill,
+  failBackfill,
+  processBackfillPage,
+  backfillOptionsSchema,
+} = require('../backfill');
+const db = require('../../config/database');
+const { emailProcessingQueue } = require('../../config/queues');
+const { processMessage } = require('../gmail');
+const { getMailProvider } = require('../providers');
+const { createNotification } = require('../../routes/notifications');
+const { sendNotification } = require('../../websocket/notificationSocket');
+
+jest.mock('../../config/database');
+jest.mock('../gmail');
+jest.mock('../providers');
+jest.mock('../../routes/notifications');
+jest.mock('../../utils/logger');
+
+describe('Backfill Service', () => {
+  let mockProvider;
+  const account = { id: 7, email: 'test@gmail.com' };
+
+  const backfillRow = overrides => ({
+    id: 5,
+    user_id: 123,
+    account_id: 7,
+    since_date: '2024-01-15',
+    archive: true,
+    status: 'running',
+    page_token: null,
+    pages_processed: 0,
+    processed_count: 0,
+    skipped_count: 0,
+    failed_count: 0,
+    ...overrides,
+  });
+
+  const pageJob = page => ({
+    data: { backfillId: 5, userId: 123, accountId: 7, accountEmail: 'test@gmail.com', page },
+  });
+
+  // Queries made before the page is listed: backfill row, user, categories
+  const mockPageSetup = backfill => {
+    db.query
+      .mockResolvedValueOnce({ rows: [backfill] })
+      .mockResolvedValueOnce({ rows: [{ name: 'Test User', email: 'test@gmail.com' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 1, name: 'Work' }] });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockReset();
+
+    mockProvider = { account, listMessages: jest.fn(), close: jest.fn() };
+    getMailProvider.mockResolvedValue(mockProvider);
+    processMessage.mockResolvedValue(true);
+    createNotification.mockResolvedValue({ id: 1, type: 'backfill_complete' });
+    emailProcessingQueue.add.mockResolvedValue({ id: 'job-1' });
+  });
+
+  describe('backfillOptionsSchema', () => {
+    it('should default archive to true', () => {
+      const { error, value } = backfillOptionsSchema.validate({ since: '2024-01-15' });
+
+      expect(error).toBeUndefined();
+      expect(value.archive).toBe(true);
+    });
+
+    it('should reject dates in the future', () => {
+      const { error } = backfillOptionsSchema.validate({ since: '2999-01-01' });
+
+      expect(error).toBeDefined();
+    });
+  });
+
+  describe('startBackfill', () => {
+    it('should create the backfill and queue its first page', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [backfillRow({ status: 'pending', archive: false })] });
+
+      const backfill = await startBackfill(123, account, { since: '2024-01-15', archive: false });
+
+      expect(db.query).toHaveBeenLastCalledWith(
+        expect.stringContaining('INSERT INTO backfill_jobs'),
+        [123, 7, '2024-01-15', false]
+      );
+      expect(emailProcessingQueue.add).toHaveBeenCalledWith(
+        'backfill-page',
+        expect.objectContaining({ backfillId: 5, accountEmail: 'test@gmail.com', page: 0 }),
+        { jobId: 'backfill-5-0', delay: 0 }
+      );
+      expect(backfill.id).toBe(5);
+    });
+
+    it('should refuse to start a second backfill for the same account', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 4 }] });
+
+      await expect(startBackfill(123, account, { since: '2024-01-15' })).rejects.toMatchObject({
+        status: 409,
+      });
+      expect(emailProcessingQueue.add).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resumeBackfill', () => {
+    it('should requeue the page after the last one completed', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [backfillRow({ status: 'pending', pages_processed: 3 })] })
+        .mockResolvedValueOnce({ rows: [{ email: 'test@gmail.com' }] });
+
+      const backfill = await resumeBackfill(123, 5);
+
+      expect(backfill.pages_processed).toBe(3);
+      expect(emailProcessingQueue.add).toHaveBeenCalledWith(
+        'backfill-page',
+        expect.objectContaining({ page: 3 }),
+        expect.objectContaining({ jobId: expect.stringMatching(/^backfill-5-3-resumed-/) })
+      );
+    });
+
+    it('should return null when the backfill cannot be resumed', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await resumeBackfill(123, 5)).toBeNull();
+      expect(emailProcessingQueue.add).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('failBackfill', () => {
+    it('should mark the backfill failed and notify the user', async () => {
+      db.query.mockResolvedValueOnce({ rows: [backfillRow({ status: 'failed' })] });
+
+      await failBackfill(5, 'test@gmail.com', 'Gmail API error');
+
+      expect(createNotification).toHaveBeenCalledWith(
+        123,
+        'backfill_failed',
+        'Email Import Failed',
+        expect.any(String),
+        expect.objectContaining({ backfillId: 5 })
+      );
+      expect(sendNotification).toHaveBeenCalled();
+    });
+  });
+
+  describe('processBackfillPage', () => {
+    it('should process new messages without archiving when asked and queue the next page', async () => {
+      mockPageSetup(backfillRow({ archive: false, page_token: 'token-1', pages_processed: 1 }));
+      mockProvider.listMessages.mockResolvedValue({
+        messageIds: ['msg1', 'msg2', 'msg3'],
+        nextPageToken: 'token-2',
+        estimatedTotal: 300,
+      });
+      db.query.mockResolvedValueOnce({ rows: [{ gmail_id: 'msg2' }] }).mockResolvedValueOnce({
+        rows: [backfillRow({ page_token: 'token-2', pages_processed: 2, processed_count: 52 })],
+      });
+
+      const result = await processBackfillPage(pageJob(1));
+
+      expect(mockProvider.listMessages).toHaveBeenCalledWith({
+        since: '2024-01-15',
+        pageToken: 'token-1',
+        pageSize: 50,
+      });
+      expect(db.query).toHaveBeenCalledWith(
+        'SELECT gmail_id FROM emails WHERE account_id = $1 AND gmail_id = ANY($2)',
+        [account.id, ['msg1', 'msg2', 'msg3']]
+      );
+      expect(processMessage).toHaveBeenCalledTimes(2);
+      expect(processMessage).toHaveBeenCalledWith(mockProvider, expect.any(Object), 'msg1', {
+        archive: false,
+      });
+      expect(processMessage).not.toHaveBeenCalledWith(
+        mockProvider,
+        expect.any(Object),
+        'msg2',
+        expect.any(Object)
+      );
+      expect(db.query).toHaveBeenLastCalledWith(expect.stringContaining('UPDATE backfill_jobs'), [
+        'running',
+        'token-2',
+        300,
+        2,
+        1,
+        0,
+        5,
+        ['pending', 'running'],
+      ]);
+      expect(sendNotification).toHaveBeenCalledWith(
+        123,
+        expect.objectContaining({ type: 'backfill_progress' })
+      );
+      expect(emailProcessingQueue.add).toHaveBeenCalledWith(
+        'backfill-page',
+        expect.objectContaining({ page: 2 }),
+        expect.objectContaining({ jobId: 'backfill-5-2' })
+      );
+      expect(result).toEqual({ backfillId: 5, page: 1, processed: 2, failed: 0, done: false });
+    });
+
+    it('should stop without continuing when cancelled during the page', async () => {
+      mockPageSetup(backfillRow({ page_token: 'token-1', pages_processed: 1 }));
+      mockProvider.listMessages.mockResolvedValue({
+        messageIds: ['msg1'],
+        nextPageToken: 'token-2',
+        estimatedTotal: 300,
+      });
+      // The user cancels after the page was read: the guarded update matches no row
+      db.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [] });
+
+      const result = await processBackfillPage(pageJob(1));
+
+      expect(db.query).toHaveBeenLastCalledWith(
+        expect.stringContaining('AND status = ANY($8)'),
+        expect.arrayContaining([['pending', 'running']])
+      );
+      expect(result).toEqual(expect.objectContaining({ backfillId: 5, stopped: true }));
+      expect(emailProcessingQueue.add).not.toHaveBeenCalled();
+      expect(sendNotification).not.toHaveBeenCalled();
+      expect(createNotification).not.toHaveBeenCalled();
+    });
+
+    it('should complete the backfill on the last page', async () => {
+      mockPageSetup(backfillRow());
+      mockProvider.listMessages.mockResolvedValue({
+        messageIds: ['msg1'],
+        nextPageToken: null,
+        estimatedTotal: 1,
+      });
+      db.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({
+        rows: [backfillRow({ status: 'completed', processed_count: 1 })],
+      });
+
+      const result = await processBackfillPage(pageJob(0));
+
+      expect(result.done).toBe(true);
+      expect(emailProcessingQueue.add).not.toHaveBeenCalled();
+      expect(createNotification).toHaveBeenCalledWith(
+        123,
+        'backfill_complete',
+        'Email Import Completed',
+        'Imported 1 older email from test@gmail.com.',
+        expect.objectContaining({ backfillId: 5 })
+      );
+    });
+
+    it('should count failed messages and carry on with the page', async () => {
+      mockPageSetup(backfillRow());
+      mockProvider.listMessages.mockResolvedValue({
+        messageIds: ['msg1', 'msg2'],
+        nextPageToken: null,
+        estimatedTotal: null,
+      });
+      processMessage.mockRejectedValueOnce(new Error('OpenAI error'));
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [backfillRow({ status: 'completed' })] });
+
+      const result = await processBackfillPage(pageJob(0));
+
+      expect(result.processed).toBe(1);
+      expect(result.failed).toBe(1);
+      expect(mockProvider.close).toHaveBeenCalled();
+    });
+
+    it('should stop when the backfill has been cancelled', async () => {
+      db.query.mockResolvedValueOnce({ rows: [backfillRow({ status: 'cancelled' })] });
+
+      const result = await processBackfillPage(pageJob(2));
+
+      expect(result).toEqual({ backfillId: 5, stopped: true });
+      expect(getMailProvider).not.toHaveBeenCalled();
+      expect(emailProcessingQueue.add).not.toHaveBeenCalled();
+    });
+
+    it('should only queue the next page when this page was already recorded', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [backfillRow({ page_token: 'token-3', pages_processed: 3 })],
+      });
+
+      const result = await processBackfillPage(pageJob(2));
+
+      expect(result.alreadyProcessed).toBe(true);
+      expect(mockProvider.listMessages).not.toHaveBeenCalled();
+      expect(emailProcessingQueue.add).toHaveBeenCalledWith(
+        'backfill-page',
+        expect.objectContaining({ page: 3 }),
+        expect.objectContaining({ jobId: 'backfill-5-3' })
+      );
+    });
+
+    it('should flag rate limit errors without recording progress', async () => {
+      mockPageSetup(backfillRow({ page_token: 'token-1', pages_processed: 1 }));
+      mockProvider.listMessages.mockResolvedValue({
+        messageIds: ['msg1'],
+        nextPageToken: 'token-2',
+        estimatedTotal: null,
+      });
+      db.query.mockResolvedValueOnce({ rows: [] });
+      processMessage.mockRejectedValueOnce(
+        Object.assign(new Error('Quota exceeded'), {
+          code: 403,
+          errors: [{ reason: 'userRateLimitExceeded' }],
+        })
+      );
+
+      await expect(processBackfillPage(pageJob(1))).rejects.toMatchObject({
+        retryAfterMs: expect.any(Number),
+      });
+      expect(db.query).not.toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE backfill_jobs'),
+        expect.any(Array)
+      );
+    });
+  });
+});
@@ -0,0 +1,321 @@
+const db = require('../../config/database');
+const { suggestCategories } = require('../openai');
+const { getBudgetMode } = require('../usage');
+const { createCategoryLabels, relabelEmails } = require('../labelMirror');
+const { learnFromCorrections } = require('../corrections');
+const {
+  formatSuggestion,
+  groupEmails,
+  generateSuggestions,
+  acceptSuggestion,
+  dismissSuggestion,
+} = require('../categorySuggestions');
+
+jest.mock('../../config/database');
+jest.mock('../openai');
+jest.mock('../usage');
+jest.mock('../labelMirror');
+jest.mock('../corrections');
+jest.mock('../../utils/logger');
+
+describe('Category Suggestions Service', () => {
+  const email = (id, sender, subject, overrides = {}) => ({
+    id,
+    sender,
+    subject,
+    ai_summary: null,
+    category_id: null,
+    embedding: null,
+    embedding_model: null,
+    ...overrides,
+  });
+
+  const travel = [
+    email(1, 'Airline <trips@mail.airline.com>', 'Your flight to Lisbon'),
+    email(2, 'trips@airline.com', 'Boarding pass for your flight'),
+    email(3, 'news@airline.com', 'Flight schedule change'),
+  ];
+  const receipts = [
+    email(4, 'anna@gmail.com', 'Receipt for the concert tickets'),
+    email(5, 'anna@gmail.com', 'Concert tickets receipt'),
+    email(6, 'anna@gmail.com', 'Another receipt: concert tickets'),
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockReset();
+    getBudgetMode.mockResolvedValue('full');
+    relabelEmails.mockResolvedValue();
+    createCategoryLabels.mockResolvedValue();
+    learnFromCorrections.mockResolvedValue();
+  });
+
+  describe('groupEmails', () => {
+    it('should group emails by sender domain and subject', () => {
+      const groups = groupEmails([
+        travel[0],
+        receipts[0],
+        travel[1],
+        receipts[1],
+        email(7, 'bob@example.org', 'Lunch?'),
+        travel[2],
+        receipts[2],
+      ]);
+
+      expect(groups.map(group => group.emails.map(item => item.id))).toEqual([
+        [1, 2, 3],
+        [4, 5, 6],
+      ]);
+    });
+
+    it('should not group different people of a mailbox provider', () => {
+      const groups = groupEmails([
+        email(1, 'anna@gmail.com', 'Hi'),
+        email(2, 'bob@gmail.com', 'Hey'),
+        email(3, 'carl@gmail.com', 'Hello'),
+      ]);
+
+      expect(groups).toEqual([]);
+    });
+
+    it('should group emails with similar embeddings of the same model', () => {
+      const embedded = (id, sender, vector, model = 'embed-1') =>
+        email(id, sender, `Subject ${id}`, {
+          embedding: JSON.stringify(vector),
+          embedding_model: model,
+        });
+
+      const groups = groupEmails([
+        embedded(1, 'a@one.com', [1, 0]),
+        embedded(2, 'b@two.com', [0.99, 0.1]),
+        embedded(3, 'c@three.com', [0.98, 0.15]),
+        embedded(4, 'd@four.com', [0.99, 0.1], 'embed-2'),
+      ]);
+
+      expect(groups.map(group => group.emails.map(item => item.id))).toEqual([[1, 2, 3]]);
+    });
+  });
+
+  describe('generateSuggestions', () => {
+    const candidates = [...travel, ...receipts];
+
+    // Queries of a run: user, categories, candidates, delete pending, then the inserts
+    const mockRun = (rows = candidates) => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ llm_settings: null, redaction_level: 'standard' }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 1, name: 'Work' },
+            { id: 2, name: 'Travel' },
+          ],
+        })
+        .mockResolvedValueOnce({ rows })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockImplementation(async (sql, params) => ({
+          rows: [
+            {
+              id: params[3][0] * 10,
+              user_id: params[0],
+              name: params[1],
+              description: params[2],
+              email_ids: params[3],
+              examples: JSON.parse(params[4]),
+              status: 'pending',
+            },
+          ],
+        }));
+    };
+
+    it('should store a named suggestion per group with example emails', async () => {
+      suggestCategories.mockResolvedValue([
+        { name: 'Flights', description: 'Flight bookings and updates' },
+        { name: 'Receipts', description: 'Receipts of purchases' },
+      ]);
+      mockRun();
+
+      const suggestions = await generateSuggestions(123);
+
+      expect(suggestions.map(formatSuggestion)).toEqual([
+        expect.objectContaining({
+          id: 10,
+          name: 'Flights',
+          description: 'Flight bookings and updates',
+          emailCount: 3,
+          emailIds: [1, 2, 3],
+        }),
+        expect.objectContaining({ id: 40, name: 'Receipts', emailIds: [4, 5, 6] }),
+      ]);
+      expect(suggestions[0].examples[0]).toEqual({
+        emailId: 1,
+        subject: 'Your flight to Lisbon',
+        sender: 'Airline <trips@mail.airline.com>',
+        summary: null,
+      });
+      expect(suggestCategories).toHaveBeenCalledWith(
+        [expect.any(Array), expect.any(Array)],
+        [
+          { id: 1, name: 'Work' },
+          { id: 2, name: 'Travel' },
+        ],
+        { settings: null, userId: 123 }
+      );
+      expect(db.query.mock.calls[3][0]).toContain('DELETE FROM category_suggestions');
+    });
+
+    it('should send redacted emails to the model', async () => {
+      suggestCategories.mockResolvedValue(null);
+      mockRun([
+        ...travel,
+        { ...receipts[0], id: 8, ai_summary: 'Call me on 415 555 0134' },
+        ...receipts,
+      ]);
+
+      await generateSuggestions(123);
+
+      const prompts = suggestCategories.mock.calls[0][0].flat();
+      expect(prompts.map(prompt => prompt.summary)).toContain('Call me on [PHONE]');
+    });
+
+    it('should name groups after their sender without the model', async () => {
+      getBudgetMode.mockResolvedValue('rules_only');
+      mockRun();
+
+      const suggestions = await generateSuggestions(123);
+
+      expect(suggestCategories).not.toHaveBeenCalled();
+      expect(suggestions.map(suggestion => [suggestion.name, suggestion.description])).toEqual([
+        ['Airline', 'Emails from airline.com'],
+        ['anna@gmail.com', 'Emails from anna@gmail.com'],
+      ]);
+    });
+
+    it('should not reuse the name of an existing category', async () => {
+      suggestCategories.mockResolvedValue([
+        { name: 'travel', description: 'Trips' },
+        { name: 'Receipts', description: 'Receipts of purchases' },
+      ]);
+      mockRun();
+
+      const suggestions = await generateSuggestions(123);
+
+      expect(suggestions[0].name).toBe('travel (2)');
+    });
+
+    it('should only clear pending suggestions when no group is large enough', async () => {
+      mockRun(travel.slice(0, 2));
+
+      expect(await generateSuggestions(123)).toEqual([]);
+      expect(suggestCategories).not.toHaveBeenCalled();
+      expect(db.query).toHaveBeenCalledTimes(4);
+    });
+  });
+
+  describe('acceptSuggestion', () => {
+    const suggestion = {
+      id: 10,
+      user_id: 123,
+      name: 'Flights',
+      description: 'Flight bookings and updates',
+      email_ids: [1, 2, 3],
+      status: 'accepted',
+    };
+    const category = { id: 9, name: 'Flights', description: 'Flight bookings and updates' };
+    const unsorted = [
+      { id: 1, account_id: 1, gmail_id: 'g1', category_id: null, sender: 'a@airline.com' },
+      { id: 3, account_id: 1, gmail_id: 'g3', category_id: 6, sender: 'b@airline.com' },
+    ];
+
+    let client;
+
+    beforeEach(() => {
+      client = { query: jest.fn(), release: jest.fn() };
+      db.connect.mockResolvedValue(client);
+    });
+
+    // Queries of an accept: BEGIN, claim, name check, insert, unsorted emails, then the rest
+    const mockAccept = ({ claimed = [suggestion], existing = [], emails = unsorted } = {}) => {
+      client.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: claimed })
+        .mockResolvedValueOnce({ rows: existing })
+        .mockResolvedValueOnce({ rows: [category] })
+        .mockResolvedValueOnce({ rows: emails })
+        .mockResolvedValue({ rows: [] });
+    };
+
+    it('should create the category and move the unsorted emails', async () => {
+      mockAccept();
+
+      const result = await acceptSuggestion(123, '10');
+
+      expect(result).toEqual({ category, movedIds: [1, 3] });
+      expect(client.query.mock.calls[3][1]).toEqual([
+        123,
+        'Flights',
+        'Flight bookings and updates',
+      ]);
+      expect(client.query.mock.calls[4][1]).toEqual([[1, 2, 3], 123]);
+      expect(client.query.mock.calls[5][0]).toContain('UPDATE emails');
+      expect(client.query.mock.calls[5][1]).toEqual([9, [1, 3], 123]);
+      expect(client.query.mock.calls[6][0]).toContain('INSERT INTO category_movements');
+      expect(client.query.mock.calls[6][1].slice(0, 4)).toEqual([123, 9, [1, 3], [null, 6]]);
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+      expect(client.release).toHaveBeenCalled();
+      expect(relabelEmails).toHaveBeenCalledWith(123, unsorted, category);
+      expect(learnFromCorrections).toHaveBeenCalledWith(123, ['a@airline.com', 'b@airline.com']);
+    });
+
+    it('should use the name and description given', async () => {
+      mockAccept();
+
+      await acceptSuggestion(123, '10', { name: 'Trips', description: 'Travel plans' });
+
+      expect(client.query.mock.calls[2][1]).toEqual([123, 'Trips']);
+      expect(client.query.mock.calls[3][1]).toEqual([123, 'Trips', 'Travel plans']);
+    });
+
+    it('should create the category when its emails were filed meanwhile', async () => {
+      mockAccept({ emails: [] });
+
+      const result = await acceptSuggestion(123, '10');
+
+      expect(result.movedIds).toEqual([]);
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+      expect(createCategoryLabels).toHaveBeenCalledWith(123, category);
+      expect(relabelEmails).not.toHaveBeenCalled();
+    });
+
+    it('should refuse names already taken and roll back', async () => {
+      mockAccept({ existing: [{ id: 2 }] });
+
+      await expect(acceptSuggestion(123, '10')).rejects.toMatchObject({ status: 400 });
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('should refuse suggestions already accepted or dismissed', async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 10 }] })
+        .mockResolvedValue({ rows: [] });
+
+      await expect(acceptSuggestion(123, '10')).rejects.toMatchObject({ status: 409 });
+    });
+
+    it('should return 404 for suggestions of other users', async () => {
+      client.query.mockResolvedValue({ rows: [] });
+
+      await expect(acceptSuggestion(123, '10')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('dismissSuggestion', () => {
+    it('should close a pending suggestion', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 10, status: 'dismissed' }] });
+
+      expect(await dismissSuggestion(123, '10')).toEqual({ id: 10, status: 'dismissed' });
+      expect(db.query.mock.calls[0][1]).toEqual(['dismissed', '10', 123]);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const db = require('../../config/database');
+const { getLearningContext, selectExamples, learnFromCorrections } = require('../corrections');
+
+jest.mock('../../config/database');
+jest.mock('../../utils/logger');
+
+describe('Corrections Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockReset();
+  });
+
+  describe('getLearningContext', () => {
+    it('should load corrections and rules once per context', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ sender: 'a@example.com', to_category: 'Work' }] })
+        .mockResolvedValueOnce({ rows: [{ pattern: 'a@example.com', category_id: 1 }] });
+      const context = { userId: 123 };
+
+      const first = await getLearningContext(context);
+      const second = await getLearningContext(context);
+
+      expect(second).toBe(first);
+      expect(db.query).toHaveBeenCalledTimes(2);
+      expect(db.query.mock.calls[0][1]).toEqual([123, 50]);
+      expect(db.query.mock.calls[1][0]).toContain('ORDER BY priority, id');
+      expect(first.rules).toHaveLength(1);
+    });
+  });
+
+  describe('selectExamples', () => {
+    const corrections = [
+      { sender: 'a@example.com', ai_summary: 'A1', from_category: 'Work', to_category: 'Promo' },
+      { sender: 'b@example.com', ai_summary: 'B1', from_category: null, to_category: 'Work' },
+      {
+        sender: 'A <a@example.com>',
+        ai_summary: 'A2',
+        from_category: 'Work',
+        to_category: 'Promo',
+      },
+      { sender: 'c@example.com', ai_summary: 'C1', from_category: 'Work', to_category: 'Bills' },
+    ];
+
+    it('should prefer corrections for the same sender and skip duplicates', () => {
+      const examples = selectExamples(corrections, 'Bee <b@example.com>', 2);
+
+      expect(examples).toEqual([
+        { sender: 'b@example.com', summary: 'B1', fromCategory: null, toCategory: 'Work' },
+        { sender: 'a@example.com', summary: 'A1', fromCategory: 'Work', toCategory: 'Promo' },
+      ]);
+    });
+
+    it('should keep one example per sender and category', () => {
+      const examples = selectExamples(corrections, 'a@example.com');
+
+      expect(examples.map(example => example.summary)).toEqual(['A1', 'B1', 'C1']);
+    });
+  });
+
+  describe('learnFromCorrections', () => {
+    it('should create a sender rule after repeated identical corrections', async () => {
+      db.query
+        .mockResolvedValueOnce({
+          rows: [{ to_category_id: 4 }, { to_category_id: 4 }, { to_category_id: 4 }],
+        })
+        .mockResolvedValueOnce({ rows: [{ id: 1, pattern: 'news@example.com', category_id: 4 }] });
+
+      const created = await learnFromCorrections(123, [
+        'News <news@example.com>',
+        'news@example.com',
+      ]);
+
+      expect(db.query).toHaveBeenCalledTimes(2);
+      expect(db.query.mock.calls[0][1]).toEqual([123, 'news@example.com', 3]);
+      expect(db.query.mock.calls[1][0]).toContain('ON CONFLICT');
+      expect(db.query.mock.calls[1][1]).toEqual([123, 4, 'news@example.com']);
+      expect(created).toHaveLength(1);
+    });
+
+    it('should not create a rule when the corrections disagree', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ to_category_id: 4 }, { to_category_id: 5 }, { to_category_id: 4 }],
+      });
+
+      const created = await learnFromCorrections(123, ['news@example.com']);
+
+      expect(created).toEqual([]);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should wait for enough corrections', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ to_category_id: 4 }, { to_category_id: 4 }] });
+
+      expect(await learnFromCorrections(123, ['news@example.com'])).toEqual([]);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,279 @@
+const db = require('../../config/database');
+const { digestCategory } = require('../openai');
+const { getGmailClient } = require('../gmail');
+const { getBudgetMode } = require('../usage');
+const { createNotification } = require('../../routes/notifications');
+const { sendNotification } = require('../../websocket/notificationSocket');
+const { isDigestDue, formatDigestText, generateDigest, generateDueDigests } = require('../digest');
+
+jest.mock('../../config/database');
+jest.mock('../openai');
+jest.mock('../gmail');
+jest.mock('../usage');
+jest.mock('../../routes/notifications');
+jest.mock('../../utils/logger');
+
+describe('Digest Service', () => {
+  const now = new Date('2024-03-13T09:30:00Z'); // a Wednesday
+
+  const user = overrides => ({
+    id: 123,
+    llm_settings: null,
+    redaction_level: 'off',
+    preferred_language: null,
+    digest_frequency: 'daily',
+    digest_hour: 8,
+    digest_email: false,
+    last_digest_at: new Date('2024-03-12T08:00:00Z'),
+    ...overrides,
+  });
+
+  const emails = [
+    { id: 1, category_id: 5, category_name: 'Work', subject: 'Report', sender: 'boss@acme.com' },
+    { id: 2, category_id: 5, category_name: 'Work', subject: 'Standup', sender: 'bob@acme.com' },
+    { id: 3, category_id: 5, category_name: 'Work', subject: 'Budget', sender: 'boss@acme.com' },
+    { id: 4, category_id: 7, category_name: 'Shopping', subject: 'Order', sender: 'shop@x.com' },
+  ].map(email => ({ ...email, ai_summary: `About the ${email.subject.toLowerCase()}` }));
+
+  const actionItems = [{ email_id: 1, description: 'Send the report', due_date: '2024-03-15' }];
+
+  // Queries of a digest run: claim, emails, action items, insert, then anything else
+  const mockRun = ({ claimed = true, rows = emails } = {}) => {
+    db.query
+      .mockResolvedValueOnce({ rows: claimed ? [{ id: 123 }] : [] })
+      .mockResolvedValueOnce({ rows })
+      .mockResolvedValueOnce({ rows: actionItems })
+      .mockImplementationOnce(async (sql, params) => ({
+        rows: [
+          {
+            id: 9,
+            user_id: params[0],
+            frequency: params[1],
+            period_start: params[2],
+            period_end: params[3],
+            email_count: params[4],
+            sections: JSON.parse(params[5]),
+          },
+        ],
+      }))
+      .mockResolvedValue({ rows: [] });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockReset();
+    getBudgetMode.mockResolvedValue('full');
+    digestCategory.mockImplementation(async category => [`Key point about ${category.name}`]);
+    createNotification.mockResolvedValue({ id: 1, type: 'digest' });
+  });
+
+  describe('isDigestDue', () => {
+    it('should be due once the hour has passed since the last digest', () => {
+      expect(isDigestDue(user(), now)).toBe(true);
+      expect(isDigestDue(user({ last_digest_at: new Date('2024-03-13T08:00:00Z') }), now)).toBe(
+        false
+      );
+      const lastAtTen = new Date('2024-03-12T10:00:00Z');
+      expect(isDigestDue(user({ digest_hour: 10, last_digest_at: lastAtTen }), now)).toBe(false);
+      expect(isDigestDue(user({ last_digest_at: null }), now)).toBe(true);
+    });
+
+    it('should be due on Mondays only for weekly digests', () => {
+      const weekly = user({
+        digest_frequency: 'weekly',
+        last_digest_at: new Date('2024-03-11T08:00:00Z'),
+      });
+
+      expect(isDigestDue(weekly, now)).toBe(false);
+      expect(isDigestDue(weekly, new Date('2024-03-18T08:05:00Z'))).toBe(true);
+    });
+
+    it('should never be due when turned off', () => {
+      expect(isDigestDue(user({ digest_frequency: 'off', last_digest_at: null }), now)).toBe(false);
+    });
+  });
+
+  describe('generateDigest', () => {
+    it('should store a section per category with key points, action items and senders', async () => {
+      mockRun();
+
+      const digest = await generateDigest(user(), now);
+
+      expect(db.query.mock.calls[0][1]).toEqual([123, now, user().last_digest_at]);
+      expect(db.query.mock.calls[1][1]).toEqual([123, user().last_digest_at, now]);
+      expect(db.query.mock.calls[2][1]).toEqual([[1, 2, 3, 4]]);
+      expect(digest.email_count).toBe(4);
+      expect(digest.sections).toEqual([
+        {
+          categoryId: 5,
+          categoryName: 'Work',
+          emailCount: 3,
+          keyPoints: ['Key point about Work'],
+          actionItems: [{ emailId: 1, description: 'Send the report', dueDate: '2024-03-15' }],
+          notableSenders: [
+            { sender: 'boss@acme.com', count: 2 },
+            { sender: 'bob@acme.com', count: 1 },
+          ],
+        },
+        {
+          categoryId: 7,
+          categoryName: 'Shopping',
+          emailCount: 1,
+          keyPoints: ['Key point about Shopping'],
+          actionItems: [],
+          notableSenders: [{ sender: 'shop@x.com', count: 1 }],
+        },
+      ]);
+      expect(digestCategory).toHaveBeenCalledWith(
+        { id: 5, name: 'Work' },
+        expect.arrayContaining([
+          { subject: 'Report', from: 'boss@acme.com', summary: 'About the report' },
+        ]),
+        { settings: null, userId: 123, language: null }
+      );
+    });
+
+    it('should notify the user in the app', async () => {
+      mockRun();
+
+      await generateDigest(user(), now);
+
+      expect(createNotification).toHaveBeenCalledWith(
+        123,
+        'digest',
+        'Your daily digest: 4 new emails',
+        '2 categories: Work, Shopping',
+        { digestId: 9 }
+      );
+      expect(sendNotification).toHaveBeenCalledWith(123, { id: 1, type: 'digest' });
+      expect(getGmailClient).not.toHaveBeenCalled();
+    });
+
+    it('should email the digest through the Gmail account when asked to', async () => {
+      const send = jest.fn().mockResolvedValue({});
+      getGmailClient.mockResolvedValue({
+        gmail: { users: { messages: { send } } },
+        account: { email: 'me@gmail.com' },
+      });
+      mockRun();
+      db.query.mockResolvedValueOnce({ rows: [{ email: 'me@gmail.com' }] });
+
+      await generateDigest(user({ digest_email: true }), now);
+
+      expect(getGmailClient).toHaveBeenCalledWith(123, 'me@gmail.com');
+      const raw = Buffer.from(send.mock.calls[0][0].resource.raw, 'base64url').toString();
+      expect(raw).toMatch(/^To: me@gmail\.com\r\n/);
+      const body = Buffer.from(raw.split('\r\n\r\n')[1], 'base64').toString();
+      expect(body).toContain('Work (3)\n- Key point about Work\nAction items:');
+      expect(body).toContain('- Send the report (due 2024-03-15)');
+      expect(db.query).toHaveBeenCalledWith('UPDATE digests SET emailed_at = NOW() WHERE id = $1', [
+        9,
+      ]);
+    });
+
+    it('should keep the digest when emailing it fails', async () => {
+      getGmailClient.mockRejectedValue(new Error('invalid_grant'));
+      mockRun();
+      db.query.mockResolvedValueOnce({ rows: [{ email: 'me@gmail.com' }] });
+
+      const digest = await generateDigest(user({ digest_email: true }), now);
+
+      expect(digest.id).toBe(9);
+    });
+
+    it('should use the summaries as key points without the model', async () => {
+      getBudgetMode.mockResolvedValue('no_summaries');
+      mockRun();
+
+      const digest = await generateDigest(user(), now);
+
+      expect(digestCategory).not.toHaveBeenCalled();
+      expect(digest.sections[1].keyPoints).toEqual(['About the order']);
+    });
+
+    it('should send redacted emails to the model', async () => {
+      mockRun({
+        rows: [{ ...emails[0], ai_summary: 'Call me on 415 555 0134' }],
+      });
+
+      await generateDigest(user({ redaction_level: 'standard' }), now);
+
+      expect(digestCategory.mock.calls[0][1][0].summary).toBe('Call me on [PHONE]');
+    });
+
+    it('should not store a digest when nothing arrived', async () => {
+      mockRun({ rows: [] });
+
+      expect(await generateDigest(user(), now)).toBeNull();
+      expect(db.query).toHaveBeenCalledTimes(2);
+      expect(createNotification).not.toHaveBeenCalled();
+    });
+
+    it('should not generate a digest already claimed by another run', async () => {
+      mockRun({ claimed: false });
+
+      expect(await generateDigest(user(), now)).toBeNull();
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should cover the last period for a first digest', async () => {
+      mockRun({ rows: [] });
+
+      await generateDigest(user({ digest_frequency: 'weekly', last_digest_at: null }), now);
+
+      expect(db.query.mock.calls[1][1][1]).toEqual(new Date('2024-03-06T09:30:00Z'));
+    });
+  });
+
+  describe('generateDueDigests', () => {
+    it('should generate the digests due and continue after failures', async () => {
+      db.query
+        .mockResolvedValueOnce({
+          rows: [
+            user({ id: 1 }),
+            user({ id: 2, digest_hour: 10, last_digest_at: new Date('2024-03-12T10:00:00Z') }),
+            user({ id: 3, last_digest_at: null }),
+          ],
+        })
+        .mockRejectedValueOnce(new Error('DB error')) // user 1
+        .mockResolvedValueOnce({ rows: [{ id: 3 }] }) // user 3
+        .mockResolvedValueOnce({ rows: [] });
+
+      const generated = await generateDueDigests(now);
+
+      expect(generated).toBe(0);
+      expect(db.query).toHaveBeenCalledTimes(4);
+      expect(db.query.mock.calls[2][1][0]).toBe(3);
+    });
+  });
+
+  describe('formatDigestText', () => {
+    it('should list each category with its key points and senders', () => {
+      const text = formatDigestText({
+        frequency: 'weekly',
+        email_count: 1,
+        period_start: '2024-03-04T08:00:00Z',
+        period_end: '2024-03-11T08:00:00Z',
+        sections: [
+          {
+            categoryName: 'Work',
+            emailCount: 1,
+            keyPoints: ['Report due Friday'],
+            actionItems: [],
+            notableSenders: [{ sender: 'boss@acme.com', count: 1 }],
+          },
+        ],
+      });
+
+      expect(text).toBe(
+        [
+          'Your weekly digest: 1 new email from 2024-03-04 to 2024-03-11',
+          '',
+          'Work (1)',
+          '- Report due Friday',
+          'Notable senders: boss@acme.com (1)',
+        ].join('\n')
+      );
+    });
+  });
+});
@@ -0,0 +1,258 @@
+const db = require('../../config/database');
+const { getModelClient } = require('../llm');
+const { recordResponseUsage } = require('../usage');
+const {
+  toVectorSql,
+  cosineSimilarity,
+  embedEmail,
+  embedEmails,
+  getCentroidsForContext,
+  classifyByEmbedding,
+  backfillEmbeddings,
+} = require('../embeddings');
+
+jest.mock('../../config/database');
+jest.mock('../llm');
+jest.mock('../usage');
+jest.mock('../../utils/logger');
+
+describe('Embeddings Service', () => {
+  const originalEnv = process.env;
+  const create = jest.fn();
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockReset();
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    db.connect.mockResolvedValue(client);
+    process.env = { ...originalEnv };
+    delete process.env.EMBEDDINGS_ENABLED;
+    getModelClient.mockReturnValue({ client: { embeddings: { create } }, model: 'embed-model' });
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('vectors', () => {
+    it('should format vectors for pgvector', () => {
+      expect(toVectorSql([0.1, -0.2, 3])).toBe('[0.1,-0.2,3]');
+    });
+
+    it('should compute the cosine similarity', () => {
+      expect(cosineSimilarity([1, 0], [2, 0])).toBeCloseTo(1);
+      expect(cosineSimilarity([1, 0], [0, 1])).toBeCloseTo(0);
+      expect(cosineSimilarity([0, 0], [1, 0])).toBe(0);
+    });
+  });
+
+  describe('embedEmail', () => {
+    it('should embed the subject and summary', async () => {
+      create.mockResolvedValue({ data: [{ embedding: [0.1, 0.2] }] });
+
+      const result = await embedEmail({ subject: 'Invoice', summary: 'Your invoice is due' });
+
+      expect(result).toEqual({ model: 'embed-model', vector: [0.1, 0.2] });
+      expect(create).toHaveBeenCalledWith({
+        model: 'embed-model',
+        input: ['Invoice\nYour invoice is due'],
+      });
+      expect(getModelClient).toHaveBeenCalledWith('embed');
+    });
+
+    it('should return null when disabled or not configured', async () => {
+      process.env.EMBEDDINGS_ENABLED = 'false';
+      expect(await embedEmail({ subject: 'A', summary: 'B' })).toBeNull();
+
+      delete process.env.EMBEDDINGS_ENABLED;
+      getModelClient.mockReturnValue(null);
+      expect(await embedEmail({ subject: 'A', summary: 'B' })).toBeNull();
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should return null when the request fails', async () => {
+      create.mockRejectedValue(new Error('Model not found'));
+
+      expect(await embedEmail({ subject: 'A', summary: 'B' })).toBeNull();
+    });
+  });
+
+  describe('embedEmails', () => {
+    it('should embed several emails in one request', async () => {
+      create.mockResolvedValue({ data: [{ embedding: [0.1] }, { embedding: [0.2] }] });
+
+      const result = await embedEmails(
+        [
+          { subject: 'A', summary: 'One' },
+          { subject: 'B', summary: 'Two' },
+        ],
+        { userId: 123 }
+      );
+
+      expect(create).toHaveBeenCalledTimes(1);
+      expect(recordResponseUsage).toHaveBeenCalledWith(123, 'embed', 'embed-model', {
+        data: [{ embedding: [0.1] }, { embedding: [0.2] }],
+      });
+      expect(create.mock.calls[0][0].input).toEqual(['A\nOne', 'B\nTwo']);
+      expect(result).toEqual([
+        { model: 'embed-model', vector: [0.1] },
+        { model: 'embed-model', vector: [0.2] },
+      ]);
+    });
+
+    it('should return one null per email when embeddings are unavailable', async () => {
+      getModelClient.mockReturnValue(null);
+
+      expect(await embedEmails([{ subject: 'A' }, { subject: 'B' }])).toEqual([null, null]);
+    });
+  });
+
+  describe('getCentroidsForContext', () => {
+    it('should load the centroids once per context', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ category_id: 1, centroid: '[1,0]', email_count: 6, updated_at: new Date() }],
+      });
+      const context = { userId: 123 };
+
+      const first = await getCentroidsForContext(context, 'embed-model');
+      const second = await getCentroidsForContext(context, 'embed-model');
+
+      expect(second).toBe(first);
+      expect(first).toEqual([{ categoryId: 1, emailCount: 6, centroid: [1, 0] }]);
+      expect(db.query).toHaveBeenCalledTimes(1);
+      expect(db.query.mock.calls[0][1]).toEqual([123, 'embed-model']);
+    });
+
+    it('should refresh missing or stale centroids', async () => {
+      const stale = new Date(Date.now() - 2 * 60 * 60 * 1000);
+      db.query
+        .mockResolvedValueOnce({
+          rows: [{ category_id: 1, centroid: '[1,0]', email_count: 6, updated_at: stale }],
+        })
+        .mockResolvedValueOnce({
+          rows: [{ category_id: 1, centroid: '[0,1]', email_count: 7, updated_at: new Date() }],
+        });
+
+      const centroids = await getCentroidsForContext({ userId: 123 }, 'embed-model');
+
+      expect(client.query.mock.calls.map(call => call[0].split(' ')[0])).toEqual([
+        'BEGIN',
+        'DELETE',
+        'INSERT',
+        'COMMIT',
+      ]);
+      expect(client.query.mock.calls[2][0]).toContain('AVG(embedding)');
+      expect(client.query.mock.calls[2][1]).toEqual([123, 'embed-model']);
+      expect(client.release).toHaveBeenCalled();
+      expect(centroids).toEqual([{ categoryId: 1, emailCount: 7, centroid: [0, 1] }]);
+    });
+
+    it('should keep the old centroids when the refresh fails', async () => {
+      const stale = new Date(Date.now() - 2 * 60 * 60 * 1000);
+      db.query.mockResolvedValueOnce({
+        rows: [{ category_id: 1, centroid: '[1,0]', email_count: 6, updated_at: stale }],
+      });
+      client.query
+        .mockResolvedValueOnce({ rows: [] }) // BEGIN
+        .mockResolvedValueOnce({ rows: [] }) // DELETE
+        .mockRejectedValueOnce(new Error('deadlock detected'));
+
+      expect(await getCentroidsForContext({ userId: 123 }, 'embed-model')).toEqual([]);
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('should fall back to no centroids when loading fails', async () => {
+      db.query.mockRejectedValue(new Error('type "vector" does not exist'));
+
+      expect(await getCentroidsForContext({ userId: 123 }, 'embed-model')).toEqual([]);
+    });
+  });
+
+  describe('classifyByEmbedding', () => {
+    const categories = [
+      { id: 1, name: 'Work' },
+      { id: 2, name: 'Newsletters' },
+    ];
+    const centroids = [
+      { categoryId: 1, emailCount: 10, centroid: [1, 0, 0] },
+      { categoryId: 2, emailCount: 10, centroid: [0, 1, 0] },
+    ];
+
+    it('should pick a category close enough to the email', () => {
+      const result = classifyByEmbedding(centroids, [0.9, 0.3, 0], categories);
+
+      expect(result.categoryId).toBe(1);
+      expect(result.confidence).toBeCloseTo(0.949, 3);
+      expect(result.rationale).toBe('Similar to 10 emails in Work (similarity 0.95)');
+    });
+
+    it('should return null when no category is close enough', () => {
+      expect(classifyByEmbedding(centroids, [0, 0, 1], categories)).toBeNull();
+    });
+
+    it('should return null when two categories are equally close', () => {
+      expect(classifyByEmbedding(centroids, [0.7, 0.7, 0], categories)).toBeNull();
+    });
+
+    it('should ignore small, deleted and mismatched categories', () => {
+      const vector = [1, 0, 0];
+
+      expect(
+        classifyByEmbedding(
+          [{ categoryId: 1, emailCount: 2, centroid: [1, 0, 0] }],
+          vector,
+          categories
+        )
+      ).toBeNull();
+      expect(
+        classifyByEmbedding(
+          [{ categoryId: 3, emailCount: 10, centroid: [1, 0, 0] }],
+          vector,
+          categories
+        )
+      ).toBeNull();
+      expect(
+        classifyByEmbedding(
+          [{ categoryId: 1, emailCount: 10, centroid: [1, 0] }],
+          vector,
+          categories
+        )
+      ).toBeNull();
+    });
+  });
+
+  describe('backfillEmbeddings', () => {
+    it('should embed emails in batches and refresh the centroids', async () => {
+      create
+        .mockResolvedValueOnce({ data: [{ embedding: [1] }] }) // probe
+        .mockResolvedValueOnce({ data: [{ embedding: [0.1] }, { embedding: [0.2] }] });
+      db.query
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 1, user_id: 123, subject: 'A', ai_summary: 'Summary A' },
+            { id: 2, user_id: 123, subject: 'B', ai_summary: null },
+          ],
+        })
+        .mockResolvedValueOnce({ rows: [] }) // UPDATE 1
+        .mockResolvedValueOnce({ rows: [] }) // UPDATE 2
+        .mockResolvedValueOnce({ rows: [] }); // next page
+
+      const count = await backfillEmbeddings({ batchSize: 2 });
+
+      expect(count).toBe(2);
+      expect(create.mock.calls[1][0].input).toEqual(['A\nSummary A', 'B']);
+      expect(db.query.mock.calls[0][1]).toEqual([0, 'embed-model', null, 2]);
+      expect(db.query.mock.calls[1][1]).toEqual(['[0.1]', 'embed-model', 1]);
+      expect(db.query.mock.calls[3][1]).toEqual([2, 'embed-model', null, 2]);
+      expect(client.query.mock.calls[2][0]).toContain('INSERT INTO category_embeddings');
+    });
+
+    it('should fail when no embedding model is configured', async () => {
+      getModelClient.mockReturnValue(null);
+
+      await expect(backfillEmbeddings()).rejects.toThrow('no embedding model is configured');
+    });
+  });
+});
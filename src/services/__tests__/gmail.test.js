@@ -1,11 +1,32 @@
 const { processNewEmails, getGmailClient } = require('../gmail');
 const { google } = require('googleapis');
 const db = require('../../config/database');
-const { categorizeEmail, summarizeEmail } = require('../openai');
+const { categorizeEmail, summarizeEmail, analyzeEmails } = require('../openai');
+const { labelMessage, applyLabelChanges } = require('../labelMirror');
+const { getLearningContext, selectExamples } = require('../corrections');
+const {
+  toVectorSql,
+  embedEmails,
+  getCentroidsForContext,
+  classifyByEmbedding,
+} = require('../embeddings');
+const { getBudgetMode } = require('../usage');
+const { assessRisk } = require('../phishing');
+const logger = require('../../utils/logger');
 
 jest.mock('googleapis');
 jest.mock('../../config/database');
-jest.mock('../openai');
+jest.mock('../openai', () => ({
+  ...jest.requireActual('../openai'),
+  categorizeEmail: jest.fn(),
+  summarizeEmail: jest.fn(),
+  analyzeEmails: jest.fn(),
+}));
+jest.mock('../labelMirror');
+jest.mock('../corrections');
+jest.mock('../embeddings');
+jest.mock('../usage');
+jest.mock('../phishing');
 jest.mock('../../utils/logger');
 
 describe('Gmail Service', () => {
@@ -14,6 +35,24 @@ describe('Gmail Service', () => {
     process.env.GOOGLE_CLIENT_ID = 'test-client-id';
     process.env.GOOGLE_CLIENT_SECRET = 'test-client-secret';
     process.env.GOOGLE_REDIRECT_URI = 'http://localhost:3000/callback';
+
+    getLearningContext.mockResolvedValue({ corrections: [], rules: [] });
+    selectExamples.mockReturnValue([]);
+    embedEmails.mockImplementation(async emails => emails.map(() => null));
+    getBudgetMode.mockResolvedValue('full');
+    assessRisk.mockResolvedValue(null);
+    // Combined analysis through the separate calls, so tests can stub them per email
+    analyzeEmails.mockImplementation(async (emails, categories, { settings }) =>
+      Promise.all(
+        emails.map(async ({ subject, from, body, examples }) => ({
+          classification: await categorizeEmail({ subject, from, body }, categories, {
+            examples,
+            settings,
+          }),
+          summary: await summarizeEmail({ subject, from, body }, { settings }),
+        }))
+      )
+    );
   });
 
   describe('getGmailClient', () => {
@@ -122,6 +161,10 @@ describe('Gmail Service', () => {
     beforeEach(() => {
       mockGmailClient = {
         users: {
+          getProfile: jest.fn().mockResolvedValue({ data: { historyId: '5000' } }),
+          history: {
+            list: jest.fn()
+          },
           messages: {
             list: jest.fn(),
             get: jest.fn(),
@@ -156,7 +199,8 @@ describe('Gmail Service', () => {
         .mockResolvedValueOnce({ rows: [mockUser] }) // Get user info
         .mockResolvedValueOnce({ rows: [mockAccount] }) // Get email account
         .mockResolvedValueOnce({ rows: mockCategories }) // Get categories
-        .mockResolvedValueOnce({ rows: [] }) // Check if email exists
+        .mockResolvedValueOnce({ rows: [] }) // Failed messages to retry
+        .mockResolvedValueOnce({ rows: [] }) // Check which emails exist
         .mockResolvedValueOnce({ rows: [] }); // Insert email
 
       mockGmailClient.users.messages.list.mockResolvedValue({
@@ -181,7 +225,7 @@ describe('Gmail Service', () => {
         }
       });
 
-      categorizeEmail.mockResolvedValue('Work');
+      categorizeEmail.mockResolvedValue({ categoryId: 1, confidence: 0.9, rationale: 'Work email' });
       summarizeEmail.mockResolvedValue('Test email summary');
 
       await processNewEmails(123);
@@ -189,7 +233,7 @@ describe('Gmail Service', () => {
       expect(mockGmailClient.users.messages.list).toHaveBeenCalledWith({
         userId: 'me',
         q: 'is:unread newer_than:7d',
-        maxResults: 50
+        maxResults: 100
       });
 
       expect(categorizeEmail).toHaveBeenCalledWith(
@@ -198,14 +242,18 @@ describe('Gmail Service', () => {
           from: 'sender@example.com',
           body: 'This is a test email'
         },
-        mockCategories
+        mockCategories,
+        { examples: [] }
       );
 
-      expect(summarizeEmail).toHaveBeenCalledWith({
-        subject: 'Test Email',
-        from: 'sender@example.com',
-        body: 'This is a test email'
-      });
+      expect(summarizeEmail).toHaveBeenCalledWith(
+        {
+          subject: 'Test Email',
+          from: 'sender@example.com',
+          body: 'This is a test email'
+        },
+        { settings: undefined }
+      );
 
       expect(mockGmailClient.users.messages.modify).toHaveBeenCalledWith({
         userId: 'me',
@@ -216,6 +264,59 @@ describe('Gmail Service', () => {
       });
     });
 
+    it('should apply the category label when the account mirrors labels', async () => {
+      const mockAccount = {
+        id: 1,
+        email: 'test@gmail.com',
+        provider: 'google',
+        mirror_labels: true,
+        access_token: 'token',
+        refresh_token: 'refresh'
+      };
+      const mockCategories = [
+        { id: 1, name: 'Work', user_id: 123 },
+        { id: 2, name: 'Personal', user_id: 123 }
+      ];
+
+      db.query
+        .mockResolvedValueOnce({ rows: [{ name: 'Test User', email: 'test@example.com' }] })
+        .mockResolvedValueOnce({ rows: [mockAccount] })
+        .mockResolvedValueOnce({ rows: mockCategories })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      mockGmailClient.users.messages.list.mockResolvedValue({
+        data: { messages: [{ id: 'msg123' }] }
+      });
+      mockGmailClient.users.messages.get.mockResolvedValue({
+        data: {
+          id: 'msg123',
+          payload: {
+            headers: [{ name: 'Subject', value: 'Test Email' }],
+            body: { data: Buffer.from('This is a test email').toString('base64') }
+          }
+        }
+      });
+
+      categorizeEmail.mockResolvedValue({ categoryId: 2, confidence: 0.9, rationale: 'Personal email' });
+      summarizeEmail.mockResolvedValue('Test email summary');
+
+      await processNewEmails(123);
+
+      expect(labelMessage).toHaveBeenCalledWith(
+        mockGmailClient,
+        mockAccount,
+        'msg123',
+        mockCategories[1]
+      );
+      expect(mockGmailClient.users.messages.modify).toHaveBeenCalledWith({
+        userId: 'me',
+        id: 'msg123',
+        resource: { removeLabelIds: ['INBOX'] }
+      });
+    });
+
     it('should skip already processed emails', async () => {
       const mockUser = { name: 'Test User', email: 'test@example.com' };
       const mockAccount = {
@@ -230,7 +331,8 @@ describe('Gmail Service', () => {
         .mockResolvedValueOnce({ rows: [mockUser] })
         .mockResolvedValueOnce({ rows: [mockAccount] })
         .mockResolvedValueOnce({ rows: mockCategories })
-        .mockResolvedValueOnce({ rows: [{ id: 1 }] }); // Email already exists
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ gmail_id: 'msg123' }] }); // Email already exists
 
       mockGmailClient.users.messages.list.mockResolvedValue({
         data: {
@@ -240,6 +342,11 @@ describe('Gmail Service', () => {
 
       await processNewEmails(123);
 
+      // Message IDs are only unique within an account
+      expect(db.query.mock.calls[4][0]).toContain(
+        'SELECT gmail_id FROM emails WHERE account_id = $1 AND gmail_id = ANY($2)'
+      );
+      expect(db.query.mock.calls[4][1]).toEqual([1, ['msg123'], 3]);
       expect(mockGmailClient.users.messages.get).not.toHaveBeenCalled();
       expect(categorizeEmail).not.toHaveBeenCalled();
       expect(summarizeEmail).not.toHaveBeenCalled();
@@ -304,6 +411,7 @@ describe('Gmail Service', () => {
         .mockResolvedValueOnce({ rows: [mockAccount] })
         .mockResolvedValueOnce({ rows: mockCategories })
         .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
         .mockResolvedValueOnce({ rows: [] });
 
       mockGmailClient.users.messages.list.mockResolvedValue({
@@ -329,7 +437,7 @@ describe('Gmail Service', () => {
         }
       });
 
-      categorizeEmail.mockResolvedValue('Marketing');
+      categorizeEmail.mockResolvedValue({ categoryId: 1, confidence: 0.9, rationale: 'Marketing email' });
       summarizeEmail.mockResolvedValue('Newsletter summary');
 
       await processNewEmails(123);
@@ -357,6 +465,7 @@ describe('Gmail Service', () => {
         .mockResolvedValueOnce({ rows: [mockAccount] })
         .mockResolvedValueOnce({ rows: mockCategories })
         .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
         .mockResolvedValueOnce({ rows: [] });
 
       mockGmailClient.users.messages.list.mockResolvedValue({
@@ -392,7 +501,7 @@ describe('Gmail Service', () => {
         }
       });
 
-      categorizeEmail.mockResolvedValue('Work');
+      categorizeEmail.mockResolvedValue({ categoryId: 1, confidence: 0.9, rationale: 'Work email' });
       summarizeEmail.mockResolvedValue('Multipart email summary');
 
       await processNewEmails(123);
@@ -401,7 +510,8 @@ describe('Gmail Service', () => {
         expect.objectContaining({
           body: expect.stringContaining('Plain text content')
         }),
-        mockCategories
+        mockCategories,
+        { examples: [] }
       );
     });
 
@@ -419,8 +529,8 @@ describe('Gmail Service', () => {
         .mockResolvedValueOnce({ rows: [mockUser] })
         .mockResolvedValueOnce({ rows: [mockAccount] })
         .mockResolvedValueOnce({ rows: mockCategories })
-        .mockResolvedValueOnce({ rows: [] }) // First email check
-        .mockResolvedValueOnce({ rows: [] }) // Second email check
+        .mockResolvedValueOnce({ rows: [] }) // Failed messages to retry
+        .mockResolvedValueOnce({ rows: [] }) // Check which emails exist
         .mockResolvedValueOnce({ rows: [] }); // Second email insert
 
       mockGmailClient.users.messages.list.mockResolvedValue({
@@ -448,7 +558,7 @@ describe('Gmail Service', () => {
           }
         });
 
-      categorizeEmail.mockResolvedValue('Work');
+      categorizeEmail.mockResolvedValue({ categoryId: 1, confidence: 0.9, rationale: 'Work email' });
       summarizeEmail.mockResolvedValue('Second email summary');
 
       await processNewEmails(123);
@@ -457,5 +567,838 @@ describe('Gmail Service', () => {
       expect(categorizeEmail).toHaveBeenCalledTimes(1);
       expect(mockGmailClient.users.messages.modify).toHaveBeenCalledTimes(1);
     });
+
+    describe('history sync', () => {
+      const mockUser = { name: 'Test User', email: 'test@example.com' };
+      const mockCategories = [{ id: 1, name: 'Work', user_id: 123 }];
+      const mockMessage = id => ({
+        data: {
+          id,
+          payload: {
+            headers: [
+              { name: 'Subject', value: `Email ${id}` },
+              { name: 'From', value: 'sender@example.com' },
+              { name: 'Date', value: 'Thu, 01 Jan 2024 00:00:00 GMT' }
+            ],
+            body: { data: Buffer.from('Body').toString('base64') }
+          }
+        }
+      });
+
+      beforeEach(() => {
+        categorizeEmail.mockResolvedValue({ categoryId: 1, confidence: 0.9, rationale: 'Work email' });
+        summarizeEmail.mockResolvedValue('Summary');
+        mockGmailClient.users.messages.get.mockImplementation(({ id }) =>
+          Promise.resolve(mockMessage(id))
+        );
+      });
+
+      it('should only fetch messages added since the stored historyId', async () => {
+        const mockAccount = { id: 1, email: 'test@gmail.com', history_id: '1000' };
+
+        db.query
+          .mockResolvedValueOnce({ rows: [mockUser] })
+          .mockResolvedValueOnce({ rows: [mockAccount] })
+          .mockResolvedValueOnce({ rows: mockCategories })
+          .mockResolvedValue({ rows: [] });
+
+        mockGmailClient.users.history.list
+          .mockResolvedValueOnce({
+            data: {
+              history: [
+                { messagesAdded: [{ message: { id: 'new1', labelIds: ['INBOX', 'UNREAD'] } }] },
+                { messagesAdded: [{ message: { id: 'sent1', labelIds: ['SENT', 'UNREAD'] } }] }
+              ],
+              historyId: '1100',
+              nextPageToken: 'page2'
+            }
+          })
+          .mockResolvedValueOnce({
+            data: {
+              history: [
+                { messagesAdded: [{ message: { id: 'read1', labelIds: ['INBOX'] } }] },
+                { messagesAdded: [{ message: { id: 'new1', labelIds: ['INBOX', 'UNREAD'] } }] }
+              ],
+              historyId: '1200'
+            }
+          });
+
+        const processed = await processNewEmails(123);
+
+        expect(mockGmailClient.users.history.list).toHaveBeenCalledWith({
+          userId: 'me',
+          startHistoryId: '1000',
+          historyTypes: ['messageAdded'],
+          pageToken: 'page2'
+        });
+        expect(mockGmailClient.users.messages.list).not.toHaveBeenCalled();
+        expect(mockGmailClient.users.messages.get).toHaveBeenCalledTimes(1);
+        expect(mockGmailClient.users.messages.get).toHaveBeenCalledWith(
+          expect.objectContaining({ id: 'new1' })
+        );
+        expect(db.query).toHaveBeenCalledWith(
+          'UPDATE email_accounts SET history_id = $1, last_synced_at = NOW() WHERE id = $2',
+          ['1200', 1]
+        );
+        expect(processed).toBe(1);
+      });
+
+      it('should categorize and summarize new messages together', async () => {
+        db.query
+          .mockResolvedValueOnce({ rows: [mockUser] })
+          .mockResolvedValueOnce({ rows: [{ id: 1, email: 'test@gmail.com' }] })
+          .mockResolvedValueOnce({ rows: mockCategories })
+          .mockResolvedValue({ rows: [] });
+        mockGmailClient.users.messages.list.mockResolvedValue({
+          data: { messages: [{ id: 'a' }, { id: 'b' }, { id: 'c' }] }
+        });
+
+        const processed = await processNewEmails(123);
+
+        expect(processed).toBe(3);
+        expect(analyzeEmails).toHaveBeenCalledTimes(1);
+        expect(analyzeEmails.mock.calls[0][0].map(email => email.subject)).toEqual([
+          'Email a',
+          'Email b',
+          'Email c'
+        ]);
+        expect(analyzeEmails.mock.calls[0][2]).toEqual({
+          settings: undefined,
+          userId: 123,
+          concurrency: 3
+        });
+        expect(embedEmails).toHaveBeenCalledTimes(1);
+        const inserted = db.query.mock.calls.filter(call => call[0].includes('INSERT INTO emails'));
+        expect(inserted.map(call => call[1][3])).toEqual(['a', 'b', 'c']);
+      });
+
+      it('should pass category label changes made in Gmail to the label mirror', async () => {
+        const mockAccount = {
+          id: 1,
+          email: 'test@gmail.com',
+          provider: 'google',
+          mirror_labels: true,
+          history_id: '1000'
+        };
+
+        db.query
+          .mockResolvedValueOnce({ rows: [mockUser] })
+          .mockResolvedValueOnce({ rows: [mockAccount] })
+          .mockResolvedValueOnce({ rows: mockCategories })
+          .mockResolvedValue({ rows: [] });
+
+        mockGmailClient.users.history.list.mockResolvedValue({
+          data: {
+            history: [
+              {
+                labelsAdded: [
+                  { message: { id: 'old1' }, labelIds: ['Label_7', 'STARRED'] }
+                ]
+              },
+              {
+                labelsRemoved: [
+                  { message: { id: 'old1' }, labelIds: ['Label_3'] },
+                  { message: { id: 'old2' }, labelIds: ['UNREAD'] }
+                ]
+              }
+            ],
+            historyId: '1100'
+          }
+        });
+
+        await processNewEmails(123);
+
+        expect(mockGmailClient.users.history.list).toHaveBeenCalledWith({
+          userId: 'me',
+          startHistoryId: '1000',
+          historyTypes: ['messageAdded', 'labelAdded', 'labelRemoved'],
+          pageToken: undefined
+        });
+        expect(applyLabelChanges).toHaveBeenCalledWith(mockAccount, [
+          { messageId: 'old1', addedLabelIds: ['Label_7'], removedLabelIds: [] },
+          { messageId: 'old1', addedLabelIds: [], removedLabelIds: ['Label_3'] }
+        ]);
+        expect(db.query).toHaveBeenCalledWith(
+          'UPDATE email_accounts SET history_id = $1, last_synced_at = NOW() WHERE id = $2',
+          ['1100', 1]
+        );
+      });
+
+      it('should fall back to a full resync when the historyId has expired', async () => {
+        const mockAccount = { id: 1, email: 'test@gmail.com', history_id: '1' };
+
+        db.query
+          .mockResolvedValueOnce({ rows: [mockUser] })
+          .mockResolvedValueOnce({ rows: [mockAccount] })
+          .mockResolvedValueOnce({ rows: mockCategories })
+          .mockResolvedValue({ rows: [] });
+
+        const notFound = new Error('Requested entity was not found.');
+        notFound.code = 404;
+        mockGmailClient.users.history.list.mockRejectedValue(notFound);
+        mockGmailClient.users.messages.list.mockResolvedValue({
+          data: { messages: [{ id: 'msg1' }] }
+        });
+
+        await processNewEmails(123);
+
+        expect(mockGmailClient.users.getProfile).toHaveBeenCalledWith({ userId: 'me' });
+        expect(mockGmailClient.users.messages.list).toHaveBeenCalled();
+        expect(db.query).toHaveBeenCalledWith(
+          'UPDATE email_accounts SET history_id = $1, last_synced_at = NOW() WHERE id = $2',
+          ['5000', 1]
+        );
+      });
+
+      it('should rethrow history errors other than 404', async () => {
+        const mockAccount = { id: 1, email: 'test@gmail.com', history_id: '1' };
+
+        db.query
+          .mockResolvedValueOnce({ rows: [mockUser] })
+          .mockResolvedValueOnce({ rows: [mockAccount] })
+          .mockResolvedValueOnce({ rows: mockCategories });
+
+        const authError = new Error('Invalid Credentials');
+        authError.code = 401;
+        mockGmailClient.users.history.list.mockRejectedValue(authError);
+
+        await expect(processNewEmails(123)).rejects.toThrow('Invalid Credentials');
+        expect(mockGmailClient.users.messages.list).not.toHaveBeenCalled();
+      });
+
+      it('should page through the full resync up to its limit', async () => {
+        const mockAccount = { id: 1, email: 'test@gmail.com' };
+
+        const page = n => ({
+          data: {
+            messages: Array.from({ length: 100 }, (_, i) => ({ id: `p${n}-${i}` })),
+            nextPageToken: `token${n + 1}`
+          }
+        });
+        for (let n = 0; n < 6; n++) {
+          mockGmailClient.users.messages.list.mockResolvedValueOnce(page(n));
+        }
+        db.query
+          .mockResolvedValueOnce({ rows: [mockUser] })
+          .mockResolvedValueOnce({ rows: [mockAccount] })
+          .mockResolvedValueOnce({ rows: mockCategories })
+          .mockResolvedValueOnce({ rows: [] })
+          // Every listed message is already processed, so none is fetched
+          .mockImplementationOnce((_, [, ids]) =>
+            Promise.resolve({ rows: ids.map(id => ({ gmail_id: id })) })
+          )
+          .mockResolvedValue({ rows: [] });
+
+        await processNewEmails(123);
+
+        expect(mockGmailClient.users.messages.list).toHaveBeenCalledTimes(5);
+        expect(mockGmailClient.users.messages.list).toHaveBeenLastCalledWith({
+          userId: 'me',
+          q: 'is:unread newer_than:7d',
+          maxResults: 100,
+          pageToken: 'token4'
+        });
+        const existingCall = db.query.mock.calls.find(call => call[0].includes('ANY($2)'));
+        expect(existingCall[1][1]).toHaveLength(500);
+        expect(mockGmailClient.users.messages.get).not.toHaveBeenCalled();
+      });
+
+      it('should move the history cursor past failed emails and record them', async () => {
+        const mockAccount = { id: 1, email: 'test@gmail.com', history_id: '1000' };
+
+        db.query
+          .mockResolvedValueOnce({ rows: [mockUser] })
+          .mockResolvedValueOnce({ rows: [mockAccount] })
+          .mockResolvedValueOnce({ rows: mockCategories })
+          .mockResolvedValue({ rows: [] });
+
+        mockGmailClient.users.history.list.mockResolvedValue({
+          data: {
+            history: [{ messagesAdded: [{ message: { id: 'bad1', labelIds: ['UNREAD'] } }] }],
+            historyId: '1100'
+          }
+        });
+        mockGmailClient.users.messages.get.mockRejectedValue(new Error('Gmail API error'));
+
+        await processNewEmails(123);
+
+        const failedInsert = db.query.mock.calls.find(call =>
+          call[0].includes('INSERT INTO failed_messages')
+        );
+        expect(failedInsert[1]).toEqual([1, ['bad1'], ['Gmail API error']]);
+        expect(db.query).toHaveBeenCalledWith(
+          'UPDATE email_accounts SET history_id = $1, last_synced_at = NOW() WHERE id = $2',
+          ['1100', 1]
+        );
+      });
+
+      it('should retry emails that failed in earlier runs', async () => {
+        const mockAccount = { id: 1, email: 'test@gmail.com', history_id: '1000' };
+
+        db.query
+          .mockResolvedValueOnce({ rows: [mockUser] })
+          .mockResolvedValueOnce({ rows: [mockAccount] })
+          .mockResolvedValueOnce({ rows: mockCategories })
+          .mockResolvedValueOnce({ rows: [{ message_id: 'old1' }, { message_id: 'old2' }] })
+          .mockResolvedValueOnce({ rows: [{ gmail_id: 'old2' }] }) // Stored meanwhile
+          .mockResolvedValue({ rows: [] });
+
+        mockGmailClient.users.history.list.mockResolvedValue({
+          data: {
+            history: [{ messagesAdded: [{ message: { id: 'new1', labelIds: ['UNREAD'] } }] }],
+            historyId: '1100'
+          }
+        });
+
+        const processed = await processNewEmails(123);
+
+        expect(db.query.mock.calls[3][1]).toEqual([1, 3]);
+        expect(processed).toBe(2);
+        const inserted = db.query.mock.calls.filter(call => call[0].includes('INSERT INTO emails'));
+        expect(inserted.map(call => call[1][3])).toEqual(['old1', 'new1']);
+        expect(db.query).toHaveBeenCalledWith(
+          'DELETE FROM failed_messages WHERE account_id = $1 AND message_id = ANY($2)',
+          [1, ['old1', 'old2']]
+        );
+      });
+
+      it('should log emails that failed too often', async () => {
+        const mockAccount = { id: 1, email: 'test@gmail.com', history_id: '1000' };
+
+        db.query
+          .mockResolvedValueOnce({ rows: [mockUser] })
+          .mockResolvedValueOnce({ rows: [mockAccount] })
+          .mockResolvedValueOnce({ rows: mockCategories })
+          .mockResolvedValueOnce({ rows: [{ message_id: 'bad1' }] })
+          .mockResolvedValueOnce({ rows: [] })
+          .mockResolvedValueOnce({ rows: [{ message_id: 'bad1', attempts: 3 }] })
+          .mockResolvedValue({ rows: [] });
+
+        mockGmailClient.users.history.list.mockResolvedValue({
+          data: { history: [], historyId: '1100' }
+        });
+        mockGmailClient.users.messages.get.mockRejectedValue(new Error('Gmail API error'));
+
+        await processNewEmails(123);
+
+        expect(logger.warn).toHaveBeenCalledWith('Giving up on 1 emails of test@gmail.com', {
+          messageIds: ['bad1']
+        });
+        expect(db.query).not.toHaveBeenCalledWith(
+          expect.stringContaining('DELETE FROM failed_messages'),
+          expect.anything()
+        );
+      });
+    });
+
+    describe('review queue', () => {
+      const mockCategories = [{ id: 1, name: 'Work', user_id: 123 }];
+
+      const runWithClassification = async (
+        classification,
+        user = {},
+        { subject = 'Hello', body = 'Body' } = {}
+      ) => {
+        db.query
+          .mockResolvedValueOnce({ rows: [{ name: 'Test User', email: 'test@example.com', ...user }] })
+          .mockResolvedValueOnce({
+            rows: [{ id: 1, email: 'test@gmail.com', provider: 'google', mirror_labels: true }]
+          })
+          .mockResolvedValueOnce({ rows: mockCategories })
+          .mockImplementation(async sql => ({
+            rows: sql.includes('INSERT INTO emails') ? [{ id: 55 }] : []
+          }));
+
+        mockGmailClient.users.messages.list.mockResolvedValue({
+          data: { messages: [{ id: 'msg1' }] }
+        });
+        mockGmailClient.users.messages.get.mockResolvedValue({
+          data: {
+            id: 'msg1',
+            payload: {
+              headers: [{ name: 'Subject', value: subject }],
+              body: { data: Buffer.from(body).toString('base64') }
+            }
+          }
+        });
+        categorizeEmail.mockResolvedValue(classification);
+        summarizeEmail.mockResolvedValue('Summary');
+
+        await processNewEmails(123);
+
+        return db.query.mock.calls.find(call => call[0].includes('INSERT INTO emails'))[1];
+      };
+
+      it('should file confident classifications and store confidence and rationale', async () => {
+        const params = await runWithClassification({
+          categoryId: 1,
+          confidence: 0.8,
+          rationale: 'A work email'
+        });
+
+        expect(params[1]).toBe(1); // category_id
+        expect(params.slice(11)).toEqual([
+          1,
+          0.8,
+          'A work email',
+          false,
+          null,
+          null,
+          null,
+          null,
+          null,
+          null,
+          null,
+          null,
+          false,
+          null,
+        ]);
+        expect(labelMessage).toHaveBeenCalled();
+      });
+
+      it('should send classifications below the user threshold to review', async () => {
+        const params = await runWithClassification(
+          { categoryId: 1, confidence: 0.8, rationale: 'Probably work' },
+          { review_threshold: 0.9 }
+        );
+
+        expect(params[1]).toBeNull();
+        expect(params.slice(11)).toEqual([
+          1,
+          0.8,
+          'Probably work',
+          true,
+          null,
+          null,
+          null,
+          null,
+          null,
+          null,
+          null,
+          null,
+          false,
+          null,
+        ]);
+        expect(labelMessage).not.toHaveBeenCalled();
+        // Still archived like any processed email
+        expect(mockGmailClient.users.messages.modify).toHaveBeenCalledWith(
+          expect.objectContaining({ resource: { removeLabelIds: ['INBOX'] } })
+        );
+      });
+
+      it('should not fall back to the first category when nothing fits', async () => {
+        const params = await runWithClassification({
+          categoryId: null,
+          confidence: 0.95,
+          rationale: 'No category fits'
+        });
+
+        expect(params[1]).toBeNull();
+        expect(params[14]).toBe(true);
+      });
+
+      it('should pass past corrections to the AI as examples', async () => {
+        const corrections = [{ sender: 'a@example.com', to_category: 'Work' }];
+        const examples = [{ sender: 'a@example.com', summary: 'A', toCategory: 'Work' }];
+        getLearningContext.mockResolvedValue({ corrections, rules: [] });
+        selectExamples.mockReturnValue(examples);
+
+        await runWithClassification({ categoryId: 1, confidence: 0.9, rationale: 'Work' });
+
+        expect(selectExamples).toHaveBeenCalledWith(corrections, 'Unknown Sender');
+        expect(categorizeEmail).toHaveBeenCalledWith(expect.any(Object), mockCategories, {
+          examples,
+        });
+      });
+
+      it('should file emails matching a rule over the AI classification', async () => {
+        getLearningContext.mockResolvedValue({
+          corrections: [],
+          rules: [
+            { id: 8, category_id: 2, match_type: 'domain', pattern: 'other.com' },
+            { id: 9, category_id: 1, match_type: 'subject', pattern: '^hel+o' }
+          ]
+        });
+
+        const params = await runWithClassification({
+          categoryId: null,
+          confidence: 0,
+          rationale: 'Unused'
+        });
+
+        expect(analyzeEmails.mock.calls[0][0][0].examples).toEqual([]);
+        expect(params[1]).toBe(1);
+        expect(params.slice(11)).toEqual([
+          1,
+          1,
+          'Matched subject rule "^hel+o"',
+          false,
+          9,
+          null,
+          null,
+          null,
+          null,
+          null,
+          null,
+          null,
+          false,
+          null,
+        ]);
+      });
+
+      it('should file emails close to a category over the AI classification', async () => {
+        const centroids = [{ categoryId: 1, emailCount: 10, centroid: [1, 0] }];
+        embedEmails.mockResolvedValue([{ model: 'embed-model', vector: [0.9, 0.1] }]);
+        getCentroidsForContext.mockResolvedValue(centroids);
+        classifyByEmbedding.mockReturnValue({
+          categoryId: 1,
+          confidence: 0.99,
+          rationale: 'Similar to 10 emails in Work',
+        });
+        toVectorSql.mockReturnValue('[0.9,0.1]');
+
+        const params = await runWithClassification({
+          categoryId: null,
+          confidence: 0,
+          rationale: 'Unused'
+        });
+
+        expect(embedEmails).toHaveBeenCalledWith([{ subject: 'Hello', summary: 'Summary' }], {
+          userId: 123
+        });
+        expect(getCentroidsForContext).toHaveBeenCalledWith(
+          expect.objectContaining({ userId: 123 }),
+          'embed-model'
+        );
+        expect(classifyByEmbedding).toHaveBeenCalledWith(centroids, [0.9, 0.1], mockCategories);
+        expect(params.slice(11)).toEqual([
+          1,
+          0.99,
+          'Similar to 10 emails in Work',
+          false,
+          null,
+          '[0.9,0.1]',
+          'embed-model',
+          null,
+          null,
+          null,
+          null,
+          null,
+          false,
+          null,
+        ]);
+      });
+
+      it('should send redacted content to the AI and store the original with counts', async () => {
+        const params = await runWithClassification(
+          { categoryId: 1, confidence: 0.9, rationale: 'Work' },
+          { redaction_level: 'standard' },
+          { subject: 'Your code is 482913', body: 'Call me on 415 555 0134' }
+        );
+
+        expect(analyzeEmails.mock.calls[0][0][0]).toMatchObject({
+          subject: 'Your code is [OTP]',
+          body: 'Call me on [PHONE]'
+        });
+        expect(params[4]).toBe('Your code is 482913');
+        expect(params[6]).toBe('Call me on 415 555 0134');
+        expect(JSON.parse(params[18])).toEqual({ otp: 1, phone: 1 });
+      });
+
+      it('should store the detected language and summarize in the preferred one', async () => {
+        const params = await runWithClassification(
+          { categoryId: 1, confidence: 0.9, rationale: 'Work' },
+          { preferred_language: 'en' },
+          { subject: 'Olá', body: 'Obrigado pela sua compra. Você não precisa fazer nada.' }
+        );
+
+        expect(analyzeEmails.mock.calls[0][2]).toMatchObject({ language: 'en' });
+        expect(params[24]).toBe('pt');
+      });
+
+      it('should store the priority and action items of the email', async () => {
+        analyzeEmails.mockResolvedValue([
+          {
+            summary: 'Sign the contract',
+            classification: { categoryId: 1, confidence: 0.9, rationale: 'Work' },
+            extraction: {
+              priority: 'urgent',
+              replyExpected: true,
+              actionItems: [
+                { description: 'Sign the contract', dueDate: '2026-10-23' },
+                { description: 'Reply to legal', dueDate: null },
+              ],
+            },
+          },
+        ]);
+        const params = await runWithClassification({});
+
+        expect(params.slice(19, 21)).toEqual(['urgent', true]);
+        const insert = db.query.mock.calls.find(call =>
+          call[0].includes('INSERT INTO email_action_items')
+        );
+        expect(insert[1]).toEqual([
+          123,
+          55,
+          ['Sign the contract', 'Reply to legal'],
+          ['2026-10-23', null],
+        ]);
+      });
+
+      it('should not insert action items for emails without any', async () => {
+        await runWithClassification({ categoryId: 1, confidence: 0.9, rationale: 'Work' });
+
+        expect(db.query.mock.calls.some(call => call[0].includes('email_action_items'))).toBe(
+          false
+        );
+      });
+
+      it('should quarantine likely phishing without a category or pending unsubscribe', async () => {
+        const signals = [{ type: 'dmarc_fail', weight: 0.6, detail: 'DMARC check failed' }];
+        assessRisk.mockResolvedValue({ score: 0.9, level: 'high', quarantined: true, signals });
+
+        const params = await runWithClassification(
+          { categoryId: 1, confidence: 0.95, rationale: 'Work' },
+          {},
+          { body: 'Leave at https://example.com/unsubscribe' }
+        );
+
+        expect(assessRisk).toHaveBeenCalledWith(
+          expect.objectContaining({ subject: 'Hello', headers: expect.any(Array) }),
+          expect.objectContaining({ useModel: true, userId: 123 })
+        );
+        expect(params[1]).toBeNull(); // category_id
+        expect(params[8]).toBe('https://example.com/unsubscribe');
+        expect(params[9]).toBeNull(); // unsubscribe_status
+        expect(params[11]).toBe(1); // ai_category_id
+        expect(params[14]).toBe(false); // needs_review
+        expect(params.slice(21, 24)).toEqual([0.9, JSON.stringify(signals), true]);
+        expect(labelMessage).not.toHaveBeenCalled();
+      });
+
+      it('should score risk without the model past the LLM budget', async () => {
+        getBudgetMode.mockResolvedValue('rules_only');
+
+        await runWithClassification({ categoryId: 1, confidence: 0.9, rationale: 'Work' });
+
+        expect(assessRisk).toHaveBeenCalledWith(
+          expect.any(Object),
+          expect.objectContaining({ useModel: false })
+        );
+      });
+
+      it('should store no redaction counts when redaction is off', async () => {
+        const params = await runWithClassification({
+          categoryId: 1,
+          confidence: 0.9,
+          rationale: 'Work'
+        });
+
+        expect(params[18]).toBeNull();
+      });
+
+      it('should only classify, with a basic summary, close to the LLM budget', async () => {
+        getBudgetMode.mockResolvedValue('no_summaries');
+
+        const params = await runWithClassification({
+          categoryId: 1,
+          confidence: 0.9,
+          rationale: 'Work'
+        });
+
+        expect(analyzeEmails).not.toHaveBeenCalled();
+        expect(embedEmails).not.toHaveBeenCalled();
+        expect(categorizeEmail).toHaveBeenCalledWith(
+          { subject: 'Hello', from: 'Unknown Sender', body: 'Body' },
+          mockCategories,
+          { examples: [], settings: undefined, userId: 123 }
+        );
+        expect(params[1]).toBe(1);
+        expect(params[7]).toBe('Email from Unknown Sender with subject: Hello');
+      });
+
+      it('should only apply rules past the LLM budget', async () => {
+        getBudgetMode.mockResolvedValue('rules_only');
+
+        const params = await runWithClassification({
+          categoryId: 1,
+          confidence: 0.9,
+          rationale: 'Work'
+        });
+
+        expect(analyzeEmails).not.toHaveBeenCalled();
+        expect(categorizeEmail).not.toHaveBeenCalled();
+        expect(params[1]).toBeNull();
+        expect(params.slice(11, 15)).toEqual([null, 0, 'LLM budget exceeded', true]);
+      });
+
+      it('should keep the AI classification when the embedding is ambiguous', async () => {
+        embedEmails.mockResolvedValue([{ model: 'embed-model', vector: [0.5, 0.5] }]);
+        getCentroidsForContext.mockResolvedValue([]);
+        classifyByEmbedding.mockReturnValue(null);
+
+        const params = await runWithClassification({
+          categoryId: 1,
+          confidence: 0.9,
+          rationale: 'Work'
+        });
+
+        expect(categorizeEmail).toHaveBeenCalled();
+        expect(params[12]).toBe(0.9);
+        expect(params[17]).toBe('embed-model');
+      });
+    });
+
+    describe('ingestion policy', () => {
+      const mockUser = { name: 'Test User', email: 'test@example.com' };
+      const mockCategories = [{ id: 1, name: 'Work', user_id: 123 }];
+      const mockMessage = (id, labelIds = ['INBOX', 'UNREAD']) => ({
+        data: {
+          id,
+          labelIds,
+          payload: {
+            headers: [
+              { name: 'Subject', value: `Email ${id}` },
+              { name: 'From', value: 'sender@example.com' }
+            ],
+            body: { data: Buffer.from('Body').toString('base64') }
+          }
+        }
+      });
+
+      const runWithPolicy = async (ingestionPolicy, accountFields = {}) => {
+        const mockAccount = {
+          id: 1,
+          email: 'test@gmail.com',
+          provider: 'google',
+          history_id: '1000',
+          ingestion_policy: ingestionPolicy,
+          ...accountFields
+        };
+
+        db.query
+          .mockResolvedValueOnce({ rows: [mockUser] })
+          .mockResolvedValueOnce({ rows: [mockAccount] })
+          .mockResolvedValueOnce({ rows: mockCategories })
+          .mockResolvedValue({ rows: [] });
+
+        return processNewEmails(123);
+      };
+
+      const cursorUpdate = () =>
+        db.query.mock.calls.find(call => call[0].includes('SET history_id'));
+
+      beforeEach(() => {
+        categorizeEmail.mockResolvedValue({ categoryId: 1, confidence: 0.9, rationale: 'Work email' });
+        summarizeEmail.mockResolvedValue('Summary');
+        mockGmailClient.users.messages.get.mockImplementation(({ id }) =>
+          Promise.resolve(mockMessage(id))
+        );
+        mockGmailClient.users.history.list.mockResolvedValue({
+          data: {
+            history: [
+              { messagesAdded: [{ message: { id: 'msg1', labelIds: ['INBOX', 'UNREAD'] } }] },
+              { messagesAdded: [{ message: { id: 'msg2', labelIds: ['INBOX', 'UNREAD'] } }] },
+              { messagesAdded: [{ message: { id: 'msg3', labelIds: ['INBOX', 'UNREAD'] } }] }
+            ],
+            historyId: '1100'
+          }
+        });
+      });
+
+      it('should search with the custom query since the last sync', async () => {
+        mockGmailClient.users.messages.list.mockResolvedValue({
+          data: { messages: [{ id: 'promo1' }] }
+        });
+
+        const processed = await runWithPolicy(
+          { query: 'category:promotions' },
+          { last_synced_at: '2024-01-01T12:00:00Z' }
+        );
+
+        const since = (Date.parse('2024-01-01T12:00:00Z') - 60 * 60 * 1000) / 1000;
+        expect(mockGmailClient.users.messages.list).toHaveBeenCalledWith({
+          userId: 'me',
+          q: `(category:promotions) after:${since}`,
+          maxResults: 100
+        });
+        expect(mockGmailClient.users.history.list).not.toHaveBeenCalled();
+        expect(processed).toBe(1);
+        expect(cursorUpdate()[1]).toEqual(['5000', 1]);
+      });
+
+      it('should leave messages with an excluded label alone', async () => {
+        mockGmailClient.users.messages.get.mockImplementation(({ id }) =>
+          Promise.resolve(mockMessage(id, id === 'msg2' ? ['INBOX', 'STARRED'] : ['INBOX']))
+        );
+
+        const processed = await runWithPolicy({ excludeLabels: ['starred'] });
+
+        expect(db.query).toHaveBeenCalledWith(
+          expect.stringContaining('INSERT INTO skipped_messages'),
+          [1, ['msg2']]
+        );
+        expect(processed).toBe(2);
+        expect(summarizeEmail).toHaveBeenCalledTimes(2);
+        expect(mockGmailClient.users.messages.modify).not.toHaveBeenCalledWith(
+          expect.objectContaining({ id: 'msg2' })
+        );
+        expect(cursorUpdate()).toBeDefined();
+      });
+
+      it('should mark messages as read instead of archiving them', async () => {
+        await runWithPolicy({ archive: false, markAsRead: true });
+
+        expect(mockGmailClient.users.messages.modify).toHaveBeenCalledTimes(3);
+        expect(mockGmailClient.users.messages.modify).toHaveBeenCalledWith({
+          userId: 'me',
+          id: 'msg1',
+          resource: { removeLabelIds: ['UNREAD'] }
+        });
+        expect(mockGmailClient.users.messages.modify).not.toHaveBeenCalledWith(
+          expect.objectContaining({ resource: { removeLabelIds: ['INBOX'] } })
+        );
+      });
+
+      it('should defer messages over the per-run limit and keep the cursor', async () => {
+        const processed = await runWithPolicy({ maxMessagesPerRun: 2 });
+
+        expect(processed).toBe(2);
+        expect(mockGmailClient.users.messages.get).not.toHaveBeenCalledWith(
+          expect.objectContaining({ id: 'msg3' })
+        );
+        expect(cursorUpdate()).toBeUndefined();
+      });
+
+      it('should leave skipped and given up messages out of the per-run limit', async () => {
+        db.query
+          .mockResolvedValueOnce({ rows: [mockUser] })
+          .mockResolvedValueOnce({
+            rows: [
+              {
+                id: 1,
+                email: 'test@gmail.com',
+                provider: 'google',
+                history_id: '1000',
+                ingestion_policy: { maxMessagesPerRun: 1 }
+              }
+            ]
+          })
+          .mockResolvedValueOnce({ rows: mockCategories })
+          .mockResolvedValueOnce({ rows: [] }) // Failed messages to retry
+          // msg1 was excluded by the policy and msg2 failed too often in earlier runs
+          .mockResolvedValueOnce({ rows: [{ gmail_id: 'msg1' }, { gmail_id: 'msg2' }] })
+          .mockResolvedValue({ rows: [] });
+
+        const processed = await processNewEmails(123);
+
+        expect(processed).toBe(1);
+        expect(mockGmailClient.users.messages.get).toHaveBeenCalledTimes(1);
+        expect(mockGmailClient.users.messages.get).toHaveBeenCalledWith(
+          expect.objectContaining({ id: 'msg3' })
+        );
+        expect(cursorUpdate()[1]).toEqual(['1100', 1]);
+      });
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,105 @@
+const { watchAccount, stopWatch, renewExpiringWatches } = require('../gmailWatch');
+const { getGmailClient } = require('../gmail');
+const db = require('../../config/database');
+
+jest.mock('googleapis');
+jest.mock('../../config/database');
+jest.mock('../gmail');
+jest.mock('../../utils/logger');
+
+describe('Gmail Watch Service', () => {
+  let mockGmail;
+  const mockAccount = { id: 1, email: 'test@gmail.com' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.GMAIL_PUBSUB_TOPIC = 'projects/test-project/topics/gmail-push';
+
+    mockGmail = {
+      users: {
+        watch: jest.fn().mockResolvedValue({
+          data: { historyId: '9876', expiration: '1767225600000' },
+        }),
+        stop: jest.fn().mockResolvedValue({}),
+      },
+    };
+    getGmailClient.mockResolvedValue({ gmail: mockGmail, account: mockAccount });
+    db.query.mockResolvedValue({ rows: [] });
+  });
+
+  afterAll(() => {
+    delete process.env.GMAIL_PUBSUB_TOPIC;
+  });
+
+  describe('watchAccount', () => {
+    it('should call users.watch on the INBOX and store the expiration', async () => {
+      const result = await watchAccount(123, 'test@gmail.com');
+
+      expect(getGmailClient).toHaveBeenCalledWith(123, 'test@gmail.com');
+      expect(mockGmail.users.watch).toHaveBeenCalledWith({
+        userId: 'me',
+        requestBody: {
+          topicName: 'projects/test-project/topics/gmail-push',
+          labelIds: ['INBOX'],
+          labelFilterAction: 'include',
+        },
+      });
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('SET watch_expiration = $1'), [
+        new Date(1767225600000),
+        '9876',
+        1,
+      ]);
+      expect(result).toEqual({ historyId: '9876', expiration: new Date(1767225600000) });
+    });
+
+    it('should throw when no Pub/Sub topic is configured', async () => {
+      delete process.env.GMAIL_PUBSUB_TOPIC;
+
+      await expect(watchAccount(123, 'test@gmail.com')).rejects.toThrow(
+        'GMAIL_PUBSUB_TOPIC is not configured'
+      );
+      expect(mockGmail.users.watch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('stopWatch', () => {
+    it('should call users.stop and clear the stored watch', async () => {
+      await stopWatch(123, 'test@gmail.com');
+
+      expect(mockGmail.users.stop).toHaveBeenCalledWith({ userId: 'me' });
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining('SET watch_expiration = NULL'),
+        [1]
+      );
+    });
+  });
+
+  describe('renewExpiringWatches', () => {
+    it('should renew every expiring account and keep going after failures', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [
+          { user_id: 1, email: 'a@gmail.com' },
+          { user_id: 2, email: 'b@gmail.com' },
+        ],
+      });
+      mockGmail.users.watch
+        .mockRejectedValueOnce(new Error('Invalid credentials'))
+        .mockResolvedValueOnce({ data: { historyId: '1', expiration: '1767225600000' } });
+
+      const result = await renewExpiringWatches();
+
+      expect(getGmailClient).toHaveBeenCalledWith(1, 'a@gmail.com');
+      expect(getGmailClient).toHaveBeenCalledWith(2, 'b@gmail.com');
+      expect(result).toEqual({ renewed: 1, failed: 1 });
+    });
+
+    it('should do nothing when push notifications are disabled', async () => {
+      delete process.env.GMAIL_PUBSUB_TOPIC;
+
+      const result = await renewExpiringWatches();
+
+      expect(db.query).not.toHaveBeenCalled();
+      expect(result).toEqual({ renewed: 0, failed: 0 });
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const { getIngestionPolicy, hasExcludedLabel } = require('../ingestionPolicy');
+const logger = require('../../utils/logger');
+
+jest.mock('../../utils/logger');
+
+describe('Ingestion Policy', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getIngestionPolicy', () => {
+    it('should fill in defaults for accounts without a policy', () => {
+      expect(getIngestionPolicy({ email: 'test@gmail.com', ingestion_policy: {} })).toEqual({
+        query: null,
+        archive: true,
+        markAsRead: false,
+        excludeLabels: [],
+        maxMessagesPerRun: 500,
+      });
+    });
+
+    it('should keep stored values and drop unknown fields', () => {
+      const policy = getIngestionPolicy({
+        email: 'test@gmail.com',
+        ingestion_policy: { archive: false, maxMessagesPerRun: 20, legacy: true },
+      });
+
+      expect(policy).toMatchObject({ archive: false, maxMessagesPerRun: 20 });
+      expect(policy).not.toHaveProperty('legacy');
+    });
+
+    it('should fall back to the defaults when the stored policy is invalid', () => {
+      const policy = getIngestionPolicy({
+        email: 'test@gmail.com',
+        ingestion_policy: { maxMessagesPerRun: -1 },
+      });
+
+      expect(policy.maxMessagesPerRun).toBe(500);
+      expect(logger.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('hasExcludedLabel', () => {
+    it('should match label names case-insensitively', () => {
+      const policy = { excludeLabels: ['starred', 'Receipts'] };
+
+      expect(hasExcludedLabel(['INBOX', 'STARRED'], policy)).toBe(true);
+      expect(hasExcludedLabel(['receipts'], policy)).toBe(true);
+      expect(hasExcludedLabel(['INBOX', 'UNREAD'], policy)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,309 @@
+const db = require('../../config/database');
+const { createGmailClient } = require('../providers/gmail');
+const { learnFromCorrections } = require('../corrections');
+const {
+  getLabelName,
+  labelMessage,
+  relabelEmails,
+  applyLabelChanges,
+  syncAccountLabels,
+  renameCategoryLabels,
+  deleteCategoryLabels,
+} = require('../labelMirror');
+
+jest.mock('../../config/database');
+jest.mock('../providers/gmail');
+jest.mock('../corrections');
+jest.mock('../../utils/logger');
+
+describe('Label Mirror Service', () => {
+  let mockGmail;
+
+  const account = {
+    id: 1,
+    user_id: 123,
+    email: 'test@gmail.com',
+    provider: 'google',
+    mirror_labels: true,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockReset();
+    learnFromCorrections.mockResolvedValue([]);
+
+    mockGmail = {
+      users: {
+        labels: {
+          list: jest
+            .fn()
+            .mockResolvedValue({ data: { labels: [{ id: 'Label_1', name: 'Sorted' }] } }),
+          create: jest.fn().mockResolvedValue({ data: { id: 'Label_2' } }),
+          patch: jest.fn().mockResolvedValue({}),
+          delete: jest.fn().mockResolvedValue({}),
+        },
+        messages: {
+          modify: jest.fn().mockResolvedValue({}),
+          batchModify: jest.fn().mockResolvedValue({}),
+        },
+      },
+    };
+    createGmailClient.mockReturnValue(mockGmail);
+  });
+
+  it('should nest category labels under the prefix', () => {
+    expect(getLabelName('Newsletters')).toBe('Sorted/Newsletters');
+  });
+
+  describe('labelMessage', () => {
+    it('should create a missing label, remember it and apply it', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] }) // No stored label
+        .mockResolvedValueOnce({ rows: [] }); // Store label
+
+      await labelMessage(mockGmail, account, 'msg1', { id: 5, name: 'Newsletters' });
+
+      // The parent label already exists, only the category label is created
+      expect(mockGmail.users.labels.create).toHaveBeenCalledTimes(1);
+      expect(mockGmail.users.labels.create).toHaveBeenCalledWith({
+        userId: 'me',
+        requestBody: {
+          name: 'Sorted/Newsletters',
+          labelListVisibility: 'labelShow',
+          messageListVisibility: 'show',
+        },
+      });
+      expect(db.query).toHaveBeenLastCalledWith(
+        expect.stringContaining('INSERT INTO category_labels'),
+        [5, 1, 'Label_2']
+      );
+      expect(mockGmail.users.messages.modify).toHaveBeenCalledWith({
+        userId: 'me',
+        id: 'msg1',
+        resource: { addLabelIds: ['Label_2'] },
+      });
+    });
+
+    it('should reuse the stored label ID', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ label_id: 'Label_9' }] });
+
+      await labelMessage(mockGmail, account, 'msg1', { id: 5, name: 'Newsletters' });
+
+      expect(mockGmail.users.labels.list).not.toHaveBeenCalled();
+      expect(mockGmail.users.messages.modify).toHaveBeenCalledWith(
+        expect.objectContaining({ resource: { addLabelIds: ['Label_9'] } })
+      );
+    });
+
+    it('should not throw and should keep the stored labels when Gmail rejects the call', async () => {
+      const error = new Error('Invalid label: Label_9');
+      error.code = 400;
+      db.query.mockResolvedValueOnce({ rows: [{ label_id: 'Label_9' }] });
+      mockGmail.users.messages.modify.mockRejectedValue(error);
+
+      await expect(
+        labelMessage(mockGmail, account, 'msg1', { id: 5, name: 'Newsletters' })
+      ).resolves.toBeUndefined();
+
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should forget a stored label deleted in Gmail', async () => {
+      const error = new Error('Label not found');
+      error.code = 404;
+      db.query.mockResolvedValueOnce({ rows: [{ label_id: 'Label_9' }] }).mockResolvedValueOnce({});
+      mockGmail.users.messages.modify.mockRejectedValue(error);
+
+      await labelMessage(mockGmail, account, 'msg1', { id: 5, name: 'Newsletters' });
+
+      expect(db.query).toHaveBeenLastCalledWith(
+        'DELETE FROM category_labels WHERE account_id = $1 AND label_id = ANY($2)',
+        [1, ['Label_9']]
+      );
+    });
+
+    it('should keep the stored label when the message is gone', async () => {
+      const error = new Error('Requested entity was not found.');
+      error.code = 404;
+      db.query.mockResolvedValueOnce({ rows: [{ label_id: 'Label_1' }] });
+      mockGmail.users.messages.modify.mockRejectedValue(error);
+
+      await labelMessage(mockGmail, account, 'msg1', { id: 5, name: 'Newsletters' });
+
+      expect(mockGmail.users.labels.list).toHaveBeenCalled();
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('relabelEmails', () => {
+    it('should swap category labels on the moved messages of mirroring accounts', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [account] }) // Mirroring accounts
+        .mockResolvedValueOnce({ rows: [{ label_id: 'Label_7' }] }) // Target label
+        .mockResolvedValueOnce({ rows: [{ label_id: 'Label_3' }, { label_id: 'Label_4' }] });
+
+      await relabelEmails(
+        123,
+        [
+          { id: 'e1', account_id: 1, gmail_id: 'msg1' },
+          { id: 'e2', account_id: 2, gmail_id: 'msg2' },
+        ],
+        { id: 7, name: 'Personal' }
+      );
+
+      expect(mockGmail.users.messages.batchModify).toHaveBeenCalledWith({
+        userId: 'me',
+        requestBody: {
+          ids: ['msg1'],
+          addLabelIds: ['Label_7'],
+          removeLabelIds: ['Label_3', 'Label_4'],
+        },
+      });
+    });
+
+    it('should only forget the labels deleted in Gmail when a batch fails', async () => {
+      const error = new Error('Label not found');
+      error.code = 404;
+      db.query
+        .mockResolvedValueOnce({ rows: [account] })
+        .mockResolvedValueOnce({ rows: [{ label_id: 'Label_7' }] })
+        .mockResolvedValueOnce({ rows: [{ label_id: 'Label_1' }, { label_id: 'Label_4' }] })
+        .mockResolvedValueOnce({});
+      mockGmail.users.messages.batchModify.mockRejectedValue(error);
+
+      await relabelEmails(123, [{ id: 'e1', account_id: 1, gmail_id: 'msg1' }], { id: 7 });
+
+      expect(db.query).toHaveBeenLastCalledWith(
+        'DELETE FROM category_labels WHERE account_id = $1 AND label_id = ANY($2)',
+        [1, ['Label_7', 'Label_4']]
+      );
+    });
+
+    it('should do nothing when no account mirrors labels', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await relabelEmails(123, [{ id: 'e1', account_id: 1, gmail_id: 'msg1' }], { id: 7 });
+
+      expect(createGmailClient).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('applyLabelChanges', () => {
+    const mappedLabels = {
+      rows: [
+        { category_id: 3, label_id: 'Label_3' },
+        { category_id: 7, label_id: 'Label_7' },
+        { category_id: 8, label_id: 'Label_8' },
+      ],
+    };
+
+    it('should move emails to the category whose label was added and record it', async () => {
+      db.query
+        .mockResolvedValueOnce(mappedLabels)
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 11, gmail_id: 'msg1', category_id: 3, sender: 'a@example.com', ai_summary: 'A' },
+            { id: 12, gmail_id: 'msg2', category_id: 7, sender: 'b@example.com', ai_summary: 'B' },
+          ],
+        })
+        .mockResolvedValue({ rows: [] });
+
+      const moved = await applyLabelChanges(account, [
+        { messageId: 'msg1', addedLabelIds: ['Label_8'], removedLabelIds: [] },
+        { messageId: 'msg1', addedLabelIds: ['Label_7'], removedLabelIds: [] },
+        { messageId: 'msg2', addedLabelIds: ['Label_7'], removedLabelIds: [] },
+        { messageId: 'msg3', addedLabelIds: ['Label_99'], removedLabelIds: [] },
+      ]);
+
+      expect(moved).toBe(1);
+      expect(db.query.mock.calls[1][0]).toContain('AND quarantined = false');
+      expect(db.query.mock.calls[1][1]).toEqual([1, ['msg1', 'msg2']]);
+      expect(db.query).toHaveBeenCalledWith(
+        'UPDATE emails SET category_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [7, 11]
+      );
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO category_movements'),
+        [123, 11, 3, 7, 'a@example.com', 'A']
+      );
+      expect(mockGmail.users.messages.modify).toHaveBeenCalledTimes(1);
+      expect(mockGmail.users.messages.modify).toHaveBeenCalledWith({
+        userId: 'me',
+        id: 'msg1',
+        resource: { removeLabelIds: ['Label_3', 'Label_8'] },
+      });
+      expect(learnFromCorrections).toHaveBeenCalledWith(123, ['a@example.com']);
+    });
+
+    it('should ignore removed category labels without a replacement', async () => {
+      db.query.mockResolvedValueOnce(mappedLabels);
+
+      const moved = await applyLabelChanges(account, [
+        { messageId: 'msg1', addedLabelIds: [], removedLabelIds: ['Label_3'] },
+      ]);
+
+      expect(moved).toBe(0);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('syncAccountLabels', () => {
+    it('should create a label for every category', async () => {
+      db.query
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 5, name: 'Newsletters' },
+            { id: 6, name: 'Work' },
+          ],
+        })
+        .mockResolvedValueOnce({ rows: [{ label_id: 'Label_5' }] }) // Newsletters already mirrored
+        .mockResolvedValueOnce({ rows: [] }) // Work is new
+        .mockResolvedValueOnce({ rows: [] });
+
+      const count = await syncAccountLabels(account);
+
+      expect(count).toBe(2);
+      expect(mockGmail.users.labels.create).toHaveBeenCalledTimes(1);
+      expect(mockGmail.users.labels.create.mock.calls[0][0].requestBody.name).toBe('Sorted/Work');
+    });
+  });
+
+  describe('renameCategoryLabels', () => {
+    it('should rename the stored labels in place', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...account, label_id: 'Label_5' }] });
+
+      await renameCategoryLabels(123, { id: 5, name: 'Updates' });
+
+      expect(mockGmail.users.labels.patch).toHaveBeenCalledWith({
+        userId: 'me',
+        id: 'Label_5',
+        requestBody: { name: 'Sorted/Updates' },
+      });
+    });
+  });
+
+  describe('deleteCategoryLabels', () => {
+    it('should delete the labels in Gmail and forget them', async () => {
+      const notFound = new Error('Not Found');
+      notFound.code = 404;
+      db.query
+        .mockResolvedValueOnce({
+          rows: [
+            { ...account, label_id: 'Label_5' },
+            { ...account, id: 2, label_id: 'Label_8' },
+          ],
+        })
+        .mockResolvedValueOnce({});
+      mockGmail.users.labels.delete.mockResolvedValueOnce({}).mockRejectedValueOnce(notFound);
+
+      await deleteCategoryLabels(123, 5);
+
+      expect(mockGmail.users.labels.delete).toHaveBeenCalledWith({ userId: 'me', id: 'Label_5' });
+      expect(mockGmail.users.labels.delete).toHaveBeenCalledWith({ userId: 'me', id: 'Label_8' });
+      expect(db.query).toHaveBeenLastCalledWith(
+        'DELETE FROM category_labels WHERE category_id = $1 AND account_id = ANY($2)',
+        [5, [1, 2]]
+      );
+    });
+  });
+});
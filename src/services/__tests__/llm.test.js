@@ -0,0 +1,135 @@
+const OpenAI = require('openai');
+const { encrypt } = require('../../utils/encryption');
+const {
+  llmSettingsSchema,
+  resolveModel,
+  getModelClient,
+  toStoredSettings,
+  formatSettings,
+} = require('../llm');
+
+jest.mock('openai');
+jest.mock('../../utils/logger');
+
+describe('LLM Service', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv, CREDENTIALS_ENCRYPTION_KEY: 'a'.repeat(64) };
+    delete process.env.OPENAI_API_KEY;
+    delete process.env.OPENAI_CLASSIFICATION_MODEL;
+    delete process.env.LLM_BASE_URL;
+    delete process.env.LLM_API_KEY;
+    delete process.env.LLM_ALLOW_USER_ENDPOINTS;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('resolveModel', () => {
+    it('should return null when no model is configured', () => {
+      expect(resolveModel('categorize')).toBeNull();
+    });
+
+    it('should use the default model of each task with an OpenAI key', () => {
+      process.env.OPENAI_API_KEY = 'sk-test';
+
+      expect(resolveModel('categorize')).toEqual({
+        baseUrl: null,
+        apiKey: 'sk-test',
+        model: 'gpt-4o-mini',
+      });
+      expect(resolveModel('summarize').model).toBe('gpt-3.5-turbo');
+      expect(resolveModel('unsubscribe').model).toBe('gpt-4o');
+    });
+
+    it('should support a local endpoint without an API key', () => {
+      process.env.LLM_BASE_URL = 'http://localhost:11434/v1';
+      process.env.LLM_SUMMARIZE_MODEL = 'llama3.1:8b';
+
+      expect(resolveModel('summarize')).toEqual({
+        baseUrl: 'http://localhost:11434/v1',
+        apiKey: 'not-needed',
+        model: 'llama3.1:8b',
+      });
+    });
+
+    it('should keep supporting the classification model variable', () => {
+      process.env.OPENAI_API_KEY = 'sk-test';
+      process.env.OPENAI_CLASSIFICATION_MODEL = 'gpt-4o';
+
+      expect(resolveModel('categorize').model).toBe('gpt-4o');
+    });
+
+    it('should prefer the models from the user settings', () => {
+      process.env.OPENAI_API_KEY = 'sk-test';
+
+      const resolved = resolveModel('categorize', { models: { categorize: 'gpt-4.1-mini' } });
+
+      expect(resolved.model).toBe('gpt-4.1-mini');
+      expect(resolved.apiKey).toBe('sk-test');
+    });
+
+    it('should only use a user endpoint when the deployment allows it', () => {
+      process.env.OPENAI_API_KEY = 'sk-test';
+      const settings = { baseUrl: 'https://llm.example.com/v1', apiKey: encrypt('user-key') };
+
+      expect(resolveModel('categorize', settings).baseUrl).toBeNull();
+
+      process.env.LLM_ALLOW_USER_ENDPOINTS = 'true';
+      expect(resolveModel('categorize', settings)).toEqual({
+        baseUrl: 'https://llm.example.com/v1',
+        apiKey: 'user-key',
+        model: 'gpt-4o-mini',
+      });
+    });
+  });
+
+  describe('getModelClient', () => {
+    it('should reuse one client per endpoint and key', () => {
+      process.env.LLM_BASE_URL = 'http://localhost:8000/v1';
+
+      const first = getModelClient('categorize');
+      const second = getModelClient('summarize');
+
+      expect(second.client).toBe(first.client);
+      expect(OpenAI).toHaveBeenCalledTimes(1);
+      expect(OpenAI).toHaveBeenCalledWith({
+        apiKey: 'not-needed',
+        baseURL: 'http://localhost:8000/v1',
+      });
+    });
+
+    it('should return null when no model is configured', () => {
+      expect(getModelClient('summarize')).toBeNull();
+    });
+  });
+
+  describe('settings', () => {
+    it('should validate the settings', () => {
+      expect(llmSettingsSchema.validate({ baseUrl: 'ftp://example.com' }).error).toBeDefined();
+      expect(llmSettingsSchema.validate({ models: { translate: 'x' } }).error).toBeDefined();
+      expect(llmSettingsSchema.validate({ models: { summarize: 'llama3' } }).value).toEqual({
+        models: { summarize: 'llama3' },
+      });
+    });
+
+    it('should encrypt a new API key and keep the stored one otherwise', () => {
+      const stored = toStoredSettings({ baseUrl: 'http://x/v1', apiKey: 'secret', models: {} });
+
+      expect(stored.apiKey).not.toBe('secret');
+      expect(toStoredSettings({ models: {} }, stored).apiKey).toBe(stored.apiKey);
+      expect(toStoredSettings({ apiKey: '', models: {} }, stored).apiKey).toBeNull();
+    });
+
+    it('should never return the API key', () => {
+      const formatted = formatSettings({ apiKey: 'encrypted', models: { summarize: 'llama3' } });
+
+      expect(formatted).not.toHaveProperty('apiKey');
+      expect(formatted.hasApiKey).toBe(true);
+      expect(formatted.defaults.models.categorize).toBe('gpt-4o-mini');
+    });
+  });
+});
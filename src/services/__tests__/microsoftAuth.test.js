@@ -0,0 +1,56 @@
+const { createState, verifyState } = require('../microsoftAuth');
+
+jest.mock('axios');
+
+describe('Microsoft Auth Service', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, JWT_SECRET: 'test-secret' };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('OAuth state', () => {
+    it('should return the user ID of a state it created', () => {
+      expect(verifyState(createState(123))).toBe(123);
+    });
+
+    it('should create a different state for each sign-in', () => {
+      expect(createState(123)).not.toBe(createState(123));
+    });
+
+    it('should reject a state for another user', () => {
+      const [, ...rest] = createState(123).split('.');
+
+      expect(verifyState(['456', ...rest].join('.'))).toBeNull();
+    });
+
+    it('should reject a state signed with another secret', () => {
+      const state = createState(123);
+      process.env.JWT_SECRET = 'other-secret';
+
+      expect(verifyState(state)).toBeNull();
+    });
+
+    it('should reject an expired state', () => {
+      jest.useFakeTimers();
+      const state = createState(123);
+
+      jest.advanceTimersByTime(11 * 60 * 1000);
+
+      expect(verifyState(state)).toBeNull();
+    });
+
+    it('should reject a missing or malformed state', () => {
+      expect(verifyState(undefined)).toBeNull();
+      expect(verifyState('add_account')).toBeNull();
+    });
+  });
+});
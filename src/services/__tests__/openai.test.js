@@ -1,5 +1,6 @@
 // Mock modules before requiring them
 jest.mock('../../utils/logger');
+jest.mock('../usage');
 
 describe('OpenAI Service', () => {
   describe('Without API Key', () => {
@@ -17,10 +18,10 @@ describe('OpenAI Service', () => {
     });
 
     describe('categorizeEmail', () => {
-      it('should return default category when OpenAI is not configured', async () => {
+      it('should leave the email unclassified when no model is configured', async () => {
         const categories = [
-          { name: 'Work', description: 'Work emails' },
-          { name: 'Personal', description: 'Personal emails' }
+          { id: 1, name: 'Work', description: 'Work emails' },
+          { id: 2, name: 'Personal', description: 'Personal emails' }
         ];
         const emailContent = {
           subject: 'Test Email',
@@ -30,10 +31,15 @@ describe('OpenAI Service', () => {
 
         const result = await categorizeEmail(emailContent, categories);
 
-        expect(result).toBe('Work'); // Returns first category
+        // No longer falls back to the first category; the email goes to review
+        expect(result).toEqual({
+          categoryId: null,
+          confidence: 0,
+          rationale: 'No language model is configured'
+        });
       });
 
-      it('should return Uncategorized when no categories provided', async () => {
+      it('should leave the email unclassified when no categories provided', async () => {
         const emailContent = {
           subject: 'Test Email',
           from: 'test@example.com',
@@ -42,7 +48,7 @@ describe('OpenAI Service', () => {
 
         const result = await categorizeEmail(emailContent, []);
 
-        expect(result).toBe('Uncategorized');
+        expect(result.categoryId).toBeNull();
       });
     });
 
@@ -72,6 +78,12 @@ describe('OpenAI Service', () => {
   describe('With API Key', () => {
     let categorizeEmail;
     let summarizeEmail;
+    let analyzeEmails;
+    let extractActions;
+    let digestCategory;
+    let draftReply;
+    let suggestCategories;
+    let recordResponseUsage;
     let mockOpenAI;
 
     beforeAll(() => {
@@ -99,6 +111,12 @@ describe('OpenAI Service', () => {
       const openaiModule = require('../openai');
       categorizeEmail = openaiModule.categorizeEmail;
       summarizeEmail = openaiModule.summarizeEmail;
+      analyzeEmails = openaiModule.analyzeEmails;
+      extractActions = openaiModule.extractActions;
+      digestCategory = openaiModule.digestCategory;
+      draftReply = openaiModule.draftReply;
+      suggestCategories = openaiModule.suggestCategories;
+      recordResponseUsage = require('../usage').recordResponseUsage;
     });
 
     afterEach(() => {
@@ -111,126 +129,142 @@ describe('OpenAI Service', () => {
     });
 
     describe('categorizeEmail', () => {
-      it('should categorize email successfully using OpenAI', async () => {
-        const categories = [
-          { name: 'Work', description: 'Work related emails' },
-          { name: 'Personal', description: 'Personal emails' },
-          { name: 'Marketing', description: 'Marketing and promotional emails' }
-        ];
+      const categories = [
+        { id: 1, name: 'Work', description: 'Work related emails' },
+        { id: 2, name: 'Personal', description: 'Personal emails' },
+        { id: 3, name: 'Marketing', description: 'Marketing and promotional emails' }
+      ];
+
+      const classification = answer => ({
+        choices: [{ message: { content: JSON.stringify(answer) } }]
+      });
+
+      it('should classify email with structured output', async () => {
         const emailContent = {
           subject: 'Meeting Tomorrow at 10am',
           from: 'boss@company.com',
           body: 'Please join the meeting tomorrow at 10am to discuss the project.'
         };
 
-        mockOpenAI.chat.completions.create.mockResolvedValue({
-          choices: [{ message: { content: 'Work' } }]
-        });
+        mockOpenAI.chat.completions.create.mockResolvedValue(
+          classification({ categoryId: 1, confidence: 0.92, rationale: 'A meeting invite from a manager.' })
+        );
 
         const result = await categorizeEmail(emailContent, categories);
 
-        expect(result).toBe('Work');
-        expect(mockOpenAI.chat.completions.create).toHaveBeenCalledWith({
-          model: 'gpt-3.5-turbo',
-          messages: [{ role: 'user', content: expect.stringContaining('Meeting Tomorrow at 10am') }],
-          max_tokens: 50,
-          temperature: 0.1
+        expect(result).toEqual({
+          categoryId: 1,
+          confidence: 0.92,
+          rationale: 'A meeting invite from a manager.'
         });
+
+        const request = mockOpenAI.chat.completions.create.mock.calls[0][0];
+        expect(request.model).toBe('gpt-4o-mini');
+        expect(request.messages[0].content).toContain('Meeting Tomorrow at 10am');
+        expect(request.messages[0].content).toContain('[3] Marketing');
+        expect(request.response_format.type).toBe('json_schema');
+        expect(request.response_format.json_schema.schema.properties.categoryId.enum).toEqual([
+          1, 2, 3, null
+        ]);
       });
 
-      it('should handle case-insensitive category matching', async () => {
-        const categories = [
-          { name: 'Work', description: 'Work emails' },
-          { name: 'Personal', description: 'Personal emails' }
-        ];
-        const emailContent = {
-          subject: 'Test',
-          from: 'test@example.com',
-          body: 'Test'
-        };
+      it('should record the usage for the user', async () => {
+        const response = classification({ categoryId: 1, confidence: 0.9, rationale: 'Work.' });
+        response.usage = { prompt_tokens: 120, completion_tokens: 20 };
+        mockOpenAI.chat.completions.create.mockResolvedValue(response);
 
-        mockOpenAI.chat.completions.create.mockResolvedValue({
-          choices: [{ message: { content: 'work' } }] // lowercase response
+        await categorizeEmail({ subject: 'Standup' }, categories, { userId: 123 });
+
+        expect(recordResponseUsage).toHaveBeenCalledWith(123, 'categorize', 'gpt-4o-mini', response);
+      });
+
+      it('should include past corrections as examples', async () => {
+        mockOpenAI.chat.completions.create.mockResolvedValue(
+          classification({ categoryId: 3, confidence: 0.9, rationale: 'Corrected before.' })
+        );
+
+        await categorizeEmail({ subject: 'Sale' }, categories, {
+          examples: [
+            { sender: 'shop@example.com', summary: 'Weekly deals', fromCategory: 'Personal', toCategory: 'Marketing' }
+          ]
         });
 
-        const result = await categorizeEmail(emailContent, categories);
+        const prompt = mockOpenAI.chat.completions.create.mock.calls[0][0].messages[0].content;
+        expect(prompt).toContain('Past corrections by this user');
+        expect(prompt).toContain(
+          'From: shop@example.com | Summary: Weekly deals | Filed under: Personal | Moved by the user to: Marketing'
+        );
+      });
 
-        expect(result).toBe('Work'); // Should match the proper case
+      it('should leave out the corrections section without examples', async () => {
+        mockOpenAI.chat.completions.create.mockResolvedValue(
+          classification({ categoryId: 1, confidence: 0.9, rationale: 'Work.' })
+        );
+
+        await categorizeEmail({ subject: 'Report' }, categories);
+
+        const prompt = mockOpenAI.chat.completions.create.mock.calls[0][0].messages[0].content;
+        expect(prompt).not.toContain('Past corrections');
       });
 
-      it('should return Uncategorized when OpenAI returns invalid category', async () => {
-        const categories = [
-          { name: 'Work', description: 'Work emails' },
-          { name: 'Personal', description: 'Personal emails' }
-        ];
-        const emailContent = {
-          subject: 'Test',
-          from: 'test@example.com',
-          body: 'Test'
-        };
+      it('should pass through a null category when nothing fits', async () => {
+        mockOpenAI.chat.completions.create.mockResolvedValue(
+          classification({ categoryId: null, confidence: 0.3, rationale: 'A bank statement.' })
+        );
 
-        mockOpenAI.chat.completions.create.mockResolvedValue({
-          choices: [{ message: { content: 'InvalidCategory' } }]
-        });
+        const result = await categorizeEmail({ subject: 'Statement' }, categories);
 
-        const result = await categorizeEmail(emailContent, categories);
+        expect(result).toEqual({ categoryId: null, confidence: 0.3, rationale: 'A bank statement.' });
+      });
+
+      it('should reject category IDs that are not in the list', async () => {
+        mockOpenAI.chat.completions.create.mockResolvedValue(
+          classification({ categoryId: 99, confidence: 0.9, rationale: 'Guess.' })
+        );
+
+        const result = await categorizeEmail({ subject: 'Test' }, categories);
 
-        expect(result).toBe('Uncategorized');
+        expect(result.categoryId).toBeNull();
+        expect(result.confidence).toBe(0);
       });
 
-      it('should handle OpenAI API errors gracefully', async () => {
-        const categories = [
-          { name: 'Work', description: 'Work emails' }
-        ];
-        const emailContent = {
-          subject: 'Test',
-          from: 'test@example.com',
-          body: 'Test'
-        };
+      it('should clamp the confidence to the 0-1 range', async () => {
+        mockOpenAI.chat.completions.create.mockResolvedValue(
+          classification({ categoryId: 2, confidence: 7, rationale: 'Personal note.' })
+        );
 
+        const result = await categorizeEmail({ subject: 'Hi' }, categories);
+
+        expect(result.confidence).toBe(1);
+      });
+
+      it('should handle OpenAI API errors gracefully', async () => {
         mockOpenAI.chat.completions.create.mockRejectedValue(
           new Error('API rate limit exceeded')
         );
 
-        const result = await categorizeEmail(emailContent, categories);
+        const result = await categorizeEmail({ subject: 'Test' }, categories);
 
-        expect(result).toBe('Uncategorized');
+        expect(result).toEqual({ categoryId: null, confidence: 0, rationale: 'Classification failed' });
       });
 
       it('should handle emails with missing fields', async () => {
-        const categories = [
-          { name: 'Work', description: 'Work emails' }
-        ];
-        const emailContent = {};
-
-        mockOpenAI.chat.completions.create.mockResolvedValue({
-          choices: [{ message: { content: 'Work' } }]
-        });
+        mockOpenAI.chat.completions.create.mockResolvedValue(
+          classification({ categoryId: 1, confidence: 0.5, rationale: 'Unclear.' })
+        );
 
-        const result = await categorizeEmail(emailContent, categories);
+        const result = await categorizeEmail({}, categories);
 
-        expect(result).toBe('Work');
-        expect(mockOpenAI.chat.completions.create).toHaveBeenCalledWith({
-          model: 'gpt-3.5-turbo',
-          messages: [{ 
-            role: 'user', 
-            content: expect.stringContaining('No subject') 
-          }],
-          max_tokens: 50,
-          temperature: 0.1
-        });
+        expect(result.categoryId).toBe(1);
+        expect(mockOpenAI.chat.completions.create.mock.calls[0][0].messages[0].content).toContain(
+          'No subject'
+        );
       });
 
       it('should handle empty categories gracefully', async () => {
-        const emailContent = {
-          subject: 'Test',
-          from: 'test@example.com',
-          body: 'Test'
-        };
+        const result = await categorizeEmail({ subject: 'Test' }, []);
 
-        const result = await categorizeEmail(emailContent, []);
-
-        expect(result).toBe('Uncategorized');
+        expect(result.categoryId).toBeNull();
         // Should not call OpenAI when no categories
         expect(mockOpenAI.chat.completions.create).not.toHaveBeenCalled();
       });
@@ -266,6 +300,34 @@ describe('OpenAI Service', () => {
         });
       });
 
+      it('should use the model from the user settings', async () => {
+        mockOpenAI.chat.completions.create.mockResolvedValue({
+          choices: [{ message: { content: 'Summary' } }]
+        });
+
+        await summarizeEmail(
+          { subject: 'Hello' },
+          { settings: { models: { summarize: 'llama3.1:8b' } } }
+        );
+
+        expect(mockOpenAI.chat.completions.create.mock.calls[0][0].model).toBe('llama3.1:8b');
+      });
+
+      it('should ask for the summary in the preferred language', async () => {
+        mockOpenAI.chat.completions.create.mockResolvedValue({
+          choices: [{ message: { content: 'Resumo' } }]
+        });
+
+        await summarizeEmail({ subject: 'Hello' }, { language: 'pt' });
+        await summarizeEmail({ subject: 'Hello' });
+
+        const [withLanguage, without] = mockOpenAI.chat.completions.create.mock.calls;
+        expect(withLanguage[0].messages[0].content).toContain(
+          'Write the summary in Portuguese, whatever the language of the email.'
+        );
+        expect(without[0].messages[0].content).not.toContain('whatever the language');
+      });
+
       it('should handle long email content by truncating', async () => {
         const longBody = 'a'.repeat(3000); // Create a 3000 character body
         const emailContent = {
@@ -342,5 +404,411 @@ describe('OpenAI Service', () => {
         expect(result).toBe('Summary with spaces.');
       });
     });
+
+    describe('extractActions', () => {
+      const email = {
+        subject: 'Contract',
+        from: 'legal@example.com',
+        date: 'Mon, 19 Oct 2026 09:00:00 +0000',
+        body: 'Please sign the contract by Friday and let me know.'
+      };
+      const answer = content => ({ choices: [{ message: { content: JSON.stringify(content) } }] });
+
+      it('should extract action items with the email date in the prompt', async () => {
+        mockOpenAI.chat.completions.create.mockResolvedValue(
+          answer({
+            priority: 'urgent',
+            replyExpected: true,
+            actionItems: [{ description: 'Sign the contract', dueDate: '2026-10-23' }]
+          })
+        );
+
+        const extraction = await extractActions(email, { userId: 123 });
+
+        expect(extraction).toEqual({
+          priority: 'urgent',
+          replyExpected: true,
+          actionItems: [{ description: 'Sign the contract', dueDate: '2026-10-23' }]
+        });
+        const request = mockOpenAI.chat.completions.create.mock.calls[0][0];
+        expect(request.response_format.json_schema.name).toBe('email_actions');
+        expect(request.messages[0].content).toContain('Date: Mon, 19 Oct 2026 09:00:00 +0000');
+        expect(recordResponseUsage).toHaveBeenCalledWith(
+          123,
+          'extract',
+          'gpt-4o-mini',
+          expect.any(Object)
+        );
+      });
+
+      it('should return null for an unknown priority', async () => {
+        mockOpenAI.chat.completions.create.mockResolvedValue(
+          answer({ priority: 'whenever', replyExpected: false, actionItems: [] })
+        );
+
+        expect(await extractActions(email)).toBeNull();
+      });
+
+      it('should return null when the request fails', async () => {
+        mockOpenAI.chat.completions.create.mockRejectedValue(new Error('API Error'));
+
+        expect(await extractActions(email)).toBeNull();
+      });
+    });
+
+    describe('analyzeEmails', () => {
+      const categories = [
+        { id: 1, name: 'Work', description: 'Work related emails' },
+        { id: 2, name: 'Personal', description: 'Personal emails' }
+      ];
+      const emails = ['Standup', 'Dinner', 'Invoice'].map(subject => ({
+        subject,
+        from: 'someone@example.com',
+        body: `About ${subject}`,
+        examples: []
+      }));
+
+      const answer = content => ({ choices: [{ message: { content } }] });
+      const result = (index, categoryId) => ({
+        index,
+        summary: `Summary ${index}`,
+        categoryId,
+        confidence: 0.8,
+        rationale: `Reason ${index}`
+      });
+
+      const singleExtraction = { priority: 'low', replyExpected: false, actionItems: [] };
+
+      // Batch requests get `batchContent`; separate calls get a classification, an
+      // extraction or a summary
+      const mockAnswers = batchContent => {
+        mockOpenAI.chat.completions.create.mockImplementation(async request => {
+          const schemaName = request.response_format?.json_schema.name;
+          if (schemaName === 'email_analyses') return answer(batchContent);
+          if (schemaName === 'email_classification') {
+            return answer(JSON.stringify({ categoryId: 2, confidence: 0.7, rationale: 'Single' }));
+          }
+          if (schemaName === 'email_actions') return answer(JSON.stringify(singleExtraction));
+          return answer('Single summary');
+        });
+      };
+
+      it('should categorize and summarize several emails in one request', async () => {
+        mockAnswers(JSON.stringify({ results: [result(2, null), result(0, 1), result(1, 2)] }));
+
+        const results = await analyzeEmails(emails, categories, { userId: 123 });
+
+        expect(mockOpenAI.chat.completions.create).toHaveBeenCalledTimes(1);
+        expect(recordResponseUsage).toHaveBeenCalledWith(
+          123,
+          'analyze',
+          'gpt-4o-mini',
+          expect.any(Object)
+        );
+        const request = mockOpenAI.chat.completions.create.mock.calls[0][0];
+        expect(request.model).toBe('gpt-4o-mini');
+        expect(request.messages[0].content).toContain('Email 2:\nSubject: Invoice');
+        expect(results.map(item => item.summary)).toEqual(['Summary 0', 'Summary 1', 'Summary 2']);
+        expect(results.map(item => item.classification)).toEqual([
+          { categoryId: 1, confidence: 0.8, rationale: 'Reason 0' },
+          { categoryId: 2, confidence: 0.8, rationale: 'Reason 1' },
+          { categoryId: null, confidence: 0.8, rationale: 'Reason 2' }
+        ]);
+        expect(results[0].extraction).toBeNull();
+      });
+
+      it('should not send the categories for emails a rule already filed', async () => {
+        mockAnswers(
+          JSON.stringify({
+            results: [{ index: 0, summary: 'Summary 0', ...singleExtraction }]
+          })
+        );
+
+        const results = await analyzeEmails(
+          [{ ...emails[0], examples: [{ subject: 'Old' }], classify: false }],
+          categories
+        );
+
+        expect(mockOpenAI.chat.completions.create).toHaveBeenCalledTimes(1);
+        const request = mockOpenAI.chat.completions.create.mock.calls[0][0];
+        expect(request.messages[0].content).not.toContain('Available Categories');
+        expect(request.messages[0].content).not.toContain('Past corrections');
+        expect(request.messages[0].content).not.toContain('categoryId');
+        expect(request.response_format.json_schema.schema.properties.results.items.required).toEqual(
+          ['index', 'summary', 'priority', 'replyExpected', 'actionItems']
+        );
+        expect(results).toEqual([
+          {
+            summary: 'Summary 0',
+            classification: { categoryId: null, confidence: 0, rationale: 'Filed by a rule' },
+            extraction: singleExtraction
+          }
+        ]);
+      });
+
+      it('should only classify the emails no rule filed', async () => {
+        mockAnswers(
+          JSON.stringify({
+            results: [result(0, 1), { ...result(1, 2), rationale: '' }, result(2, 2)]
+          })
+        );
+
+        const results = await analyzeEmails(
+          emails.map((email, index) => ({ ...email, classify: index !== 1 })),
+          categories
+        );
+
+        const prompt = mockOpenAI.chat.completions.create.mock.calls[0][0].messages[0].content;
+        expect(prompt).toContain('Available Categories');
+        expect(prompt).toContain('Email 1:\nSubject: Dinner');
+        expect(prompt.match(/Already filed: do not classify/g)).toHaveLength(1);
+        expect(results.map(item => item.classification.categoryId)).toEqual([1, null, 2]);
+        expect(results[1].summary).toBe('Summary 1');
+      });
+
+      it('should not categorize filed emails analyzed separately', async () => {
+        mockAnswers('Sorry, I cannot help with that');
+
+        const results = await analyzeEmails([{ ...emails[0], classify: false }], categories);
+
+        // The batch request, then a summary and an extraction
+        expect(mockOpenAI.chat.completions.create).toHaveBeenCalledTimes(3);
+        expect(results[0].classification.categoryId).toBeNull();
+      });
+
+      it('should ask for summaries and action items in the preferred language', async () => {
+        mockAnswers(JSON.stringify({ results: [result(0, 1), result(1, 2), result(2, null)] }));
+
+        await analyzeEmails(emails, categories, { language: 'de' });
+
+        expect(mockOpenAI.chat.completions.create.mock.calls[0][0].messages[0].content).toContain(
+          'Write the summaries and action items in German'
+        );
+      });
+
+      it('should extract action items, priority and expected replies in the same request', async () => {
+        mockAnswers(
+          JSON.stringify({
+            results: [0, 1, 2].map(index => ({
+              ...result(index, 1),
+              priority: index === 0 ? 'urgent' : 'normal',
+              replyExpected: index === 0,
+              actionItems:
+                index === 0
+                  ? [
+                      { description: ' Send the report ', dueDate: '2026-10-23' },
+                      { description: 'Book a room', dueDate: 'Friday' },
+                      { description: '', dueDate: null }
+                    ]
+                  : []
+            }))
+          })
+        );
+
+        const results = await analyzeEmails(emails, categories);
+
+        expect(mockOpenAI.chat.completions.create).toHaveBeenCalledTimes(1);
+        const request = mockOpenAI.chat.completions.create.mock.calls[0][0];
+        expect(request.response_format.json_schema.schema.properties.results.items.required).toEqual(
+          expect.arrayContaining(['priority', 'replyExpected', 'actionItems'])
+        );
+        expect(results[0].extraction).toEqual({
+          priority: 'urgent',
+          replyExpected: true,
+          actionItems: [
+            { description: 'Send the report', dueDate: '2026-10-23' },
+            { description: 'Book a room', dueDate: null }
+          ]
+        });
+        expect(results[1].extraction).toEqual({
+          priority: 'normal',
+          replyExpected: false,
+          actionItems: []
+        });
+      });
+
+      it('should analyze emails with a missing or malformed answer separately', async () => {
+        mockAnswers(JSON.stringify({ results: [result(0, 1), result(1, 99)] }));
+
+        const results = await analyzeEmails(emails, categories);
+
+        // One batch request, then a classification, a summary and an extraction for emails
+        // 1 and 2
+        expect(mockOpenAI.chat.completions.create).toHaveBeenCalledTimes(7);
+        expect(results[0].summary).toBe('Summary 0');
+        expect(results[1]).toEqual({
+          summary: 'Single summary',
+          classification: { categoryId: 2, confidence: 0.7, rationale: 'Single' },
+          extraction: singleExtraction
+        });
+        expect(results[2].summary).toBe('Single summary');
+      });
+
+      it('should analyze every email separately when the batch answer is not JSON', async () => {
+        mockAnswers('Sorry, I cannot help with that');
+
+        const results = await analyzeEmails(emails, categories);
+
+        expect(mockOpenAI.chat.completions.create).toHaveBeenCalledTimes(10);
+        expect(results.map(item => item.summary)).toEqual([
+          'Single summary',
+          'Single summary',
+          'Single summary'
+        ]);
+      });
+
+      it('should split larger runs into batches', async () => {
+        mockOpenAI.chat.completions.create.mockImplementation(async request => {
+          const count = (request.messages[0].content.match(/^Email \d+:/gm) || []).length;
+          return answer(
+            JSON.stringify({ results: Array.from({ length: count }, (_, i) => result(i, 1)) })
+          );
+        });
+        const many = Array.from({ length: 12 }, (_, i) => ({
+          ...emails[0],
+          subject: `Email ${i}`
+        }));
+
+        const results = await analyzeEmails(many, categories, { concurrency: 2 });
+
+        expect(mockOpenAI.chat.completions.create).toHaveBeenCalledTimes(2);
+        expect(results).toHaveLength(12);
+        expect(results[11].summary).toBe('Summary 1');
+      });
+    });
+
+    describe('digestCategory', () => {
+      const category = { id: 5, name: 'Work' };
+      const emails = [
+        { subject: 'Report', from: 'boss@acme.com', summary: 'The report is due Friday' },
+        { subject: 'Standup', from: 'bob@acme.com', summary: 'Standup moves to 10:00' }
+      ];
+      const answer = keyPoints => ({
+        choices: [{ message: { content: JSON.stringify({ keyPoints }) } }]
+      });
+
+      it('should condense the emails of a category into key points', async () => {
+        mockOpenAI.chat.completions.create.mockResolvedValue(
+          answer([' Report due Friday ', '', 'Standup at 10:00'])
+        );
+
+        const keyPoints = await digestCategory(category, emails, { userId: 123, language: 'fr' });
+
+        expect(keyPoints).toEqual(['Report due Friday', 'Standup at 10:00']);
+        const request = mockOpenAI.chat.completions.create.mock.calls[0][0];
+        expect(request.response_format.json_schema.name).toBe('category_digest');
+        expect(request.messages[0].content).toContain(
+          '- From: boss@acme.com | Subject: Report | The report is due Friday'
+        );
+        expect(request.messages[0].content).toContain('Write the key points in French');
+        expect(recordResponseUsage).toHaveBeenCalledWith(
+          123,
+          'digest',
+          'gpt-4o-mini',
+          expect.any(Object)
+        );
+      });
+
+      it('should return null when the request fails', async () => {
+        mockOpenAI.chat.completions.create.mockRejectedValue(new Error('API Error'));
+
+        expect(await digestCategory(category, emails)).toBeNull();
+      });
+    });
+
+    describe('draftReply', () => {
+      const email = {
+        subject: 'Dinner',
+        from: 'bob@example.com',
+        body: 'Dinner on Friday?\n\nOn Monday Jane wrote:\n> Let us catch up'
+      };
+
+      it('should draft a reply following the instruction', async () => {
+        mockOpenAI.chat.completions.create.mockResolvedValue({
+          choices: [{ message: { content: '  Hi Bob, sorry, I cannot make it. Jane  ' } }]
+        });
+
+        const reply = await draftReply(email, 'politely decline', {
+          userId: 123,
+          senderName: 'Jane'
+        });
+
+        expect(reply).toBe('Hi Bob, sorry, I cannot make it. Jane');
+        const { content } = mockOpenAI.chat.completions.create.mock.calls[0][0].messages[0];
+        expect(content).toContain('on behalf of the recipient, Jane');
+        expect(content).toContain('Instruction from the recipient: politely decline');
+        expect(content).toContain('> Let us catch up');
+        expect(recordResponseUsage).toHaveBeenCalledWith(
+          123,
+          'reply',
+          'gpt-3.5-turbo',
+          expect.any(Object)
+        );
+      });
+
+      it('should return null when the request fails', async () => {
+        mockOpenAI.chat.completions.create.mockRejectedValue(new Error('API Error'));
+
+        expect(await draftReply(email, 'say yes')).toBeNull();
+      });
+    });
+
+    describe('suggestCategories', () => {
+      const groups = [
+        [{ subject: 'Flight to Paris', from: 'trips@airline.com', summary: 'Booking confirmed' }],
+        [{ subject: 'Your receipt', from: 'shop@store.com', summary: 'Order paid' }]
+      ];
+      const answer = suggestions => ({
+        choices: [{ message: { content: JSON.stringify({ suggestions }) } }]
+      });
+
+      it('should name each group as a new category', async () => {
+        mockOpenAI.chat.completions.create.mockResolvedValue(
+          answer([
+            { index: 1, name: ' Receipts ', description: 'Receipts of online orders' },
+            { index: 0, name: 'Travel', description: 'Flight and hotel bookings' }
+          ])
+        );
+
+        const suggestions = await suggestCategories(groups, [{ id: 1, name: 'Work' }], {
+          userId: 123
+        });
+
+        expect(suggestions).toEqual([
+          { name: 'Travel', description: 'Flight and hotel bookings' },
+          { name: 'Receipts', description: 'Receipts of online orders' }
+        ]);
+        const request = mockOpenAI.chat.completions.create.mock.calls[0][0];
+        expect(request.model).toBe('gpt-4o-mini');
+        expect(request.response_format.json_schema.name).toBe('category_suggestions');
+        expect(request.messages[0].content).toContain('Existing categories: Work');
+        expect(request.messages[0].content).toContain(
+          'Group 1:\n- From: shop@store.com | Subject: Your receipt | Order paid'
+        );
+        expect(recordResponseUsage).toHaveBeenCalledWith(
+          123,
+          'suggest',
+          'gpt-4o-mini',
+          expect.any(Object)
+        );
+      });
+
+      it('should leave groups without a usable answer unnamed', async () => {
+        mockOpenAI.chat.completions.create.mockResolvedValue(
+          answer([
+            { index: 0, name: '', description: 'No name' },
+            { index: 7, name: 'Other', description: 'Unknown group' }
+          ])
+        );
+
+        expect(await suggestCategories(groups)).toEqual([null, null]);
+      });
+
+      it('should return null when the request fails', async () => {
+        mockOpenAI.chat.completions.create.mockRejectedValue(new Error('API Error'));
+
+        expect(await suggestCategories(groups)).toBeNull();
+      });
+    });
   });
 });
\ No newline at end of file
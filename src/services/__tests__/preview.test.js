@@ -0,0 +1,190 @@
+const db = require('../../config/database');
+const { analyzeMessage, saveMessage } = require('../gmail');
+const { createProvider } = require('../providers');
+const { learnFromCorrections } = require('../corrections');
+const { createPreview, acceptPreview, discardPreview, formatPreview } = require('../preview');
+
+jest.mock('../../config/database');
+jest.mock('../gmail');
+jest.mock('../providers');
+jest.mock('../corrections');
+jest.mock('../../utils/logger');
+
+describe('Preview Service', () => {
+  let mockProvider;
+
+  const account = { id: 1, email: 'test@gmail.com', history_id: null, ingestion_policy: {} };
+  const categories = [
+    { id: 1, name: 'Work', user_id: 123 },
+    { id: 2, name: 'Newsletters', user_id: 123 },
+  ];
+
+  const item = (messageId, categoryId) => ({
+    messageId,
+    subject: `Email ${messageId}`,
+    from: 'sender@example.com',
+    date: '2024-01-15T10:00:00Z',
+    body: 'Body',
+    categoryId,
+    categoryName: categories.find(category => category.id === categoryId).name,
+    confidence: 0.4,
+    rationale: 'Rationale',
+    ruleId: messageId === 'msg1' ? 4 : null,
+    summary: 'Summary',
+    unsubscribeLink: null,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockReset();
+
+    mockProvider = {
+      listNewMessages: jest.fn(),
+      close: jest.fn(),
+    };
+    createProvider.mockReturnValue(mockProvider);
+    learnFromCorrections.mockResolvedValue([]);
+  });
+
+  describe('createPreview', () => {
+    it('should analyze a sample of new messages without storing or archiving them', async () => {
+      mockProvider.listNewMessages.mockResolvedValue({
+        messageIds: ['done1', 'msg1', 'starred1', 'msg2', 'msg3'],
+        cursor: '5000',
+      });
+      analyzeMessage.mockImplementation((provider, context, messageId) =>
+        Promise.resolve(
+          messageId === 'starred1'
+            ? null
+            : {
+                message: { id: messageId, subject: `Email ${messageId}`, from: 'a@example.com' },
+                category: categories[1],
+                classification: {
+                  categoryId: 2,
+                  confidence: 0.4,
+                  rationale: 'Looks like a digest',
+                },
+                rule: { id: 4, category_id: 2 },
+                summary: 'Summary',
+                unsubscribeLink: 'https://example.com/unsubscribe',
+              }
+        )
+      );
+      db.query
+        .mockResolvedValueOnce({ rows: categories })
+        .mockResolvedValueOnce({ rows: [{ name: 'Test User', llm_settings: {} }] })
+        .mockResolvedValueOnce({ rows: [{ gmail_id: 'done1' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 7, account_id: 1, status: 'pending', items: [] }] });
+
+      const preview = await createPreview(123, account, { size: 2 });
+
+      expect(mockProvider.listNewMessages).toHaveBeenCalledWith(null, {
+        query: null,
+        since: undefined,
+      });
+      expect(analyzeMessage).toHaveBeenCalledTimes(3);
+      expect(saveMessage).not.toHaveBeenCalled();
+
+      expect(analyzeMessage.mock.calls[0][1].user).toEqual({
+        name: 'Test User',
+        llm_settings: {},
+      });
+
+      const [sql, params] = db.query.mock.calls[3];
+      expect(sql).toContain('INSERT INTO email_previews');
+      expect(JSON.parse(params[2]).map(stored => stored.messageId)).toEqual(['msg1', 'msg2']);
+      expect(JSON.parse(params[2])[0]).toMatchObject({
+        categoryId: 2,
+        categoryName: 'Newsletters',
+        confidence: 0.4,
+        rationale: 'Looks like a digest',
+        ruleId: 4,
+        unsubscribeLink: 'https://example.com/unsubscribe',
+      });
+      expect(mockProvider.close).toHaveBeenCalled();
+      expect(preview.id).toBe(7);
+    });
+
+    it('should require categories', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(createPreview(123, account)).rejects.toMatchObject({ status: 400 });
+      expect(createProvider).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('acceptPreview', () => {
+    const preview = {
+      id: 7,
+      account_id: 1,
+      status: 'pending',
+      items: [item('msg1', 2), item('msg2', 2), item('msg3', 1)],
+    };
+
+    it('should save the emails and record corrections as category movements', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: categories })
+        .mockResolvedValueOnce({ rows: [preview] }) // Load preview
+        .mockResolvedValueOnce({ rows: [{ ...preview, status: 'accepted' }] }) // Claim it
+        .mockResolvedValueOnce({ rows: [{ name: 'Test User', email: 'test@example.com' }] })
+        .mockResolvedValueOnce({ rows: [{ gmail_id: 'msg3' }] }) // Processed meanwhile
+        .mockResolvedValue({ rows: [] });
+      saveMessage.mockResolvedValueOnce({ id: 101 }).mockResolvedValueOnce({ id: 102 });
+
+      const result = await acceptPreview(123, account, 7, [{ messageId: 'msg2', categoryId: 1 }]);
+
+      expect(result).toEqual({ accepted: 2, corrected: 1, skipped: 1, failed: 0 });
+      expect(saveMessage).toHaveBeenCalledTimes(2);
+      expect(saveMessage.mock.calls[0][2]).toMatchObject({
+        message: { id: 'msg1', subject: 'Email msg1', body: 'Body' },
+        category: categories[1],
+        rule: { id: 4 },
+      });
+      expect(saveMessage.mock.calls[1][2].rule).toBeNull();
+      expect(saveMessage.mock.calls[0][3]).toEqual({ confirmed: true });
+      expect(saveMessage.mock.calls[1][2].category).toEqual(categories[0]);
+      expect(db.query).toHaveBeenLastCalledWith(
+        expect.stringContaining('INSERT INTO category_movements'),
+        [123, 102, 2, 1, 'sender@example.com', 'Summary']
+      );
+      expect(learnFromCorrections).toHaveBeenCalledWith(123, ['sender@example.com']);
+    });
+
+    it('should reject corrections for emails outside the preview', async () => {
+      db.query.mockResolvedValueOnce({ rows: categories }).mockResolvedValueOnce({
+        rows: [preview],
+      });
+
+      await expect(
+        acceptPreview(123, account, 7, [{ messageId: 'other', categoryId: 1 }])
+      ).rejects.toMatchObject({ status: 400 });
+      expect(saveMessage).not.toHaveBeenCalled();
+    });
+
+    it('should not accept a preview twice', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: categories })
+        .mockResolvedValueOnce({ rows: [{ ...preview, status: 'accepted' }] })
+        .mockResolvedValueOnce({ rows: [] }) // Claim fails
+        .mockResolvedValueOnce({ rows: [{ ...preview, status: 'accepted' }] });
+
+      await expect(acceptPreview(123, account, 7)).rejects.toMatchObject({ status: 409 });
+      expect(saveMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('discardPreview', () => {
+    it('should report unknown previews as not found', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [] });
+
+      await expect(discardPreview(123, 1, 99)).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  it('should leave message bodies out of the API response', () => {
+    const formatted = formatPreview({ id: 7, account_id: 1, items: [item('msg1', 2)] });
+
+    expect(formatted.items[0]).not.toHaveProperty('body');
+    expect(formatted.items[0]).toMatchObject({ messageId: 'msg1', categoryName: 'Newsletters' });
+  });
+});
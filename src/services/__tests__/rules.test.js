@@ -0,0 +1,243 @@
+const db = require('../../config/database');
+const {
+  ruleSchema,
+  extractAddress,
+  normalizePattern,
+  matchesRule,
+  findMatchingRule,
+  listRules,
+  findMatchingEmails,
+  applyRule,
+} = require('../rules');
+
+jest.mock('../../config/database');
+jest.mock('../../utils/logger');
+
+describe('Rules Service', () => {
+  const email = {
+    from: 'Weekly News <news@mail.example.com>',
+    subject: 'Your Weekly Digest #42',
+    headers: [{ name: 'List-Id', value: 'Weekly News <weekly.example.com>' }],
+    unsubscribeLink: 'https://example.com/unsubscribe',
+  };
+
+  const rule = (matchType, pattern, extra = {}) => ({
+    id: 1,
+    category_id: 2,
+    match_type: matchType,
+    pattern,
+    ...extra,
+  });
+
+  describe('extractAddress', () => {
+    it('should return the lowercased address of a From header', () => {
+      expect(extractAddress('News <News@Example.com>')).toBe('news@example.com');
+      expect(extractAddress(' a@example.com ')).toBe('a@example.com');
+      expect(extractAddress(null)).toBe('');
+    });
+  });
+
+  describe('ruleSchema', () => {
+    it('should default the priority and the unsubscribe flag', () => {
+      const { value } = ruleSchema.validate({ matchType: 'has_unsubscribe' });
+
+      expect(value).toEqual({ matchType: 'has_unsubscribe', pattern: true, priority: 100 });
+    });
+
+    it('should reject unknown match types and invalid subject patterns', () => {
+      expect(ruleSchema.validate({ matchType: 'body', pattern: 'x' }).error).toBeDefined();
+      expect(ruleSchema.validate({ matchType: 'subject', pattern: '(' }).error.message).toBe(
+        'pattern must be a valid regular expression'
+      );
+    });
+
+    it('should reject subject patterns that can take exponential time', () => {
+      const error = pattern => ruleSchema.validate({ matchType: 'subject', pattern }).error;
+
+      expect(error('(a+)+$').message).toMatch('must not use backreferences');
+      expect(error('(a|ab)*c')).toBeDefined();
+      expect(error('(\\w+\\s?)*$')).toBeDefined();
+      expect(error('(x)\\1')).toBeDefined();
+      expect(error('a'.repeat(201)).message).toBe('pattern must be at most 200 characters long');
+      expect(error('^(re|fwd): invoice #\\d+')).toBeUndefined();
+      expect(error('[(+]+ sale')).toBeUndefined();
+    });
+
+    it('should require a pattern for other match types', () => {
+      expect(ruleSchema.validate({ matchType: 'sender' }).error).toBeDefined();
+    });
+  });
+
+  describe('normalizePattern', () => {
+    it('should store addresses, domains and list IDs in lower case', () => {
+      expect(normalizePattern('sender', 'News <NEWS@example.com>')).toBe('news@example.com');
+      expect(normalizePattern('domain', '@Example.com')).toBe('example.com');
+      expect(normalizePattern('list_id', 'Weekly <Weekly.Example.com>')).toBe('weekly.example.com');
+      expect(normalizePattern('has_unsubscribe', false)).toBe('false');
+      expect(normalizePattern('subject', 'Digest #\\d+')).toBe('Digest #\\d+');
+    });
+  });
+
+  describe('matchesRule', () => {
+    it('should match on the sender address', () => {
+      expect(matchesRule(rule('sender', 'news@mail.example.com'), email)).toBe(true);
+      expect(matchesRule(rule('sender', 'news@example.com'), email)).toBe(false);
+    });
+
+    it('should match on the sender domain and its subdomains', () => {
+      expect(matchesRule(rule('domain', 'example.com'), email)).toBe(true);
+      expect(matchesRule(rule('domain', 'mail.example.com'), email)).toBe(true);
+      expect(matchesRule(rule('domain', 'ample.com'), email)).toBe(false);
+    });
+
+    it('should match the subject case-insensitively', () => {
+      expect(matchesRule(rule('subject', 'weekly digest #\\d+'), email)).toBe(true);
+      expect(matchesRule(rule('subject', '^invoice'), email)).toBe(false);
+    });
+
+    it('should not throw on an invalid stored subject pattern', () => {
+      expect(matchesRule(rule('subject', '('), email)).toBe(false);
+    });
+
+    it('should skip unsafe stored subject patterns', () => {
+      const slow = { ...email, subject: `${'a'.repeat(40)}!` };
+
+      expect(matchesRule(rule('subject', '(a+)+$'), slow)).toBe(false);
+    });
+
+    it('should match on the List-Id header', () => {
+      expect(matchesRule(rule('list_id', 'weekly.example.com'), email)).toBe(true);
+      expect(matchesRule(rule('list_id', 'weekly.example.com'), { ...email, headers: [] })).toBe(
+        false
+      );
+    });
+
+    it('should match on whether an unsubscribe link is present', () => {
+      const withoutLink = { ...email, unsubscribeLink: null };
+
+      expect(matchesRule(rule('has_unsubscribe', 'true'), email)).toBe(true);
+      expect(matchesRule(rule('has_unsubscribe', 'true'), withoutLink)).toBe(false);
+      expect(matchesRule(rule('has_unsubscribe', 'false'), withoutLink)).toBe(true);
+    });
+  });
+
+  describe('findMatchingRule', () => {
+    it('should return the first matching rule in priority order', () => {
+      const rules = [
+        rule('sender', 'other@example.com', { id: 1 }),
+        rule('domain', 'example.com', { id: 2 }),
+        rule('has_unsubscribe', 'true', { id: 3 }),
+      ];
+
+      expect(findMatchingRule(rules, email).id).toBe(2);
+      expect(findMatchingRule([], email)).toBeNull();
+    });
+  });
+
+  describe('stored emails', () => {
+    const stored = [
+      { id: 10, sender: 'News <news@example.com>', subject: 'Digest', category_id: 3 },
+      { id: 11, sender: 'boss@company.com', subject: 'Meeting', category_id: 1 },
+      { id: 12, sender: 'deals@example.com', subject: 'Sale', category_id: 2 },
+    ];
+    let mockClient;
+
+    beforeEach(() => {
+      db.query.mockReset();
+      mockClient = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+      db.connect = jest.fn().mockResolvedValue(mockClient);
+    });
+
+    it('should find the stored emails a rule matches', async () => {
+      db.query.mockResolvedValueOnce({ rows: stored });
+
+      const matches = await findMatchingEmails(123, rule('domain', 'example.com'));
+
+      expect(matches.map(email => email.id)).toEqual([10, 12]);
+      expect(db.query.mock.calls[0][0]).toContain('AND e.quarantined = false');
+      expect(db.query.mock.calls[0][0]).toContain('AND e.sender ILIKE $2');
+      expect(db.query.mock.calls[0][0]).toContain('LIMIT 5000');
+      expect(db.query.mock.calls[0][1]).toEqual([123, '%example.com%']);
+    });
+
+    it('should escape LIKE wildcards in sender patterns', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await findMatchingEmails(123, rule('sender', 'first_last@example.com'));
+
+      expect(db.query.mock.calls[0][1]).toEqual([123, '%first\\_last@example.com%']);
+    });
+
+    it('should filter on the unsubscribe link in SQL', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await findMatchingEmails(123, rule('has_unsubscribe', 'false'));
+
+      expect(db.query.mock.calls[0][0]).toContain('LENGTH(e.unsubscribe_link) > 0');
+      expect(db.query.mock.calls[0][1]).toEqual([123, false]);
+    });
+
+    it('should evaluate subject patterns on the most recent emails only', async () => {
+      db.query.mockResolvedValueOnce({ rows: stored });
+
+      const matches = await findMatchingEmails(123, rule('subject', '^(digest|sale)$'));
+
+      expect(matches.map(email => email.id)).toEqual([10, 12]);
+      expect(db.query.mock.calls[0][0]).not.toContain('ILIKE');
+      expect(db.query.mock.calls[0][1]).toEqual([123]);
+    });
+
+    it('should move matching emails and record the movements', async () => {
+      db.query.mockResolvedValueOnce({ rows: stored });
+
+      const moved = await applyRule(123, rule('domain', 'example.com', { id: 5, category_id: 2 }));
+
+      // Email 12 is already in the category
+      expect(moved.map(email => email.id)).toEqual([10]);
+      expect(mockClient.query.mock.calls.map(call => call[0].trim().split(/\s+/)[0])).toEqual([
+        'BEGIN',
+        'INSERT',
+        'UPDATE',
+        'COMMIT',
+      ]);
+      expect(mockClient.query.mock.calls[1][0]).toContain('category_movements');
+      expect(mockClient.query.mock.calls[1][1]).toEqual([2, [10], 123]);
+      expect(mockClient.query.mock.calls[2][1]).toEqual([2, 5, [10], 123]);
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    it('should roll back when the move fails', async () => {
+      db.query.mockResolvedValueOnce({ rows: stored });
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockRejectedValueOnce(new Error('Database error'));
+
+      await expect(
+        applyRule(123, rule('sender', 'boss@company.com', { category_id: 2 }))
+      ).rejects.toThrow('Database error');
+      expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    it('should not open a transaction when nothing changes', async () => {
+      db.query.mockResolvedValueOnce({ rows: stored });
+
+      expect(await applyRule(123, rule('sender', 'boss@company.com', { category_id: 1 }))).toEqual(
+        []
+      );
+      expect(db.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listRules', () => {
+    it('should load the rules in evaluation order', async () => {
+      db.query.mockResolvedValueOnce({ rows: [rule('sender', 'a@example.com')] });
+
+      const rules = await listRules(123);
+
+      expect(db.query.mock.calls[0][0]).toContain('ORDER BY priority, id');
+      expect(db.query.mock.calls[0][1]).toEqual([123]);
+      expect(rules).toHaveLength(1);
+    });
+  });
+});
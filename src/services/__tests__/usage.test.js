@@ -0,0 +1,132 @@
+const db = require('../../config/database');
+const {
+  budgetSchema,
+  estimateCost,
+  recordUsage,
+  recordResponseUsage,
+  getBudgetStatus,
+  getBudgetMode,
+} = require('../usage');
+
+jest.mock('../../config/database');
+jest.mock('../../utils/logger');
+
+describe('Usage Service', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockReset();
+    process.env = { ...originalEnv };
+    delete process.env.LLM_PRICES;
+    delete process.env.LLM_MONTHLY_TOKEN_BUDGET;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('estimateCost', () => {
+    it('should price tokens per million', () => {
+      expect(estimateCost('gpt-4o-mini', 1000000, 1000000)).toBeCloseTo(0.75);
+      expect(estimateCost('text-embedding-3-small', 500000, 0)).toBeCloseTo(0.01);
+    });
+
+    it('should count unknown models as free unless priced in LLM_PRICES', () => {
+      expect(estimateCost('llama3.1:8b', 1000, 1000)).toBe(0);
+
+      process.env.LLM_PRICES = '{"llama3.1:8b": {"input": 1, "output": 2}}';
+      expect(estimateCost('llama3.1:8b', 1000000, 1000000)).toBeCloseTo(3);
+
+      process.env.LLM_PRICES = 'not json';
+      expect(estimateCost('gpt-4o', 1000000, 0)).toBeCloseTo(2.5);
+    });
+  });
+
+  describe('recordUsage', () => {
+    it('should store the tokens and the estimated cost', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await recordResponseUsage(123, 'summarize', 'gpt-4o-mini', {
+        usage: { prompt_tokens: 1000, completion_tokens: 100 },
+      });
+
+      expect(db.query.mock.calls[0][0]).toContain('INSERT INTO llm_usage');
+      expect(db.query.mock.calls[0][1]).toEqual([
+        123,
+        'summarize',
+        'gpt-4o-mini',
+        1000,
+        100,
+        expect.closeTo(0.00021, 8),
+      ]);
+    });
+
+    it('should not throw when recording fails', async () => {
+      db.query.mockRejectedValue(new Error('relation "llm_usage" does not exist'));
+
+      await expect(
+        recordUsage({ userId: 123, task: 'embed', model: 'x', promptTokens: 1 })
+      ).resolves.toBeUndefined();
+    });
+  });
+
+  describe('getBudgetStatus', () => {
+    const status = (budget, used) => {
+      db.query.mockResolvedValueOnce({ rows: [{ llm_token_budget: budget, used: String(used) }] });
+      return getBudgetStatus(123);
+    };
+
+    it('should be unlimited without a budget', async () => {
+      expect(await status(null, 5000)).toEqual({
+        monthlyTokens: null,
+        userMonthlyTokens: null,
+        used: 5000,
+        remaining: null,
+        mode: 'full',
+      });
+    });
+
+    it('should skip summaries close to the budget and use rules only past it', async () => {
+      expect((await status(1000, 799)).mode).toBe('full');
+      expect((await status(1000, 800)).mode).toBe('no_summaries');
+      expect((await status(1000, 1000)).mode).toBe('rules_only');
+      expect((await status(1000, 1200)).remaining).toBe(0);
+    });
+
+    it('should apply the lower of the user and deployment budgets', async () => {
+      process.env.LLM_MONTHLY_TOKEN_BUDGET = '500';
+
+      expect((await status(1000, 0)).monthlyTokens).toBe(500);
+      expect((await status(null, 0)).monthlyTokens).toBe(500);
+      expect((await status(200, 0)).monthlyTokens).toBe(200);
+    });
+  });
+
+  describe('getBudgetMode', () => {
+    it('should check the budget once per context', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ llm_token_budget: 100, used: '100' }] });
+      const context = { userId: 123 };
+
+      expect(await getBudgetMode(context)).toBe('rules_only');
+      expect(await getBudgetMode(context)).toBe('rules_only');
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not limit the model when the budget cannot be checked', async () => {
+      db.query.mockRejectedValueOnce(new Error('Database error'));
+
+      expect(await getBudgetMode({ userId: 123 })).toBe('full');
+    });
+  });
+
+  describe('budgetSchema', () => {
+    it('should accept a token count or null', () => {
+      expect(budgetSchema.validate({ monthlyTokens: 100000 }).error).toBeUndefined();
+      expect(budgetSchema.validate({ monthlyTokens: null }).error).toBeUndefined();
+      expect(budgetSchema.validate({ monthlyTokens: -1 }).error).toBeDefined();
+      expect(budgetSchema.validate({ monthlyTokens: 2147483648 }).error).toBeDefined();
+      expect(budgetSchema.validate({}).error).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,340 @@
+const Joi = require('joi');
+const db = require('../config/database');
+const { emailProcessingQueue } = require('../config/queues');
+const { processMessage } = require('./gmail');
+const { getMailProvider } = require('./providers');
+const { createNotification } = require('../routes/notifications');
+const { sendNotification } = require('../websocket/notificationSocket');
+const logger = require('../utils/logger');
+
+// Messages listed per page job
+const BACKFILL_PAGE_SIZE = 50;
+
+// Throttling against the Gmail per-user quota
+const BACKFILL_PAGE_DELAY_MS = parseInt(process.env.BACKFILL_PAGE_DELAY_MS) || 5000;
+const BACKFILL_MESSAGE_DELAY_MS = parseInt(process.env.BACKFILL_MESSAGE_DELAY_MS) || 250;
+const RATE_LIMIT_DELAY_MS = 60 * 1000;
+
+const ACTIVE_STATUSES = ['pending', 'running'];
+
+// Options accepted when a backfill is requested
+const backfillOptionsSchema = Joi.object({
+  since: Joi.date().iso().max('now').required(),
+  archive: Joi.boolean().default(true),
+});
+
+const isRateLimitError = error =>
+  error.code === 429 ||
+  (error.code === 403 &&
+    (error.errors || []).some(e =>
+      ['rateLimitExceeded', 'userRateLimitExceeded'].includes(e.reason)
+    ));
+
+// Error telling the worker to retry the page later without using up an attempt
+const rateLimited = () => {
+  const error = new Error('Gmail rate limit exceeded');
+  error.retryAfterMs = RATE_LIMIT_DELAY_MS;
+  return error;
+};
+
+// Each page is its own job; the ID makes re-enqueueing the same page a no-op.
+// A resumed page gets a fresh ID since the failed job for it is still kept in the queue.
+const enqueueBackfillPage = (backfill, accountEmail, page, { delay = 0, resumed = false } = {}) =>
+  emailProcessingQueue.add(
+    'backfill-page',
+    {
+      backfillId: backfill.id,
+      userId: backfill.user_id,
+      accountId: backfill.account_id,
+      accountEmail,
+      page,
+    },
+    {
+      jobId: `backfill-${backfill.id}-${page}${resumed ? `-resumed-${Date.now()}` : ''}`,
+      delay,
+    }
+  );
+
+const notifyProgress = (backfill, accountEmail) => {
+  sendNotification(backfill.user_id, {
+    type: 'backfill_progress',
+    title: 'Importing older emails',
+    message: `Processed ${backfill.processed_count} emails from ${accountEmail}`,
+    metadata: {
+      backfillId: backfill.id,
+      accountId: backfill.account_id,
+      status: backfill.status,
+      pagesProcessed: backfill.pages_processed,
+      processedCount: backfill.processed_count,
+      skippedCount: backfill.skipped_count,
+      failedCount: backfill.failed_count,
+      estimatedTotal: backfill.estimated_total,
+    },
+    created_at: new Date().toISOString(),
+  });
+};
+
+const notifyFinished = async (backfill, accountEmail, type, title, message) => {
+  try {
+    const notification = await createNotification(backfill.user_id, type, title, message, {
+      backfillId: backfill.id,
+      accountId: backfill.account_id,
+      processedCount: backfill.processed_count,
+      failedCount: backfill.failed_count,
+    });
+    sendNotification(backfill.user_id, notification);
+  } catch (error) {
+    logger.error(`Failed to create backfill notification for ${accountEmail}:`, error);
+  }
+};
+
+const startBackfill = async (userId, account, { since, archive = true }) => {
+  const activeResult = await db.query(
+    'SELECT id FROM backfill_jobs WHERE account_id = $1 AND status = ANY($2)',
+    [account.id, ACTIVE_STATUSES]
+  );
+
+  if (activeResult.rows.length > 0) {
+    const error = new Error('A backfill is already running for this account');
+    error.status = 409;
+    throw error;
+  }
+
+  const result = await db.query(
+    `INSERT INTO backfill_jobs (user_id, account_id, since_date, archive)
+     VALUES ($1, $2, $3, $4) RETURNING *`,
+    [userId, account.id, since, archive]
+  );
+  const backfill = result.rows[0];
+
+  await enqueueBackfillPage(backfill, account.email, 0);
+  logger.info(`Backfill ${backfill.id} started for ${account.email} since ${since}`);
+
+  return backfill;
+};
+
+// Failed or cancelled backfills continue from the last completed page
+const resumeBackfill = async (userId, backfillId) => {
+  const result = await db.query(
+    `UPDATE backfill_jobs SET status = 'pending', error_message = NULL, updated_at = NOW()
+     WHERE id = $1 AND user_id = $2 AND status IN ('failed', 'cancelled')
+     RETURNING *`,
+    [backfillId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const backfill = result.rows[0];
+  const accountResult = await db.query('SELECT email FROM email_accounts WHERE id = $1', [
+    backfill.account_id,
+  ]);
+
+  await enqueueBackfillPage(backfill, accountResult.rows[0].email, backfill.pages_processed, {
+    resumed: true,
+  });
+  logger.info(`Backfill ${backfill.id} resumed at page ${backfill.pages_processed}`);
+
+  return backfill;
+};
+
+const cancelBackfill = async (userId, backfillId) => {
+  const result = await db.query(
+    `UPDATE backfill_jobs SET status = 'cancelled', updated_at = NOW()
+     WHERE id = $1 AND user_id = $2 AND status = ANY($3)
+     RETURNING *`,
+    [backfillId, userId, ACTIVE_STATUSES]
+  );
+
+  return result.rows[0] || null;
+};
+
+const failBackfill = async (backfillId, accountEmail, errorMessage) => {
+  const result = await db.query(
+    `UPDATE backfill_jobs SET status = 'failed', error_message = $1, updated_at = NOW()
+     WHERE id = $2 AND status = ANY($3)
+     RETURNING *`,
+    [errorMessage, backfillId, ACTIVE_STATUSES]
+  );
+
+  if (result.rows.length > 0) {
+    await notifyFinished(
+      result.rows[0],
+      accountEmail,
+      'backfill_failed',
+      'Email Import Failed',
+      `Importing older emails from ${accountEmail} failed. You can resume it from the last completed page.`
+    );
+  }
+};
+
+// List one page of the mailbox and import the messages not stored yet
+const importPage = async (provider, context, backfill) => {
+  let page;
+  try {
+    page = await provider.listMessages({
+      since: backfill.since_date,
+      pageToken: backfill.page_token,
+      pageSize: BACKFILL_PAGE_SIZE,
+    });
+  } catch (error) {
+    if (isRateLimitError(error)) throw rateLimited();
+    throw error;
+  }
+
+  const { messageIds } = page;
+  let newMessageIds = [];
+  if (messageIds.length > 0) {
+    const existingResult = await db.query(
+      'SELECT gmail_id FROM emails WHERE account_id = $1 AND gmail_id = ANY($2)',
+      [context.account.id, messageIds]
+    );
+    const existingIds = new Set(existingResult.rows.map(row => row.gmail_id));
+    newMessageIds = messageIds.filter(id => !existingIds.has(id));
+  }
+
+  let processed = 0;
+  let failed = 0;
+
+  for (const messageId of newMessageIds) {
+    try {
+      // Messages the account's ingestion policy excludes count as skipped
+      if (await processMessage(provider, context, messageId, { archive: backfill.archive })) {
+        processed++;
+      }
+    } catch (error) {
+      // Leave the page token alone so the whole page is retried; done messages are skipped
+      if (isRateLimitError(error)) throw rateLimited();
+
+      failed++;
+      logger.error(`Backfill ${backfill.id}: error processing email ${messageId}:`, error);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, BACKFILL_MESSAGE_DELAY_MS));
+  }
+
+  return {
+    listed: messageIds.length,
+    processed,
+    failed,
+    nextPageToken: page.nextPageToken,
+    estimatedTotal: page.estimatedTotal,
+  };
+};
+
+// Process one page of a backfill, then queue the next page (or finish)
+const processBackfillPage = async job => {
+  const { backfillId, page, accountEmail } = job.data;
+
+  const backfillResult = await db.query('SELECT * FROM backfill_jobs WHERE id = $1', [backfillId]);
+  let backfill = backfillResult.rows[0];
+
+  if (!backfill || !ACTIVE_STATUSES.includes(backfill.status)) {
+    logger.info(`Backfill ${backfillId} is ${backfill ? backfill.status : 'gone'}, stopping`);
+    return { backfillId, stopped: true };
+  }
+
+  // The page was finished by an earlier attempt that crashed before returning
+  if (backfill.pages_processed > page) {
+    if (backfill.page_token) {
+      await enqueueBackfillPage(backfill, accountEmail, page + 1, {
+        delay: BACKFILL_PAGE_DELAY_MS,
+      });
+    }
+    return { backfillId, page, alreadyProcessed: true };
+  }
+
+  const userId = backfill.user_id;
+  const userResult = await db.query(
+    `SELECT name, email, review_threshold, llm_settings, redaction_level, preferred_language
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+  const categoriesResult = await db.query('SELECT * FROM categories WHERE user_id = $1', [userId]);
+
+  if (categoriesResult.rows.length === 0) {
+    throw new Error('User has no categories to sort emails into');
+  }
+
+  const provider = await getMailProvider(userId, accountEmail);
+  const context = {
+    userId,
+    user: userResult.rows[0],
+    account: provider.account,
+    categories: categoriesResult.rows,
+  };
+
+  let result;
+  try {
+    result = await importPage(provider, context, backfill);
+  } finally {
+    await provider.close();
+  }
+
+  const { listed, processed, failed, nextPageToken, estimatedTotal } = result;
+  const skipped = listed - processed - failed;
+
+  const updateResult = await db.query(
+    `UPDATE backfill_jobs
+     SET status = $1,
+         page_token = $2,
+         pages_processed = pages_processed + 1,
+         estimated_total = COALESCE(estimated_total, $3),
+         processed_count = processed_count + $4,
+         skipped_count = skipped_count + $5,
+         failed_count = failed_count + $6,
+         started_at = COALESCE(started_at, NOW()),
+         completed_at = CASE WHEN $1 = 'completed' THEN NOW() ELSE NULL END,
+         updated_at = NOW()
+     WHERE id = $7 AND status = ANY($8)
+     RETURNING *`,
+    [
+      nextPageToken ? 'running' : 'completed',
+      nextPageToken,
+      estimatedTotal,
+      processed,
+      skipped,
+      failed,
+      backfillId,
+      ACTIVE_STATUSES,
+    ]
+  );
+
+  // Cancelled (or failed) while the page was imported: keep that status and stop here
+  if (updateResult.rows.length === 0) {
+    logger.info(`Backfill ${backfillId} stopped during page ${page}, not continuing`);
+    return { backfillId, page, processed, failed, stopped: true };
+  }
+  backfill = updateResult.rows[0];
+
+  logger.info(`Backfill ${backfillId} page ${page} done for ${accountEmail}`, {
+    processed,
+    failed,
+    skipped,
+  });
+
+  if (nextPageToken) {
+    notifyProgress(backfill, accountEmail);
+    await enqueueBackfillPage(backfill, accountEmail, page + 1, { delay: BACKFILL_PAGE_DELAY_MS });
+  } else {
+    await notifyFinished(
+      backfill,
+      accountEmail,
+      'backfill_complete',
+      'Email Import Completed',
+      `Imported ${backfill.processed_count} older email${backfill.processed_count !== 1 ? 's' : ''} from ${accountEmail}.`
+    );
+  }
+
+  return { backfillId, page, processed, failed, done: !nextPageToken };
+};
+
+module.exports = {
+  startBackfill,
+  resumeBackfill,
+  cancelBackfill,
+  failBackfill,
+  processBackfillPage,
+  backfillOptionsSchema,
+};
@@ -0,0 +1,456 @@
+const Joi = require('joi');
+const db = require('../config/database');
+const { suggestCategories } = require('./openai');
+const { getBudgetMode } = require('./usage');
+const { cosineSimilarity } = require('./embeddings');
+const { createCategoryLabels, relabelEmails } = require('./labelMirror');
+const { learnFromCorrections } = require('./corrections');
+const { redactEmail } = require('../utils/redaction');
+const logger = require('../utils/logger');
+
+// Category suggestions group the user's recent unsorted mail by sender, subject and
+// summary (and embedding, when stored) and propose a new category for each large enough
+// group. Unsorted mail is what waits for review, what the model filed with low
+// confidence and what sits in the catch-all "Uncategorized" category; emails the user
+// filed themselves are left out.
+const SUGGESTION_WINDOW_DAYS = 30;
+const MAX_CANDIDATE_EMAILS = 500;
+// Filed emails below this confidence count as unsorted
+const LOW_CONFIDENCE = 0.75;
+const CATCH_ALL_CATEGORY = 'uncategorized';
+
+// SQL condition for unsorted emails `e`, with their category joined as `c`
+const UNSORTED_CONDITION = `(e.needs_review = true
+  OR e.category_id IS NULL
+  OR LOWER(c.name) = '${CATCH_ALL_CATEGORY}'
+  OR (e.category_id = e.ai_category_id AND e.ai_confidence < ${LOW_CONFIDENCE}))`;
+
+const MIN_GROUP_SIZE = 3;
+const MAX_SUGGESTIONS = 5;
+// Emails per group shown to the model, and stored as examples
+const MAX_PROMPT_EMAILS = 8;
+const MAX_EXAMPLES = 5;
+
+// An email joins the closest group when their words and senders overlap this much, or
+// when their embeddings are this similar
+const MIN_FEATURE_SIMILARITY = 0.3;
+const MIN_EMBEDDING_SIMILARITY =
+  parseFloat(process.env.SUGGESTION_MIN_EMBEDDING_SIMILARITY) || 0.85;
+
+// Feature weights: senders say most about what an email is, summaries least
+const DOMAIN_WEIGHT = 3;
+const SUBJECT_WEIGHT = 1;
+const SUMMARY_WEIGHT = 0.5;
+
+// Mailbox providers, whose domain says nothing about the email; the address is used instead
+const PERSONAL_DOMAINS = new Set([
+  'gmail.com',
+  'googlemail.com',
+  'outlook.com',
+  'hotmail.com',
+  'live.com',
+  'yahoo.com',
+  'icloud.com',
+  'me.com',
+  'aol.com',
+  'proton.me',
+  'protonmail.com',
+  'gmx.com',
+  'gmx.de',
+]);
+
+const STOP_WORDS = new Set(
+  (
+    'the and for you your with from this that are was were will our not but all can has ' +
+    'have had out now new get got its into about more than then them they their there ' +
+    'here what when which who how why just also any been being over only some such very ' +
+    'email emails mail message re fwd fw please thanks thank hello dear regards'
+  ).split(' ')
+);
+
+const acceptSuggestionSchema = Joi.object({
+  name: Joi.string().max(100).trim(),
+  description: Joi.string().max(500).trim(),
+});
+
+const suggestionError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// API shape of a suggestion
+const formatSuggestion = suggestion => ({
+  id: suggestion.id,
+  name: suggestion.name,
+  description: suggestion.description,
+  emailCount: suggestion.email_ids.length,
+  emailIds: suggestion.email_ids,
+  examples: suggestion.examples,
+  status: suggestion.status,
+  categoryId: suggestion.category_id,
+  createdAt: suggestion.created_at,
+});
+
+const senderAddress = sender => {
+  const match = String(sender || '').match(/<([^>]+)>/);
+  return (match ? match[1] : String(sender || '')).trim().toLowerCase();
+};
+
+// Sender domain without subdomains such as mail. or news.; a two-letter second level
+// (example.co.uk) keeps three labels
+const senderDomain = sender => {
+  const domain = senderAddress(sender).split('@')[1];
+  if (!domain) return null;
+  const labels = domain.split('.');
+  const keep = labels.length > 2 && labels[labels.length - 2].length <= 3 ? 3 : 2;
+  return labels.slice(-keep).join('.');
+};
+
+const words = text =>
+  (
+    String(text || '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]{3,}/gu) || []
+  ).filter(word => !STOP_WORDS.has(word) && !/^\d+$/.test(word));
+
+// Weighted features of an email, as a Map of feature to weight
+const emailFeatures = email => {
+  const features = new Map();
+  const add = (feature, weight) => features.set(feature, (features.get(feature) || 0) + weight);
+
+  const domain = senderDomain(email.sender);
+  if (domain && !PERSONAL_DOMAINS.has(domain)) add(`domain:${domain}`, DOMAIN_WEIGHT);
+  else if (email.sender) add(`sender:${senderAddress(email.sender)}`, DOMAIN_WEIGHT);
+  for (const word of new Set(words(email.subject))) add(`word:${word}`, SUBJECT_WEIGHT);
+  for (const word of new Set(words(email.ai_summary))) add(`word:${word}`, SUMMARY_WEIGHT);
+  return features;
+};
+
+const featureSimilarity = (a, b) => {
+  let dot = 0;
+  for (const [feature, weight] of a) dot += weight * (b.get(feature) || 0);
+  if (dot === 0) return 0;
+  const norm = features => Math.sqrt([...features.values()].reduce((sum, w) => sum + w * w, 0));
+  return dot / (norm(a) * norm(b));
+};
+
+const parseVector = text => (typeof text === 'string' ? JSON.parse(text) : text);
+
+// Single pass over the emails, newest first: each joins the most similar group, by
+// features, then by embedding, or starts a new one. Groups keep the sum of their members'
+// features and embeddings, which has the same direction as their mean.
+const groupEmails = emails => {
+  const groups = [];
+
+  for (const email of emails) {
+    const features = emailFeatures(email);
+    const embedding = email.embedding ? parseVector(email.embedding) : null;
+
+    let best = null;
+    let bestScore = MIN_FEATURE_SIMILARITY;
+    for (const group of groups) {
+      const score = featureSimilarity(features, group.features);
+      if (score >= bestScore) {
+        best = group;
+        bestScore = score;
+      }
+    }
+    if (!best && embedding) {
+      bestScore = MIN_EMBEDDING_SIMILARITY;
+      for (const group of groups) {
+        if (!group.embedding || group.embeddingModel !== email.embedding_model) continue;
+        const score = cosineSimilarity(embedding, group.embedding);
+        if (score >= bestScore) {
+          best = group;
+          bestScore = score;
+        }
+      }
+    }
+
+    if (!best) {
+      best = { emails: [], features: new Map(), embedding: null, embeddingModel: null };
+      groups.push(best);
+    }
+    best.emails.push(email);
+    for (const [feature, weight] of features) {
+      best.features.set(feature, (best.features.get(feature) || 0) + weight);
+    }
+    if (embedding && (!best.embedding || best.embeddingModel === email.embedding_model)) {
+      best.embedding = best.embedding
+        ? best.embedding.map((value, i) => value + embedding[i])
+        : [...embedding];
+      best.embeddingModel = email.embedding_model;
+    }
+  }
+
+  return groups
+    .filter(group => group.emails.length >= MIN_GROUP_SIZE)
+    .sort((a, b) => b.emails.length - a.emails.length)
+    .slice(0, MAX_SUGGESTIONS);
+};
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Name of a group without the model, from its strongest feature
+const fallbackSuggestion = group => {
+  const [strongest] = [...group.features.entries()].sort((a, b) => b[1] - a[1]);
+  if (!strongest) return { name: 'Similar emails', description: 'Emails similar to each other' };
+  const [feature] = strongest;
+  const separator = feature.indexOf(':');
+  const kind = feature.slice(0, separator);
+  const value = feature.slice(separator + 1);
+  if (kind === 'domain') {
+    return { name: capitalize(value.split('.')[0]), description: `Emails from ${value}` };
+  }
+  if (kind === 'sender') {
+    return { name: value, description: `Emails from ${value}` };
+  }
+  return { name: capitalize(value), description: `Emails about "${value}"` };
+};
+
+// Numbers names taken by a category or an earlier suggestion: "Travel (2)"
+const uniqueName = (name, taken) => {
+  let unique = name.substring(0, 100);
+  for (let n = 2; taken.has(unique.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    unique = `${name.substring(0, 100 - suffix.length)}${suffix}`;
+  }
+  taken.add(unique.toLowerCase());
+  return unique;
+};
+
+// Recent unsorted emails of the user, newest first
+const loadCandidates = async userId => {
+  const result = await db.query(
+    `SELECT e.id, e.subject, e.sender, e.ai_summary, e.category_id,
+       e.embedding::text as embedding, e.embedding_model
+     FROM emails e
+     LEFT JOIN categories c ON c.id = e.category_id
+     WHERE e.user_id = $1 AND e.quarantined = false
+       AND e.received_at > NOW() - INTERVAL '${SUGGESTION_WINDOW_DAYS} days'
+       AND ${UNSORTED_CONDITION}
+     ORDER BY e.received_at DESC
+     LIMIT $2`,
+    [userId, MAX_CANDIDATE_EMAILS]
+  );
+  return result.rows;
+};
+
+// Group the user's recent unsorted emails and propose a category for each group, named by
+// the categorize model (from the strongest sender or word without it). Replaces the
+// user's pending suggestions; returns the new ones.
+const generateSuggestions = async userId => {
+  const userResult = await db.query(
+    'SELECT llm_settings, redaction_level FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = userResult.rows[0] || {};
+  const categoriesResult = await db.query('SELECT id, name FROM categories WHERE user_id = $1', [
+    userId,
+  ]);
+  const categories = categoriesResult.rows;
+
+  const groups = groupEmails(await loadCandidates(userId));
+
+  let named = null;
+  if (groups.length > 0 && (await getBudgetMode({ userId })) !== 'rules_only') {
+    const level = user.redaction_level || 'off';
+    const prompts = groups.map(group =>
+      group.emails.slice(0, MAX_PROMPT_EMAILS).map(email => {
+        const redacted = redactEmail(
+          { subject: email.subject, from: email.sender, body: email.ai_summary },
+          level
+        ).email;
+        return { subject: redacted.subject, from: redacted.from, summary: redacted.body };
+      })
+    );
+    named = await suggestCategories(prompts, categories, {
+      settings: user.llm_settings,
+      userId,
+    });
+  }
+
+  await db.query('DELETE FROM category_suggestions WHERE user_id = $1 AND status = $2', [
+    userId,
+    'pending',
+  ]);
+
+  const taken = new Set(categories.map(category => category.name.toLowerCase()));
+  const suggestions = [];
+  for (const [index, group] of groups.entries()) {
+    const { name, description } = (named && named[index]) || fallbackSuggestion(group);
+    const examples = group.emails.slice(0, MAX_EXAMPLES).map(email => ({
+      emailId: email.id,
+      subject: email.subject,
+      sender: email.sender,
+      summary: email.ai_summary,
+    }));
+
+    const result = await db.query(
+      `INSERT INTO category_suggestions (user_id, name, description, email_ids, examples)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [
+        userId,
+        uniqueName(name, taken),
+        description,
+        group.emails.map(email => email.id),
+        JSON.stringify(examples),
+      ]
+    );
+    suggestions.push(result.rows[0]);
+  }
+
+  logger.info(`Generated ${suggestions.length} category suggestions for user ${userId}`);
+  return suggestions;
+};
+
+const getPendingSuggestions = async userId => {
+  const result = await db.query(
+    `SELECT * FROM category_suggestions
+     WHERE user_id = $1 AND status = 'pending'
+     ORDER BY cardinality(email_ids) DESC, id`,
+    [userId]
+  );
+  return result.rows;
+};
+
+// Claim a pending suggestion so it cannot be accepted or dismissed twice
+const closeSuggestion = async (client, userId, suggestionId, status) => {
+  const result = await client.query(
+    `UPDATE category_suggestions
+     SET status = $1, updated_at = NOW()
+     WHERE id = $2 AND user_id = $3 AND status = 'pending'
+     RETURNING *`,
+    [status, suggestionId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    const existing = await client.query(
+      'SELECT id FROM category_suggestions WHERE id = $1 AND user_id = $2',
+      [suggestionId, userId]
+    );
+    if (existing.rows.length > 0) {
+      throw suggestionError(409, 'Suggestion has already been accepted or dismissed');
+    }
+    throw suggestionError(404, 'Suggestion not found');
+  }
+
+  return result.rows[0];
+};
+
+// Create the suggested category, under another name or description when given, and move
+// the suggestion's emails that are still unsorted into it. Moves are recorded in
+// category_movements like any other. Returns { category, movedIds }.
+const acceptSuggestion = async (userId, suggestionId, { name, description } = {}) => {
+  const client = await db.connect();
+  let category;
+  let moved;
+
+  try {
+    await client.query('BEGIN');
+    const suggestion = await closeSuggestion(client, userId, suggestionId, 'accepted');
+    const categoryName = name || suggestion.name;
+
+    const existing = await client.query(
+      'SELECT id FROM categories WHERE user_id = $1 AND LOWER(name) = LOWER($2)',
+      [userId, categoryName]
+    );
+    if (existing.rows.length > 0) {
+      throw suggestionError(400, 'Category with this name already exists');
+    }
+
+    const categoryResult = await client.query(
+      'INSERT INTO categories (user_id, name, description) VALUES ($1, $2, $3) RETURNING *',
+      [userId, categoryName, description || suggestion.description]
+    );
+    category = categoryResult.rows[0];
+
+    // Emails the user filed or that were deleted since the suggestion are left alone
+    const emailsResult = await client.query(
+      `SELECT e.id, e.account_id, e.gmail_id, e.category_id, e.sender, e.ai_summary
+       FROM emails e
+       LEFT JOIN categories c ON c.id = e.category_id
+       WHERE e.id = ANY($1) AND e.user_id = $2 AND e.quarantined = false
+         AND ${UNSORTED_CONDITION}
+       FOR UPDATE OF e`,
+      [suggestion.email_ids, userId]
+    );
+    moved = emailsResult.rows;
+
+    if (moved.length > 0) {
+      await client.query(
+        `UPDATE emails
+         SET category_id = $1, needs_review = false, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ANY($2) AND user_id = $3`,
+        [category.id, moved.map(email => email.id), userId]
+      );
+      await client.query(
+        `INSERT INTO category_movements (
+           user_id, email_id, from_category_id, to_category_id, sender, ai_summary, source
+         )
+         SELECT $1, e.id, e.from_category_id, $2, e.sender, e.ai_summary, 'suggestion'
+         FROM UNNEST($3::int[], $4::int[], $5::text[], $6::text[])
+           AS e(id, from_category_id, sender, ai_summary)`,
+        [
+          userId,
+          category.id,
+          moved.map(email => email.id),
+          moved.map(email => email.category_id),
+          moved.map(email => email.sender),
+          moved.map(email => email.ai_summary),
+        ]
+      );
+    }
+
+    await client.query('UPDATE category_suggestions SET category_id = $1 WHERE id = $2', [
+      category.id,
+      suggestionId,
+    ]);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client
+      .query('ROLLBACK')
+      .catch(rollbackError =>
+        logger.error('Error rolling back category suggestion:', rollbackError)
+      );
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  logger.info(
+    `Category suggestion ${suggestionId} accepted for user ${userId}: ${moved.length} emails`
+  );
+
+  // Mirrored Gmail labels and sender rules follow in the background, as for a bulk move
+  if (moved.length > 0) {
+    relabelEmails(userId, moved, category).catch(error =>
+      logger.error('Failed to update Gmail labels for suggested category:', error)
+    );
+    learnFromCorrections(
+      userId,
+      moved.map(email => email.sender)
+    ).catch(error => logger.error('Failed to learn from suggested category:', error));
+  } else {
+    createCategoryLabels(userId, category).catch(error =>
+      logger.error('Failed to create Gmail labels for suggested category:', error)
+    );
+  }
+
+  return { category, movedIds: moved.map(email => email.id) };
+};
+
+const dismissSuggestion = (userId, suggestionId) =>
+  closeSuggestion(db, userId, suggestionId, 'dismissed');
+
+module.exports = {
+  acceptSuggestionSchema,
+  formatSuggestion,
+  groupEmails,
+  generateSuggestions,
+  getPendingSuggestions,
+  acceptSuggestion,
+  dismissSuggestion,
+};
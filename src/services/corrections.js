@@ -0,0 +1,111 @@
+const db = require('../config/database');
+const { extractAddress, listRules } = require('./rules');
+const logger = require('../utils/logger');
+
+// Corrections loaded per run; the few most relevant go into each classification prompt
+const RECENT_CORRECTIONS_LIMIT = 50;
+const FEW_SHOT_EXAMPLES = 5;
+
+// Identical corrections for one sender before a sender rule is created for it
+const AUTO_RULE_MIN_CORRECTIONS = parseInt(process.env.AUTO_RULE_MIN_CORRECTIONS) || 3;
+
+const loadLearningContext = async userId => {
+  const correctionsResult = await db.query(
+    `SELECT m.sender, m.ai_summary, fc.name AS from_category, tc.name AS to_category
+     FROM category_movements m
+     LEFT JOIN categories fc ON fc.id = m.from_category_id
+     JOIN categories tc ON tc.id = m.to_category_id
+     WHERE m.user_id = $1
+     ORDER BY m.moved_at DESC
+     LIMIT $2`,
+    [userId, RECENT_CORRECTIONS_LIMIT]
+  );
+  const rules = await listRules(userId);
+
+  return { corrections: correctionsResult.rows, rules };
+};
+
+// Past corrections and category rules of the user, loaded once per processing context
+// (one run, backfill page or preview) rather than once per message
+const learningContexts = new WeakMap();
+
+const getLearningContext = context => {
+  if (!learningContexts.has(context)) {
+    learningContexts.set(context, loadLearningContext(context.userId));
+  }
+  return learningContexts.get(context);
+};
+
+// Few-shot examples for the prompt: corrections for the same sender first, then the
+// most recent others, one per sender and target category
+const selectExamples = (corrections, from, limit = FEW_SHOT_EXAMPLES) => {
+  const address = extractAddress(from);
+  const sameSender = corrections.filter(c => extractAddress(c.sender) === address);
+  const others = corrections.filter(c => extractAddress(c.sender) !== address);
+
+  const seen = new Set();
+  const examples = [];
+  for (const correction of [...sameSender, ...others]) {
+    const key = `${extractAddress(correction.sender)}:${correction.to_category}`;
+    if (seen.has(key)) continue;
+
+    seen.add(key);
+    examples.push({
+      sender: correction.sender,
+      summary: correction.ai_summary,
+      fromCategory: correction.from_category,
+      toCategory: correction.to_category,
+    });
+    if (examples.length >= limit) break;
+  }
+
+  return examples;
+};
+
+// Create a sender rule once the latest corrections for a sender all moved it to the
+// same category. `senders` are the From values of the corrections just recorded.
+// Returns the rules created.
+const learnFromCorrections = async (userId, senders) => {
+  const addresses = [...new Set(senders.map(extractAddress).filter(Boolean))];
+  const created = [];
+
+  for (const address of addresses) {
+    const latestResult = await db.query(
+      `SELECT to_category_id FROM category_movements
+       WHERE user_id = $1 AND (LOWER(sender) = $2 OR LOWER(sender) LIKE '%<' || $2 || '>')
+       ORDER BY moved_at DESC
+       LIMIT $3`,
+      [userId, address, AUTO_RULE_MIN_CORRECTIONS]
+    );
+    const latest = latestResult.rows.map(row => row.to_category_id);
+
+    if (latest.length < AUTO_RULE_MIN_CORRECTIONS || latest.some(id => id !== latest[0])) {
+      continue;
+    }
+
+    // Rules the user already has for this sender are left alone
+    const ruleResult = await db.query(
+      `INSERT INTO category_rules (user_id, category_id, match_type, pattern, source)
+       VALUES ($1, $2, 'sender', $3, 'auto')
+       ON CONFLICT (user_id, match_type, pattern) DO NOTHING
+       RETURNING *`,
+      [userId, latest[0], address]
+    );
+
+    if (ruleResult.rows.length > 0) {
+      logger.info(`Created sender rule for ${address} from ${latest.length} corrections`, {
+        userId,
+        categoryId: latest[0],
+      });
+      created.push(ruleResult.rows[0]);
+    }
+  }
+
+  return created;
+};
+
+module.exports = {
+  getLearningContext,
+  selectExamples,
+  learnFromCorrections,
+};
@@ -0,0 +1,284 @@
+const Joi = require('joi');
+const db = require('../config/database');
+const { digestCategory } = require('./openai');
+const { getGmailClient } = require('./gmail');
+const { getBudgetMode } = require('./usage');
+const { buildRawMessage } = require('./providers/gmail');
+const { createNotification } = require('../routes/notifications');
+const { sendNotification } = require('../websocket/notificationSocket');
+const { redactEmail } = require('../utils/redaction');
+const logger = require('../utils/logger');
+
+// Digests of newly processed emails, one section per category with key points, open
+// action items and notable senders. Users choose daily or weekly digests and the hour
+// (UTC) they are generated at; weekly digests go out on Mondays. Each digest covers the
+// emails processed since the previous one.
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+const WEEKLY_DAY = 1;
+
+// Most emails per category the model condenses, most important first
+const MAX_DIGEST_EMAILS = 30;
+// Key points per category when no model is used: the summaries of the first emails
+const FALLBACK_KEY_POINTS = 5;
+const MAX_NOTABLE_SENDERS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const digestSettingsSchema = Joi.object({
+  frequency: Joi.string()
+    .valid(...DIGEST_FREQUENCIES)
+    .required(),
+  hour: Joi.number().integer().min(0).max(23).default(8),
+  email: Joi.boolean().default(false),
+});
+
+// Latest time a digest was scheduled for at or before `now`
+const lastScheduledAt = (user, now = new Date()) => {
+  const scheduled = new Date(now);
+  scheduled.setUTCHours(user.digest_hour, 0, 0, 0);
+  if (scheduled > now) scheduled.setUTCDate(scheduled.getUTCDate() - 1);
+  if (user.digest_frequency === 'weekly') {
+    scheduled.setUTCDate(scheduled.getUTCDate() - ((scheduled.getUTCDay() - WEEKLY_DAY + 7) % 7));
+  }
+  return scheduled;
+};
+
+const isDigestDue = (user, now = new Date()) =>
+  Boolean(PERIOD_DAYS[user.digest_frequency]) &&
+  (!user.last_digest_at || new Date(user.last_digest_at) < lastScheduledAt(user, now));
+
+// Senders with the most emails, ties in order of appearance
+const notableSenders = emails => {
+  const counts = new Map();
+  for (const email of emails) {
+    counts.set(email.sender, (counts.get(email.sender) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([sender, count]) => ({ sender, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_NOTABLE_SENDERS);
+};
+
+const buildSection = async (user, category, emails, actionItems, useModel) => {
+  let keyPoints = null;
+  if (useModel) {
+    const level = user.redaction_level || 'off';
+    const prompts = emails.slice(0, MAX_DIGEST_EMAILS).map(email => {
+      const redacted = redactEmail(
+        { subject: email.subject, from: email.sender, body: email.ai_summary },
+        level
+      ).email;
+      return { subject: redacted.subject, from: redacted.from, summary: redacted.body };
+    });
+    keyPoints = await digestCategory(category, prompts, {
+      settings: user.llm_settings,
+      userId: user.id,
+      language: user.preferred_language,
+    });
+  }
+  if (!keyPoints) {
+    keyPoints = emails
+      .slice(0, FALLBACK_KEY_POINTS)
+      .map(email => email.ai_summary || email.subject);
+  }
+
+  const emailIds = new Set(emails.map(email => email.id));
+  return {
+    categoryId: category.id,
+    categoryName: category.name,
+    emailCount: emails.length,
+    keyPoints,
+    actionItems: actionItems
+      .filter(item => emailIds.has(item.email_id))
+      .map(item => ({
+        emailId: item.email_id,
+        description: item.description,
+        dueDate: item.due_date,
+      })),
+    notableSenders: notableSenders(emails),
+  };
+};
+
+const formatDate = value => new Date(value).toISOString().split('T')[0];
+
+const plural = (count, singular, pluralForm) => `${count} ${count === 1 ? singular : pluralForm}`;
+
+const digestTitle = digest =>
+  `Your ${digest.frequency} digest: ${plural(digest.email_count, 'new email', 'new emails')}`;
+
+// Plain text of a digest, as sent by email
+const formatDigestText = digest => {
+  const period = `${formatDate(digest.period_start)} to ${formatDate(digest.period_end)}`;
+  const lines = [`${digestTitle(digest)} from ${period}`];
+  for (const section of digest.sections) {
+    lines.push('', `${section.categoryName} (${section.emailCount})`);
+    lines.push(...section.keyPoints.map(point => `- ${point}`));
+    if (section.actionItems.length > 0) {
+      lines.push('Action items:');
+      lines.push(
+        ...section.actionItems.map(
+          item => `- ${item.description}${item.dueDate ? ` (due ${formatDate(item.dueDate)})` : ''}`
+        )
+      );
+    }
+    const senders = section.notableSenders.map(item => `${item.sender} (${item.count})`);
+    lines.push(`Notable senders: ${senders.join(', ')}`);
+  }
+  return lines.join('\n');
+};
+
+// Send a digest to the user's first Gmail account, from that account. Ingestion skips it
+// like any sent message. Returns whether it was sent.
+const emailDigest = async digest => {
+  const accountResult = await db.query(
+    `SELECT email FROM email_accounts
+     WHERE user_id = $1 AND COALESCE(provider, 'google') = 'google'
+     ORDER BY id
+     LIMIT 1`,
+    [digest.user_id]
+  );
+  if (accountResult.rows.length === 0) {
+    logger.warn(`No Gmail account to email digest ${digest.id} to`);
+    return false;
+  }
+
+  const { gmail, account } = await getGmailClient(digest.user_id, accountResult.rows[0].email);
+  await gmail.users.messages.send({
+    userId: 'me',
+    resource: {
+      raw: buildRawMessage({
+        to: account.email,
+        subject: digestTitle(digest),
+        text: formatDigestText(digest),
+      }),
+    },
+  });
+  await db.query('UPDATE digests SET emailed_at = NOW() WHERE id = $1', [digest.id]);
+  return true;
+};
+
+// In-app notification, and the email when the user asked for it. Failures are logged; the
+// digest stays available through the API.
+const deliverDigest = async (user, digest) => {
+  try {
+    const categories = digest.sections.map(section => section.categoryName);
+    const notification = await createNotification(
+      user.id,
+      'digest',
+      digestTitle(digest),
+      `${plural(categories.length, 'category', 'categories')}: ${categories.join(', ')}`,
+      { digestId: digest.id }
+    );
+    sendNotification(user.id, notification);
+  } catch (error) {
+    logger.error(`Failed to create digest notification for user ${user.id}:`, error);
+  }
+
+  if (user.digest_email) {
+    try {
+      await emailDigest(digest);
+    } catch (error) {
+      logger.error(`Failed to email digest ${digest.id}:`, error);
+    }
+  }
+};
+
+// Generate, store and deliver the user's digest for the emails processed since the last
+// one. The period is claimed first, so a digest is generated once even with several
+// schedulers; it is not retried when generation fails. Returns the digest, or null when
+// nothing new arrived or another run claimed the period.
+const generateDigest = async (user, now = new Date()) => {
+  const periodStart = user.last_digest_at
+    ? new Date(user.last_digest_at)
+    : new Date(now.getTime() - PERIOD_DAYS[user.digest_frequency] * DAY_MS);
+
+  const claimed = await db.query(
+    `UPDATE users SET last_digest_at = $2
+     WHERE id = $1 AND last_digest_at IS NOT DISTINCT FROM $3
+     RETURNING id`,
+    [user.id, now, user.last_digest_at || null]
+  );
+  if (claimed.rows.length === 0) return null;
+
+  const emailsResult = await db.query(
+    `SELECT e.id, e.category_id, c.name as category_name, e.subject, e.sender, e.ai_summary
+     FROM emails e
+     JOIN categories c ON c.id = e.category_id
+     WHERE e.user_id = $1 AND e.processed_at > $2 AND e.processed_at <= $3
+       AND e.quarantined = false
+     ORDER BY c.name,
+       CASE e.priority WHEN 'urgent' THEN 0 WHEN 'low' THEN 2 ELSE 1 END,
+       e.processed_at DESC`,
+    [user.id, periodStart, now]
+  );
+  const emails = emailsResult.rows;
+  if (emails.length === 0) {
+    logger.info(`No new emails for the digest of user ${user.id}`);
+    return null;
+  }
+
+  const actionsResult = await db.query(
+    `SELECT email_id, description, due_date
+     FROM email_action_items
+     WHERE email_id = ANY($1) AND done_at IS NULL
+     ORDER BY due_date ASC NULLS LAST, id`,
+    [emails.map(email => email.id)]
+  );
+
+  const byCategory = new Map();
+  for (const email of emails) {
+    if (!byCategory.has(email.category_id)) byCategory.set(email.category_id, []);
+    byCategory.get(email.category_id).push(email);
+  }
+
+  // Key points are summaries, so they are left out once summaries are
+  const useModel = (await getBudgetMode({ userId: user.id })) === 'full';
+  const sections = [];
+  for (const [categoryId, categoryEmails] of byCategory) {
+    const category = { id: categoryId, name: categoryEmails[0].category_name };
+    sections.push(await buildSection(user, category, categoryEmails, actionsResult.rows, useModel));
+  }
+
+  const result = await db.query(
+    `INSERT INTO digests (user_id, frequency, period_start, period_end, email_count, sections)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [user.id, user.digest_frequency, periodStart, now, emails.length, JSON.stringify(sections)]
+  );
+  const digest = result.rows[0];
+  logger.info(`Digest ${digest.id} generated for user ${user.id}: ${emails.length} emails`);
+
+  await deliverDigest(user, digest);
+  return digest;
+};
+
+// Generate the digests due at `now`; run hourly. Returns the number generated.
+const generateDueDigests = async (now = new Date()) => {
+  const result = await db.query(
+    `SELECT id, name, email, llm_settings, redaction_level, preferred_language,
+       digest_frequency, digest_hour, digest_email, last_digest_at
+     FROM users
+     WHERE digest_frequency <> 'off'`
+  );
+
+  let generated = 0;
+  for (const user of result.rows.filter(row => isDigestDue(row, now))) {
+    try {
+      if (await generateDigest(user, now)) generated++;
+    } catch (error) {
+      logger.error(`Failed to generate the digest for user ${user.id}:`, error);
+      // Continue with other users
+    }
+  }
+  return generated;
+};
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  digestSettingsSchema,
+  isDigestDue,
+  formatDigestText,
+  generateDigest,
+  generateDueDigests,
+};
@@ -0,0 +1,214 @@
+const db = require('../config/database');
+const { getModelClient } = require('./llm');
+const { recordResponseUsage } = require('./usage');
+const logger = require('../utils/logger');
+
+// Emails are embedded from their subject and summary and stored with pgvector. Each
+// category gets the centroid of its emails' embeddings; new mail close enough to one
+// centroid, and clearly closer to it than to any other, is filed without asking the LLM.
+const MIN_SIMILARITY = parseFloat(process.env.EMBEDDING_MIN_SIMILARITY) || 0.8;
+const MIN_MARGIN = parseFloat(process.env.EMBEDDING_MIN_MARGIN) || 0.05;
+// Categories with fewer sorted emails are left to the LLM
+const MIN_CATEGORY_EMAILS = 5;
+
+// Centroids are recomputed at most this often per user
+const CENTROID_MAX_AGE_MS = 60 * 60 * 1000;
+
+const BACKFILL_BATCH_SIZE = 100;
+
+// Deployment-wide switch; embeddings also need a configured model
+const isEnabled = () => process.env.EMBEDDINGS_ENABLED !== 'false';
+
+const embeddingText = ({ subject, summary }) => `${subject || ''}\n${summary || ''}`.trim();
+
+// pgvector's text format, e.g. "[0.1,0.2]", which is also JSON
+const toVectorSql = vector => `[${vector.join(',')}]`;
+const parseVector = text => (typeof text === 'string' ? JSON.parse(text) : text);
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// Embed several texts in one request, recording the usage for `userId`. Returns
+// { model, vectors }, or null when embeddings are disabled or no model is configured.
+const embedTexts = async (texts, userId = null) => {
+  if (!isEnabled()) return null;
+
+  const llm = getModelClient('embed');
+  if (!llm) return null;
+
+  const response = await llm.client.embeddings.create({ model: llm.model, input: texts });
+  await recordResponseUsage(userId, 'embed', llm.model, response);
+  return { model: llm.model, vectors: response.data.map(item => item.embedding) };
+};
+
+// Embeddings of emails as { model, vector } each, or nulls. Failures only cost the emails
+// their embedding.
+const embedEmails = async (emails, { userId = null } = {}) => {
+  try {
+    const result = await embedTexts(emails.map(embeddingText), userId);
+    if (!result) return emails.map(() => null);
+    return result.vectors.map(vector => ({ model: result.model, vector }));
+  } catch (error) {
+    logger.warn(`Failed to embed ${emails.length} emails: ${error.message}`);
+    return emails.map(() => null);
+  }
+};
+
+const embedEmail = async (email, options) => (await embedEmails([email], options))[0];
+
+// Recompute the user's category centroids from their sorted emails, in one transaction
+// so concurrent readers never see the user without centroids
+const refreshCentroids = async (userId, model) => {
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM category_embeddings WHERE user_id = $1', [userId]);
+    await client.query(
+      `INSERT INTO category_embeddings (category_id, user_id, embedding_model, centroid, email_count)
+       SELECT category_id, user_id, embedding_model, AVG(embedding), COUNT(*)
+       FROM emails
+       WHERE user_id = $1 AND embedding_model = $2 AND embedding IS NOT NULL
+         AND category_id IS NOT NULL AND needs_review = false
+       GROUP BY category_id, user_id, embedding_model`,
+      [userId, model]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const loadCentroids = async (userId, model) => {
+  const result = await db.query(
+    `SELECT category_id, centroid::text as centroid, email_count, updated_at
+     FROM category_embeddings
+     WHERE user_id = $1 AND embedding_model = $2`,
+    [userId, model]
+  );
+  return result.rows;
+};
+
+const getCentroids = async (userId, model) => {
+  let rows = await loadCentroids(userId, model);
+
+  const oldest = Math.min(...rows.map(row => new Date(row.updated_at).getTime()));
+  if (rows.length === 0 || Date.now() - oldest > CENTROID_MAX_AGE_MS) {
+    await refreshCentroids(userId, model);
+    rows = await loadCentroids(userId, model);
+  }
+
+  return rows.map(row => ({
+    categoryId: row.category_id,
+    emailCount: row.email_count,
+    centroid: parseVector(row.centroid),
+  }));
+};
+
+// Category centroids of the user, loaded once per processing context (one run, backfill
+// page or preview)
+const centroidContexts = new WeakMap();
+
+const getCentroidsForContext = (context, model) => {
+  if (!centroidContexts.has(context)) {
+    centroidContexts.set(
+      context,
+      getCentroids(context.userId, model).catch(error => {
+        logger.warn(`Failed to load category centroids: ${error.message}`);
+        return [];
+      })
+    );
+  }
+  return centroidContexts.get(context);
+};
+
+// Classification by the nearest category centroid, or null when the result is ambiguous:
+// too far from every centroid or too close to a second one
+const classifyByEmbedding = (centroids, vector, categories) => {
+  const names = new Map(categories.map(category => [category.id, category.name]));
+  const ranked = centroids
+    .filter(c => names.has(c.categoryId) && c.emailCount >= MIN_CATEGORY_EMAILS)
+    .filter(c => c.centroid.length === vector.length)
+    .map(c => ({ ...c, similarity: cosineSimilarity(c.centroid, vector) }))
+    .sort((a, b) => b.similarity - a.similarity);
+
+  const [best, second] = ranked;
+  if (!best || best.similarity < MIN_SIMILARITY) return null;
+  if (second && best.similarity - second.similarity < MIN_MARGIN) return null;
+
+  return {
+    categoryId: best.categoryId,
+    confidence: Math.min(best.similarity, 1),
+    rationale: `Similar to ${best.emailCount} emails in ${names.get(best.categoryId)} (similarity ${best.similarity.toFixed(2)})`,
+  };
+};
+
+// Embed stored emails without an embedding from the current model, in batches, then
+// refresh the centroids of the users concerned. Returns the number of emails embedded.
+const backfillEmbeddings = async ({ userId = null, batchSize = BACKFILL_BATCH_SIZE } = {}) => {
+  const probe = await embedTexts(['probe']);
+  if (!probe) {
+    throw new Error('Embeddings are disabled or no embedding model is configured');
+  }
+
+  const { model } = probe;
+  const userIds = new Set();
+  let lastId = 0;
+  let embedded = 0;
+
+  for (;;) {
+    const result = await db.query(
+      `SELECT id, user_id, subject, ai_summary FROM emails
+       WHERE id > $1 AND embedding_model IS DISTINCT FROM $2 AND ($3::int IS NULL OR user_id = $3)
+       ORDER BY id
+       LIMIT $4`,
+      [lastId, model, userId, batchSize]
+    );
+    if (result.rows.length === 0) break;
+
+    const { vectors } = await embedTexts(
+      result.rows.map(row => embeddingText({ subject: row.subject, summary: row.ai_summary }))
+    );
+
+    for (const [index, row] of result.rows.entries()) {
+      await db.query(
+        'UPDATE emails SET embedding = $1::vector, embedding_model = $2 WHERE id = $3',
+        [toVectorSql(vectors[index]), model, row.id]
+      );
+      userIds.add(row.user_id);
+    }
+
+    embedded += result.rows.length;
+    lastId = result.rows[result.rows.length - 1].id;
+    logger.info(`Embedded ${embedded} emails so far`);
+  }
+
+  for (const id of userIds) {
+    await refreshCentroids(id, model);
+  }
+
+  return embedded;
+};
+
+module.exports = {
+  toVectorSql,
+  cosineSimilarity,
+  embedEmail,
+  embedEmails,
+  refreshCentroids,
+  getCentroidsForContext,
+  classifyByEmbedding,
+  backfillEmbeddings,
+};
@@ -1,9 +1,53 @@
-const { google } = require('googleapis');
-const cheerio = require('cheerio');
 const db = require('../config/database');
-const { categorizeEmail, summarizeEmail } = require('./openai');
+const {
+  ANALYSIS_BATCH_SIZE,
+  analyzeEmails,
+  categorizeEmail,
+  basicSummary,
+} = require('./openai');
+const { getMailProvider } = require('./providers');
+const { createGmailClient } = require('./providers/gmail');
+const { labelMessage, applyLabelChanges } = require('./labelMirror');
+const { getIngestionPolicy, hasExcludedLabel } = require('./ingestionPolicy');
+const { getLearningContext, selectExamples } = require('./corrections');
+const { findMatchingRule, describeRule } = require('./rules');
+const {
+  toVectorSql,
+  embedEmails,
+  getCentroidsForContext,
+  classifyByEmbedding,
+} = require('./embeddings');
+const { getBudgetMode } = require('./usage');
+const { assessRisk } = require('./phishing');
+const { redactEmail, redactExamples } = require('../utils/redaction');
+const { detectLanguage } = require('../utils/language');
 const logger = require('../utils/logger');
 
+// Same as the users.review_threshold column default
+const DEFAULT_REVIEW_THRESHOLD = 0.6;
+
+// Parallel message fetches and combined categorize and summarize requests per run
+const FETCH_CONCURRENCY = 5;
+const ANALYSIS_CONCURRENCY = parseInt(process.env.LLM_BATCH_CONCURRENCY) || 3;
+
+// Runs a message that fails to process is tried in before it is given up on
+const MAX_MESSAGE_ATTEMPTS = 3;
+
+// Run `fn` over the items, at most `limit` at a time. Results keep the items' order.
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const current = next++;
+      results[current] = await fn(items[current], current);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+// Raw Gmail API client, for Gmail-only features such as push notification watches
 const getGmailClient = async (userId, accountEmail = null) => {
   try {
     let query = 'SELECT * FROM email_accounts WHERE user_id = $1';
@@ -21,29 +65,7 @@ const getGmailClient = async (userId, accountEmail = null) => {
     }
 
     const account = result.rows[0];
-
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-
-    oauth2Client.setCredentials({
-      access_token: account.access_token,
-      refresh_token: account.refresh_token,
-    });
-
-    // Handle token refresh
-    oauth2Client.on('tokens', async tokens => {
-      if (tokens.access_token) {
-        await db.query('UPDATE email_accounts SET access_token = $1 WHERE id = $2', [
-          tokens.access_token,
-          account.id,
-        ]);
-      }
-    });
-
-    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+    const gmail = createGmailClient(account);
 
     return { gmail, account };
   } catch (error) {
@@ -52,31 +74,6 @@ const getGmailClient = async (userId, accountEmail = null) => {
   }
 };
 
-const extractEmailContent = payload => {
-  let body = '';
-
-  if (payload.body && payload.body.data) {
-    body = Buffer.from(payload.body.data, 'base64').toString('utf-8');
-  } else if (payload.parts) {
-    // Handle multipart messages
-    for (const part of payload.parts) {
-      if (part.mimeType === 'text/plain' || part.mimeType === 'text/html') {
-        if (part.body && part.body.data) {
-          body += Buffer.from(part.body.data, 'base64').toString('utf-8');
-        }
-      }
-    }
-  }
-
-  // Clean HTML if present
-  if (body.includes('<')) {
-    const $ = cheerio.load(body);
-    body = $.text().replace(/\s+/g, ' ').trim();
-  }
-
-  return body;
-};
-
 const extractUnsubscribeLink = (body, headers) => {
   // Check List-Unsubscribe header first
   const listUnsubscribe = headers.find(h => h.name === 'List-Unsubscribe')?.value;
@@ -104,16 +101,322 @@ const extractUnsubscribeLink = (body, headers) => {
   return null;
 };
 
+// Fetch a message and match it against the user's rules. Returns null when the account's
+// ingestion policy excludes the message.
+const fetchMessage = async (provider, context, messageId, rules) => {
+  const { account } = context;
+  const policy = getIngestionPolicy(account);
+  const message = await provider.getMessage(messageId);
+  const { subject, from, headers, body, labels = [] } = message;
+
+  if (hasExcludedLabel(labels, policy)) {
+    logger.info(`Skipped email with an excluded label for ${account.email}: ${subject}`);
+    return null;
+  }
+
+  const unsubscribeLink = extractUnsubscribeLink(body, headers);
+  const rule = findMatchingRule(rules, { from, subject, headers, unsubscribeLink });
+  return { message, unsubscribeLink, rule };
+};
+
+// Classification of emails the model was not asked about
+const budgetExceeded = { categoryId: null, confidence: 0, rationale: 'LLM budget exceeded' };
+
+// Summaries, AI classifications, action items and embeddings of emails, as far as the
+// user's LLM budget allows. Emails to classify have `classify` set, with the user's past
+// corrections as `examples`. Returns { summary, classification, extraction, embedding }
+// per email, in order.
+const runModels = async (context, emails) => {
+  const { userId, user, categories } = context;
+  const settings = user?.llm_settings;
+  const mode = await getBudgetMode(context);
+
+  // Over budget: rules only, and a basic summary
+  if (mode === 'rules_only') {
+    return emails.map(email => ({
+      summary: basicSummary(email),
+      classification: budgetExceeded,
+      extraction: null,
+      embedding: null,
+    }));
+  }
+
+  // Close to the budget: classify without summaries or action items, which take most of
+  // the tokens
+  if (mode === 'no_summaries') {
+    return mapWithConcurrency(emails, ANALYSIS_CONCURRENCY, async email => {
+      const { subject, from, body, examples } = email;
+      const options = { examples, settings, userId };
+      return {
+        summary: basicSummary(email),
+        classification: email.classify
+          ? await categorizeEmail({ subject, from, body }, categories, options)
+          : budgetExceeded,
+        extraction: null,
+        embedding: null,
+      };
+    });
+  }
+
+  // Summarize every email, extract its action items and classify it in combined requests
+  // (emails matched by a rule are not classified), then embed the subject and summary
+  const analyses = await analyzeEmails(emails, categories, {
+    settings,
+    userId,
+    language: user?.preferred_language,
+    concurrency: ANALYSIS_CONCURRENCY,
+  });
+  const embeddings = await embedEmails(
+    emails.map((email, index) => ({ subject: email.subject, summary: analyses[index].summary })),
+    { userId }
+  );
+
+  return analyses.map((analysis, index) => ({ ...analysis, embedding: embeddings[index] }));
+};
+
+// Phishing risk of fetched messages, by their headers and links and, for suspicious ones,
+// the model's judgement of their `emails` content unless the LLM budget is used up
+const assessRisks = async (context, fetched, emails) => {
+  const { userId, user } = context;
+  const useModel = (await getBudgetMode(context)) !== 'rules_only';
+
+  return mapWithConcurrency(fetched, ANALYSIS_CONCURRENCY, ({ fetched: { message } }, index) =>
+    assessRisk(message, { email: emails[index], useModel, settings: user?.llm_settings, userId })
+  );
+};
+
+// Fetch, categorize and summarize messages without storing them or touching the mailbox.
+// Categories and summaries come from combined model requests of several messages each.
+// Returns one { messageId, analysis, error } per message ID, in order; analysis is null
+// when the account's ingestion policy excludes the message, error is set when it failed.
+const analyzeMessages = async (provider, context, messageIds) => {
+  const { categories } = context;
+  const { corrections, rules } = await getLearningContext(context);
+
+  const entries = await mapWithConcurrency(messageIds, FETCH_CONCURRENCY, async messageId => {
+    try {
+      const fetched = await fetchMessage(provider, context, messageId, rules);
+      return { messageId, analysis: null, fetched };
+    } catch (error) {
+      return { messageId, analysis: null, error };
+    }
+  });
+
+  const fetched = entries.filter(entry => entry.fetched);
+  // Models only see the content masked at the user's redaction level; the original is stored
+  const redactionLevel = context.user?.redaction_level || 'off';
+  const emails = fetched.map(entry => {
+    const { message, rule } = entry.fetched;
+    const { email, counts } = redactEmail(message, redactionLevel);
+    entry.fetched.redactionCounts = Object.keys(counts).length > 0 ? counts : null;
+    const examples = rule ? [] : selectExamples(corrections, message.from);
+    return {
+      ...email,
+      date: message.date,
+      examples: redactExamples(examples, redactionLevel),
+      classify: !rule,
+    };
+  });
+
+  let results;
+  let risks;
+  try {
+    results = await runModels(context, emails);
+    risks = await assessRisks(context, fetched, emails);
+  } catch (error) {
+    // Fail the fetched messages, not the whole run
+    for (const entry of fetched) {
+      entry.error = error;
+      delete entry.fetched;
+    }
+    return entries;
+  }
+
+  for (const [index, entry] of fetched.entries()) {
+    const { message, unsubscribeLink, rule, redactionCounts } = entry.fetched;
+    const { summary, extraction, embedding } = results[index];
+
+    // The first matching rule wins, then similarity to the emails the user already sorted
+    // into each category, then the AI; category is null when none of them fits
+    let classification = rule
+      ? { categoryId: rule.category_id, confidence: 1, rationale: describeRule(rule) }
+      : null;
+    if (!classification && embedding) {
+      const centroids = await getCentroidsForContext(context, embedding.model);
+      classification = classifyByEmbedding(centroids, embedding.vector, categories);
+    }
+    classification = classification || results[index].classification;
+    const category = categories.find(cat => cat.id === classification.categoryId) || null;
+
+    entry.analysis = {
+      message,
+      language: detectLanguage(`${message.subject}\n${message.body}`),
+      category,
+      classification,
+      risk: risks[index],
+      rule,
+      summary,
+      extraction,
+      unsubscribeLink,
+      embedding,
+      redactionCounts,
+    };
+    delete entry.fetched;
+  }
+
+  return entries;
+};
+
+// Fetch, categorize and summarize one message without storing it or touching the mailbox.
+// Returns null when the account's ingestion policy excludes the message.
+const analyzeMessage = async (provider, context, messageId) => {
+  const [{ analysis, error }] = await analyzeMessages(provider, context, [messageId]);
+  if (error) throw error;
+  return analysis;
+};
+
+// Store an analyzed message, then label, mark as read and archive it as the account's
+// ingestion policy says. Classifications below the user's threshold are stored without
+// a category for review, unless `confirmed` says the user already chose the category.
+// Returns the stored email row.
+const saveMessage = async (
+  provider,
+  { userId, user, account },
+  {
+    message,
+    language = null,
+    category,
+    classification,
+    risk = null,
+    rule,
+    summary,
+    extraction = null,
+    unsubscribeLink,
+    embedding,
+    redactionCounts = null,
+  },
+  options = {}
+) => {
+  const policy = getIngestionPolicy(account);
+  const { archive = policy.archive, confirmed = false } = options;
+  const { id: messageId, subject, from, date, body } = message;
+
+  // Likely phishing is quarantined: no category and no pending unsubscribe, whatever the
+  // classification says, until the user releases it
+  const quarantined = Boolean(risk && risk.quarantined);
+  const threshold = user.review_threshold ?? DEFAULT_REVIEW_THRESHOLD;
+  const needsReview =
+    !quarantined && (!category || (!confirmed && classification.confidence < threshold));
+  const filed = !quarantined && !needsReview;
+
+  // Save email to database
+  const result = await db.query(
+    `INSERT INTO emails (
+      user_id, category_id, account_id, gmail_id, subject, sender, body, 
+      ai_summary, unsubscribe_link, unsubscribe_status, received_at, processed_at,
+      ai_category_id, ai_confidence, ai_rationale, needs_review, matched_rule_id,
+      embedding, embedding_model, redaction_counts, priority, reply_expected,
+      risk_score, risk_signals, quarantined, language
+    ) VALUES (
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), $12, $13, $14, $15,
+      (SELECT id FROM category_rules WHERE id = $16), $17::vector, $18, $19, $20, $21,
+      $22, $23, $24, $25
+    )
+    RETURNING *`,
+    [
+      userId,
+      filed ? category.id : null,
+      account.id,
+      messageId,
+      subject,
+      from,
+      body,
+      summary,
+      unsubscribeLink,
+      unsubscribeLink && !quarantined ? 'pending' : null, // Pending only if there is a link
+      date ? new Date(date) : new Date(),
+      category ? category.id : null,
+      classification.confidence,
+      classification.rationale,
+      needsReview,
+      rule ? rule.id : null, // Rules deleted since the analysis are left out
+      embedding ? toVectorSql(embedding.vector) : null,
+      embedding ? embedding.model : null,
+      redactionCounts ? JSON.stringify(redactionCounts) : null,
+      extraction ? extraction.priority : null,
+      extraction ? extraction.replyExpected : null,
+      risk ? risk.score : null,
+      risk ? JSON.stringify(risk.signals) : null,
+      quarantined,
+      language,
+    ]
+  );
+  const email = result.rows[0];
+
+  // One row per action item, so they can be marked done one by one
+  if (extraction && extraction.actionItems.length > 0) {
+    await db.query(
+      `INSERT INTO email_action_items (user_id, email_id, description, due_date)
+       SELECT $1, $2, item.description, item.due_date
+       FROM UNNEST($3::text[], $4::date[]) AS item(description, due_date)`,
+      [
+        userId,
+        email.id,
+        extraction.actionItems.map(item => item.description),
+        extraction.actionItems.map(item => item.dueDate),
+      ]
+    );
+  }
+
+  // Mirror the category as a Gmail label; emails waiting for review have none yet
+  if (filed && account.mirror_labels && provider.name === 'google') {
+    await labelMessage(provider.gmail, account, messageId, category);
+  }
+
+  if (policy.markAsRead) {
+    await provider.markAsRead(messageId);
+  }
+
+  // Archive email in the mailbox
+  if (archive) {
+    await provider.archive(messageId);
+  }
+
+  let destination = filed ? category.name : 'review queue';
+  if (quarantined) destination = 'quarantine';
+  logger.info(
+    `Processed email for ${user.name} (${account.email}): ${subject} -> ${destination}`,
+    { confidence: classification.confidence, ...(risk && { riskScore: risk.score }) }
+  );
+  return email;
+};
+
+// Analyze and save one message. Returns false when the ingestion policy skips it.
+const processMessage = async (provider, context, messageId, options = {}) => {
+  const analysis = await analyzeMessage(provider, context, messageId);
+  if (!analysis) return false;
+
+  await saveMessage(provider, context, analysis, options);
+  return true;
+};
+
 const processNewEmails = async (userId, accountEmail = null) => {
+  let provider;
+
   try {
     // Get user info for better logging
-    const userResult = await db.query('SELECT name, email FROM users WHERE id = $1', [userId]);
+    const userResult = await db.query(
+      `SELECT name, email, review_threshold, llm_settings, redaction_level, preferred_language
+       FROM users WHERE id = $1`,
+      [userId]
+    );
     const user = userResult.rows[0];
     
     logger.info(`Processing emails for user: ${user.name} (${user.email}) - User ID: ${userId}`);
 
-    const { gmail, account } = await getGmailClient(userId, accountEmail);
-    logger.info(`Using email account: ${account.email}`);
+    provider = await getMailProvider(userId, accountEmail);
+    const { account } = provider;
+    logger.info(`Using email account: ${account.email} (${provider.name})`);
 
     // Get user's categories
     const categoriesResult = await db.query('SELECT * FROM categories WHERE user_id = $1', [
@@ -122,108 +425,161 @@ const processNewEmails = async (userId, accountEmail = null) => {
 
     if (categoriesResult.rows.length === 0) {
       logger.info(`No categories found for user: ${user.name} (${user.email})`);
-      return;
+      return 0;
     }
 
     const categories = categoriesResult.rows;
+    const policy = getIngestionPolicy(account);
 
-    // Get unread emails from the last 7 days
-    const query = 'is:unread newer_than:7d';
-    const response = await gmail.users.messages.list({
-      userId: 'me',
-      q: query,
-      maxResults: 50,
-    });
+    // The sync cursor is a Gmail historyId, a Graph delta link or the last seen IMAP UID
+    const { messageIds, cursor, labelChanges } = await provider.listNewMessages(
+      account.history_id,
+      { query: policy.query, since: account.last_synced_at }
+    );
 
-    if (!response.data.messages || response.data.messages.length === 0) {
-      logger.info(`No unread emails found for ${user.name} (${user.email}) in account ${account.email}`);
-      return;
+    // Messages that failed in earlier runs are no longer listed, so they are retried from
+    // failed_messages, ahead of the new ones
+    const retryResult = await db.query(
+      'SELECT message_id FROM failed_messages WHERE account_id = $1 AND attempts < $2',
+      [account.id, MAX_MESSAGE_ATTEMPTS]
+    );
+    const retryIds = retryResult.rows
+      .map(row => row.message_id)
+      .filter(id => !messageIds.includes(id));
+    const candidateIds = [...retryIds, ...messageIds];
+
+    // Skip messages that were already processed, excluded by the policy or given up on, in
+    // one query, so they do not take up the per-run limit
+    let newMessageIds = [];
+    if (candidateIds.length > 0) {
+      const existingResult = await db.query(
+        `SELECT gmail_id FROM emails WHERE account_id = $1 AND gmail_id = ANY($2)
+         UNION SELECT message_id FROM skipped_messages
+         WHERE account_id = $1 AND message_id = ANY($2)
+         UNION SELECT message_id FROM failed_messages
+         WHERE account_id = $1 AND message_id = ANY($2) AND attempts >= $3`,
+        [account.id, candidateIds, MAX_MESSAGE_ATTEMPTS]
+      );
+      const existingIds = new Set(existingResult.rows.map(row => row.gmail_id));
+      newMessageIds = candidateIds.filter(id => !existingIds.has(id));
     }
 
-    logger.info(`Found ${response.data.messages.length} unread emails for ${user.name} (${user.email}) in account ${account.email}`);
-    let processedCount = 0;
+    logger.info(`Found ${newMessageIds.length} new emails for ${user.name} (${user.email}) in account ${account.email}`, {
+      listed: messageIds.length,
+      retried: retryIds.length,
+      alreadyHandled: candidateIds.length - newMessageIds.length,
+    });
 
-    for (const message of response.data.messages) {
-      try {
-        // Check if email already processed
-        const existingEmail = await db.query(
-          'SELECT id FROM emails WHERE gmail_id = $1 AND user_id = $2',
-          [message.id, userId]
-        );
-
-        if (existingEmail.rows.length > 0) {
-          logger.info(`Email ${message.id} already processed for ${user.name} (${account.email}), skipping...`);
-          continue;
+    // Messages over the per-run limit are left for the next run
+    const deferredCount = Math.max(newMessageIds.length - policy.maxMessagesPerRun, 0);
+    let processedCount = 0;
+    const skippedIds = [];
+    const failures = new Map();
+    const context = { userId, user, account, categories };
+
+    // Analyze a few batches at a time, saving each chunk before fetching the next
+    const chunkSize = ANALYSIS_BATCH_SIZE * ANALYSIS_CONCURRENCY;
+    const runMessageIds = newMessageIds.slice(0, policy.maxMessagesPerRun);
+
+    for (let i = 0; i < runMessageIds.length; i += chunkSize) {
+      const chunk = runMessageIds.slice(i, i + chunkSize);
+      const analyses = await analyzeMessages(provider, context, chunk);
+
+      for (const { messageId, analysis, error } of analyses) {
+        try {
+          if (error) throw error;
+          // Messages the ingestion policy excludes are skipped
+          if (!analysis) {
+            skippedIds.push(messageId);
+            continue;
+          }
+
+          await saveMessage(provider, context, analysis);
+          processedCount++;
+        } catch (error) {
+          failures.set(messageId, error.message);
+          logger.error(`Error processing email ${messageId}:`, error);
+          // Continue processing other emails
         }
+      }
+    }
 
-        // Get full email data
-        const emailData = await gmail.users.messages.get({
-          userId: 'me',
-          id: message.id,
-          format: 'full',
-        });
+    // Category labels moved inside Gmail (only reported for accounts that mirror labels)
+    if (labelChanges && labelChanges.length > 0) {
+      await applyLabelChanges(account, labelChanges);
+    }
 
-        const headers = emailData.data.payload.headers;
-        const subject = headers.find(h => h.name === 'Subject')?.value || 'No Subject';
-        const from = headers.find(h => h.name === 'From')?.value || 'Unknown Sender';
-        const date = headers.find(h => h.name === 'Date')?.value;
-
-        const body = extractEmailContent(emailData.data.payload);
-        const unsubscribeLink = extractUnsubscribeLink(body, headers);
-
-        // Categorize email
-        const categoryName = await categorizeEmail({ subject, from, body }, categories);
-        const category = categories.find(cat => cat.name === categoryName) || categories[0];
-
-        // Summarize email
-        const summary = await summarizeEmail({ subject, from, body });
-
-        // Save email to database
-        await db.query(
-          `INSERT INTO emails (
-            user_id, category_id, account_id, gmail_id, subject, sender, body, 
-            ai_summary, unsubscribe_link, unsubscribe_status, received_at, processed_at
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())`,
-          [
-            userId,
-            category.id,
-            account.id,
-            message.id,
-            subject,
-            from,
-            body,
-            summary,
-            unsubscribeLink,
-            unsubscribeLink ? 'pending' : null, // Set status to pending only if unsubscribe link exists
-            date ? new Date(date) : new Date(),
-          ]
-        );
-
-        // Archive email in Gmail
-        await gmail.users.messages.modify({
-          userId: 'me',
-          id: message.id,
-          resource: {
-            removeLabelIds: ['INBOX'],
-          },
+    if (skippedIds.length > 0) {
+      await db.query(
+        `INSERT INTO skipped_messages (account_id, message_id)
+         SELECT $1, UNNEST($2::text[])
+         ON CONFLICT (account_id, message_id) DO NOTHING`,
+        [account.id, skippedIds]
+      );
+    }
+
+    // Failed messages are retried by the next runs, counting their attempts
+    if (failures.size > 0) {
+      const failedResult = await db.query(
+        `INSERT INTO failed_messages (account_id, message_id, last_error)
+         SELECT $1, failure.message_id, failure.last_error
+         FROM UNNEST($2::text[], $3::text[]) AS failure(message_id, last_error)
+         ON CONFLICT (account_id, message_id) DO UPDATE SET
+           attempts = failed_messages.attempts + 1,
+           last_error = EXCLUDED.last_error,
+           updated_at = NOW()
+         RETURNING message_id, attempts`,
+        [account.id, [...failures.keys()], [...failures.values()]]
+      );
+      const givenUp = failedResult.rows.filter(row => row.attempts >= MAX_MESSAGE_ATTEMPTS);
+      if (givenUp.length > 0) {
+        logger.warn(`Giving up on ${givenUp.length} emails of ${account.email}`, {
+          messageIds: givenUp.map(row => row.message_id),
         });
+      }
+    }
 
-        processedCount++;
-        logger.info(`Processed email for ${user.name} (${account.email}): ${subject} -> ${categoryName}`);
+    // Retried messages that were processed, skipped or stored meanwhile are done
+    const attempted = new Set(runMessageIds);
+    const resolvedIds = retryIds.filter(
+      id => !failures.has(id) && (attempted.has(id) || !newMessageIds.includes(id))
+    );
+    if (resolvedIds.length > 0) {
+      await db.query(
+        'DELETE FROM failed_messages WHERE account_id = $1 AND message_id = ANY($2)',
+        [account.id, resolvedIds]
+      );
+    }
 
-        // Add small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 100));
-      } catch (error) {
-        logger.error(`Error processing email ${message.id}:`, error);
-        // Continue processing other emails
-      }
+    // The cursor moves past failed messages, which are retried from failed_messages, but not
+    // past messages deferred by the per-run limit, so they are listed again next run. Skipped
+    // and given up messages are left out before the limit, so every run makes progress.
+    if (deferredCount === 0) {
+      await db.query(
+        'UPDATE email_accounts SET history_id = $1, last_synced_at = NOW() WHERE id = $2',
+        [cursor, account.id]
+      );
+    } else {
+      logger.info(`Keeping history cursor for ${account.email}: ${deferredCount} emails deferred to the next run`);
     }
 
     logger.info(`Successfully processed ${processedCount} emails for ${user.name} (${user.email}) in account ${account.email}`);
+
+    return processedCount;
   } catch (error) {
     logger.error('Error processing emails:', error);
     throw error;
+  } finally {
+    if (provider) {
+      await provider.close();
+    }
   }
 };
 
-module.exports = { processNewEmails, getGmailClient };
+module.exports = {
+  processNewEmails,
+  processMessage,
+  analyzeMessage,
+  saveMessage,
+  getGmailClient,
+};
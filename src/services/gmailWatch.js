@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const { google } = require('googleapis');
+const db = require('../config/database');
+const { getGmailClient } = require('./gmail');
+const logger = require('../utils/logger');
+
+// Renew watches that expire within this window (Gmail watches last at most 7 days)
+const RENEWAL_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const isPushEnabled = () => !!process.env.GMAIL_PUBSUB_TOPIC;
+
+// Start (or renew) a Gmail push notification watch for one connected account
+const watchAccount = async (userId, accountEmail) => {
+  if (!isPushEnabled()) {
+    throw new Error('GMAIL_PUBSUB_TOPIC is not configured');
+  }
+
+  const { gmail, account } = await getGmailClient(userId, accountEmail);
+
+  const response = await gmail.users.watch({
+    userId: 'me',
+    requestBody: {
+      topicName: process.env.GMAIL_PUBSUB_TOPIC,
+      labelIds: ['INBOX'],
+      labelFilterAction: 'include',
+    },
+  });
+
+  const { historyId, expiration } = response.data;
+
+  await db.query(
+    `UPDATE email_accounts
+     SET watch_expiration = $1, watch_history_id = $2, updated_at = NOW()
+     WHERE id = $3`,
+    [new Date(parseInt(expiration)), historyId, account.id]
+  );
+
+  logger.info(`Gmail watch started for ${account.email}`, { historyId, expiration });
+
+  return { historyId, expiration: new Date(parseInt(expiration)) };
+};
+
+// Stop push notifications for one connected account
+const stopWatch = async (userId, accountEmail) => {
+  const { gmail, account } = await getGmailClient(userId, accountEmail);
+
+  await gmail.users.stop({ userId: 'me' });
+
+  await db.query(
+    `UPDATE email_accounts
+     SET watch_expiration = NULL, watch_history_id = NULL, updated_at = NOW()
+     WHERE id = $1`,
+    [account.id]
+  );
+
+  logger.info(`Gmail watch stopped for ${account.email}`);
+};
+
+// Start watches for accounts that have none, or whose watch is about to expire
+const renewExpiringWatches = async () => {
+  if (!isPushEnabled()) {
+    return { renewed: 0, failed: 0 };
+  }
+
+  const result = await db.query(
+    `SELECT user_id, email FROM email_accounts
+     WHERE access_token IS NOT NULL
+       AND provider = 'google'
+       AND (watch_expiration IS NULL OR watch_expiration < $1)`,
+    [new Date(Date.now() + RENEWAL_WINDOW_MS)]
+  );
+
+  let renewed = 0;
+  let failed = 0;
+
+  for (const account of result.rows) {
+    try {
+      await watchAccount(account.user_id, account.email);
+      renewed++;
+    } catch (error) {
+      failed++;
+      logger.error(`Failed to renew Gmail watch for ${account.email}:`, error);
+      // Continue with other accounts
+    }
+  }
+
+  logger.info(`Gmail watch renewal completed: ${renewed} renewed, ${failed} failed`);
+
+  return { renewed, failed };
+};
+
+// Decode a Pub/Sub push envelope into the Gmail notification it carries
+const decodePushMessage = body => {
+  const message = body && body.message;
+
+  if (!message || typeof message.data !== 'string') {
+    throw new Error('Missing Pub/Sub message data');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(message.data, 'base64').toString('utf-8'));
+  } catch (error) {
+    throw new Error('Pub/Sub message data is not valid base64-encoded JSON');
+  }
+
+  if (!data || !data.emailAddress || !data.historyId) {
+    throw new Error('Pub/Sub message data is missing emailAddress or historyId');
+  }
+
+  return {
+    emailAddress: data.emailAddress,
+    historyId: String(data.historyId),
+    messageId: message.messageId || message.message_id,
+    publishTime: message.publishTime || message.publish_time,
+  };
+};
+
+const tokensMatch = (provided, expected) => {
+  const providedBuffer = Buffer.from(String(provided));
+  const expectedBuffer = Buffer.from(expected);
+
+  return (
+    providedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(providedBuffer, expectedBuffer)
+  );
+};
+
+// Verify that a push request really comes from our Pub/Sub subscription.
+// Every configured mechanism must pass; requests are rejected when none is configured:
+// - PUBSUB_VERIFICATION_TOKEN: shared secret appended to the push endpoint as ?token=...
+// - PUBSUB_AUDIENCE: Google-signed OIDC token sent by an authenticated push subscription,
+//   optionally restricted to PUBSUB_SERVICE_ACCOUNT
+const verifyPushRequest = async req => {
+  const expectedToken = process.env.PUBSUB_VERIFICATION_TOKEN;
+  const audience = process.env.PUBSUB_AUDIENCE;
+
+  if (!expectedToken && !audience) {
+    logger.error('Rejecting Gmail push: no Pub/Sub verification method configured');
+    return false;
+  }
+
+  if (expectedToken) {
+    const providedToken = req.query && req.query.token;
+    if (!providedToken || !tokensMatch(providedToken, expectedToken)) {
+      logger.warn('Rejecting Gmail push: invalid verification token');
+      return false;
+    }
+  }
+
+  if (audience) {
+    const authHeader = req.headers['authorization'];
+    const idToken = authHeader && authHeader.startsWith('Bearer ') && authHeader.split(' ')[1];
+
+    if (!idToken) {
+      logger.warn('Rejecting Gmail push: missing OIDC bearer token');
+      return false;
+    }
+
+    try {
+      const authClient = new google.auth.OAuth2();
+      const ticket = await authClient.verifyIdToken({ idToken, audience });
+      const payload = ticket.getPayload();
+      const expectedAccount = process.env.PUBSUB_SERVICE_ACCOUNT;
+
+      if (expectedAccount && (payload.email !== expectedAccount || !payload.email_verified)) {
+        logger.warn('Rejecting Gmail push: unexpected service account', { email: payload.email });
+        return false;
+      }
+    } catch (error) {
+      logger.warn('Rejecting Gmail push: OIDC token verification failed', {
+        error: error.message,
+      });
+      return false;
+    }
+  }
+
+  return true;
+};
+
+module.exports = {
+  isPushEnabled,
+  watchAccount,
+  stopWatch,
+  renewExpiringWatches,
+  decodePushMessage,
+  verifyPushRequest,
+};
@@ -0,0 +1,42 @@
+const Joi = require('joi');
+const logger = require('../utils/logger');
+
+// Per-account ingestion policy, stored in email_accounts.ingestion_policy. The defaults
+// match how every account was processed before policies existed, except for the per-run
+// limit: the original sync processed at most 50 unread emails per run, the default now
+// follows the 500 emails a bounded resync lists.
+const ingestionPolicySchema = Joi.object({
+  // Gmail search query selecting the mail to process, e.g. "category:promotions"
+  query: Joi.string().trim().max(500).allow(null).default(null),
+  archive: Joi.boolean().default(true),
+  markAsRead: Joi.boolean().default(false),
+  // Messages with any of these labels are left alone, e.g. STARRED or IMPORTANT
+  excludeLabels: Joi.array().items(Joi.string().trim().max(225)).max(50).unique().default([]),
+  maxMessagesPerRun: Joi.number().integer().min(1).max(500).default(500),
+});
+
+const DEFAULT_POLICY = ingestionPolicySchema.validate({}).value;
+
+// Effective policy for an account, with defaults filled in
+const getIngestionPolicy = account => {
+  const { error, value } = ingestionPolicySchema.validate(account.ingestion_policy || {}, {
+    stripUnknown: true,
+  });
+
+  if (error) {
+    logger.warn(`Invalid ingestion policy for ${account.email}, using defaults: ${error.message}`);
+    return DEFAULT_POLICY;
+  }
+
+  return value;
+};
+
+// Label names are compared case-insensitively, so "starred" matches Gmail's STARRED
+const hasExcludedLabel = (labels, policy) => {
+  if (policy.excludeLabels.length === 0) return false;
+
+  const excluded = new Set(policy.excludeLabels.map(label => label.toLowerCase()));
+  return labels.some(label => excluded.has(label.toLowerCase()));
+};
+
+module.exports = { ingestionPolicySchema, getIngestionPolicy, hasExcludedLabel };
@@ -0,0 +1,294 @@
+const db = require('../config/database');
+const { createGmailClient } = require('./providers/gmail');
+const { learnFromCorrections } = require('./corrections');
+const logger = require('../utils/logger');
+
+// Parent label that all category labels are nested under, e.g. "Sorted/Newsletters"
+const LABEL_PREFIX = process.env.GMAIL_LABEL_PREFIX || 'Sorted';
+
+// Gmail limits batchModify to 1000 message IDs per request
+const BATCH_MODIFY_LIMIT = 1000;
+
+const getLabelName = categoryName => `${LABEL_PREFIX}/${categoryName}`;
+
+const getMirroringAccounts = async userId => {
+  const result = await db.query(
+    `SELECT * FROM email_accounts
+     WHERE user_id = $1 AND provider = 'google' AND mirror_labels = true`,
+    [userId]
+  );
+  return result.rows;
+};
+
+const findOrCreateLabel = async (gmail, name) => {
+  const response = await gmail.users.labels.list({ userId: 'me' });
+  const existing = (response.data.labels || []).find(label => label.name === name);
+  if (existing) return existing.id;
+
+  const created = await gmail.users.labels.create({
+    userId: 'me',
+    requestBody: { name, labelListVisibility: 'labelShow', messageListVisibility: 'show' },
+  });
+  return created.data.id;
+};
+
+// Gmail label ID for a category in one account, created on first use
+const ensureCategoryLabel = async (gmail, account, category) => {
+  const mapped = await db.query(
+    'SELECT label_id FROM category_labels WHERE category_id = $1 AND account_id = $2',
+    [category.id, account.id]
+  );
+  if (mapped.rows.length > 0) return mapped.rows[0].label_id;
+
+  // Gmail only nests "Sorted/Newsletters" under "Sorted" when the parent label exists
+  await findOrCreateLabel(gmail, LABEL_PREFIX);
+  const labelId = await findOrCreateLabel(gmail, getLabelName(category.name));
+
+  await db.query(
+    `INSERT INTO category_labels (category_id, account_id, label_id) VALUES ($1, $2, $3)
+     ON CONFLICT (category_id, account_id) DO UPDATE SET label_id = $3`,
+    [category.id, account.id, labelId]
+  );
+
+  return labelId;
+};
+
+// A label deleted by the user in Gmail makes calls using it fail with a 404. Of the
+// `labelIds` the failed call used, drop the stored IDs of those that are gone, so they are
+// looked up by name (or recreated) next time. Other errors only fail that call.
+const handleLabelError = async (gmail, account, error, labelIds = []) => {
+  logger.error(`Failed to update Gmail labels for ${account.email}:`, error);
+  if (error.code !== 404 || labelIds.length === 0) return;
+
+  try {
+    // The 404 may also be about the message, so check which labels still exist
+    const response = await gmail.users.labels.list({ userId: 'me' });
+    const existing = new Set((response.data.labels || []).map(label => label.id));
+    const missing = labelIds.filter(labelId => !existing.has(labelId));
+    if (missing.length === 0) return;
+
+    await db.query('DELETE FROM category_labels WHERE account_id = $1 AND label_id = ANY($2)', [
+      account.id,
+      missing,
+    ]);
+    logger.warn(`Forgot ${missing.length} deleted Gmail labels for ${account.email}`);
+  } catch (lookupError) {
+    logger.error(`Failed to check Gmail labels for ${account.email}:`, lookupError);
+  }
+};
+
+// Label a newly processed message. Never throws, so labeling cannot fail ingestion.
+const labelMessage = async (gmail, account, messageId, category) => {
+  let labelIds = [];
+  try {
+    labelIds = [await ensureCategoryLabel(gmail, account, category)];
+    await gmail.users.messages.modify({
+      userId: 'me',
+      id: messageId,
+      resource: { addLabelIds: labelIds },
+    });
+  } catch (error) {
+    await handleLabelError(gmail, account, error, labelIds);
+  }
+};
+
+// Give moved emails the target category's label and remove every other category label
+const relabelEmails = async (userId, emails, toCategory) => {
+  const accounts = await getMirroringAccounts(userId);
+
+  for (const account of accounts) {
+    const messageIds = emails
+      .filter(email => email.account_id === account.id && email.gmail_id)
+      .map(email => email.gmail_id);
+    if (messageIds.length === 0) continue;
+
+    const gmail = createGmailClient(account);
+    let labelIds = [];
+    try {
+      const addLabelId = await ensureCategoryLabel(gmail, account, toCategory);
+      const otherLabels = await db.query(
+        'SELECT label_id FROM category_labels WHERE account_id = $1 AND category_id != $2',
+        [account.id, toCategory.id]
+      );
+      const removeLabelIds = otherLabels.rows.map(row => row.label_id);
+      labelIds = [addLabelId, ...removeLabelIds];
+
+      for (let i = 0; i < messageIds.length; i += BATCH_MODIFY_LIMIT) {
+        await gmail.users.messages.batchModify({
+          userId: 'me',
+          requestBody: {
+            ids: messageIds.slice(i, i + BATCH_MODIFY_LIMIT),
+            addLabelIds: [addLabelId],
+            removeLabelIds,
+          },
+        });
+      }
+    } catch (error) {
+      await handleLabelError(gmail, account, error, labelIds);
+    }
+  }
+};
+
+// Recategorize emails whose category label was changed inside Gmail, e.g. from the
+// mobile app. Recorded as category movements, like a move in our UI, so they count as
+// corrections. Removing a category label on its own leaves the email where it is, and
+// quarantined emails are not moved until the user releases them.
+const applyLabelChanges = async (account, labelChanges) => {
+  const mapped = await db.query(
+    'SELECT category_id, label_id FROM category_labels WHERE account_id = $1',
+    [account.id]
+  );
+  const categoryByLabel = new Map(mapped.rows.map(row => [row.label_id, row.category_id]));
+
+  // The category label added last wins
+  const targets = new Map();
+  for (const { messageId, addedLabelIds } of labelChanges) {
+    const added = addedLabelIds.filter(labelId => categoryByLabel.has(labelId));
+    if (added.length > 0) {
+      targets.set(messageId, categoryByLabel.get(added[added.length - 1]));
+    }
+  }
+
+  if (targets.size === 0) return 0;
+
+  const emailsResult = await db.query(
+    `SELECT id, gmail_id, category_id, sender, ai_summary FROM emails
+     WHERE account_id = $1 AND gmail_id = ANY($2) AND quarantined = false`,
+    [account.id, [...targets.keys()]]
+  );
+
+  const gmail = createGmailClient(account);
+  const movedSenders = [];
+
+  for (const email of emailsResult.rows) {
+    const toCategoryId = targets.get(email.gmail_id);
+    if (email.category_id === toCategoryId) continue;
+
+    await db.query(
+      'UPDATE emails SET category_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [toCategoryId, email.id]
+    );
+    await db.query(
+      `INSERT INTO category_movements (
+         user_id, email_id, from_category_id, to_category_id, sender, ai_summary, source
+       ) VALUES ($1, $2, $3, $4, $5, $6, 'gmail_label')`,
+      [account.user_id, email.id, email.category_id, toCategoryId, email.sender, email.ai_summary]
+    );
+    movedSenders.push(email.sender);
+
+    // Leave the message with a single category label
+    const staleLabelIds = mapped.rows
+      .filter(row => row.category_id !== toCategoryId)
+      .map(row => row.label_id);
+    if (staleLabelIds.length === 0) continue;
+
+    try {
+      await gmail.users.messages.modify({
+        userId: 'me',
+        id: email.gmail_id,
+        resource: { removeLabelIds: staleLabelIds },
+      });
+    } catch (error) {
+      await handleLabelError(gmail, account, error, staleLabelIds);
+    }
+  }
+
+  if (movedSenders.length > 0) {
+    logger.info(
+      `Applied ${movedSenders.length} category changes made in Gmail for ${account.email}`
+    );
+    await learnFromCorrections(account.user_id, movedSenders).catch(error =>
+      logger.error(`Failed to learn from Gmail corrections for ${account.email}:`, error)
+    );
+  }
+
+  return movedSenders.length;
+};
+
+// Create labels for all of the user's categories, e.g. when mirroring is switched on
+const syncAccountLabels = async account => {
+  const categories = await db.query('SELECT id, name FROM categories WHERE user_id = $1', [
+    account.user_id,
+  ]);
+  const gmail = createGmailClient(account);
+
+  for (const category of categories.rows) {
+    await ensureCategoryLabel(gmail, account, category);
+  }
+
+  return categories.rows.length;
+};
+
+const createCategoryLabels = async (userId, category) => {
+  for (const account of await getMirroringAccounts(userId)) {
+    const gmail = createGmailClient(account);
+    try {
+      await ensureCategoryLabel(gmail, account, category);
+    } catch (error) {
+      await handleLabelError(gmail, account, error);
+    }
+  }
+};
+
+// Stored labels of a category, with the account each one belongs to
+const getCategoryLabels = async (userId, categoryId) => {
+  const result = await db.query(
+    `SELECT cl.label_id, ea.*
+     FROM category_labels cl
+     JOIN email_accounts ea ON ea.id = cl.account_id
+     WHERE cl.category_id = $1 AND ea.user_id = $2`,
+    [categoryId, userId]
+  );
+  return result.rows;
+};
+
+// Labels keep their ID when renamed, so messages keep them too
+const renameCategoryLabels = async (userId, category) => {
+  const labels = await getCategoryLabels(userId, category.id);
+
+  for (const { label_id: labelId, ...account } of labels) {
+    const gmail = createGmailClient(account);
+    try {
+      await gmail.users.labels.patch({
+        userId: 'me',
+        id: labelId,
+        requestBody: { name: getLabelName(category.name) },
+      });
+    } catch (error) {
+      await handleLabelError(gmail, account, error, [labelId]);
+    }
+  }
+};
+
+// Remove the category's labels from Gmail; messages keep everything else
+const deleteCategoryLabels = async (userId, categoryId) => {
+  const labels = await getCategoryLabels(userId, categoryId);
+  if (labels.length === 0) return;
+
+  for (const { label_id: labelId, ...account } of labels) {
+    try {
+      await createGmailClient(account).users.labels.delete({ userId: 'me', id: labelId });
+    } catch (error) {
+      // Already deleted in Gmail
+      if (error.code !== 404) {
+        logger.error(`Failed to delete Gmail label for ${account.email}:`, error);
+      }
+    }
+  }
+
+  await db.query('DELETE FROM category_labels WHERE category_id = $1 AND account_id = ANY($2)', [
+    categoryId,
+    labels.map(row => row.id),
+  ]);
+};
+
+module.exports = {
+  getLabelName,
+  labelMessage,
+  relabelEmails,
+  applyLabelChanges,
+  syncAccountLabels,
+  createCategoryLabels,
+  renameCategoryLabels,
+  deleteCategoryLabels,
+};
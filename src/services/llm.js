@@ -0,0 +1,132 @@
+const OpenAI = require('openai');
+const Joi = require('joi');
+const { encrypt, decrypt } = require('../utils/encryption');
+const logger = require('../utils/logger');
+
+// Language model configuration. Any OpenAI-compatible endpoint works: OpenAI itself, or a
+// local server such as Ollama, llama.cpp or vLLM via LLM_BASE_URL. Each task can use its
+// own model.
+const TASKS = ['categorize', 'summarize', 'unsubscribe'];
+
+const DEFAULT_MODELS = {
+  categorize: 'gpt-4o-mini',
+  summarize: 'gpt-3.5-turbo',
+  unsubscribe: 'gpt-4o',
+  // Deployment-wide only: vectors of different models cannot be compared
+  embed: 'text-embedding-3-small',
+};
+
+// Local servers usually ignore the API key, but the SDK requires one
+const NO_API_KEY = 'not-needed';
+
+// Per-user overrides, stored in users.llm_settings. The API key is write-only and stored
+// encrypted; an empty string removes it.
+const llmSettingsSchema = Joi.object({
+  baseUrl: Joi.string()
+    .uri({ scheme: ['http', 'https'] })
+    .max(500)
+    .allow(null),
+  apiKey: Joi.string().max(500).allow(null, ''),
+  models: Joi.object(
+    Object.fromEntries(TASKS.map(task => [task, Joi.string().trim().max(100).allow(null)]))
+  ).default({}),
+});
+
+const getDeploymentSettings = () => ({
+  baseUrl: process.env.LLM_BASE_URL || null,
+  apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || null,
+  models: {
+    categorize:
+      process.env.LLM_CATEGORIZE_MODEL ||
+      process.env.OPENAI_CLASSIFICATION_MODEL ||
+      DEFAULT_MODELS.categorize,
+    summarize: process.env.LLM_SUMMARIZE_MODEL || DEFAULT_MODELS.summarize,
+    unsubscribe: process.env.LLM_UNSUBSCRIBE_MODEL || DEFAULT_MODELS.unsubscribe,
+    embed: process.env.LLM_EMBED_MODEL || DEFAULT_MODELS.embed,
+  },
+});
+
+// Users may only point at their own endpoint when the deployment allows it, since the
+// server makes the requests
+const userEndpointsAllowed = () => process.env.LLM_ALLOW_USER_ENDPOINTS === 'true';
+
+// Clients are reused per endpoint and key
+const clients = new Map();
+
+const getClient = (baseUrl, apiKey) => {
+  const key = `${baseUrl || ''}|${apiKey}`;
+  if (!clients.has(key)) {
+    clients.set(key, new OpenAI({ apiKey, ...(baseUrl && { baseURL: baseUrl }) }));
+  }
+  return clients.get(key);
+};
+
+// Endpoint, key and model for a task, with the user's settings over the deployment's.
+// Returns null when no model is configured: no API key and no custom endpoint.
+const resolveModel = (task, userSettings = null) => {
+  const deployment = getDeploymentSettings();
+  const settings = userSettings || {};
+
+  const useUserEndpoint = Boolean(settings.baseUrl) && userEndpointsAllowed();
+  const baseUrl = useUserEndpoint ? settings.baseUrl : deployment.baseUrl;
+  let apiKey = deployment.apiKey;
+  if (useUserEndpoint) {
+    apiKey = settings.apiKey ? decrypt(settings.apiKey) : null;
+  }
+
+  if (!apiKey && !baseUrl) return null;
+
+  return {
+    baseUrl,
+    apiKey: apiKey || NO_API_KEY,
+    model: settings.models?.[task] || deployment.models[task],
+  };
+};
+
+// OpenAI client and model name for a task, or null when no model is configured
+const getModelClient = (task, userSettings = null) => {
+  const resolved = resolveModel(task, userSettings);
+  if (!resolved) return null;
+
+  return { client: getClient(resolved.baseUrl, resolved.apiKey), model: resolved.model };
+};
+
+// Settings to store after a user update; a missing API key keeps the stored one
+const toStoredSettings = (value, current = {}) => {
+  let apiKey = current.apiKey || null;
+  if (value.apiKey === '' || value.apiKey === null) {
+    apiKey = null;
+  } else if (value.apiKey) {
+    apiKey = encrypt(value.apiKey);
+  }
+
+  return { baseUrl: value.baseUrl ?? null, apiKey, models: value.models };
+};
+
+// API shape of the settings; the API key is never returned
+const formatSettings = settings => {
+  const deployment = getDeploymentSettings();
+  const stored = settings || {};
+
+  return {
+    baseUrl: stored.baseUrl || null,
+    hasApiKey: Boolean(stored.apiKey),
+    models: stored.models || {},
+    userEndpointsAllowed: userEndpointsAllowed(),
+    defaults: { baseUrl: deployment.baseUrl, models: deployment.models },
+  };
+};
+
+if (!getDeploymentSettings().apiKey && !getDeploymentSettings().baseUrl) {
+  logger.warn('⚠️ Neither OPENAI_API_KEY nor LLM_BASE_URL is set - AI features will not work');
+}
+
+module.exports = {
+  TASKS,
+  llmSettingsSchema,
+  userEndpointsAllowed,
+  resolveModel,
+  getModelClient,
+  toStoredSettings,
+  formatSettings,
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+const GRAPH_BASE_URL = 'https://graph.microsoft.com/v1.0';
+
+// offline_access is what makes Microsoft return a refresh token
+const MICROSOFT_SCOPES = ['offline_access', 'User.Read', 'Mail.ReadWrite'];
+
+const isMicrosoftConfigured = () =>
+  !!(process.env.MICROSOFT_CLIENT_ID && process.env.MICROSOFT_CLIENT_SECRET);
+
+// How long the user has to complete the Microsoft sign-in
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+const signState = payload =>
+  crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`microsoft-oauth-state:${payload}`)
+    .digest('base64url');
+
+// OAuth state for connecting an account, "userId.expiresAt.nonce.signature", so the callback
+// can check the sign-in was started by the same user. An HMAC rather than a JWT, which the
+// auth middleware would accept as an access token.
+const createState = userId => {
+  const payload = `${userId}.${Date.now() + STATE_TTL_MS}.${crypto.randomBytes(16).toString('hex')}`;
+  return `${payload}.${signState(payload)}`;
+};
+
+// User ID carried by a state from createState, or null when it is forged or expired
+const verifyState = state => {
+  const parts = typeof state === 'string' ? state.split('.') : [];
+  if (parts.length !== 4) return null;
+
+  const expected = Buffer.from(signState(parts.slice(0, 3).join('.')));
+  const actual = Buffer.from(parts[3]);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  const [userId, expiresAt] = parts;
+  return Number(expiresAt) > Date.now() ? Number(userId) : null;
+};
+
+const getTokenUrl = () =>
+  `https://login.microsoftonline.com/${process.env.MICROSOFT_TENANT_ID || 'common'}/oauth2/v2.0/token`;
+
+const getAuthorizeUrl = state => {
+  const params = new URLSearchParams({
+    client_id: process.env.MICROSOFT_CLIENT_ID,
+    response_type: 'code',
+    redirect_uri: process.env.MICROSOFT_REDIRECT_URI,
+    response_mode: 'query',
+    scope: MICROSOFT_SCOPES.join(' '),
+    prompt: 'select_account',
+    state,
+  });
+
+  return `https://login.microsoftonline.com/${process.env.MICROSOFT_TENANT_ID || 'common'}/oauth2/v2.0/authorize?${params}`;
+};
+
+const requestToken = async params => {
+  const response = await axios.post(
+    getTokenUrl(),
+    new URLSearchParams({
+      client_id: process.env.MICROSOFT_CLIENT_ID,
+      client_secret: process.env.MICROSOFT_CLIENT_SECRET,
+      scope: MICROSOFT_SCOPES.join(' '),
+      ...params,
+    }).toString(),
+    { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+  );
+
+  return response.data;
+};
+
+const exchangeCodeForTokens = code =>
+  requestToken({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: process.env.MICROSOFT_REDIRECT_URI,
+  });
+
+// Microsoft rotates refresh tokens, so callers must store the returned one too
+const refreshAccessToken = refreshToken =>
+  requestToken({ grant_type: 'refresh_token', refresh_token: refreshToken });
+
+// Mailbox address of the signed-in user; some accounts only have a userPrincipalName
+const getMailboxAddress = async accessToken => {
+  const response = await axios.get(`${GRAPH_BASE_URL}/me`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+    params: { $select: 'mail,userPrincipalName' },
+  });
+
+  return response.data.mail || response.data.userPrincipalName;
+};
+
+module.exports = {
+  GRAPH_BASE_URL,
+  isMicrosoftConfigured,
+  createState,
+  verifyState,
+  getAuthorizeUrl,
+  exchangeCodeForTokens,
+  refreshAccessToken,
+  getMailboxAddress,
+};
@@ -1,40 +1,82 @@
-const OpenAI = require('openai');
+const { getModelClient } = require('./llm');
+const { recordResponseUsage } = require('./usage');
+const { languageName } = require('../utils/language');
 const logger = require('../utils/logger');
 
-let openai = null;
+// Result used when no category can be picked; confidence 0 sends the email to review
+const unclassified = rationale => ({ categoryId: null, confidence: 0, rationale });
 
-// Initialize OpenAI client only if API key is provided
-if (process.env.OPENAI_API_KEY) {
-  openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-  });
-  logger.info('✅ OpenAI client initialized successfully');
-} else {
-  logger.warn('⚠️ OPENAI_API_KEY not set - AI features will not work');
-}
+// JSON schema the model has to answer with. Category IDs are an enum, so the model
+// cannot invent a category; null means none of them fits.
+const classificationSchema = categories => ({
+  name: 'email_classification',
+  strict: true,
+  schema: {
+    type: 'object',
+    properties: {
+      categoryId: {
+        type: ['integer', 'null'],
+        enum: [...categories.map(cat => cat.id), null],
+        description: 'ID of the best matching category, or null if none fits',
+      },
+      confidence: {
+        type: 'number',
+        description: 'How certain the classification is, from 0 to 1',
+      },
+      rationale: {
+        type: 'string',
+        description: 'One short sentence explaining the choice',
+      },
+    },
+    required: ['categoryId', 'confidence', 'rationale'],
+    additionalProperties: false,
+  },
+});
+
+// Past corrections by the user, as few-shot examples for the prompt
+const formatExamples = examples =>
+  examples
+    .map(
+      example =>
+        `- From: ${example.sender} | Summary: ${example.summary || 'None'} | ` +
+        `Filed under: ${example.fromCategory || 'None'} | Moved by the user to: ${example.toCategory}`
+    )
+    .join('\n');
+
+// Classify an email into one of the categories. `examples` are the user's past
+// corrections ({ sender, summary, fromCategory, toCategory }), used as few-shot examples;
+// `settings` are the user's model settings (users.llm_settings), and the usage is recorded
+// for `userId`. The model has to support JSON schema structured outputs.
+// Returns { categoryId, confidence, rationale }; categoryId is null when nothing fits.
+const categorizeEmail = async (
+  emailContent,
+  categories,
+  { examples = [], settings = null, userId = null } = {}
+) => {
+  const llm = getModelClient('categorize', settings);
 
-const categorizeEmail = async (emailContent, categories) => {
   logger.info('📧 Starting email categorization', {
-    hasOpenAI: !!openai,
+    hasModel: !!llm,
     categoriesCount: categories?.length || 0,
     categories: categories?.map(c => ({ name: c.name, description: c.description })),
     emailSubject: emailContent?.subject,
     emailFrom: emailContent?.from,
-    emailBodyLength: emailContent?.body?.length || 0
+    emailBodyLength: emailContent?.body?.length || 0,
+    examplesCount: examples.length
   });
 
-  if (!openai) {
-    logger.warn('OpenAI not configured - returning default category');
-    return categories.length > 0 ? categories[0].name : 'Uncategorized';
+  if (!categories || categories.length === 0) {
+    logger.warn('No categories provided - leaving email unclassified');
+    return unclassified('No categories to choose from');
   }
 
-  if (!categories || categories.length === 0) {
-    logger.warn('No categories provided - returning Uncategorized');
-    return 'Uncategorized';
+  if (!llm) {
+    logger.warn('No language model configured - leaving email unclassified');
+    return unclassified('No language model is configured');
   }
 
   const prompt = `
-    Analyze this email and categorize it into one of the provided categories.
+    Analyze this email and classify it into one of the provided categories.
     
     Email Details:
     Subject: ${emailContent.subject || 'No subject'}
@@ -42,71 +84,87 @@ const categorizeEmail = async (emailContent, categories) => {
     Content Preview: ${emailContent.body ? emailContent.body.substring(0, 1000) : 'No content'}
     
     Available Categories:
-    ${categories.map(cat => `- ${cat.name}: ${cat.description || 'No description'}`).join('\n')}
-    
+    ${categories.map(cat => `- [${cat.id}] ${cat.name}: ${cat.description || 'No description'}`).join('\n')}
+    ${examples.length > 0 ? `
+    Past corrections by this user (follow them for similar emails):
+    ${formatExamples(examples)}
+    ` : ''}
     Rules:
-    1. Return ONLY the exact category name that best matches (case-sensitive)
-    2. If no category is a good fit, return "Uncategorized"
+    1. Answer with the ID of the category that best matches
+    2. If no category is a good fit, answer with a null categoryId
     3. Consider the email's purpose, content, and sender
-    4. Be precise and consistent
-    5. Do not add any explanation, just the category name
-    
-    Category:`;
+    4. Confidence is between 0 and 1; use low values when several categories could fit
+    5. Keep the rationale to one short sentence`;
 
-  logger.info('🤖 Sending prompt to OpenAI', {
+  logger.info('🤖 Sending classification prompt', {
     promptLength: prompt.length,
-    model: 'gpt-3.5-turbo',
+    model: llm.model,
     temperature: 0.1,
-    maxTokens: 50
+    maxTokens: 150
   });
 
   try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
+    const response = await llm.client.chat.completions.create({
+      model: llm.model,
       messages: [{ role: 'user', content: prompt }],
-      max_tokens: 50,
+      max_tokens: 150,
       temperature: 0.1,
+      response_format: { type: 'json_schema', json_schema: classificationSchema(categories) },
     });
+    await recordResponseUsage(userId, 'categorize', llm.model, response);
 
-    const category = response.choices[0].message.content.trim();
-    logger.info('🤖 OpenAI response received', {
-      rawResponse: category,
-      responseLength: category.length
-    });
+    const { categoryId, confidence, rationale } = JSON.parse(response.choices[0].message.content);
+    logger.info('🤖 Classification received', { categoryId, confidence, rationale });
 
-    // Validate that the returned category exists
-    const validCategory = categories.find(cat => cat.name.toLowerCase() === category.toLowerCase());
-    
-    if (validCategory) {
-      logger.info('✅ Valid category found', {
-        returnedCategory: category,
-        matchedCategory: validCategory.name
-      });
-      return validCategory.name;
-    } else {
+    // The schema already restricts the ID, but a stale category list must not slip through
+    if (categoryId !== null && !categories.some(cat => cat.id === categoryId)) {
       logger.warn('⚠️ Category not found in available categories', {
-        returnedCategory: category,
-        availableCategories: categories.map(c => c.name)
+        returnedCategoryId: categoryId,
+        availableCategories: categories.map(c => c.id)
       });
-      return 'Uncategorized';
+      return unclassified(rationale);
     }
+
+    return {
+      categoryId,
+      confidence: Math.min(Math.max(Number(confidence) || 0, 0), 1),
+      rationale,
+    };
   } catch (error) {
-    logger.error('❌ OpenAI categorization error:', {
+    logger.error('❌ Categorization error:', {
       error: error.message,
       stack: error.stack
     });
-    return 'Uncategorized';
+    return unclassified('Classification failed');
   }
 };
 
-const summarizeEmail = async emailContent => {
-  if (!openai) {
-    logger.warn('OpenAI not configured - returning basic summary');
-    return `Email from ${emailContent.from || 'Unknown sender'} with subject: ${emailContent.subject || 'No subject'}`;
+// Prompt sentence asking for `what` in the user's preferred language (an ISO 639-1 code);
+// empty without one, so the model keeps the language of the email
+const languageInstruction = (language, what) => {
+  const name = languageName(language);
+  return name ? `Write ${what} in ${name}, whatever the language of the email.` : '';
+};
+
+// Summary used when the model is not configured or not to be used
+const basicSummary = emailContent =>
+  `Email from ${emailContent.from || 'Unknown sender'} with subject: ${emailContent.subject || 'No subject'}`;
+
+// Summarize an email in 1-2 sentences, in `language` when given
+const summarizeEmail = async (
+  emailContent,
+  { settings = null, userId = null, language = null } = {}
+) => {
+  const llm = getModelClient('summarize', settings);
+
+  if (!llm) {
+    logger.warn('No language model configured - returning basic summary');
+    return basicSummary(emailContent);
   }
 
   const prompt = `
     Create a concise 1-2 sentence summary of this email focusing on the main point and any required actions.
+    ${languageInstruction(language, 'the summary')}
     
     Subject: ${emailContent.subject || 'No subject'}
     From: ${emailContent.from || 'Unknown sender'}
@@ -115,18 +173,575 @@ const summarizeEmail = async emailContent => {
     Summary:`;
 
   try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
+    const response = await llm.client.chat.completions.create({
+      model: llm.model,
       messages: [{ role: 'user', content: prompt }],
       max_tokens: 100,
       temperature: 0.1,
     });
+    await recordResponseUsage(userId, 'summarize', llm.model, response);
 
     return response.choices[0].message.content.trim();
   } catch (error) {
-    logger.error('OpenAI summarization error:', error);
+    logger.error('Summarization error:', error);
     return 'Unable to generate summary - please check email content manually.';
   }
 };
 
-module.exports = { categorizeEmail, summarizeEmail };
+const PRIORITIES = ['urgent', 'normal', 'low'];
+
+// Most action items kept per email
+const MAX_ACTION_ITEMS = 10;
+
+// What an email asks of the recipient, as JSON schema properties
+const extractionProperties = {
+  priority: {
+    type: 'string',
+    enum: PRIORITIES,
+    description: 'urgent if it needs attention within a day, low if no action is needed',
+  },
+  replyExpected: {
+    type: 'boolean',
+    description: 'Whether the sender waits for an answer',
+  },
+  actionItems: {
+    type: 'array',
+    description: 'Things the recipient has to do, empty if none',
+    items: {
+      type: 'object',
+      properties: {
+        description: { type: 'string', description: 'One short imperative sentence' },
+        dueDate: {
+          type: ['string', 'null'],
+          description: 'Deadline as YYYY-MM-DD, or null if none is given',
+        },
+      },
+      required: ['description', 'dueDate'],
+      additionalProperties: false,
+    },
+  },
+};
+
+const extractionSchema = {
+  name: 'email_actions',
+  strict: true,
+  schema: {
+    type: 'object',
+    properties: extractionProperties,
+    required: Object.keys(extractionProperties),
+    additionalProperties: false,
+  },
+};
+
+// Prompt rules for the extraction, numbered from `start`
+const extractionRules = (start = 1) =>
+  [
+    'List each concrete thing the recipient has to do as an action item; ' +
+      'newsletters, receipts and notifications have none',
+    'Give due dates as YYYY-MM-DD, resolving relative dates from the date of the email ' +
+      `(today is ${new Date().toISOString().slice(0, 10)}); use null when no deadline is given`,
+    'Priority is urgent if the email needs attention within a day, ' +
+      'low if no action is needed, normal otherwise',
+    'replyExpected is true only when the sender waits for an answer',
+  ]
+    .map((rule, index) => `${start + index}. ${rule}`)
+    .join('\n    ');
+
+const isDate = value =>
+  typeof value === 'string' &&
+  /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !Number.isNaN(Date.parse(value));
+
+// Checked extraction, or null when it is malformed. Action items without a description
+// are dropped, and invalid due dates left out.
+const parseExtraction = result => {
+  if (!result || !PRIORITIES.includes(result.priority) || !Array.isArray(result.actionItems)) {
+    return null;
+  }
+
+  return {
+    priority: result.priority,
+    replyExpected: result.replyExpected === true,
+    actionItems: result.actionItems
+      .filter(item => item && typeof item.description === 'string' && item.description.trim())
+      .slice(0, MAX_ACTION_ITEMS)
+      .map(item => ({
+        description: item.description.trim(),
+        dueDate: isDate(item.dueDate) ? item.dueDate : null,
+      })),
+  };
+};
+
+// Extract the action items of an email with their due dates, its priority and whether a
+// reply is expected, with the categorize model. Returns { priority, replyExpected,
+// actionItems: [{ description, dueDate }] }, or null when no model is configured or the
+// extraction failed. Action items are written in `language` when given.
+const extractActions = async (
+  emailContent,
+  { settings = null, userId = null, language = null } = {}
+) => {
+  const llm = getModelClient('categorize', settings);
+  if (!llm) return null;
+
+  const prompt = `
+    Extract what this email asks of the recipient. ${languageInstruction(language, 'the action items')}
+    
+    Subject: ${emailContent.subject || 'No subject'}
+    From: ${emailContent.from || 'Unknown sender'}
+    Date: ${emailContent.date || 'Unknown'}
+    Content: ${emailContent.body ? emailContent.body.substring(0, 2000) : 'No content available'}
+    
+    Rules:
+    ${extractionRules()}`;
+
+  try {
+    const response = await llm.client.chat.completions.create({
+      model: llm.model,
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: 300,
+      temperature: 0.1,
+      response_format: { type: 'json_schema', json_schema: extractionSchema },
+    });
+    await recordResponseUsage(userId, 'extract', llm.model, response);
+
+    return parseExtraction(JSON.parse(response.choices[0].message.content));
+  } catch (error) {
+    logger.error('Action extraction error:', error);
+    return null;
+  }
+};
+
+// Emails per combined request; larger batches save requests but risk malformed answers
+const ANALYSIS_BATCH_SIZE = parseInt(process.env.LLM_BATCH_SIZE) || 10;
+
+// JSON schema for a batch: one summary, classification and extraction per email, by
+// position. Without `classify` the results have no classification fields.
+const analysisSchema = (categories, classify = true) => {
+  const { properties, required } = classify
+    ? classificationSchema(categories).schema
+    : { properties: {}, required: [] };
+
+  return {
+    name: 'email_analyses',
+    strict: true,
+    schema: {
+      type: 'object',
+      properties: {
+        results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              index: { type: 'integer', description: 'Position of the email in the list' },
+              summary: {
+                type: 'string',
+                description: '1-2 sentence summary with the main point and any required actions',
+              },
+              ...properties,
+              ...extractionProperties,
+            },
+            required: ['index', 'summary', ...required, ...Object.keys(extractionProperties)],
+            additionalProperties: false,
+          },
+        },
+      },
+      required: ['results'],
+      additionalProperties: false,
+    },
+  };
+};
+
+// Emails a rule already filed are only summarized and searched for action items
+const classifies = email => email.classify !== false;
+
+// Classification of emails that were not classified because a rule already filed them
+const notClassified = () => unclassified('Filed by a rule');
+
+const formatBatchEmail = (email, index) => {
+  const lines = [
+    `Email ${index}:`,
+    `Subject: ${email.subject || 'No subject'}`,
+    `From: ${email.from || 'Unknown sender'}`,
+    `Date: ${email.date || 'Unknown'}`,
+    `Content Preview: ${email.body ? email.body.substring(0, 1000) : 'No content'}`,
+  ];
+  if (!classifies(email)) {
+    lines.push('Already filed: do not classify');
+  } else if (email.examples && email.examples.length > 0) {
+    lines.push('Past corrections by this user for similar emails:', formatExamples(email.examples));
+  }
+  return lines.join('\n');
+};
+
+// Checked answer for one email of a batch, or null when it is missing or malformed. A
+// malformed extraction only leaves the extraction out. The classification of emails not
+// to classify is ignored.
+const parseAnalysis = (results, index, categories, classify = true) => {
+  const result = results.find(item => item && item.index === index);
+  if (!result || typeof result.summary !== 'string' || !result.summary.trim()) return null;
+  if (!classify) {
+    return {
+      summary: result.summary.trim(),
+      classification: notClassified(),
+      extraction: parseExtraction(result),
+    };
+  }
+  if (typeof result.rationale !== 'string') return null;
+
+  const { categoryId, confidence } = result;
+  if (categoryId !== null && !categories.some(cat => cat.id === categoryId)) return null;
+  if (typeof confidence !== 'number' || Number.isNaN(confidence)) return null;
+
+  return {
+    summary: result.summary.trim(),
+    classification: {
+      categoryId,
+      confidence: Math.min(Math.max(confidence, 0), 1),
+      rationale: result.rationale,
+    },
+    extraction: parseExtraction(result),
+  };
+};
+
+// Categorize, summarize and extract the action items of one email with separate calls;
+// emails not to classify skip the categorization
+const analyzeSeparately = async (
+  { subject, from, date, body, examples = [], classify = true },
+  categories,
+  options
+) => {
+  const { settings, userId, language } = options;
+  const email = { subject, from, body };
+  const [classification, summary, extraction] = await Promise.all([
+    classify
+      ? categorizeEmail(email, categories, { examples, settings, userId })
+      : notClassified(),
+    summarizeEmail(email, { settings, userId, language }),
+    extractActions({ ...email, date }, { settings, userId, language }),
+  ]);
+  return { summary, classification, extraction };
+};
+
+// Categorize, summarize and extract the action items of up to ANALYSIS_BATCH_SIZE emails
+// in one request with the categorize model. Emails are { subject, from, date, body,
+// examples, classify }, with the user's past corrections as examples; emails with
+// `classify: false` are only summarized and searched for action items, and a batch of only
+// those gets neither the categories nor the classification rules. Emails whose answer is
+// missing or malformed, or all of them when the request fails, fall back to separate calls.
+// Returns { summary, classification, extraction } per email, in order.
+const analyzeBatch = async (emails, categories, options) => {
+  const classifying = emails.filter(classifies).length;
+  const llm = getModelClient('categorize', options.settings);
+  if (!llm || (classifying > 0 && (!categories || categories.length === 0))) {
+    return Promise.all(emails.map(email => analyzeSeparately(email, categories, options)));
+  }
+
+  const rules = [
+    'Answer with one result per email, with the email\'s number as index',
+    'Summarize each email in 1-2 sentences, focusing on the main point and any required actions',
+  ];
+  let task = 'summarize it and extract what it asks of the recipient';
+  let categorySection = '';
+  if (classifying > 0) {
+    const unlessFiled = classifying < emails.length ? ' unless it is already filed' : '';
+    task = `summarize it, classify it into one of the provided categories${unlessFiled} and extract what it asks of the recipient`;
+    categorySection = `
+    Available Categories:
+    ${categories.map(cat => `- [${cat.id}] ${cat.name}: ${cat.description || 'No description'}`).join('\n')}
+    `;
+    rules.push(
+      'Answer with the ID of the category that best matches, or a null categoryId if none fits',
+      'Confidence is between 0 and 1; use low values when several categories could fit',
+      'Keep the rationale to one short sentence'
+    );
+    if (unlessFiled) {
+      rules.push(
+        'For emails already filed, answer a null categoryId, confidence 0 and an empty rationale'
+      );
+    }
+  }
+
+  const prompt = `
+    Analyze each of these ${emails.length} emails: ${task}.
+
+${emails.map(formatBatchEmail).join('\n\n')}
+    ${categorySection}
+    Rules:
+    ${rules.map((rule, i) => `${i + 1}. ${rule}`).join('\n    ')}
+    ${extractionRules(rules.length + 1)}
+    ${languageInstruction(options.language, 'the summaries and action items')}`;
+
+  let results = [];
+  try {
+    const response = await llm.client.chat.completions.create({
+      model: llm.model,
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: 400 * emails.length,
+      temperature: 0.1,
+      response_format: {
+        type: 'json_schema',
+        json_schema: analysisSchema(categories, classifying > 0),
+      },
+    });
+    await recordResponseUsage(options.userId, 'analyze', llm.model, response);
+
+    const parsed = JSON.parse(response.choices[0].message.content);
+    if (Array.isArray(parsed.results)) {
+      results = parsed.results;
+    } else {
+      logger.warn('⚠️ Batch analysis without results, analyzing emails separately');
+    }
+  } catch (error) {
+    logger.error('❌ Batch analysis error:', { error: error.message, count: emails.length });
+  }
+
+  return Promise.all(
+    emails.map(async (email, index) => {
+      const analysis = parseAnalysis(results, index, categories, classifies(email));
+      if (analysis) return analysis;
+
+      if (results.length > 0) {
+        logger.warn(`⚠️ Malformed batch answer for email ${index}, analyzing it separately`);
+      }
+      return analyzeSeparately(email, categories, options);
+    })
+  );
+};
+
+// Categorize, summarize and extract the action items of emails in batches of
+// ANALYSIS_BATCH_SIZE, `concurrency` requests at a time. Summaries and action items are
+// written in `language` when given. Returns { summary, classification, extraction } per
+// email, in order; extraction is null when it failed.
+const analyzeEmails = async (
+  emails,
+  categories,
+  { settings = null, userId = null, language = null, concurrency = 1 } = {}
+) => {
+  const batches = [];
+  for (let i = 0; i < emails.length; i += ANALYSIS_BATCH_SIZE) {
+    batches.push(emails.slice(i, i + ANALYSIS_BATCH_SIZE));
+  }
+
+  const results = new Array(batches.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < batches.length) {
+      const current = next++;
+      results[current] = await analyzeBatch(batches[current], categories, {
+        settings,
+        userId,
+        language,
+      });
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, batches.length) }, worker));
+
+  return results.flat();
+};
+
+// Most key points in a category's digest
+const MAX_KEY_POINTS = 5;
+
+const digestSchema = {
+  name: 'category_digest',
+  strict: true,
+  schema: {
+    type: 'object',
+    properties: {
+      keyPoints: {
+        type: 'array',
+        description: `At most ${MAX_KEY_POINTS} key points, most important first`,
+        items: { type: 'string', description: 'One short sentence' },
+      },
+    },
+    required: ['keyPoints'],
+    additionalProperties: false,
+  },
+};
+
+// Condense the emails of one category, { subject, from, summary } each, into key points
+// written in `language` when given. Uses the categorize model, which has to support
+// structured output. Returns the key points, or null when no model is configured or the
+// request failed.
+const digestCategory = async (
+  category,
+  emails,
+  { settings = null, userId = null, language = null } = {}
+) => {
+  const llm = getModelClient('categorize', settings);
+  if (!llm) return null;
+
+  const prompt = `
+    Condense these ${emails.length} emails from the "${category.name}" category into the key points the recipient should know, without opening each email.
+    ${languageInstruction(language, 'the key points')}
+
+${emails.map(email => `- From: ${email.from || 'Unknown sender'} | Subject: ${email.subject || 'No subject'} | ${email.summary || 'No summary'}`).join('\n')}
+
+    Rules:
+    1. Give at most ${MAX_KEY_POINTS} key points, most important first, one short sentence each
+    2. Merge emails about the same thing into one point
+    3. Leave out routine notifications unless nothing else arrived`;
+
+  try {
+    const response = await llm.client.chat.completions.create({
+      model: llm.model,
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: 400,
+      temperature: 0.1,
+      response_format: { type: 'json_schema', json_schema: digestSchema },
+    });
+    await recordResponseUsage(userId, 'digest', llm.model, response);
+
+    const { keyPoints } = JSON.parse(response.choices[0].message.content);
+    if (!Array.isArray(keyPoints)) return null;
+    return keyPoints
+      .filter(point => typeof point === 'string' && point.trim())
+      .map(point => point.trim())
+      .slice(0, MAX_KEY_POINTS);
+  } catch (error) {
+    logger.error('Digest error:', error);
+    return null;
+  }
+};
+
+// Draft a reply to an email following the user's `instruction` (e.g. "politely decline"),
+// with the summarize model. The email's content usually quotes the earlier messages of the
+// thread, so the reply can refer to them. Returns the reply text, or null when no model is
+// configured or the request failed.
+const draftReply = async (
+  emailContent,
+  instruction,
+  { settings = null, userId = null, senderName = null } = {}
+) => {
+  const llm = getModelClient('summarize', settings);
+  if (!llm) return null;
+
+  const prompt = `
+    Write a reply to this email on behalf of the recipient${senderName ? `, ${senderName}` : ''}.
+
+    Instruction from the recipient: ${instruction}
+
+    Subject: ${emailContent.subject || 'No subject'}
+    From: ${emailContent.from || 'Unknown sender'}
+    Content (with any earlier messages of the thread quoted):
+    ${emailContent.body ? emailContent.body.substring(0, 6000) : 'No content available'}
+
+    Rules:
+    1. Follow the instruction and keep to what the thread is about
+    2. Write in the language of the email, in the tone of the thread
+    3. Answer with the reply text only, with greeting and sign-off, without a subject line and without quoting the email
+    4. Do not make up facts, dates or commitments the instruction does not give; leave a placeholder such as [date] instead`;
+
+  try {
+    const response = await llm.client.chat.completions.create({
+      model: llm.model,
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: 600,
+      temperature: 0.4,
+    });
+    await recordResponseUsage(userId, 'reply', llm.model, response);
+
+    const reply = response.choices[0].message.content.trim();
+    return reply || null;
+  } catch (error) {
+    logger.error('Reply drafting error:', error);
+    return null;
+  }
+};
+
+const categorySuggestionSchema = {
+  name: 'category_suggestions',
+  strict: true,
+  schema: {
+    type: 'object',
+    properties: {
+      suggestions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            index: { type: 'integer', description: 'Number of the group' },
+            name: { type: 'string', description: 'Category name of one to three words' },
+            description: {
+              type: 'string',
+              description: 'One sentence saying which emails belong in the category',
+            },
+          },
+          required: ['index', 'name', 'description'],
+          additionalProperties: false,
+        },
+      },
+    },
+    required: ['suggestions'],
+    additionalProperties: false,
+  },
+};
+
+// Name groups of similar emails, { subject, from, summary } each, as new categories with
+// the categorize model. Returns [{ name, description }] in the order of the groups, with
+// nulls for groups left unnamed, or null when no model is configured or the request failed.
+const suggestCategories = async (
+  groups,
+  existingCategories = [],
+  { settings = null, userId = null } = {}
+) => {
+  const llm = getModelClient('categorize', settings);
+  if (!llm) return null;
+
+  const prompt = `
+    These groups of emails fit none of the user's categories. Propose a new category for each group.
+
+    Existing categories: ${existingCategories.map(category => category.name).join(', ') || 'none'}
+
+${groups
+  .map(
+    (emails, index) =>
+      `Group ${index}:\n${emails.map(email => `- From: ${email.from || 'Unknown sender'} | Subject: ${email.subject || 'No subject'} | ${email.summary || 'No summary'}`).join('\n')}`
+  )
+  .join('\n\n')}
+
+    Rules:
+    1. Give each category a short name of one to three words, different from the existing categories
+    2. Describe in one sentence which emails belong in it, as guidance for sorting future emails
+    3. Name what the emails are about rather than a single sender, unless they all come from one sender`;
+
+  try {
+    const response = await llm.client.chat.completions.create({
+      model: llm.model,
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: 100 * groups.length + 100,
+      temperature: 0.2,
+      response_format: { type: 'json_schema', json_schema: categorySuggestionSchema },
+    });
+    await recordResponseUsage(userId, 'suggest', llm.model, response);
+
+    const { suggestions } = JSON.parse(response.choices[0].message.content);
+    if (!Array.isArray(suggestions)) return null;
+
+    const named = groups.map(() => null);
+    for (const suggestion of suggestions) {
+      const name = typeof suggestion.name === 'string' ? suggestion.name.trim() : '';
+      const description =
+        typeof suggestion.description === 'string' ? suggestion.description.trim() : '';
+      if (Number.isInteger(suggestion.index) && suggestion.index in named && name && description) {
+        named[suggestion.index] = { name: name.substring(0, 100), description };
+      }
+    }
+    return named;
+  } catch (error) {
+    logger.error('Category suggestion error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  ANALYSIS_BATCH_SIZE,
+  categorizeEmail,
+  summarizeEmail,
+  basicSummary,
+  extractActions,
+  analyzeEmails,
+  digestCategory,
+  draftReply,
+  suggestCategories,
+};
@@ -0,0 +1,258 @@
+const { getModelClient } = require('./llm');
+const { recordResponseUsage } = require('./usage');
+const logger = require('../utils/logger');
+
+// Phishing and scam risk of an incoming email. Header checks and link analysis give
+// signals with a weight each; suspicious emails also get a judgement from the model. The
+// weights combine like independent probabilities, so no single weak signal is enough.
+// Emails at or above the quarantine threshold are quarantined: stored without a category,
+// with their unsubscribe link hidden.
+const QUARANTINE_THRESHOLD = parseFloat(process.env.PHISHING_QUARANTINE_THRESHOLD) || 0.7;
+// Emails scoring at least this much are suspicious, and only they are shown to the model
+const SUSPICIOUS_THRESHOLD = 0.3;
+
+// Deployment-wide switch
+const isEnabled = () => process.env.PHISHING_DETECTION_ENABLED !== 'false';
+
+// Brands commonly impersonated, matched against display names and link hosts
+const BRANDS = [
+  'paypal',
+  'apple',
+  'microsoft',
+  'office365',
+  'amazon',
+  'netflix',
+  'google',
+  'facebook',
+  'instagram',
+  'dhl',
+  'fedex',
+  'docusign',
+  'dropbox',
+  'chase',
+  'wellsfargo',
+  'bankofamerica',
+];
+
+const SHORTENERS = ['bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'cutt.ly'];
+
+// Second-level labels under which domains are registered, as in example.co.uk
+const GENERIC_SECOND_LEVELS = ['co', 'com', 'net', 'org', 'gov', 'ac', 'edu'];
+
+const WEIGHTS = {
+  dmarc_fail: 0.6,
+  spf_fail: 0.3,
+  spf_softfail: 0.15,
+  dkim_fail: 0.3,
+  display_name_address: 0.5,
+  display_name_brand: 0.4,
+  reply_to_mismatch: 0.25,
+  link_ip_host: 0.4,
+  link_credentials: 0.4,
+  link_punycode: 0.3,
+  link_brand_lookalike: 0.4,
+  link_shortener: 0.15,
+};
+
+const URL_PATTERN = /https?:\/\/[^\s<>"')\]]+/gi;
+
+const getHeader = (headers = [], name) =>
+  headers.find(header => header.name?.toLowerCase() === name.toLowerCase())?.value || null;
+
+// "Jane <jane@example.com>" -> { name: 'Jane', address: 'jane@example.com' }
+const parseAddress = value => {
+  if (!value) return { name: '', address: '' };
+  const match = value.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>/);
+  if (match) return { name: match[1].trim(), address: match[2].trim().toLowerCase() };
+  return { name: '', address: value.trim().toLowerCase() };
+};
+
+const domainOf = address => address.split('@')[1] || '';
+
+// Registered domain of a host: mail.example.com -> example.com, www.example.co.uk ->
+// example.co.uk
+const registeredDomain = host => {
+  const labels = host.toLowerCase().replace(/\.$/, '').split('.');
+  const count =
+    labels.length > 2 &&
+    labels[labels.length - 1].length === 2 &&
+    GENERIC_SECOND_LEVELS.includes(labels[labels.length - 2])
+      ? 3
+      : 2;
+  return labels.slice(-count).join('.');
+};
+
+const compact = text => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Brand named in a display name or host, as a word or, for long names, run together
+const findBrand = text => {
+  const words = text.toLowerCase().split(/[^a-z0-9]+/);
+  return BRANDS.find(
+    brand => words.includes(brand) || (brand.length >= 8 && compact(text).includes(brand))
+  );
+};
+
+const signal = (type, detail) => ({ type, weight: WEIGHTS[type], detail });
+
+// SPF, DKIM and DMARC results the receiving server recorded in Authentication-Results
+const authenticationSignals = headers => {
+  const results = getHeader(headers, 'Authentication-Results');
+  if (!results) return [];
+
+  const signals = [];
+  const result = method => results.match(new RegExp(`\\b${method}=(\\w+)`, 'i'))?.[1].toLowerCase();
+  if (result('dmarc') === 'fail') signals.push(signal('dmarc_fail', 'DMARC check failed'));
+  if (result('spf') === 'fail') signals.push(signal('spf_fail', 'SPF check failed'));
+  if (result('spf') === 'softfail') signals.push(signal('spf_softfail', 'SPF check soft-failed'));
+  if (result('dkim') === 'fail') signals.push(signal('dkim_fail', 'DKIM signature failed'));
+  return signals;
+};
+
+// Display names showing another address or a brand the sending domain does not belong to
+const senderSignals = headers => {
+  const from = parseAddress(getHeader(headers, 'From'));
+  const fromDomain = registeredDomain(domainOf(from.address));
+  const signals = [];
+
+  const shownAddress = from.name.match(/[A-Z0-9._%+-]+@([A-Z0-9.-]+\.[A-Z]{2,})/i);
+  if (shownAddress && registeredDomain(shownAddress[1]) !== fromDomain) {
+    signals.push(
+      signal(
+        'display_name_address',
+        `Display name shows ${shownAddress[0]} but sent from ${from.address}`
+      )
+    );
+  } else {
+    const brand = findBrand(from.name);
+    if (brand && !compact(fromDomain).includes(brand)) {
+      signals.push(
+        signal('display_name_brand', `Display name mentions ${brand} but sent from ${fromDomain}`)
+      );
+    }
+  }
+
+  const replyTo = parseAddress(getHeader(headers, 'Reply-To'));
+  const replyToDomain = registeredDomain(domainOf(replyTo.address));
+  if (replyTo.address && fromDomain && replyToDomain !== fromDomain) {
+    signals.push(
+      signal('reply_to_mismatch', `Replies go to ${replyTo.address}, not to ${fromDomain}`)
+    );
+  }
+
+  return signals;
+};
+
+// Links to raw IP addresses, with embedded credentials, with punycode hosts, through URL
+// shorteners or to hosts dressed up as a brand. Each kind counts once.
+const linkSignals = body => {
+  const found = new Map();
+  for (const url of (body || '').match(URL_PATTERN) || []) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      continue;
+    }
+    const host = parsed.hostname.toLowerCase();
+    const domain = registeredDomain(host);
+    const brand = findBrand(host);
+
+    let type = null;
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.startsWith('[')) type = 'link_ip_host';
+    else if (parsed.username) type = 'link_credentials';
+    else if (host.split('.').some(label => label.startsWith('xn--'))) type = 'link_punycode';
+    else if (brand && !compact(domain).includes(brand)) type = 'link_brand_lookalike';
+    else if (SHORTENERS.includes(domain)) type = 'link_shortener';
+
+    if (type && !found.has(type)) found.set(type, signal(type, `Link to ${host}`));
+  }
+  return [...found.values()];
+};
+
+const combine = weights => 1 - weights.reduce((rest, weight) => rest * (1 - weight), 1);
+
+const judgementSchema = {
+  name: 'phishing_judgement',
+  strict: true,
+  schema: {
+    type: 'object',
+    properties: {
+      risk: {
+        type: 'number',
+        description: 'Likelihood from 0 to 1 that the email is phishing or a scam',
+      },
+      reason: { type: 'string', description: 'One short sentence explaining the judgement' },
+    },
+    required: ['risk', 'reason'],
+    additionalProperties: false,
+  },
+};
+
+// Ask the categorize model whether a suspicious email is phishing. Returns a signal, or
+// null when no model is configured or the request failed.
+const judgeWithModel = async (email, signals, { settings = null, userId = null } = {}) => {
+  const llm = getModelClient('categorize', settings);
+  if (!llm) return null;
+
+  const prompt = `
+    Judge whether this email is phishing or a scam: an attempt to steal credentials, money or personal data, or to make the recipient open a malicious link or attachment.
+
+    Subject: ${email.subject || 'No subject'}
+    From: ${email.from || 'Unknown sender'}
+    Content Preview: ${email.body ? email.body.substring(0, 1500) : 'No content'}
+
+    Automated checks found:
+    ${signals.map(item => `- ${item.detail}`).join('\n    ')}
+
+    Legitimate newsletters and notifications also fail some checks; weigh them against the content.`;
+
+  try {
+    const response = await llm.client.chat.completions.create({
+      model: llm.model,
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: 100,
+      temperature: 0,
+      response_format: { type: 'json_schema', json_schema: judgementSchema },
+    });
+    await recordResponseUsage(userId, 'phishing', llm.model, response);
+
+    const { risk, reason } = JSON.parse(response.choices[0].message.content);
+    if (typeof risk !== 'number' || Number.isNaN(risk)) return null;
+    return { type: 'model', weight: Math.min(Math.max(risk, 0), 1), detail: reason };
+  } catch (error) {
+    logger.error('Phishing judgement error:', error);
+    return null;
+  }
+};
+
+// Risk of a fetched message ({ headers, body }). `email` is the { subject, from, body } the
+// model may see, e.g. redacted; `useModel` false keeps to the header and link checks.
+// Returns { score, level: 'low' | 'medium' | 'high', quarantined, signals }. Never throws.
+const assessRisk = async (message, { email = message, useModel = true, ...options } = {}) => {
+  if (!isEnabled()) return null;
+
+  const signals = [
+    ...authenticationSignals(message.headers),
+    ...senderSignals(message.headers),
+    ...linkSignals(message.body),
+  ];
+
+  if (useModel && combine(signals.map(item => item.weight)) >= SUSPICIOUS_THRESHOLD) {
+    const judgement = await judgeWithModel(email, signals, options);
+    if (judgement) signals.push(judgement);
+  }
+
+  const score = combine(signals.map(item => item.weight));
+  let level = 'low';
+  if (score >= QUARANTINE_THRESHOLD) {
+    level = 'high';
+  } else if (score >= SUSPICIOUS_THRESHOLD) {
+    level = 'medium';
+  }
+
+  return { score, level, quarantined: level === 'high', signals };
+};
+
+module.exports = {
+  assessRisk,
+};
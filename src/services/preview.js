@@ -0,0 +1,299 @@
+const Joi = require('joi');
+const db = require('../config/database');
+const { analyzeMessage, saveMessage } = require('./gmail');
+const { createProvider } = require('./providers');
+const { getIngestionPolicy } = require('./ingestionPolicy');
+const { learnFromCorrections } = require('./corrections');
+const logger = require('../utils/logger');
+
+// Options accepted when a preview is requested. Every message costs two OpenAI calls and
+// the request waits for all of them, so samples stay small.
+const previewOptionsSchema = Joi.object({
+  size: Joi.number().integer().min(1).max(25).default(10),
+});
+
+const previewError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// API shape of a preview; message bodies stay on the server
+const formatPreview = preview => ({
+  id: preview.id,
+  accountId: preview.account_id,
+  status: preview.status,
+  createdAt: preview.created_at,
+  acceptedAt: preview.accepted_at,
+  items: preview.items.map(item => ({
+    messageId: item.messageId,
+    subject: item.subject,
+    from: item.from,
+    date: item.date,
+    language: item.language || null,
+    categoryId: item.categoryId,
+    categoryName: item.categoryName,
+    confidence: item.confidence,
+    rationale: item.rationale,
+    summary: item.summary,
+    // Likely phishing would be quarantined; its links are not shown
+    quarantined: Boolean(item.risk?.quarantined),
+    unsubscribeLink: item.risk?.quarantined ? null : item.unsubscribeLink,
+  })),
+});
+
+// Categorize and summarize the messages the next run would pick up, without storing
+// emails or changing anything in the mailbox
+const createPreview = async (userId, account, { size = 10 } = {}) => {
+  const categoriesResult = await db.query('SELECT * FROM categories WHERE user_id = $1', [userId]);
+  const categories = categoriesResult.rows;
+
+  if (categories.length === 0) {
+    throw previewError(400, 'Create at least one category before previewing');
+  }
+
+  const userResult = await db.query(
+    `SELECT name, email, review_threshold, llm_settings, redaction_level, preferred_language
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+  const policy = getIngestionPolicy(account);
+  const provider = createProvider(account);
+  const context = { userId, user: userResult.rows[0], account, categories };
+  const items = [];
+
+  try {
+    const { messageIds } = await provider.listNewMessages(account.history_id, {
+      query: policy.query,
+      since: account.last_synced_at,
+    });
+
+    let newMessageIds = [];
+    if (messageIds.length > 0) {
+      const existingResult = await db.query(
+        'SELECT gmail_id FROM emails WHERE account_id = $1 AND gmail_id = ANY($2)',
+        [account.id, messageIds]
+      );
+      const existingIds = new Set(existingResult.rows.map(row => row.gmail_id));
+      newMessageIds = messageIds.filter(id => !existingIds.has(id));
+    }
+
+    for (const messageId of newMessageIds) {
+      if (items.length >= size) break;
+
+      try {
+        const analysis = await analyzeMessage(provider, context, messageId);
+        if (!analysis) continue;
+
+        const {
+          message,
+          language,
+          category,
+          classification,
+          risk,
+          rule,
+          summary,
+          extraction,
+          unsubscribeLink,
+          embedding,
+          redactionCounts,
+        } = analysis;
+        items.push({
+          messageId,
+          subject: message.subject,
+          from: message.from,
+          date: message.date,
+          body: message.body,
+          language,
+          categoryId: category ? category.id : null,
+          categoryName: category ? category.name : null,
+          confidence: classification.confidence,
+          rationale: classification.rationale,
+          risk,
+          ruleId: rule ? rule.id : null,
+          summary,
+          extraction,
+          unsubscribeLink,
+          embedding,
+          redactionCounts,
+        });
+      } catch (error) {
+        logger.error(`Preview: error analyzing email ${messageId} for ${account.email}:`, error);
+      }
+    }
+  } finally {
+    await provider.close();
+  }
+
+  const result = await db.query(
+    `INSERT INTO email_previews (user_id, account_id, items)
+     VALUES ($1, $2, $3) RETURNING *`,
+    [userId, account.id, JSON.stringify(items)]
+  );
+
+  logger.info(
+    `Preview ${result.rows[0].id} created for ${account.email} with ${items.length} emails`
+  );
+  return result.rows[0];
+};
+
+const getPreview = async (userId, accountId, previewId) => {
+  const result = await db.query(
+    'SELECT * FROM email_previews WHERE id = $1 AND account_id = $2 AND user_id = $3',
+    [previewId, accountId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// Claim a pending preview so it cannot be accepted or discarded twice
+const closePreview = async (userId, accountId, previewId, status) => {
+  const result = await db.query(
+    `UPDATE email_previews
+     SET status = $1, updated_at = NOW(),
+         accepted_at = CASE WHEN $1 = 'accepted' THEN NOW() ELSE accepted_at END
+     WHERE id = $2 AND account_id = $3 AND user_id = $4 AND status = 'pending'
+     RETURNING *`,
+    [status, previewId, accountId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    if (await getPreview(userId, accountId, previewId)) {
+      throw previewError(409, 'Preview has already been accepted or discarded');
+    }
+    throw previewError(404, 'Preview not found');
+  }
+
+  return result.rows[0];
+};
+
+// Store the previewed emails and apply the account's archive and mark-as-read policy.
+// Accepting confirms the proposed categories, whatever their confidence. Corrections
+// ([{ messageId, categoryId }]) override the proposal and are recorded in
+// category_movements like a move made after processing. Emails without a proposal or
+// correction go to the review queue.
+const acceptPreview = async (userId, account, previewId, corrections = []) => {
+  const categoriesResult = await db.query('SELECT * FROM categories WHERE user_id = $1', [userId]);
+  const categories = categoriesResult.rows;
+  const categoriesById = new Map(categories.map(category => [category.id, category]));
+
+  // Validate before claiming the preview, so a bad request can be retried
+  const preview = await getPreview(userId, account.id, previewId);
+  if (!preview) {
+    throw previewError(404, 'Preview not found');
+  }
+
+  const previewIds = new Set(preview.items.map(item => item.messageId));
+  for (const { messageId, categoryId } of corrections) {
+    if (!previewIds.has(messageId)) {
+      throw previewError(400, `Email ${messageId} is not part of this preview`);
+    }
+    if (!categoriesById.has(categoryId)) {
+      throw previewError(400, `Category ${categoryId} not found`);
+    }
+  }
+
+  const { items } = await closePreview(userId, account.id, previewId, 'accepted');
+  const correctedIds = new Map(
+    corrections.map(({ messageId, categoryId }) => [messageId, categoryId])
+  );
+
+  const userResult = await db.query(
+    `SELECT name, email, review_threshold, llm_settings, redaction_level, preferred_language
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+  const context = { userId, user: userResult.rows[0], account };
+
+  // Emails stored by a processing run since the preview was made are left alone
+  const existingResult = await db.query(
+    'SELECT gmail_id FROM emails WHERE account_id = $1 AND gmail_id = ANY($2)',
+    [account.id, items.map(item => item.messageId)]
+  );
+  const existingIds = new Set(existingResult.rows.map(row => row.gmail_id));
+
+  const provider = createProvider(account);
+  const counts = { accepted: 0, corrected: 0, skipped: 0, failed: 0 };
+  const correctedSenders = [];
+
+  try {
+    for (const item of items) {
+      if (existingIds.has(item.messageId)) {
+        counts.skipped++;
+        continue;
+      }
+
+      // Categories deleted since the preview count as no proposal
+      const proposed = categoriesById.get(item.categoryId) || null;
+      const category = categoriesById.get(correctedIds.get(item.messageId)) || proposed;
+
+      try {
+        const email = await saveMessage(
+          provider,
+          context,
+          {
+            message: {
+              id: item.messageId,
+              subject: item.subject,
+              from: item.from,
+              date: item.date,
+              body: item.body,
+            },
+            language: item.language || null,
+            category,
+            classification: {
+              categoryId: item.categoryId,
+              confidence: item.confidence,
+              rationale: item.rationale,
+            },
+            risk: item.risk || null,
+            rule: item.ruleId ? { id: item.ruleId } : null,
+            summary: item.summary,
+            extraction: item.extraction || null,
+            unsubscribeLink: item.unsubscribeLink,
+            embedding: item.embedding || null,
+            redactionCounts: item.redactionCounts || null,
+          },
+          { confirmed: true }
+        );
+        counts.accepted++;
+
+        if (category && category !== proposed) {
+          await db.query(
+            `INSERT INTO category_movements (
+               user_id, email_id, from_category_id, to_category_id, sender, ai_summary, source
+             ) VALUES ($1, $2, $3, $4, $5, $6, 'preview')`,
+            [userId, email.id, proposed ? proposed.id : null, category.id, item.from, item.summary]
+          );
+          counts.corrected++;
+          correctedSenders.push(item.from);
+        }
+      } catch (error) {
+        counts.failed++;
+        logger.error(`Preview ${previewId}: error saving email ${item.messageId}:`, error);
+      }
+    }
+  } finally {
+    await provider.close();
+  }
+
+  if (correctedSenders.length > 0) {
+    await learnFromCorrections(userId, correctedSenders).catch(error =>
+      logger.error(`Preview ${previewId}: failed to learn from corrections:`, error)
+    );
+  }
+
+  logger.info(`Preview ${previewId} accepted for ${account.email}`, counts);
+  return counts;
+};
+
+const discardPreview = (userId, accountId, previewId) =>
+  closePreview(userId, accountId, previewId, 'discarded');
+
+module.exports = {
+  previewOptionsSchema,
+  formatPreview,
+  createPreview,
+  getPreview,
+  acceptPreview,
+  discardPreview,
+};
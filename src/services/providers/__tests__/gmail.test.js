@@ -0,0 +1,319 @@
+const { google } = require('googleapis');
+const db = require('../../../config/database');
+const { createGmailProvider, buildSinceQuery, buildRawMessage } = require('../gmail');
+
+jest.mock('googleapis');
+jest.mock('../../../config/database');
+jest.mock('../../../utils/logger');
+
+describe('Gmail Provider', () => {
+  let mockGmail;
+  let provider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockGmail = {
+      users: {
+        messages: {
+          list: jest.fn(),
+          get: jest.fn(),
+          modify: jest.fn().mockResolvedValue({}),
+          trash: jest.fn().mockResolvedValue({}),
+        },
+        drafts: {
+          create: jest.fn().mockResolvedValue({ data: { id: 'draft1' } }),
+        },
+        labels: {
+          list: jest.fn(),
+          create: jest.fn(),
+        },
+      },
+    };
+
+    google.auth.OAuth2 = jest.fn().mockReturnValue({ setCredentials: jest.fn(), on: jest.fn() });
+    google.gmail = jest.fn().mockReturnValue(mockGmail);
+
+    provider = createGmailProvider({ id: 1, email: 'test@gmail.com', provider: 'google' });
+  });
+
+  describe('buildSinceQuery', () => {
+    it('should search received mail after the given date', () => {
+      expect(buildSinceQuery('2024-01-15')).toBe('after:2024/01/15 -in:sent -in:drafts -in:chats');
+    });
+  });
+
+  describe('listMessages', () => {
+    it('should return one page of message IDs with the next page token', async () => {
+      mockGmail.users.messages.list.mockResolvedValue({
+        data: {
+          messages: [{ id: 'msg1' }, { id: 'msg2' }],
+          nextPageToken: 'token-2',
+          resultSizeEstimate: 120,
+        },
+      });
+
+      const page = await provider.listMessages({
+        since: '2024-01-15',
+        pageToken: 'token-1',
+        pageSize: 50,
+      });
+
+      expect(mockGmail.users.messages.list).toHaveBeenCalledWith({
+        userId: 'me',
+        q: 'after:2024/01/15 -in:sent -in:drafts -in:chats',
+        maxResults: 50,
+        pageToken: 'token-1',
+      });
+      expect(page).toEqual({
+        messageIds: ['msg1', 'msg2'],
+        nextPageToken: 'token-2',
+        estimatedTotal: 120,
+      });
+    });
+  });
+
+  describe('getMessage', () => {
+    it('should normalize headers and body', async () => {
+      mockGmail.users.messages.get.mockResolvedValue({
+        data: {
+          payload: {
+            headers: [
+              { name: 'Subject', value: 'Hello' },
+              { name: 'From', value: 'sender@example.com' },
+              { name: 'Date', value: 'Mon, 15 Jan 2024 10:00:00 +0000' },
+            ],
+            body: { data: Buffer.from('<p>Hi <b>there</b></p>').toString('base64') },
+          },
+        },
+      });
+
+      const message = await provider.getMessage('msg1');
+
+      expect(message).toEqual(
+        expect.objectContaining({
+          id: 'msg1',
+          subject: 'Hello',
+          from: 'sender@example.com',
+          date: 'Mon, 15 Jan 2024 10:00:00 +0000',
+          body: 'Hi there',
+        })
+      );
+    });
+
+    it('should return label names, looking up user labels', async () => {
+      mockGmail.users.messages.get.mockResolvedValue({
+        data: {
+          labelIds: ['INBOX', 'STARRED', 'Label_7'],
+          payload: { headers: [], body: { data: Buffer.from('Hi').toString('base64') } },
+        },
+      });
+      mockGmail.users.labels.list.mockResolvedValue({
+        data: { labels: [{ id: 'Label_7', name: 'Receipts' }] },
+      });
+
+      const message = await provider.getMessage('msg1');
+
+      expect(message.labels).toEqual(['INBOX', 'STARRED', 'Receipts']);
+    });
+  });
+
+  describe('fetchContent', () => {
+    it('should prefer HTML parts and list attachments', async () => {
+      const encode = text => Buffer.from(text).toString('base64url');
+      mockGmail.users.messages.get.mockResolvedValue({
+        data: {
+          payload: {
+            parts: [
+              { mimeType: 'text/plain', body: { data: encode('plain') } },
+              { mimeType: 'text/html', body: { data: encode('<p>html</p>') } },
+              {
+                mimeType: 'application/pdf',
+                filename: 'invoice.pdf',
+                body: { size: 2048, attachmentId: 'att-1' },
+              },
+            ],
+          },
+        },
+      });
+
+      const content = await provider.fetchContent('msg1');
+
+      expect(content).toEqual({
+        body: '<p>html</p>',
+        isHtml: true,
+        attachments: [
+          {
+            filename: 'invoice.pdf',
+            mimeType: 'application/pdf',
+            size: 2048,
+            attachmentId: 'att-1',
+          },
+        ],
+      });
+    });
+  });
+
+  describe('archive and trash', () => {
+    it('should archive by removing the INBOX label', async () => {
+      await provider.archive('msg1');
+
+      expect(mockGmail.users.messages.modify).toHaveBeenCalledWith({
+        userId: 'me',
+        id: 'msg1',
+        resource: { removeLabelIds: ['INBOX'] },
+      });
+    });
+
+    it('should move messages to the trash', async () => {
+      await provider.trash('msg1');
+
+      expect(mockGmail.users.messages.trash).toHaveBeenCalledWith({ userId: 'me', id: 'msg1' });
+    });
+  });
+
+  describe('createReplyDraft', () => {
+    const decode = raw => Buffer.from(raw, 'base64url').toString();
+
+    it('should save the reply in the thread of the message it answers', async () => {
+      mockGmail.users.messages.get.mockResolvedValue({
+        data: {
+          threadId: 'thread1',
+          payload: {
+            headers: [
+              { name: 'Subject', value: 'Dinner' },
+              { name: 'From', value: 'Bob <bob@example.com>' },
+              { name: 'Message-Id', value: '<m2@example.com>' },
+              { name: 'References', value: '<m1@example.com>' },
+            ],
+          },
+        },
+      });
+
+      const draft = await provider.createReplyDraft('msg1', 'Sounds good');
+
+      expect(draft).toEqual({ draftId: 'draft1', threadId: 'thread1' });
+      expect(mockGmail.users.messages.get).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'msg1', format: 'metadata' })
+      );
+      const { message } = mockGmail.users.drafts.create.mock.calls[0][0].requestBody;
+      expect(message.threadId).toBe('thread1');
+      const raw = decode(message.raw);
+      expect(raw).toContain('To: Bob <bob@example.com>\r\n');
+      expect(raw).toContain(`Subject: =?UTF-8?B?${Buffer.from('Re: Dinner').toString('base64')}?=`);
+      expect(raw).toContain('In-Reply-To: <m2@example.com>\r\n');
+      expect(raw).toContain('References: <m1@example.com> <m2@example.com>\r\n');
+    });
+
+    it('should answer the Reply-To address and keep an existing Re: prefix', async () => {
+      mockGmail.users.messages.get.mockResolvedValue({
+        data: {
+          threadId: 'thread1',
+          payload: {
+            headers: [
+              { name: 'Subject', value: 'RE: Dinner' },
+              { name: 'From', value: 'bob@example.com' },
+              { name: 'Reply-To', value: 'team@example.com' },
+            ],
+          },
+        },
+      });
+
+      await provider.createReplyDraft('msg1', 'Sounds good');
+
+      const raw = decode(mockGmail.users.drafts.create.mock.calls[0][0].requestBody.message.raw);
+      expect(raw).toContain('To: team@example.com\r\n');
+      expect(raw).toContain(Buffer.from('RE: Dinner').toString('base64'));
+      expect(raw).not.toContain('In-Reply-To');
+    });
+  });
+
+  describe('buildRawMessage', () => {
+    it('should encode a plain text message', () => {
+      const raw = Buffer.from(
+        buildRawMessage({ to: 'me@gmail.com', subject: 'Résumé', text: 'Olá' }),
+        'base64url'
+      ).toString();
+      const [headers, body] = raw.split('\r\n\r\n');
+
+      expect(headers).toBe(
+        [
+          'To: me@gmail.com',
+          `Subject: =?UTF-8?B?${Buffer.from('Résumé').toString('base64')}?=`,
+          'MIME-Version: 1.0',
+          'Content-Type: text/plain; charset=UTF-8',
+          'Content-Transfer-Encoding: base64',
+        ].join('\r\n')
+      );
+      expect(Buffer.from(body, 'base64').toString()).toBe('Olá');
+    });
+  });
+
+  describe('getGrantedScopes', () => {
+    it('should use the scopes stored when the account was connected', async () => {
+      provider = createGmailProvider({
+        id: 1,
+        email: 'test@gmail.com',
+        granted_scopes: 'https://www.googleapis.com/auth/gmail.readonly openid',
+      });
+
+      expect(await provider.getGrantedScopes()).toEqual([
+        'https://www.googleapis.com/auth/gmail.readonly',
+        'openid',
+      ]);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should look up and store the scopes of older accounts', async () => {
+      const scopes = ['https://www.googleapis.com/auth/gmail.modify'];
+      google.auth.OAuth2.mockReturnValue({
+        setCredentials: jest.fn(),
+        on: jest.fn(),
+        getAccessToken: jest.fn().mockResolvedValue({ token: 'access-1' }),
+        getTokenInfo: jest.fn().mockResolvedValue({ scopes }),
+      });
+      provider = createGmailProvider({ id: 1, email: 'test@gmail.com', granted_scopes: null });
+
+      expect(await provider.getGrantedScopes()).toEqual(scopes);
+      expect(db.query).toHaveBeenCalledWith(
+        'UPDATE email_accounts SET granted_scopes = $1 WHERE id = $2',
+        ['https://www.googleapis.com/auth/gmail.modify', 1]
+      );
+    });
+  });
+
+  describe('addLabel', () => {
+    it('should reuse an existing label', async () => {
+      mockGmail.users.labels.list.mockResolvedValue({
+        data: { labels: [{ id: 'Label_1', name: 'Sorted/Work' }] },
+      });
+
+      await provider.addLabel('msg1', 'Sorted/Work');
+
+      expect(mockGmail.users.labels.create).not.toHaveBeenCalled();
+      expect(mockGmail.users.messages.modify).toHaveBeenCalledWith({
+        userId: 'me',
+        id: 'msg1',
+        resource: { addLabelIds: ['Label_1'] },
+      });
+    });
+
+    it('should create a missing label once', async () => {
+      mockGmail.users.labels.list.mockResolvedValue({ data: { labels: [] } });
+      mockGmail.users.labels.create.mockResolvedValue({
+        data: { id: 'Label_2', name: 'Sorted/News' },
+      });
+
+      await provider.addLabel('msg1', 'Sorted/News');
+      await provider.addLabel('msg2', 'Sorted/News');
+
+      expect(mockGmail.users.labels.create).toHaveBeenCalledTimes(1);
+      expect(mockGmail.users.labels.list).toHaveBeenCalledTimes(1);
+      expect(mockGmail.users.messages.modify).toHaveBeenLastCalledWith({
+        userId: 'me',
+        id: 'msg2',
+        resource: { addLabelIds: ['Label_2'] },
+      });
+    });
+  });
+});
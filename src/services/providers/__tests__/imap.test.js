@@ -0,0 +1,336 @@
+const mockClient = {
+  connect: jest.fn(),
+  logout: jest.fn(),
+  on: jest.fn(),
+  getMailboxLock: jest.fn(),
+  search: jest.fn(),
+  fetch: jest.fn(),
+  fetchOne: jest.fn(),
+  list: jest.fn(),
+  mailboxCreate: jest.fn(),
+  messageMove: jest.fn(),
+  messageCopy: jest.fn(),
+  messageFlagsAdd: jest.fn(),
+  status: jest.fn(),
+  mailbox: null,
+};
+
+jest.mock('imapflow', () => ({ ImapFlow: jest.fn().mockImplementation(() => mockClient) }));
+jest.mock('../../../utils/logger');
+
+const { ImapFlow } = require('imapflow');
+const { createImapProvider } = require('../imap');
+const { encrypt } = require('../../../utils/encryption');
+
+const rawMessage = [
+  'Message-ID: <abc123@example.com>',
+  'Subject: Weekly newsletter',
+  'From: News <news@example.com>',
+  'Date: Mon, 15 Jan 2024 10:00:00 +0000',
+  'List-Unsubscribe: <https://example.com/unsubscribe>',
+  'Content-Type: text/plain; charset=utf-8',
+  '',
+  'Hello from the newsletter',
+].join('\r\n');
+
+// imapflow returns fetch results as an async iterator
+const fetchResults = messages =>
+  jest.fn().mockImplementation(async function* () {
+    yield* messages;
+  });
+
+describe('IMAP Provider', () => {
+  let account;
+  let provider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.CREDENTIALS_ENCRYPTION_KEY = 'a'.repeat(64);
+
+    mockClient.mailbox = { path: 'INBOX', uidValidity: 10n, uidNext: 51 };
+    mockClient.getMailboxLock.mockResolvedValue({ release: jest.fn() });
+    mockClient.list.mockResolvedValue([
+      { path: 'INBOX', specialUse: '\\Inbox' },
+      { path: 'Archive', specialUse: '\\Archive' },
+      { path: 'Deleted Items', specialUse: '\\Trash' },
+    ]);
+
+    account = {
+      id: 3,
+      email: 'team@example.com',
+      provider: 'imap',
+      imap_host: 'imap.example.com',
+      imap_port: 993,
+      imap_secure: true,
+      imap_password: encrypt('secret'),
+    };
+    provider = createImapProvider(account);
+  });
+
+  afterAll(() => {
+    delete process.env.CREDENTIALS_ENCRYPTION_KEY;
+  });
+
+  it('should connect lazily with the decrypted password', async () => {
+    expect(ImapFlow).not.toHaveBeenCalled();
+
+    mockClient.status.mockResolvedValue({ messages: 12, unseen: 3 });
+    const result = await provider.testConnection();
+
+    expect(ImapFlow).toHaveBeenCalledWith(
+      expect.objectContaining({
+        host: 'imap.example.com',
+        port: 993,
+        secure: true,
+        auth: { user: 'team@example.com', pass: 'secret' },
+      })
+    );
+    expect(result).toEqual({ messagesTotal: 12, unreadCount: 3 });
+  });
+
+  describe('listNewMessages', () => {
+    it('should list unread messages above the cursor UID', async () => {
+      mockClient.search.mockResolvedValue([40, 45, 50]);
+      mockClient.fetch = fetchResults([
+        { uid: 45, envelope: { messageId: '<m45@example.com>' } },
+        { uid: 50, envelope: { messageId: '<m50@example.com>' } },
+      ]);
+
+      const result = await provider.listNewMessages('10:40');
+
+      expect(mockClient.search).toHaveBeenCalledWith({ uid: '41:*', seen: false }, { uid: true });
+      expect(mockClient.fetch).toHaveBeenCalledWith('45,50', { envelope: true }, { uid: true });
+      expect(result).toEqual({
+        messageIds: ['uid:10:45:<m45@example.com>', 'uid:10:50:<m50@example.com>'],
+        cursor: '10:50',
+      });
+    });
+
+    it('should resync recent unread mail when UIDVALIDITY changed', async () => {
+      mockClient.search.mockResolvedValue([7]);
+      mockClient.fetch = fetchResults([{ uid: 7, envelope: {} }]);
+
+      const result = await provider.listNewMessages('9:40');
+
+      expect(mockClient.search).toHaveBeenCalledWith(
+        { seen: false, since: expect.any(Date) },
+        { uid: true }
+      );
+      // Messages without a Message-ID are identified by their UID only
+      expect(result.messageIds).toEqual(['uid:10:7']);
+    });
+
+    it('should keep copies of a message with the same Message-ID apart', async () => {
+      mockClient.search.mockResolvedValue([45, 46]);
+      mockClient.fetch = fetchResults([
+        { uid: 45, envelope: { messageId: '<resent@example.com>' } },
+        { uid: 46, envelope: { messageId: '<resent@example.com>' } },
+      ]);
+
+      const result = await provider.listNewMessages('10:40');
+
+      expect(result.messageIds).toEqual([
+        'uid:10:45:<resent@example.com>',
+        'uid:10:46:<resent@example.com>',
+      ]);
+    });
+
+    it('should leave out Message-IDs that would not fit the stored ID', async () => {
+      const longId = `<${'a'.repeat(260)}@example.com>`;
+      mockClient.search.mockResolvedValue([45]);
+      mockClient.fetch = fetchResults([{ uid: 45, envelope: { messageId: longId } }]);
+
+      const result = await provider.listNewMessages('10:40');
+
+      expect(result.messageIds).toEqual(['uid:10:45']);
+    });
+  });
+
+  describe('listMessages', () => {
+    it('should page newest first using the lowest listed UID as token', async () => {
+      mockClient.search.mockResolvedValue([5, 9, 12, 20]);
+      mockClient.fetch = fetchResults([
+        { uid: 20, envelope: { messageId: '<m20@example.com>' } },
+        { uid: 12, envelope: { messageId: '<m12@example.com>' } },
+      ]);
+
+      const page = await provider.listMessages({ since: '2024-01-01', pageSize: 2 });
+
+      expect(mockClient.fetch).toHaveBeenCalledWith('20,12', { envelope: true }, { uid: true });
+      expect(page).toEqual({
+        messageIds: ['uid:10:20:<m20@example.com>', 'uid:10:12:<m12@example.com>'],
+        nextPageToken: '10:12',
+        estimatedTotal: 4,
+      });
+    });
+
+    it('should continue below the UID in the page token', async () => {
+      mockClient.search.mockResolvedValue([5, 9]);
+      mockClient.fetch = fetchResults([
+        { uid: 9, envelope: { messageId: '<m9@example.com>' } },
+        { uid: 5, envelope: { messageId: '<m5@example.com>' } },
+      ]);
+
+      const page = await provider.listMessages({
+        since: '2024-01-01',
+        pageToken: '10:12',
+        pageSize: 2,
+      });
+
+      expect(mockClient.search).toHaveBeenCalledWith(
+        { since: new Date('2024-01-01'), uid: '1:11' },
+        { uid: true }
+      );
+      expect(page.nextPageToken).toBeNull();
+    });
+  });
+
+  describe('getMessage', () => {
+    it('should find the message by Message-ID and parse it', async () => {
+      mockClient.search.mockResolvedValue([45]);
+      mockClient.fetchOne.mockResolvedValue({ uid: 45, source: Buffer.from(rawMessage) });
+
+      const message = await provider.getMessage('<abc123@example.com>');
+
+      expect(mockClient.search).toHaveBeenCalledWith(
+        { header: { 'message-id': '<abc123@example.com>' } },
+        { uid: true }
+      );
+      expect(message).toEqual(
+        expect.objectContaining({
+          subject: 'Weekly newsletter',
+          from: '"News" <news@example.com>',
+          body: 'Hello from the newsletter',
+        })
+      );
+      expect(message.headers).toContainEqual({
+        name: 'List-Unsubscribe',
+        value: '<https://example.com/unsubscribe>',
+      });
+    });
+
+    it('should report flagged messages as starred', async () => {
+      mockClient.search.mockResolvedValue([45]);
+      mockClient.fetchOne.mockResolvedValue({
+        uid: 45,
+        source: Buffer.from(rawMessage),
+        flags: new Set(['\\Flagged']),
+      });
+
+      const message = await provider.getMessage('<abc123@example.com>');
+
+      expect(mockClient.fetchOne).toHaveBeenCalledWith(
+        '45',
+        { source: true, flags: true },
+        { uid: true }
+      );
+      expect(message.labels).toEqual(['STARRED']);
+    });
+
+    it('should find INBOX messages by the UID in their ID', async () => {
+      mockClient.fetchOne.mockResolvedValue({ uid: 45, source: Buffer.from(rawMessage) });
+
+      const message = await provider.getMessage('uid:10:45:<abc123@example.com>');
+
+      expect(mockClient.search).not.toHaveBeenCalled();
+      expect(mockClient.fetchOne).toHaveBeenCalledWith(
+        '45',
+        { source: true, flags: true },
+        { uid: true }
+      );
+      expect(message.id).toBe('uid:10:45:<abc123@example.com>');
+    });
+
+    it('should throw a 404 error when the message is gone', async () => {
+      mockClient.search.mockResolvedValue([]);
+
+      await expect(provider.getMessage('<gone@example.com>')).rejects.toMatchObject({ code: 404 });
+    });
+  });
+
+  describe('mailbox actions', () => {
+    beforeEach(() => {
+      mockClient.search.mockResolvedValue([45]);
+    });
+
+    it('should archive into the special-use Archive mailbox', async () => {
+      await provider.archive('<abc123@example.com>');
+
+      expect(mockClient.messageMove).toHaveBeenCalledWith('45', 'Archive', { uid: true });
+    });
+
+    it('should use the configured archive mailbox when set', async () => {
+      account.imap_archive_mailbox = 'Processed';
+
+      await provider.archive('<abc123@example.com>');
+
+      expect(mockClient.mailboxCreate).toHaveBeenCalledWith('Processed');
+      expect(mockClient.messageMove).toHaveBeenCalledWith('45', 'Processed', { uid: true });
+    });
+
+    it('should mark messages as read with the Seen flag', async () => {
+      await provider.markAsRead('<abc123@example.com>');
+
+      expect(mockClient.messageFlagsAdd).toHaveBeenCalledWith('45', ['\\Seen'], { uid: true });
+    });
+
+    it('should label by copying into a mailbox of that name', async () => {
+      await provider.addLabel('<abc123@example.com>', 'Sorted/Work');
+
+      expect(mockClient.mailboxCreate).toHaveBeenCalledWith('Sorted/Work');
+      expect(mockClient.messageCopy).toHaveBeenCalledWith('45', 'Sorted/Work', { uid: true });
+    });
+
+    it('should trash into the special-use Trash mailbox', async () => {
+      await provider.trash('<abc123@example.com>');
+
+      expect(mockClient.messageMove).toHaveBeenCalledWith('45', 'Deleted Items', { uid: true });
+    });
+  });
+
+  describe('fetchContent', () => {
+    it('should fall back to the archive mailbox', async () => {
+      mockClient.search.mockResolvedValueOnce([]).mockResolvedValueOnce([8]);
+      mockClient.fetchOne.mockResolvedValue({ uid: 8, source: Buffer.from(rawMessage) });
+
+      const content = await provider.fetchContent('<abc123@example.com>');
+
+      expect(mockClient.getMailboxLock).toHaveBeenLastCalledWith('Archive');
+      expect(content).toEqual({
+        body: 'Hello from the newsletter',
+        isHtml: false,
+        attachments: [],
+      });
+    });
+
+    it('should look up UID based IDs by Message-ID outside the INBOX', async () => {
+      mockClient.search.mockResolvedValue([8]);
+      mockClient.fetchOne.mockResolvedValue({ uid: 8, source: Buffer.from(rawMessage) });
+      mockClient.getMailboxLock.mockImplementation(async path => {
+        mockClient.mailbox = { path, uidValidity: 10n, uidNext: 51 };
+        return { release: jest.fn() };
+      });
+      // Gone from the INBOX
+      mockClient.fetchOne.mockResolvedValueOnce(null);
+
+      const content = await provider.fetchContent('uid:10:45:<abc123@example.com>');
+
+      expect(mockClient.search).toHaveBeenCalledTimes(1);
+      expect(mockClient.search).toHaveBeenCalledWith(
+        { header: { 'message-id': '<abc123@example.com>' } },
+        { uid: true }
+      );
+      expect(mockClient.fetchOne).toHaveBeenLastCalledWith('8', { source: true }, { uid: true });
+      expect(content.body).toBe('Hello from the newsletter');
+    });
+  });
+
+  it('should log out on close', async () => {
+    mockClient.status.mockResolvedValue({ messages: 0, unseen: 0 });
+    await provider.testConnection();
+
+    await provider.close();
+
+    expect(mockClient.logout).toHaveBeenCalled();
+  });
+});
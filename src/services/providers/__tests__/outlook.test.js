@@ -0,0 +1,307 @@
+const axios = require('axios');
+const db = require('../../../config/database');
+const { refreshAccessToken } = require('../../microsoftAuth');
+const { createOutlookProvider } = require('../outlook');
+
+jest.mock('axios');
+jest.mock('../../../config/database');
+jest.mock('../../../utils/logger');
+jest.mock('../../microsoftAuth', () => ({
+  GRAPH_BASE_URL: 'https://graph.microsoft.com/v1.0',
+  refreshAccessToken: jest.fn(),
+}));
+
+const graphError = (status, code) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data: { error: { code, message: `${code} from Graph` } } };
+  return error;
+};
+
+describe('Outlook Provider', () => {
+  let provider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    axios.mockReset();
+
+    provider = createOutlookProvider({
+      id: 7,
+      email: 'user@contoso.com',
+      provider: 'outlook',
+      access_token: 'access-1',
+      refresh_token: 'refresh-1',
+    });
+  });
+
+  describe('listNewMessages', () => {
+    it('should follow the stored delta link and keep only unread messages', async () => {
+      axios
+        .mockResolvedValueOnce({
+          data: {
+            value: [
+              { id: 'AAMk1', isRead: false },
+              { id: 'AAMk2', isRead: true },
+            ],
+            '@odata.nextLink': 'https://graph.microsoft.com/v1.0/next-page',
+          },
+        })
+        .mockResolvedValueOnce({
+          data: {
+            value: [
+              { id: 'AAMk3', isRead: false },
+              { id: 'AAMk4', '@removed': { reason: 'deleted' } },
+            ],
+            '@odata.deltaLink': 'https://graph.microsoft.com/v1.0/delta-2',
+          },
+        });
+
+      const result = await provider.listNewMessages('https://graph.microsoft.com/v1.0/delta-1');
+
+      expect(axios.mock.calls[0][0]).toMatchObject({
+        method: 'get',
+        url: 'https://graph.microsoft.com/v1.0/delta-1',
+        headers: {
+          Authorization: 'Bearer access-1',
+          Prefer: 'IdType="ImmutableId", odata.maxpagesize=100',
+        },
+      });
+      expect(axios.mock.calls[1][0].url).toBe('https://graph.microsoft.com/v1.0/next-page');
+      expect(result).toEqual({
+        messageIds: ['AAMk1', 'AAMk3'],
+        cursor: 'https://graph.microsoft.com/v1.0/delta-2',
+      });
+    });
+
+    it('should start a bounded delta query when there is no cursor', async () => {
+      axios.mockResolvedValueOnce({
+        data: { value: [], '@odata.deltaLink': 'https://graph.microsoft.com/v1.0/delta-1' },
+      });
+
+      const result = await provider.listNewMessages(null);
+
+      const { url } = axios.mock.calls[0][0];
+      expect(url).toContain('/me/mailFolders/inbox/messages/delta?');
+      expect(new URL(url).searchParams.get('$filter')).toMatch(/^receivedDateTime ge /);
+      expect(result.cursor).toBe('https://graph.microsoft.com/v1.0/delta-1');
+    });
+
+    it('should run a full resync when the delta link has expired', async () => {
+      axios.mockRejectedValueOnce(graphError(410, 'SyncStateNotFound')).mockResolvedValueOnce({
+        data: {
+          value: [{ id: 'AAMk1', isRead: false }],
+          '@odata.deltaLink': 'https://graph.microsoft.com/v1.0/delta-new',
+        },
+      });
+
+      const result = await provider.listNewMessages('https://graph.microsoft.com/v1.0/expired');
+
+      expect(axios.mock.calls[1][0].url).toContain('/messages/delta?');
+      expect(result).toEqual({
+        messageIds: ['AAMk1'],
+        cursor: 'https://graph.microsoft.com/v1.0/delta-new',
+      });
+    });
+  });
+
+  describe('listMessages', () => {
+    it('should page by the oldest received date already listed', async () => {
+      axios.mockResolvedValueOnce({
+        data: {
+          value: [
+            { id: 'AAMk1', receivedDateTime: '2024-03-02T10:00:00Z' },
+            { id: 'AAMk2', receivedDateTime: '2024-03-01T09:00:00Z' },
+          ],
+          '@odata.nextLink': 'https://graph.microsoft.com/v1.0/skip-link',
+        },
+      });
+
+      const page = await provider.listMessages({
+        since: '2024-01-01',
+        pageToken: '2024-03-03T00:00:00Z',
+        pageSize: 2,
+      });
+
+      expect(axios.mock.calls[0][0].params).toMatchObject({
+        $filter:
+          'receivedDateTime ge 2024-01-01T00:00:00.000Z and receivedDateTime lt 2024-03-03T00:00:00Z',
+        $orderby: 'receivedDateTime desc',
+        $top: 2,
+      });
+      expect(page).toEqual({
+        messageIds: ['AAMk1', 'AAMk2'],
+        nextPageToken: '2024-03-01T09:00:00Z',
+        estimatedTotal: null,
+      });
+    });
+
+    it('should report the total on the first page and stop on the last one', async () => {
+      axios.mockResolvedValueOnce({
+        data: {
+          value: [{ id: 'AAMk1', receivedDateTime: '2024-03-02T10:00:00Z' }],
+          '@odata.count': 1,
+        },
+      });
+
+      const page = await provider.listMessages({ since: '2024-01-01', pageSize: 50 });
+
+      expect(axios.mock.calls[0][0].params.$count).toBe('true');
+      expect(page).toEqual({ messageIds: ['AAMk1'], nextPageToken: null, estimatedTotal: 1 });
+    });
+  });
+
+  describe('getMessage', () => {
+    it('should return headers, sender and a plain text body', async () => {
+      axios.mockResolvedValueOnce({
+        data: {
+          subject: 'Weekly update',
+          from: { emailAddress: { name: 'News', address: 'news@example.com' } },
+          receivedDateTime: '2024-03-02T10:00:00Z',
+          body: { contentType: 'text', content: '  Hello there  ' },
+          internetMessageHeaders: [
+            { name: 'List-Unsubscribe', value: '<https://example.com/unsubscribe>' },
+          ],
+          categories: ['Newsletters'],
+          flag: { flagStatus: 'flagged' },
+          importance: 'normal',
+        },
+      });
+
+      const message = await provider.getMessage('AAMk1');
+
+      expect(axios.mock.calls[0][0].headers.Prefer).toBe(
+        'IdType="ImmutableId", outlook.body-content-type="text"'
+      );
+      expect(message).toEqual({
+        id: 'AAMk1',
+        headers: [{ name: 'List-Unsubscribe', value: '<https://example.com/unsubscribe>' }],
+        subject: 'Weekly update',
+        from: 'News <news@example.com>',
+        date: '2024-03-02T10:00:00Z',
+        body: 'Hello there',
+        labels: ['Newsletters', 'STARRED'],
+      });
+    });
+
+    it('should expose Graph errors with the HTTP status as code', async () => {
+      axios.mockRejectedValueOnce(graphError(404, 'ErrorItemNotFound'));
+
+      await expect(provider.getMessage('missing')).rejects.toMatchObject({
+        code: 404,
+        reason: 'ErrorItemNotFound',
+      });
+    });
+  });
+
+  describe('fetchContent', () => {
+    it('should return the HTML body and attachment metadata', async () => {
+      axios
+        .mockResolvedValueOnce({
+          data: { body: { contentType: 'html', content: '<p>Hi</p>' }, hasAttachments: true },
+        })
+        .mockResolvedValueOnce({
+          data: {
+            value: [{ id: 'att1', name: 'invoice.pdf', contentType: 'application/pdf', size: 42 }],
+          },
+        });
+
+      const content = await provider.fetchContent('AAMk1');
+
+      expect(axios.mock.calls[1][0].url).toBe(
+        'https://graph.microsoft.com/v1.0/me/messages/AAMk1/attachments'
+      );
+      expect(content).toEqual({
+        body: '<p>Hi</p>',
+        isHtml: true,
+        attachments: [
+          { filename: 'invoice.pdf', mimeType: 'application/pdf', size: 42, attachmentId: 'att1' },
+        ],
+      });
+    });
+  });
+
+  describe('actions', () => {
+    it('should archive by moving the message to the Archive folder', async () => {
+      axios.mockResolvedValueOnce({ data: {} });
+
+      await provider.archive('AAMk1');
+
+      expect(axios).toHaveBeenCalledWith(
+        expect.objectContaining({
+          method: 'post',
+          url: 'https://graph.microsoft.com/v1.0/me/messages/AAMk1/move',
+          data: { destinationId: 'archive' },
+        })
+      );
+    });
+
+    it('should mark messages as read', async () => {
+      axios.mockResolvedValueOnce({ data: {} });
+
+      await provider.markAsRead('AAMk1');
+
+      expect(axios.mock.calls[0][0]).toMatchObject({
+        method: 'patch',
+        url: 'https://graph.microsoft.com/v1.0/me/messages/AAMk1',
+        data: { isRead: true },
+      });
+    });
+
+    it('should add the label as an Outlook category', async () => {
+      axios
+        .mockResolvedValueOnce({ data: { categories: ['Blue category'] } })
+        .mockResolvedValueOnce({ data: {} });
+
+      await provider.addLabel('AAMk1', 'Newsletters');
+
+      expect(axios.mock.calls[1][0]).toMatchObject({
+        method: 'patch',
+        data: { categories: ['Blue category', 'Newsletters'] },
+      });
+    });
+
+    it('should move trashed messages to Deleted Items', async () => {
+      axios.mockResolvedValueOnce({ data: {} });
+
+      await provider.trash('AAMk1');
+
+      expect(axios.mock.calls[0][0].data).toEqual({ destinationId: 'deleteditems' });
+    });
+  });
+
+  describe('token refresh', () => {
+    it('should refresh an expired token once, save it and retry', async () => {
+      axios
+        .mockRejectedValueOnce(graphError(401, 'InvalidAuthenticationToken'))
+        .mockResolvedValueOnce({
+          data: { totalItemCount: 12, unreadItemCount: 3 },
+        });
+      refreshAccessToken.mockResolvedValue({
+        access_token: 'access-2',
+        refresh_token: 'refresh-2',
+      });
+      db.query.mockResolvedValue({ rows: [] });
+
+      const status = await provider.testConnection();
+
+      expect(refreshAccessToken).toHaveBeenCalledWith('refresh-1');
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE email_accounts'), [
+        'access-2',
+        'refresh-2',
+        7,
+      ]);
+      expect(axios.mock.calls[1][0].headers.Authorization).toBe('Bearer access-2');
+      expect(status).toEqual({ messagesTotal: 12, unreadCount: 3 });
+    });
+
+    it('should not retry more than once', async () => {
+      axios
+        .mockRejectedValueOnce(graphError(401, 'InvalidAuthenticationToken'))
+        .mockRejectedValueOnce(graphError(401, 'InvalidAuthenticationToken'));
+      refreshAccessToken.mockResolvedValue({ access_token: 'access-2' });
+      db.query.mockResolvedValue({ rows: [] });
+
+      await expect(provider.testConnection()).rejects.toMatchObject({ code: 401 });
+      expect(refreshAccessToken).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,454 @@
+const { google } = require('googleapis');
+const cheerio = require('cheerio');
+const db = require('../../config/database');
+const { parseScopes } = require('../../config/googleScopes');
+const logger = require('../../utils/logger');
+
+// Headers of a message needed to reply to it in its thread
+const REPLY_HEADERS = ['Subject', 'From', 'Reply-To', 'Message-ID', 'References'];
+
+// Bounded full resync, used when an account has no history cursor yet or it has expired
+const FULL_SYNC_QUERY = 'is:unread newer_than:7d';
+const FULL_SYNC_MAX_MESSAGES = 500;
+const FULL_SYNC_PAGE_SIZE = 100;
+
+// Custom query searches look back a little past the last sync to allow for indexing lag;
+// messages seen twice are skipped as already processed
+const QUERY_SYNC_OVERLAP_MS = 60 * 60 * 1000;
+const QUERY_SYNC_DEFAULT_DAYS = 7;
+
+// Messages with any of these labels are ignored, like Gmail search does for `is:unread`
+const IGNORED_LABELS = ['DRAFT', 'SENT', 'SPAM', 'TRASH'];
+
+// IDs of user-created labels; system labels such as INBOX or UNREAD use their name
+const USER_LABEL_PREFIX = 'Label_';
+
+// OAuth client for a stored account; refreshed tokens are saved back
+const createOAuthClient = account => {
+  const oauth2Client = new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_REDIRECT_URI
+  );
+
+  oauth2Client.setCredentials({
+    access_token: account.access_token,
+    refresh_token: account.refresh_token,
+  });
+
+  // Handle token refresh
+  oauth2Client.on('tokens', async tokens => {
+    if (tokens.access_token) {
+      await db.query('UPDATE email_accounts SET access_token = $1 WHERE id = $2', [
+        tokens.access_token,
+        account.id,
+      ]);
+    }
+  });
+
+  return oauth2Client;
+};
+
+// Authorized Gmail API client for a stored account
+const createGmailClient = account =>
+  google.gmail({ version: 'v1', auth: createOAuthClient(account) });
+
+// Gmail returns base64url without padding
+const decodeBase64 = data => {
+  if (!data) return '';
+  const base64 = data.replace(/-/g, '+').replace(/_/g, '/');
+  const padding = '='.repeat((4 - (base64.length % 4)) % 4);
+  return Buffer.from(base64 + padding, 'base64').toString('utf-8');
+};
+
+// Plain text RFC 2822 message, base64url encoded as the Gmail API expects for `raw`.
+// Replies name the message they answer in In-Reply-To and References.
+const buildRawMessage = ({ to, subject, text, inReplyTo = null, references = null }) => {
+  const headers = [
+    `To: ${to}`,
+    `Subject: =?UTF-8?B?${Buffer.from(subject).toString('base64')}?=`,
+    ...(inReplyTo ? [`In-Reply-To: ${inReplyTo}`] : []),
+    ...(references ? [`References: ${references}`] : []),
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+  ];
+  const message = [...headers, '', Buffer.from(text).toString('base64')].join('\r\n');
+  return Buffer.from(message).toString('base64url');
+};
+
+// Plain text used for categorization and summaries
+const extractEmailContent = payload => {
+  let body = '';
+
+  if (payload.body && payload.body.data) {
+    body = Buffer.from(payload.body.data, 'base64').toString('utf-8');
+  } else if (payload.parts) {
+    // Handle multipart messages
+    for (const part of payload.parts) {
+      if (part.mimeType === 'text/plain' || part.mimeType === 'text/html') {
+        if (part.body && part.body.data) {
+          body += Buffer.from(part.body.data, 'base64').toString('utf-8');
+        }
+      }
+    }
+  }
+
+  // Clean HTML if present
+  if (body.includes('<')) {
+    const $ = cheerio.load(body);
+    body = $.text().replace(/\s+/g, ' ').trim();
+  }
+
+  return body;
+};
+
+// Full content for display: HTML when available, plus attachment metadata
+const extractDisplayContent = payload => {
+  const emailContent = { body: '', html: '', attachments: [] };
+
+  const extractBody = parts => {
+    for (const part of parts) {
+      if (part.mimeType === 'text/html' && part.body.data) {
+        emailContent.html = decodeBase64(part.body.data);
+      } else if (part.mimeType === 'text/plain' && part.body.data) {
+        emailContent.body = decodeBase64(part.body.data);
+      } else if (part.parts) {
+        extractBody(part.parts);
+      }
+
+      // Check for attachments
+      if (part.filename) {
+        emailContent.attachments.push({
+          filename: part.filename,
+          mimeType: part.mimeType,
+          size: part.body.size,
+          attachmentId: part.body.attachmentId,
+        });
+      }
+    }
+  };
+
+  if (payload.parts) {
+    extractBody(payload.parts);
+  } else if (payload.body.data) {
+    // Single part message
+    emailContent.body = decodeBase64(payload.body.data);
+  }
+
+  return {
+    body: emailContent.html || emailContent.body,
+    isHtml: !!emailContent.html,
+    attachments: emailContent.attachments,
+  };
+};
+
+const formatSearchDate = date => {
+  const d = new Date(date);
+  const month = String(d.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(d.getUTCDate()).padStart(2, '0');
+  return `${d.getUTCFullYear()}/${month}/${day}`;
+};
+
+// Everything received since the given date, except mail the user sent or drafted
+const buildSinceQuery = since => `after:${formatSearchDate(since)} -in:sent -in:drafts -in:chats`;
+
+// A custom ingestion query, limited to mail received since the last sync
+const buildQuerySince = (query, lastSyncedAt) => {
+  const since = lastSyncedAt
+    ? new Date(lastSyncedAt).getTime() - QUERY_SYNC_OVERLAP_MS
+    : Date.now() - QUERY_SYNC_DEFAULT_DAYS * 24 * 60 * 60 * 1000;
+  return `(${query}) after:${Math.floor(since / 1000)}`;
+};
+
+const fullResync = async (gmail, query = FULL_SYNC_QUERY) => {
+  // Read the cursor before listing so nothing that arrives meanwhile is skipped
+  const profile = await gmail.users.getProfile({ userId: 'me' });
+  const messageIds = [];
+  let pageToken;
+
+  do {
+    const response = await gmail.users.messages.list({
+      userId: 'me',
+      q: query,
+      maxResults: Math.min(FULL_SYNC_PAGE_SIZE, FULL_SYNC_MAX_MESSAGES - messageIds.length),
+      pageToken,
+    });
+
+    for (const message of response.data.messages || []) {
+      messageIds.push(message.id);
+    }
+    pageToken = response.data.nextPageToken;
+  } while (pageToken && messageIds.length < FULL_SYNC_MAX_MESSAGES);
+
+  return { messageIds, cursor: profile.data.historyId };
+};
+
+const toUserLabels = labelIds => (labelIds || []).filter(id => id.startsWith(USER_LABEL_PREFIX));
+
+// New messages since the cursor and, when asked for, user label changes in history order
+const incrementalSync = async (gmail, startHistoryId, { includeLabelChanges = false } = {}) => {
+  const messageIds = new Set();
+  const labelChanges = [];
+  let historyId = startHistoryId;
+  let pageToken;
+
+  do {
+    const response = await gmail.users.history.list({
+      userId: 'me',
+      startHistoryId,
+      historyTypes: includeLabelChanges
+        ? ['messageAdded', 'labelAdded', 'labelRemoved']
+        : ['messageAdded'],
+      pageToken,
+    });
+
+    for (const record of response.data.history || []) {
+      for (const { message } of record.messagesAdded || []) {
+        const labelIds = message.labelIds || [];
+        if (
+          labelIds.includes('UNREAD') &&
+          !labelIds.some(label => IGNORED_LABELS.includes(label))
+        ) {
+          messageIds.add(message.id);
+        }
+      }
+
+      for (const { message, labelIds } of record.labelsAdded || []) {
+        const added = toUserLabels(labelIds);
+        if (added.length > 0) {
+          labelChanges.push({ messageId: message.id, addedLabelIds: added, removedLabelIds: [] });
+        }
+      }
+
+      for (const { message, labelIds } of record.labelsRemoved || []) {
+        const removed = toUserLabels(labelIds);
+        if (removed.length > 0) {
+          labelChanges.push({ messageId: message.id, addedLabelIds: [], removedLabelIds: removed });
+        }
+      }
+    }
+
+    historyId = response.data.historyId || historyId;
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
+
+  return {
+    messageIds: [...messageIds],
+    cursor: historyId,
+    ...(includeLabelChanges && { labelChanges }),
+  };
+};
+
+const createGmailProvider = account => {
+  const auth = createOAuthClient(account);
+  const gmail = google.gmail({ version: 'v1', auth });
+  let labels = null;
+
+  // The mailbox's labels, loaded once per provider
+  const listLabels = async () => {
+    if (!labels) {
+      const response = await gmail.users.labels.list({ userId: 'me' });
+      labels = response.data.labels || [];
+    }
+    return labels;
+  };
+
+  // Label IDs by name, creating missing labels on first use
+  const getLabelId = async name => {
+    let label = (await listLabels()).find(l => l.name === name);
+
+    if (!label) {
+      const created = await gmail.users.labels.create({
+        userId: 'me',
+        requestBody: { name, labelListVisibility: 'labelShow', messageListVisibility: 'show' },
+      });
+      label = created.data;
+      labels.push(label);
+    }
+
+    return label.id;
+  };
+
+  // System labels such as STARRED are named by their ID; user labels need a lookup
+  const getLabelNames = async ids => {
+    if (!ids.some(id => id.startsWith(USER_LABEL_PREFIX))) return ids;
+
+    const all = await listLabels();
+    return ids.map(id => all.find(label => label.id === id)?.name || id);
+  };
+
+  return {
+    name: 'google',
+    account,
+    gmail,
+
+    // Messages added since the stored history cursor. Falls back to a bounded full
+    // resync when there is no cursor or Gmail no longer has it (404). Accounts that
+    // mirror categories as labels also get the label changes made in Gmail.
+    async listNewMessages(cursor, { query, since } = {}) {
+      // A custom query replaces the history listing with a search for matching mail
+      // received since the last sync; the history cursor is still kept for label sync
+      if (query) {
+        const result = await fullResync(gmail, buildQuerySince(query, since));
+
+        if (cursor && account.mirror_labels) {
+          try {
+            const { labelChanges } = await incrementalSync(gmail, cursor, {
+              includeLabelChanges: true,
+            });
+            result.labelChanges = labelChanges;
+          } catch (error) {
+            if (error.code !== 404) throw error;
+          }
+        }
+
+        return result;
+      }
+
+      if (cursor) {
+        try {
+          return await incrementalSync(gmail, cursor, {
+            includeLabelChanges: !!account.mirror_labels,
+          });
+        } catch (error) {
+          if (error.code !== 404) throw error;
+          logger.warn(`History ${cursor} expired for ${account.email}, running full resync`);
+        }
+      }
+
+      return fullResync(gmail);
+    },
+
+    // One page of received mail since a date, newest first
+    async listMessages({ since, pageToken, pageSize }) {
+      const response = await gmail.users.messages.list({
+        userId: 'me',
+        q: buildSinceQuery(since),
+        maxResults: pageSize,
+        pageToken: pageToken || undefined,
+      });
+
+      return {
+        messageIds: (response.data.messages || []).map(message => message.id),
+        nextPageToken: response.data.nextPageToken || null,
+        estimatedTotal: response.data.resultSizeEstimate || null,
+      };
+    },
+
+    async getMessage(messageId) {
+      const emailData = await gmail.users.messages.get({
+        userId: 'me',
+        id: messageId,
+        format: 'full',
+      });
+
+      const headers = emailData.data.payload.headers;
+
+      return {
+        id: messageId,
+        headers,
+        subject: headers.find(h => h.name === 'Subject')?.value || 'No Subject',
+        from: headers.find(h => h.name === 'From')?.value || 'Unknown Sender',
+        date: headers.find(h => h.name === 'Date')?.value,
+        body: extractEmailContent(emailData.data.payload),
+        labels: await getLabelNames(emailData.data.labelIds || []),
+      };
+    },
+
+    async fetchContent(messageId) {
+      const response = await gmail.users.messages.get({
+        userId: 'me',
+        id: messageId,
+        format: 'full',
+      });
+
+      return extractDisplayContent(response.data.payload);
+    },
+
+    async archive(messageId) {
+      await gmail.users.messages.modify({
+        userId: 'me',
+        id: messageId,
+        resource: {
+          removeLabelIds: ['INBOX'],
+        },
+      });
+    },
+
+    async markAsRead(messageId) {
+      await gmail.users.messages.modify({
+        userId: 'me',
+        id: messageId,
+        resource: {
+          removeLabelIds: ['UNREAD'],
+        },
+      });
+    },
+
+    async addLabel(messageId, labelName) {
+      const labelId = await getLabelId(labelName);
+
+      await gmail.users.messages.modify({
+        userId: 'me',
+        id: messageId,
+        resource: {
+          addLabelIds: [labelId],
+        },
+      });
+    },
+
+    async trash(messageId) {
+      await gmail.users.messages.trash({ userId: 'me', id: messageId });
+    },
+
+    // Save `text` as a draft reply to a message: in its thread, to its Reply-To or sender
+    async createReplyDraft(messageId, text) {
+      const original = await gmail.users.messages.get({
+        userId: 'me',
+        id: messageId,
+        format: 'metadata',
+        metadataHeaders: REPLY_HEADERS,
+      });
+      const headers = original.data.payload?.headers || [];
+      const header = name =>
+        headers.find(h => h.name.toLowerCase() === name.toLowerCase())?.value || null;
+
+      const subject = header('Subject') || '';
+      const originalId = header('Message-ID');
+      const raw = buildRawMessage({
+        to: header('Reply-To') || header('From'),
+        subject: /^re:/i.test(subject) ? subject : `Re: ${subject}`,
+        text,
+        inReplyTo: originalId,
+        references: [header('References'), originalId].filter(Boolean).join(' ') || null,
+      });
+
+      const response = await gmail.users.drafts.create({
+        userId: 'me',
+        requestBody: { message: { raw, threadId: original.data.threadId } },
+      });
+
+      return { draftId: response.data.id, threadId: original.data.threadId };
+    },
+
+    // Scopes the user granted: stored when the account was connected, otherwise looked up
+    // with tokeninfo (accounts connected before they were stored) and stored then
+    async getGrantedScopes() {
+      if (account.granted_scopes) return parseScopes(account.granted_scopes);
+
+      const { token } = await auth.getAccessToken();
+      const { scopes } = await auth.getTokenInfo(token);
+      await db.query('UPDATE email_accounts SET granted_scopes = $1 WHERE id = $2', [
+        scopes.join(' '),
+        account.id,
+      ]);
+      return scopes;
+    },
+
+    // Nothing to release; the API client is stateless
+    async close() {},
+  };
+};
+
+module.exports = { createGmailProvider, createGmailClient, buildSinceQuery, buildRawMessage };
@@ -0,0 +1,327 @@
+const { ImapFlow } = require('imapflow');
+const { simpleParser } = require('mailparser');
+const cheerio = require('cheerio');
+const { decrypt } = require('../../utils/encryption');
+const logger = require('../../utils/logger');
+
+const INBOX = 'INBOX';
+
+// Bounded full resync, used when there is no cursor yet or the mailbox UIDVALIDITY changed
+const FULL_SYNC_DAYS = 7;
+const FULL_SYNC_MAX_MESSAGES = 500;
+
+// Messages are identified by their INBOX UID, "uid:uidValidity:uid", so copies of one
+// message and resent mail sharing a Message-ID stay apart. The Message-ID header is
+// appended when the ID stays within the column length, to find the message again once it
+// has been moved out of the INBOX. Older IDs are a bare Message-ID.
+const UID_ID_PREFIX = 'uid:';
+const MAX_ID_LENGTH = 255;
+
+const createImapClient = account => {
+  const client = new ImapFlow({
+    host: account.imap_host,
+    port: account.imap_port || 993,
+    secure: account.imap_secure !== false,
+    auth: {
+      user: account.imap_username || account.email,
+      pass: decrypt(account.imap_password),
+    },
+    logger: false,
+  });
+
+  // Without a listener, socket errors would crash the process
+  client.on('error', error => {
+    logger.error(`IMAP connection error for ${account.email}:`, error);
+  });
+
+  return client;
+};
+
+const notFound = messageId => {
+  const error = new Error(`Message ${messageId} not found`);
+  error.code = 404;
+  return error;
+};
+
+// Same { name, value } header shape the Gmail API returns
+const toHeaderList = headerLines =>
+  headerLines.map(({ line }) => {
+    const separator = line.indexOf(':');
+    return {
+      name: line.slice(0, separator),
+      value: line
+        .slice(separator + 1)
+        .replace(/\r?\n\s+/g, ' ')
+        .trim(),
+    };
+  });
+
+const toPlainText = parsed => {
+  if (parsed.text) return parsed.text.trim();
+  if (!parsed.html) return '';
+
+  const $ = cheerio.load(parsed.html);
+  return $.text().replace(/\s+/g, ' ').trim();
+};
+
+const createImapProvider = account => {
+  let client = null;
+  const mailboxPaths = new Map();
+
+  const getClient = async () => {
+    if (!client) {
+      client = createImapClient(account);
+      await client.connect();
+    }
+    return client;
+  };
+
+  // Run fn with the mailbox selected, holding imapflow's mailbox lock
+  const withMailbox = async (path, fn) => {
+    const imap = await getClient();
+    const lock = await imap.getMailboxLock(path);
+    try {
+      return await fn(imap);
+    } finally {
+      lock.release();
+    }
+  };
+
+  const ensureMailbox = async path => {
+    const imap = await getClient();
+    const mailboxes = await imap.list();
+    if (!mailboxes.some(mailbox => mailbox.path === path)) {
+      await imap.mailboxCreate(path);
+    }
+    return path;
+  };
+
+  // Mailbox with a special-use flag such as \Archive, or one created under a fallback name
+  const getSpecialMailbox = async (specialUse, fallbackPath) => {
+    if (mailboxPaths.has(specialUse)) return mailboxPaths.get(specialUse);
+
+    const imap = await getClient();
+    const mailboxes = await imap.list();
+    const path =
+      mailboxes.find(mailbox => mailbox.specialUse === specialUse)?.path ||
+      (await ensureMailbox(fallbackPath));
+
+    mailboxPaths.set(specialUse, path);
+    return path;
+  };
+
+  const getArchiveMailbox = () =>
+    account.imap_archive_mailbox
+      ? ensureMailbox(account.imap_archive_mailbox)
+      : getSpecialMailbox('\\Archive', 'Archive');
+
+  // Message IDs for UIDs of the selected mailbox
+  const toMessageIds = async (imap, uids) => {
+    if (uids.length === 0) return [];
+
+    const ids = new Map();
+    for await (const message of imap.fetch(uids.join(','), { envelope: true }, { uid: true })) {
+      const uidId = `${UID_ID_PREFIX}${imap.mailbox.uidValidity}:${message.uid}`;
+      const headerId = message.envelope.messageId;
+      ids.set(
+        message.uid,
+        headerId && uidId.length + headerId.length < MAX_ID_LENGTH ? `${uidId}:${headerId}` : uidId
+      );
+    }
+
+    // Keep the order of the search results
+    return uids.filter(uid => ids.has(uid)).map(uid => ids.get(uid));
+  };
+
+  // UID of a message in the selected mailbox, or null when it is not there. Outside the
+  // INBOX, or after its UIDVALIDITY changed, the message is looked up by its Message-ID.
+  const findUid = async (imap, messageId) => {
+    let headerId = messageId;
+    if (messageId.startsWith(UID_ID_PREFIX)) {
+      const [uidValidity, uid, ...rest] = messageId.slice(UID_ID_PREFIX.length).split(':');
+      if (imap.mailbox.path === INBOX && String(imap.mailbox.uidValidity) === uidValidity) {
+        return Number(uid);
+      }
+      headerId = rest.join(':');
+      if (!headerId) return null;
+    }
+
+    const uids = await imap.search({ header: { 'message-id': headerId } }, { uid: true });
+    return uids && uids.length > 0 ? uids[0] : null;
+  };
+
+  const withInboxMessage = (messageId, fn) =>
+    withMailbox(INBOX, async imap => {
+      const uid = await findUid(imap, messageId);
+      if (!uid) throw notFound(messageId);
+      return fn(imap, uid);
+    });
+
+  const fetchMessage = async (imap, uid, query = {}) => {
+    const message = await imap.fetchOne(String(uid), { source: true, ...query }, { uid: true });
+    if (!message) throw notFound(uid);
+    return message;
+  };
+
+  return {
+    name: 'imap',
+    account,
+
+    // Unread INBOX messages above the UID stored in the cursor ("uidValidity:lastUid")
+    async listNewMessages(cursor) {
+      return withMailbox(INBOX, async imap => {
+        const { uidValidity, uidNext } = imap.mailbox;
+        const [cursorValidity, lastUid] = (cursor || '').split(':');
+        let uids;
+
+        if (cursor && cursorValidity === String(uidValidity)) {
+          const found = await imap.search(
+            { uid: `${Number(lastUid) + 1}:*`, seen: false },
+            { uid: true }
+          );
+          // "n:*" always matches the newest message, even when its UID is below n
+          uids = (found || []).filter(uid => uid > Number(lastUid));
+        } else {
+          if (cursor) {
+            logger.warn(`UIDVALIDITY changed for ${account.email}, running full resync`);
+          }
+          const since = new Date(Date.now() - FULL_SYNC_DAYS * 24 * 60 * 60 * 1000);
+          const found = await imap.search({ seen: false, since }, { uid: true });
+          uids = (found || []).slice(-FULL_SYNC_MAX_MESSAGES);
+        }
+
+        return {
+          messageIds: await toMessageIds(imap, uids),
+          cursor: `${uidValidity}:${uidNext - 1}`,
+        };
+      });
+    },
+
+    // One page of INBOX mail since a date, newest first. The page token is the lowest UID
+    // already listed, so archiving listed messages does not shift later pages.
+    async listMessages({ since, pageToken, pageSize }) {
+      return withMailbox(INBOX, async imap => {
+        const { uidValidity } = imap.mailbox;
+        const query = { since: new Date(since) };
+
+        if (pageToken) {
+          const [tokenValidity, lowestUid] = pageToken.split(':');
+          if (tokenValidity !== String(uidValidity)) {
+            throw new Error(
+              `Mailbox UIDVALIDITY changed for ${account.email}, restart the backfill`
+            );
+          }
+          if (Number(lowestUid) <= 1) {
+            return { messageIds: [], nextPageToken: null, estimatedTotal: null };
+          }
+          query.uid = `1:${Number(lowestUid) - 1}`;
+        }
+
+        const found = ((await imap.search(query, { uid: true })) || []).sort((a, b) => b - a);
+        const uids = found.slice(0, pageSize);
+
+        return {
+          messageIds: await toMessageIds(imap, uids),
+          nextPageToken: found.length > pageSize ? `${uidValidity}:${uids[uids.length - 1]}` : null,
+          estimatedTotal: pageToken ? null : found.length,
+        };
+      });
+    },
+
+    async getMessage(messageId) {
+      return withInboxMessage(messageId, async (imap, uid) => {
+        const message = await fetchMessage(imap, uid, { flags: true });
+        const parsed = await simpleParser(message.source);
+
+        return {
+          id: messageId,
+          headers: toHeaderList(parsed.headerLines),
+          subject: parsed.subject || 'No Subject',
+          from: parsed.from?.text || 'Unknown Sender',
+          date: parsed.date,
+          body: toPlainText(parsed),
+          // IMAP has no labels; a flagged message counts as starred
+          labels: message.flags?.has('\\Flagged') ? ['STARRED'] : [],
+        };
+      });
+    },
+
+    // Processed messages are usually archived already, so look there too
+    async fetchContent(messageId) {
+      const mailboxes = [INBOX, await getArchiveMailbox()];
+
+      for (const path of mailboxes) {
+        const content = await withMailbox(path, async imap => {
+          const uid = await findUid(imap, messageId);
+          if (!uid) return null;
+
+          const message = await imap.fetchOne(String(uid), { source: true }, { uid: true });
+          if (!message) return null;
+
+          const parsed = await simpleParser(message.source);
+          return {
+            body: parsed.html || parsed.text || '',
+            isHtml: !!parsed.html,
+            attachments: parsed.attachments.map(attachment => ({
+              filename: attachment.filename,
+              mimeType: attachment.contentType,
+              size: attachment.size,
+            })),
+          };
+        });
+
+        if (content) return content;
+      }
+
+      throw notFound(messageId);
+    },
+
+    async archive(messageId) {
+      const archivePath = await getArchiveMailbox();
+      await withInboxMessage(messageId, (imap, uid) =>
+        imap.messageMove(String(uid), archivePath, { uid: true })
+      );
+    },
+
+    async markAsRead(messageId) {
+      await withInboxMessage(messageId, (imap, uid) =>
+        imap.messageFlagsAdd(String(uid), ['\\Seen'], { uid: true })
+      );
+    },
+
+    // IMAP has no labels; a copy in a mailbox of that name is the closest equivalent
+    async addLabel(messageId, labelName) {
+      const labelPath = await ensureMailbox(labelName);
+      await withInboxMessage(messageId, (imap, uid) =>
+        imap.messageCopy(String(uid), labelPath, { uid: true })
+      );
+    },
+
+    async trash(messageId) {
+      const trashPath = await getSpecialMailbox('\\Trash', 'Trash');
+      await withInboxMessage(messageId, (imap, uid) =>
+        imap.messageMove(String(uid), trashPath, { uid: true })
+      );
+    },
+
+    // Used to check credentials before an account is saved
+    async testConnection() {
+      const status = await (await getClient()).status(INBOX, { messages: true, unseen: true });
+      return { messagesTotal: status.messages, unreadCount: status.unseen };
+    },
+
+    async close() {
+      if (client) {
+        const imap = client;
+        client = null;
+        try {
+          await imap.logout();
+        } catch (error) {
+          logger.warn(`IMAP logout failed for ${account.email}:`, { error: error.message });
+        }
+      }
+    },
+  };
+};
+
+module.exports = { createImapProvider };
@@ -0,0 +1,52 @@
+const db = require('../../config/database');
+const { createGmailProvider } = require('./gmail');
+const { createImapProvider } = require('./imap');
+const { createOutlookProvider } = require('./outlook');
+
+// Every provider exposes the same interface:
+//   listNewMessages(cursor, { query, since })    -> { messageIds, cursor }
+//   listMessages({ since, pageToken, pageSize }) -> { messageIds, nextPageToken, estimatedTotal }
+//   getMessage(id)                               -> { id, headers, subject, from, date, body, labels }
+//   fetchContent(id)                             -> { body, isHtml, attachments }
+//   archive(id), markAsRead(id), addLabel(id, name), trash(id), close()
+// `query` is a Gmail search query; other providers ignore it. `labels` are label names,
+// with STARRED and IMPORTANT standing in for flagged and high-importance mail elsewhere.
+// Gmail accounts that mirror categories as labels also get `labelChanges` from
+// listNewMessages: [{ messageId, addedLabelIds, removedLabelIds }]
+// Gmail providers can also save draft replies, given one of the draft scopes:
+//   createReplyDraft(id, text)                   -> { draftId, threadId }
+//   getGrantedScopes()                           -> [scope]
+const PROVIDERS = {
+  google: createGmailProvider,
+  imap: createImapProvider,
+  outlook: createOutlookProvider,
+};
+
+const createProvider = account => {
+  const factory = PROVIDERS[account.provider || 'google'];
+  if (!factory) {
+    throw new Error(`Unsupported email provider: ${account.provider}`);
+  }
+  return factory(account);
+};
+
+// Provider for one of the user's accounts (the first one when no email is given)
+const getMailProvider = async (userId, accountEmail = null) => {
+  let query = 'SELECT * FROM email_accounts WHERE user_id = $1';
+  const params = [userId];
+
+  if (accountEmail) {
+    query += ' AND email = $2';
+    params.push(accountEmail);
+  }
+
+  const result = await db.query(query, params);
+
+  if (result.rows.length === 0) {
+    throw new Error('No email account found for user');
+  }
+
+  return createProvider(result.rows[0]);
+};
+
+module.exports = { getMailProvider, createProvider };
@@ -0,0 +1,264 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const db = require('../../config/database');
+const { GRAPH_BASE_URL, refreshAccessToken } = require('../microsoftAuth');
+const logger = require('../../utils/logger');
+
+const INBOX = '/me/mailFolders/inbox';
+
+// Bounded full resync, used when there is no delta link yet or Graph has expired it
+const FULL_SYNC_DAYS = 7;
+const FULL_SYNC_MAX_MESSAGES = 500;
+const DELTA_PAGE_SIZE = 100;
+
+const MESSAGE_FIELDS =
+  'subject,from,receivedDateTime,body,internetMessageHeaders,categories,flag,importance';
+
+// Graph errors are rethrown with the HTTP status as `code`, like googleapis errors, so
+// the 401/404/429 handling in routes and the backfill works for every provider
+const toProviderError = error => {
+  if (!error.response) return error;
+
+  const { status, data } = error.response;
+  const graphError = new Error(
+    data?.error?.message || `Microsoft Graph request failed (${status})`
+  );
+  graphError.code = status;
+  graphError.reason = data?.error?.code;
+  return graphError;
+};
+
+const formatAddress = recipient => {
+  if (!recipient?.emailAddress) return 'Unknown Sender';
+  const { name, address } = recipient.emailAddress;
+  return name && name !== address ? `${name} <${address}>` : address;
+};
+
+// Categories, plus Gmail's names for flagged and high-importance mail so ingestion
+// policies can exclude them the same way on every provider
+const toLabels = message => [
+  ...(message.categories || []),
+  ...(message.flag?.flagStatus === 'flagged' ? ['STARRED'] : []),
+  ...(message.importance === 'high' ? ['IMPORTANT'] : []),
+];
+
+const toPlainText = body => {
+  if (!body?.content) return '';
+  if (body.contentType !== 'html') return body.content.trim();
+
+  const $ = cheerio.load(body.content);
+  return $.text().replace(/\s+/g, ' ').trim();
+};
+
+const createOutlookProvider = account => {
+  let accessToken = account.access_token;
+  let refreshToken = account.refresh_token;
+
+  // Access tokens last about an hour; refresh once on 401 and save the rotated tokens
+  const refreshTokens = async () => {
+    const tokens = await refreshAccessToken(refreshToken);
+    accessToken = tokens.access_token;
+    refreshToken = tokens.refresh_token || refreshToken;
+
+    await db.query(
+      'UPDATE email_accounts SET access_token = $1, refresh_token = $2, updated_at = NOW() WHERE id = $3',
+      [accessToken, refreshToken, account.id]
+    );
+  };
+
+  // Graph request against a path or a full @odata link. Immutable IDs keep message IDs
+  // stable when mail is moved to another folder, e.g. on archive.
+  const request = async (method, url, { params, data, headers } = {}, retried = false) => {
+    try {
+      const response = await axios({
+        method,
+        url: url.startsWith('https://') ? url : `${GRAPH_BASE_URL}${url}`,
+        params,
+        data,
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          Prefer: ['IdType="ImmutableId"', ...(headers?.Prefer ? [headers.Prefer] : [])].join(', '),
+        },
+      });
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 401 && !retried && refreshToken) {
+        await refreshTokens();
+        return request(method, url, { params, data, headers }, true);
+      }
+      throw toProviderError(error);
+    }
+  };
+
+  // Follows a delta query to its end; the final deltaLink is the next cursor
+  const runDelta = async startUrl => {
+    const messageIds = [];
+    let url = startUrl;
+
+    for (;;) {
+      const page = await request('get', url, {
+        headers: { Prefer: `odata.maxpagesize=${DELTA_PAGE_SIZE}` },
+      });
+
+      for (const message of page.value || []) {
+        // Deleted or moved out of the inbox
+        if (message['@removed']) continue;
+        if (message.isRead === false && !messageIds.includes(message.id)) {
+          messageIds.push(message.id);
+        }
+      }
+
+      if (page['@odata.nextLink']) {
+        url = page['@odata.nextLink'];
+      } else {
+        return { messageIds, cursor: page['@odata.deltaLink'] };
+      }
+    }
+  };
+
+  const fullResync = async () => {
+    const since = new Date(Date.now() - FULL_SYNC_DAYS * 24 * 60 * 60 * 1000);
+    const params = new URLSearchParams({
+      $select: 'isRead',
+      $filter: `receivedDateTime ge ${since.toISOString()}`,
+    });
+
+    const result = await runDelta(`${INBOX}/messages/delta?${params}`);
+    return { ...result, messageIds: result.messageIds.slice(-FULL_SYNC_MAX_MESSAGES) };
+  };
+
+  const moveTo = (messageId, destinationId) =>
+    request('post', `/me/messages/${messageId}/move`, { data: { destinationId } });
+
+  return {
+    name: 'outlook',
+    account,
+
+    // Unread inbox messages changed since the stored delta link. Falls back to a bounded
+    // full resync when there is no link or Graph no longer accepts it (410).
+    async listNewMessages(cursor) {
+      if (cursor) {
+        try {
+          return await runDelta(cursor);
+        } catch (error) {
+          if (error.code !== 410) throw error;
+          logger.warn(`Delta link expired for ${account.email}, running full resync`);
+        }
+      }
+
+      return fullResync();
+    },
+
+    // One page of inbox mail since a date, newest first. The page token is the oldest
+    // receivedDateTime already listed, so archiving listed messages does not shift
+    // later pages the way $skip would.
+    async listMessages({ since, pageToken, pageSize }) {
+      const filters = [`receivedDateTime ge ${new Date(since).toISOString()}`];
+      if (pageToken) {
+        filters.push(`receivedDateTime lt ${pageToken}`);
+      }
+
+      const page = await request('get', `${INBOX}/messages`, {
+        params: {
+          $select: 'id,receivedDateTime',
+          $filter: filters.join(' and '),
+          $orderby: 'receivedDateTime desc',
+          $top: pageSize,
+          $count: pageToken ? undefined : 'true',
+        },
+      });
+
+      const messages = page.value || [];
+
+      return {
+        messageIds: messages.map(message => message.id),
+        nextPageToken: page['@odata.nextLink']
+          ? messages[messages.length - 1].receivedDateTime
+          : null,
+        estimatedTotal: page['@odata.count'] ?? null,
+      };
+    },
+
+    async getMessage(messageId) {
+      const message = await request('get', `/me/messages/${messageId}`, {
+        params: { $select: MESSAGE_FIELDS },
+        headers: { Prefer: 'outlook.body-content-type="text"' },
+      });
+
+      return {
+        id: messageId,
+        headers: (message.internetMessageHeaders || []).map(({ name, value }) => ({
+          name,
+          value,
+        })),
+        subject: message.subject || 'No Subject',
+        from: formatAddress(message.from),
+        date: message.receivedDateTime,
+        body: toPlainText(message.body),
+        labels: toLabels(message),
+      };
+    },
+
+    async fetchContent(messageId) {
+      const message = await request('get', `/me/messages/${messageId}`, {
+        params: { $select: 'body,hasAttachments' },
+      });
+
+      let attachments = [];
+      if (message.hasAttachments) {
+        const response = await request('get', `/me/messages/${messageId}/attachments`, {
+          params: { $select: 'id,name,contentType,size' },
+        });
+        attachments = (response.value || []).map(attachment => ({
+          filename: attachment.name,
+          mimeType: attachment.contentType,
+          size: attachment.size,
+          attachmentId: attachment.id,
+        }));
+      }
+
+      return {
+        body: message.body?.content || '',
+        isHtml: message.body?.contentType === 'html',
+        attachments,
+      };
+    },
+
+    async archive(messageId) {
+      await moveTo(messageId, 'archive');
+    },
+
+    async markAsRead(messageId) {
+      await request('patch', `/me/messages/${messageId}`, { data: { isRead: true } });
+    },
+
+    // Outlook categories are the closest thing to Gmail labels
+    async addLabel(messageId, labelName) {
+      const message = await request('get', `/me/messages/${messageId}`, {
+        params: { $select: 'categories' },
+      });
+      const categories = message.categories || [];
+      if (categories.includes(labelName)) return;
+
+      await request('patch', `/me/messages/${messageId}`, {
+        data: { categories: [...categories, labelName] },
+      });
+    },
+
+    async trash(messageId) {
+      await moveTo(messageId, 'deleteditems');
+    },
+
+    async testConnection() {
+      const inbox = await request('get', INBOX, {
+        params: { $select: 'totalItemCount,unreadItemCount' },
+      });
+      return { messagesTotal: inbox.totalItemCount, unreadCount: inbox.unreadItemCount };
+    },
+
+    // Nothing to release; every call is a plain HTTPS request
+    async close() {},
+  };
+};
+
+module.exports = { createOutlookProvider };
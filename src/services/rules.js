@@ -0,0 +1,297 @@
+const Joi = require('joi');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+// What a rule can match on:
+// - sender: the sender's email address, e.g. "news@example.com"
+// - domain: the sender's domain and its subdomains, e.g. "example.com"
+// - subject: a case-insensitive regular expression on the subject
+// - list_id: the mailing list ID from the List-Id header, e.g. "news.example.com"
+// - has_unsubscribe: "true" or "false", whether the email has an unsubscribe link
+const MATCH_TYPES = ['sender', 'domain', 'subject', 'list_id', 'has_unsubscribe'];
+
+// Rules are evaluated by ascending priority; the first match files the email
+const DEFAULT_PRIORITY = 100;
+
+// Subject patterns run on the shared event loop, so their length and the part of the
+// subject they are matched against are capped
+const MAX_SUBJECT_PATTERN_LENGTH = 200;
+const MAX_MATCHED_SUBJECT_LENGTH = 1000;
+
+const isValidRegex = pattern => {
+  try {
+    new RegExp(pattern, 'i');
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Whether a pattern can take exponential time on some subjects: backreferences, and
+// quantified groups that contain a quantifier or an alternation, e.g. "(a+)+" or "(a|ab)*".
+// Checked on the pattern text, so some harmless patterns such as "(re|fwd)+" are refused too.
+const hasCatastrophicBacktracking = pattern => {
+  const groups = [];
+  // Whether the token before a quantifier is a group that is risky to repeat
+  let riskyGroupClosed = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const closedGroup = riskyGroupClosed;
+    riskyGroupClosed = false;
+
+    if (char === '\\') {
+      const next = pattern[i + 1];
+      if (/[1-9]/.test(next) || next === 'k') return true;
+      i++;
+    } else if (char === '[') {
+      // Skip the character class, where quantifiers and parentheses are literal
+      i++;
+      while (i < pattern.length && pattern[i] !== ']') {
+        if (pattern[i] === '\\') i++;
+        i++;
+      }
+    } else if (char === '(') {
+      groups.push({ risky: false });
+      // Skip the group prefix, e.g. "?:", "?=" or "?<name>"
+      if (pattern[i + 1] === '?') {
+        i += 2;
+        if (pattern[i] === '<' && !'=!'.includes(pattern[i + 1])) {
+          i = pattern.indexOf('>', i);
+        } else if (pattern[i] === '<') {
+          i++;
+        }
+      }
+    } else if (char === ')') {
+      const group = groups.pop();
+      if (group && group.risky) {
+        riskyGroupClosed = true;
+        if (groups.length > 0) groups[groups.length - 1].risky = true;
+      }
+    } else if (char === '|' || '*+?{'.includes(char)) {
+      if (char !== '|' && closedGroup) return true;
+      if (groups.length > 0) groups[groups.length - 1].risky = true;
+    }
+  }
+  return false;
+};
+
+// Why a subject pattern cannot be used, or null
+const subjectPatternError = pattern => {
+  if (pattern.length > MAX_SUBJECT_PATTERN_LENGTH) {
+    return `pattern must be at most ${MAX_SUBJECT_PATTERN_LENGTH} characters long`;
+  }
+  if (!isValidRegex(pattern)) return 'pattern must be a valid regular expression';
+  if (hasCatastrophicBacktracking(pattern)) {
+    return 'pattern must not use backreferences or repeat groups containing quantifiers or alternatives';
+  }
+  return null;
+};
+
+// Compiled subject patterns, or null for patterns that cannot be used
+const subjectRegexes = new Map();
+const MAX_CACHED_REGEXES = 1000;
+
+const getSubjectRegex = pattern => {
+  if (!subjectRegexes.has(pattern)) {
+    if (subjectRegexes.size >= MAX_CACHED_REGEXES) subjectRegexes.clear();
+    subjectRegexes.set(pattern, subjectPatternError(pattern) ? null : new RegExp(pattern, 'i'));
+  }
+  return subjectRegexes.get(pattern);
+};
+
+const ruleSchema = Joi.object({
+  matchType: Joi.string()
+    .valid(...MATCH_TYPES)
+    .required(),
+  pattern: Joi.when('matchType', {
+    is: 'has_unsubscribe',
+    then: Joi.boolean().default(true),
+    otherwise: Joi.string().trim().min(1).max(500).required(),
+  }),
+  priority: Joi.number().integer().min(0).max(10000).default(DEFAULT_PRIORITY),
+}).custom((value, helpers) => {
+  const error = value.matchType === 'subject' && subjectPatternError(value.pattern);
+  if (error) return helpers.message(error);
+  return value;
+});
+
+// Lowercased address of a From header such as "News <news@example.com>"
+const extractAddress = from => {
+  if (!from) return '';
+  const match = from.match(/<([^>]+)>/);
+  return (match ? match[1] : from).trim().toLowerCase();
+};
+
+const extractListId = headers => {
+  const listId = headers.find(h => h.name.toLowerCase() === 'list-id')?.value;
+  if (!listId) return null;
+
+  const match = listId.match(/<([^>]+)>/);
+  return (match ? match[1] : listId).trim().toLowerCase();
+};
+
+// Pattern as stored, so rules compare without further normalization
+const normalizePattern = (matchType, pattern) => {
+  switch (matchType) {
+    case 'sender':
+      return extractAddress(pattern);
+    case 'domain':
+      return pattern.toLowerCase().replace(/^@/, '');
+    case 'list_id':
+      return extractListId([{ name: 'List-Id', value: pattern }]);
+    case 'has_unsubscribe':
+      return String(pattern);
+    default:
+      return pattern;
+  }
+};
+
+// `email` is { from, subject, headers, unsubscribeLink }
+const matchesRule = (rule, email) => {
+  switch (rule.match_type) {
+    case 'sender':
+      return extractAddress(email.from) === rule.pattern;
+    case 'domain': {
+      const domain = extractAddress(email.from).split('@')[1] || '';
+      return domain === rule.pattern || domain.endsWith(`.${rule.pattern}`);
+    }
+    case 'subject': {
+      // Rules saved before patterns were checked may hold unusable ones
+      const regex = getSubjectRegex(rule.pattern);
+      if (!regex) {
+        logger.warn(`Skipping rule ${rule.id} with an invalid or unsafe subject pattern`);
+        return false;
+      }
+      return regex.test((email.subject || '').slice(0, MAX_MATCHED_SUBJECT_LENGTH));
+    }
+    case 'list_id':
+      return extractListId(email.headers || []) === rule.pattern;
+    case 'has_unsubscribe':
+      return Boolean(email.unsubscribeLink) === (rule.pattern === 'true');
+    default:
+      return false;
+  }
+};
+
+// The List-Id header is not stored with emails, so these rules only apply to new mail
+const STORED_EMAIL_MATCH_TYPES = MATCH_TYPES.filter(type => type !== 'list_id');
+
+// Most recent candidate emails a rule is evaluated on when testing or applying it
+const MAX_SCANNED_EMAILS = 5000;
+
+// Escape the wildcards of a LIKE pattern
+const escapeLike = value => value.replace(/[\\%_]/g, '\\$&');
+
+// SQL condition narrowing the stored emails down to those a rule can match, with its
+// parameter. Sender and domain rules are checked exactly afterwards; subject patterns are
+// JavaScript regular expressions, so they are only evaluated in JavaScript.
+const candidateFilter = rule => {
+  switch (rule.match_type) {
+    case 'sender':
+    case 'domain':
+      return { sql: 'AND e.sender ILIKE $2', param: `%${escapeLike(rule.pattern)}%` };
+    case 'has_unsubscribe':
+      return {
+        sql: 'AND COALESCE(LENGTH(e.unsubscribe_link) > 0, false) = $2',
+        param: rule.pattern === 'true',
+      };
+    default:
+      return null;
+  }
+};
+
+// Stored emails a rule matches, with their current category. Evaluated in the same way
+// as for new mail, on the stored sender, subject and unsubscribe link, over the
+// MAX_SCANNED_EMAILS most recent candidates. Quarantined emails stay where they are until
+// the user releases them.
+const findMatchingEmails = async (userId, rule) => {
+  const filter = candidateFilter(rule);
+  const result = await db.query(
+    `SELECT e.id, e.account_id, e.gmail_id, e.subject, e.sender, e.unsubscribe_link,
+            e.received_at, e.category_id, c.name as category_name
+     FROM emails e
+     LEFT JOIN categories c ON e.category_id = c.id
+     WHERE e.user_id = $1 AND e.quarantined = false ${filter ? filter.sql : ''}
+     ORDER BY e.received_at DESC
+     LIMIT ${MAX_SCANNED_EMAILS}`,
+    filter ? [userId, filter.param] : [userId]
+  );
+
+  return result.rows.filter(email =>
+    matchesRule(rule, {
+      from: email.sender,
+      subject: email.subject,
+      unsubscribeLink: email.unsubscribe_link,
+    })
+  );
+};
+
+// Move the stored emails a saved rule matches into its category, recording each move in
+// category_movements. Returns the moved emails.
+const applyRule = async (userId, rule) => {
+  const moved = (await findMatchingEmails(userId, rule)).filter(
+    email => email.category_id !== rule.category_id
+  );
+  if (moved.length === 0) return [];
+
+  const emailIds = moved.map(email => email.id);
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `INSERT INTO category_movements (
+         user_id, email_id, from_category_id, to_category_id, sender, ai_summary, source
+       )
+       SELECT user_id, id, category_id, $1, sender, ai_summary, 'rule'
+       FROM emails
+       WHERE id = ANY($2) AND user_id = $3 AND category_id IS DISTINCT FROM $1`,
+      [rule.category_id, emailIds, userId]
+    );
+    await client.query(
+      `UPDATE emails
+       SET category_id = $1, matched_rule_id = $2, needs_review = false,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ANY($3) AND user_id = $4`,
+      [rule.category_id, rule.id, emailIds, userId]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  logger.info(`Rule ${rule.id} moved ${moved.length} stored emails`, { userId });
+  return moved;
+};
+
+// First matching rule of a list ordered by priority, or null
+const findMatchingRule = (rules, email) => rules.find(rule => matchesRule(rule, email)) || null;
+
+const describeRule = rule => `Matched ${rule.match_type} rule "${rule.pattern}"`;
+
+// All of a user's rules in evaluation order
+const listRules = async userId => {
+  const result = await db.query(
+    'SELECT * FROM category_rules WHERE user_id = $1 ORDER BY priority, id',
+    [userId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  MATCH_TYPES,
+  STORED_EMAIL_MATCH_TYPES,
+  ruleSchema,
+  extractAddress,
+  normalizePattern,
+  matchesRule,
+  findMatchingRule,
+  describeRule,
+  listRules,
+  findMatchingEmails,
+  applyRule,
+};
@@ -1,6 +1,8 @@
 // services/unsubscribeService.js
 const { Stagehand } = require('@browserbasehq/stagehand');
 const { z } = require('zod');
+const { resolveModel } = require('./llm');
+const { recordUsage, getBudgetStatus } = require('./usage');
 const logger = require('../utils/logger');
 
 class UnsubscribeService {
@@ -10,14 +12,21 @@ class UnsubscribeService {
 
   async initializeStagehand() {
     try {
+      // Deployment-wide model settings; Stagehand talks to the endpoint directly
+      const llm = resolveModel('unsubscribe');
+      if (!llm) {
+        throw new Error('No language model is configured for unsubscribing');
+      }
+
       this.stagehand = new Stagehand({
         env: 'BROWSERBASE',
         apiKey: process.env.BROWSERBASE_API_KEY,
         projectId: process.env.BROWSERBASE_PROJECT_ID,
 
-        modelName: 'gpt-4o',
+        modelName: llm.model,
         modelClientOptions: {
-          apiKey: process.env.OPENAI_API_KEY,
+          apiKey: llm.apiKey,
+          ...(llm.baseUrl && { baseURL: llm.baseUrl }),
         },
         // Enhanced browser configuration to avoid detection
         browserOptions: {
@@ -51,11 +60,21 @@ class UnsubscribeService {
     }
   }
 
-  async unsubscribeFromEmail(unsubscribeLink) {
+  // Usage of the run is recorded for `userId`; users over their LLM budget are refused
+  async unsubscribeFromEmail(unsubscribeLink, { userId = null } = {}) {
     let stagehand = null;
     let sessionId = null;
 
     try {
+      if (userId && (await getBudgetStatus(userId)).mode === 'rules_only') {
+        return {
+          success: false,
+          message: 'LLM budget exceeded',
+          details: 'The monthly token budget is used up; try again next month',
+          sessionId: null,
+        };
+      }
+
       stagehand = await this.initializeStagehand();
       const page = stagehand.page;
       
@@ -232,6 +251,17 @@ class UnsubscribeService {
     } finally {
       // Clean up the browser session
       if (stagehand) {
+        const { metrics } = stagehand;
+        if (metrics) {
+          await recordUsage({
+            userId,
+            task: 'unsubscribe',
+            model: resolveModel('unsubscribe')?.model || 'unknown',
+            promptTokens: metrics.totalPromptTokens || 0,
+            completionTokens: metrics.totalCompletionTokens || 0,
+          });
+        }
+
         try {
           await stagehand.close();
         } catch (closeError) {
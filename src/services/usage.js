@@ -0,0 +1,155 @@
+const Joi = require('joi');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+// Estimated prices in USD per million tokens. Models not listed, such as local ones, are
+// counted as free; LLM_PRICES adds or overrides prices as JSON, e.g.
+// {"llama3.1:8b": {"input": 0.05, "output": 0.05}}.
+const DEFAULT_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+};
+
+// Share of the monthly token budget after which emails are no longer summarized
+const SUMMARY_CUTOFF = 0.8;
+
+// users.llm_token_budget is an INTEGER column
+const budgetSchema = Joi.object({
+  monthlyTokens: Joi.number().integer().min(0).max(2147483647).allow(null).required(),
+});
+
+const getPrices = () => {
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(process.env.LLM_PRICES || '{}') };
+  } catch (error) {
+    logger.warn(`Ignoring invalid LLM_PRICES: ${error.message}`);
+    return DEFAULT_PRICES;
+  }
+};
+
+const estimateCost = (model, promptTokens, completionTokens) => {
+  const price = getPrices()[model];
+  if (!price) return 0;
+  return (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1e6;
+};
+
+// Record one model call. Never throws: accounting must not break the feature it measures.
+const recordUsage = async ({
+  userId = null,
+  task,
+  model,
+  promptTokens = 0,
+  completionTokens = 0,
+}) => {
+  try {
+    await db.query(
+      `INSERT INTO llm_usage (user_id, task, model, prompt_tokens, completion_tokens, cost)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        userId,
+        task,
+        model,
+        promptTokens,
+        completionTokens,
+        estimateCost(model, promptTokens, completionTokens),
+      ]
+    );
+  } catch (error) {
+    logger.warn(`Failed to record ${task} usage: ${error.message}`);
+  }
+};
+
+// Record the usage an OpenAI-compatible response reports
+const recordResponseUsage = (userId, task, model, response) =>
+  recordUsage({
+    userId,
+    task,
+    model,
+    promptTokens: response?.usage?.prompt_tokens || 0,
+    completionTokens: response?.usage?.completion_tokens || 0,
+  });
+
+// Monthly token budget: the lower of the user's own and the deployment's
+// (LLM_MONTHLY_TOKEN_BUDGET); null means unlimited
+const effectiveBudget = userBudget => {
+  const deploymentBudget = parseInt(process.env.LLM_MONTHLY_TOKEN_BUDGET) || null;
+  if (userBudget === null || userBudget === undefined) return deploymentBudget;
+  if (deploymentBudget === null) return userBudget;
+  return Math.min(userBudget, deploymentBudget);
+};
+
+// Tokens used this calendar month against the budget, and the resulting mode
+const getBudgetStatus = async userId => {
+  const result = await db.query(
+    `SELECT u.llm_token_budget,
+       (SELECT COALESCE(SUM(prompt_tokens + completion_tokens), 0) FROM llm_usage
+        WHERE user_id = u.id AND created_at >= DATE_TRUNC('month', NOW())) as used
+     FROM users u
+     WHERE u.id = $1`,
+    [userId]
+  );
+
+  const row = result.rows[0] || {};
+  const monthlyTokens = effectiveBudget(row.llm_token_budget ?? null);
+  const used = parseInt(row.used) || 0;
+
+  let mode = 'full';
+  if (monthlyTokens !== null && used >= monthlyTokens) {
+    mode = 'rules_only';
+  } else if (monthlyTokens !== null && used >= monthlyTokens * SUMMARY_CUTOFF) {
+    mode = 'no_summaries';
+  }
+
+  return {
+    monthlyTokens,
+    userMonthlyTokens: row.llm_token_budget ?? null,
+    used,
+    remaining: monthlyTokens === null ? null : Math.max(monthlyTokens - used, 0),
+    mode,
+  };
+};
+
+// Budget mode, i.e. what the language model may still be used for:
+// - full: everything
+// - no_summaries: classification only; emails get a basic summary
+// - rules_only: no model calls; emails not matched by a rule go to the review queue
+// Checked once per processing context (one run, backfill page or preview).
+// Runs are not stopped when the budget runs out midway.
+const budgetContexts = new WeakMap();
+
+const getBudgetMode = context => {
+  if (!budgetContexts.has(context)) {
+    budgetContexts.set(
+      context,
+      getBudgetStatus(context.userId)
+        .then(status => {
+          if (status.mode !== 'full') {
+            logger.info(`LLM budget for user ${context.userId} is limited: ${status.mode}`, {
+              used: status.used,
+              monthlyTokens: status.monthlyTokens,
+            });
+          }
+          return status.mode;
+        })
+        .catch(error => {
+          logger.warn(`Failed to check the LLM budget: ${error.message}`);
+          return 'full';
+        })
+    );
+  }
+  return budgetContexts.get(context);
+};
+
+module.exports = {
+  budgetSchema,
+  estimateCost,
+  recordUsage,
+  recordResponseUsage,
+  getBudgetStatus,
+  getBudgetMode,
+};
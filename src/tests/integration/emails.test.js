@@ -9,8 +9,12 @@ jest.mock('../../services/gmail', () => ({
   getGmailClient: jest.fn(),
   processNewEmails: jest.fn()
 }));
+jest.mock('../../services/providers', () => ({
+  getMailProvider: jest.fn(),
+  createProvider: jest.fn()
+}));
 
-const { getGmailClient, processNewEmails } = require('../../services/gmail');
+const { getMailProvider } = require('../../services/providers');
 
 describe('Emails Route Integration Tests', () => {
   let authToken;
@@ -253,29 +257,16 @@ describe('Emails Route Integration Tests', () => {
 
   describe('GET /api/emails/:id/content', () => {
     beforeEach(() => {
-      // Mock Gmail client
-      const mockGmail = {
-        users: {
-          messages: {
-            get: jest.fn().mockResolvedValue({
-              data: {
-                payload: {
-                  parts: [
-                    {
-                      mimeType: 'text/html',
-                      body: {
-                        data: Buffer.from('Test email content').toString('base64')
-                      }
-                    }
-                  ]
-                }
-              }
-            })
-          }
-        }
-      };
-      
-      getGmailClient.mockResolvedValue({ gmail: mockGmail });
+      // Mock mail provider
+      getMailProvider.mockResolvedValue({
+        name: 'google',
+        fetchContent: jest.fn().mockResolvedValue({
+          body: 'Test email content',
+          isHtml: true,
+          attachments: []
+        }),
+        close: jest.fn()
+      });
     });
 
     it('should fetch email content from Gmail', async () => {
@@ -329,14 +320,10 @@ describe('Emails Route Integration Tests', () => {
     });
 
     it('should handle Gmail API errors', async () => {
-      getGmailClient.mockResolvedValue({
-        gmail: {
-          users: {
-            messages: {
-              get: jest.fn().mockRejectedValue({ code: 404, message: 'Not found' })
-            }
-          }
-        }
+      getMailProvider.mockResolvedValue({
+        name: 'google',
+        fetchContent: jest.fn().mockRejectedValue({ code: 404, message: 'Not found' }),
+        close: jest.fn()
       });
 
       const response = await request(app)
@@ -558,41 +545,47 @@ describe('Emails Route Integration Tests', () => {
   });
 
   describe('POST /api/emails/process', () => {
+    const { emailProcessingQueue } = require('../../config/queues');
+
     beforeEach(() => {
-      processNewEmails.mockResolvedValue(5);
+      emailProcessingQueue.add.mockResolvedValue({ id: 'job-1' });
     });
 
-    it('should process emails for all user accounts', async () => {
+    it('should queue processing for all user accounts', async () => {
       const response = await request(app)
         .post('/api/emails/process')
         .set('Authorization', `Bearer ${authToken}`)
-        .expect(200);
+        .expect(202);
 
-      expect(response.body.message).toBe('Email processing completed');
+      expect(response.body.message).toBe('Email processing queued');
       expect(response.body.accounts).toBeInstanceOf(Array);
       expect(response.body.accounts).toHaveLength(1);
       expect(response.body.accounts[0]).toMatchObject({
         account: 'test-account@gmail.com',
-        status: 'success',
-        processed: 5
+        status: 'queued',
+        jobId: 'job-1'
       });
 
-      expect(processNewEmails).toHaveBeenCalledWith(userId, 'test-account@gmail.com');
+      expect(emailProcessingQueue.add).toHaveBeenCalledWith(
+        'process-account',
+        expect.objectContaining({ userId, accountEmail: 'test-account@gmail.com' }),
+        expect.any(Object)
+      );
     });
 
-    it('should handle processing errors gracefully', async () => {
-      processNewEmails.mockRejectedValue(new Error('Gmail API error'));
+    it('should handle queueing errors gracefully', async () => {
+      emailProcessingQueue.add.mockRejectedValue(new Error('Redis unavailable'));
 
       const response = await request(app)
         .post('/api/emails/process')
         .set('Authorization', `Bearer ${authToken}`)
-        .expect(200);
+        .expect(202);
 
-      expect(response.body.message).toBe('Email processing completed');
+      expect(response.body.message).toBe('Email processing queued');
       expect(response.body.accounts[0]).toMatchObject({
         account: 'test-account@gmail.com',
         status: 'error',
-        error: 'Gmail API error'
+        error: 'Redis unavailable'
       });
     });
 
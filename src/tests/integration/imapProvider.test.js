@@ -0,0 +1,111 @@
+const { ImapFlow } = require('imapflow');
+const { createImapProvider } = require('../../services/providers/imap');
+const { encrypt } = require('../../utils/encryption');
+
+// Runs against a real IMAP server, e.g. GreenMail:
+//   docker run --rm -p 3143:3143 -e GREENMAIL_OPTS='-Dgreenmail.setup.test.imap -Dgreenmail.hostname=0.0.0.0 -Dgreenmail.auth.disabled' greenmail/standalone
+//   IMAP_TEST_HOST=localhost IMAP_TEST_PORT=3143 npm test -- imapProvider
+// Skipped when IMAP_TEST_HOST is not set.
+const describeWithServer = process.env.IMAP_TEST_HOST ? describe : describe.skip;
+
+describeWithServer('IMAP Provider against a live server', () => {
+  const user = `sorting-${Date.now()}@example.com`;
+  const settings = {
+    host: process.env.IMAP_TEST_HOST,
+    port: parseInt(process.env.IMAP_TEST_PORT) || 3143,
+    secure: process.env.IMAP_TEST_SECURE === 'true',
+    auth: { user, pass: process.env.IMAP_TEST_PASSWORD || 'password' },
+    logger: false,
+  };
+  let provider;
+
+  const appendMessage = async (messageId, subject) => {
+    const client = new ImapFlow(settings);
+    await client.connect();
+    await client.append(
+      'INBOX',
+      [
+        `Message-ID: ${messageId}`,
+        `Subject: ${subject}`,
+        'From: sender@example.com',
+        `To: ${user}`,
+        `Date: ${new Date().toUTCString()}`,
+        '',
+        `Body of ${subject}`,
+      ].join('\r\n')
+    );
+    await client.logout();
+  };
+
+  beforeAll(() => {
+    process.env.CREDENTIALS_ENCRYPTION_KEY =
+      process.env.CREDENTIALS_ENCRYPTION_KEY || 'b'.repeat(64);
+  });
+
+  beforeEach(() => {
+    provider = createImapProvider({
+      id: 1,
+      email: user,
+      provider: 'imap',
+      imap_host: settings.host,
+      imap_port: settings.port,
+      imap_secure: settings.secure,
+      imap_password: encrypt(settings.auth.pass),
+    });
+  });
+
+  afterEach(async () => {
+    await provider.close();
+  });
+
+  it('should list, read, archive and fetch a message', async () => {
+    await appendMessage('<first@example.com>', 'First message');
+
+    const { messageIds, cursor } = await provider.listNewMessages(null);
+    const id = messageIds.find(messageId => messageId.endsWith(':<first@example.com>'));
+    expect(id).toMatch(/^uid:\d+:\d+:/);
+
+    const message = await provider.getMessage(id);
+    expect(message.subject).toBe('First message');
+    expect(message.body).toContain('Body of First message');
+
+    await provider.archive(id);
+    await expect(provider.getMessage(id)).rejects.toMatchObject({ code: 404 });
+
+    // Found again in the archive by its Message-ID
+    const content = await provider.fetchContent(id);
+    expect(content.body).toContain('Body of First message');
+
+    // Only mail added after the cursor is listed next time
+    await appendMessage('<second@example.com>', 'Second message');
+    const next = await provider.listNewMessages(cursor);
+    expect(next.messageIds).toEqual([expect.stringMatching(/:<second@example\.com>$/)]);
+  });
+
+  it('should keep copies sharing a Message-ID apart', async () => {
+    await appendMessage('<resent@example.com>', 'Resent');
+    await appendMessage('<resent@example.com>', 'Resent');
+
+    const { messageIds } = await provider.listNewMessages(null);
+    const copies = messageIds.filter(messageId => messageId.endsWith(':<resent@example.com>'));
+    expect(new Set(copies).size).toBe(2);
+  });
+
+  it('should page through mail since a date', async () => {
+    await appendMessage('<page-a@example.com>', 'Page A');
+    await appendMessage('<page-b@example.com>', 'Page B');
+
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const first = await provider.listMessages({ since, pageSize: 1 });
+    expect(first.messageIds).toHaveLength(1);
+    expect(first.nextPageToken).not.toBeNull();
+
+    const second = await provider.listMessages({
+      since,
+      pageToken: first.nextPageToken,
+      pageSize: 1,
+    });
+    expect(second.messageIds).toHaveLength(1);
+    expect(second.messageIds[0]).not.toBe(first.messageIds[0]);
+  });
+});
@@ -37,7 +37,13 @@ jest.mock('../config/queues', () => ({
   unsubscribeQueue: {
     add: jest.fn(),
     process: jest.fn()
-  }
+  },
+  emailProcessingQueue: {
+    add: jest.fn(),
+    getJob: jest.fn(),
+    removeDeduplicationKey: jest.fn()
+  },
+  getRedisQueueUrl: jest.fn().mockReturnValue('redis://localhost:6379')
 }));
 
 // Mock external services for testing
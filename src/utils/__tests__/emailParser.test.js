@@ -1,4 +1,4 @@
-const { extractEmailContent, extractUnsubscribeLinks } = require('../emailParser');
+const { extractEmailContent, extractUnsubscribeLinks, htmlToText } = require('../emailParser');
 
 jest.mock('../logger');
 
@@ -184,6 +184,19 @@ describe('Email Parser Utils', () => {
     });
   });
 
+  describe('htmlToText', () => {
+    it('should keep line breaks between blocks and drop styles', () => {
+      const html =
+        '<html><head><style>p { color: red; }</style></head><body>' +
+        '<p>Hi   Jane,</p><div>Can we meet?<br>Thanks</div>' +
+        '<blockquote><p>On Monday Bob wrote:</p><p>Lunch?</p></blockquote></body></html>';
+
+      expect(htmlToText(html)).toBe(
+        'Hi Jane,\nCan we meet?\nThanks\nOn Monday Bob wrote:\nLunch?'
+      );
+    });
+  });
+
   describe('extractUnsubscribeLinks', () => {
     it('should extract link from List-Unsubscribe header', () => {
       const headers = [
@@ -0,0 +1,36 @@
+const { encrypt, decrypt } = require('../encryption');
+
+describe('Encryption Utils', () => {
+  beforeEach(() => {
+    process.env.CREDENTIALS_ENCRYPTION_KEY = '0123456789abcdef'.repeat(4);
+  });
+
+  afterAll(() => {
+    delete process.env.CREDENTIALS_ENCRYPTION_KEY;
+  });
+
+  it('should round-trip a secret', () => {
+    const stored = encrypt('imap-password');
+
+    expect(stored).not.toContain('imap-password');
+    expect(decrypt(stored)).toBe('imap-password');
+  });
+
+  it('should use a fresh IV for every value', () => {
+    expect(encrypt('same')).not.toBe(encrypt('same'));
+  });
+
+  it('should reject tampered values', () => {
+    const [iv, authTag, ciphertext] = encrypt('imap-password').split(':');
+    const tampered = Buffer.from(ciphertext, 'base64');
+    tampered[0] ^= 1;
+
+    expect(() => decrypt([iv, authTag, tampered.toString('base64')].join(':'))).toThrow();
+  });
+
+  it('should require a 32-byte hex key', () => {
+    process.env.CREDENTIALS_ENCRYPTION_KEY = 'too-short';
+
+    expect(() => encrypt('imap-password')).toThrow('CREDENTIALS_ENCRYPTION_KEY');
+  });
+});
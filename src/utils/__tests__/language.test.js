@@ -0,0 +1,44 @@
+const { detectLanguage, languageName } = require('../language');
+
+describe('Language Utils', () => {
+  describe('detectLanguage', () => {
+    it('should detect each supported language', () => {
+      expect(detectLanguage('Thank you for your order. Please find the invoice for it.')).toBe(
+        'en'
+      );
+      expect(detectLanguage('Olá, obrigado pela sua compra. Você não precisa fazer nada.')).toBe(
+        'pt'
+      );
+      expect(detectLanguage('Hola, gracias por su compra. Usted puede ver el pedido ahora.')).toBe(
+        'es'
+      );
+      expect(detectLanguage('Bonjour, merci pour votre commande. Vous la recevrez sous peu.')).toBe(
+        'fr'
+      );
+      expect(
+        detectLanguage('Danke für Ihre Bestellung. Wir senden Ihnen die Rechnung bitte.')
+      ).toBe('de');
+      expect(
+        detectLanguage('Ciao, grazie per questo ordine. Sono anche disponibili le note.')
+      ).toBe('it');
+    });
+
+    it('should return null when there is too little text', () => {
+      expect(detectLanguage('Invoice #4521')).toBeNull();
+      expect(detectLanguage('')).toBeNull();
+      expect(detectLanguage(null)).toBeNull();
+    });
+
+    it('should return null when no language clearly leads', () => {
+      expect(detectLanguage('the and you der die das')).toBeNull();
+    });
+  });
+
+  describe('languageName', () => {
+    it('should name supported languages only', () => {
+      expect(languageName('pt')).toBe('Portuguese');
+      expect(languageName('xx')).toBeNull();
+      expect(languageName(null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const { redactText, redactEmail, redactExamples } = require('../redaction');
+
+describe('Redaction Utils', () => {
+  describe('redactText', () => {
+    it('should mask email addresses and phone numbers', () => {
+      const { text, counts } = redactText(
+        'Write to jane.doe@example.com or call +1 (415) 555-0134 or 020 7946 0958.'
+      );
+
+      expect(text).toBe('Write to [EMAIL] or call [PHONE] or [PHONE].');
+      expect(counts).toEqual({ email: 1, phone: 2 });
+    });
+
+    it('should mask card numbers that pass the Luhn check only', () => {
+      const { text, counts } = redactText('Card 4111 1111 1111 1111, order 1234 5678 9012 3456');
+
+      expect(text).toBe('Card [CARD], order 1234 5678 9012 3456');
+      expect(counts).toEqual({ card: 1 });
+    });
+
+    it('should mask valid IBANs only', () => {
+      const { text, counts } = redactText(
+        'Pay to GB82 WEST 1234 5698 7654 32, not GB00 WEST 1234 5698 7654 32'
+      );
+
+      expect(text).toMatch(/^Pay to \[IBAN\], not GB00 WEST /);
+      expect(counts.iban).toBe(1);
+    });
+
+    it('should mask one-time codes next to a keyword', () => {
+      const { text, counts } = redactText(
+        'Your verification code: 482913. 7731 is your login code. Meeting at 1530.'
+      );
+
+      expect(text).toBe(
+        'Your verification code: [OTP]. [OTP] is your login code. Meeting at 1530.'
+      );
+      expect(counts).toEqual({ otp: 2 });
+    });
+
+    it('should mask street addresses', () => {
+      const { text } = redactText('Deliver to 221B Baker Street, London');
+
+      expect(text).toBe('Deliver to [ADDRESS], London');
+    });
+
+    it('should leave prices and dates alone', () => {
+      const original = 'Total $1,299.99 due 2024-03-15';
+
+      expect(redactText(original).text).toBe(original);
+    });
+
+    it('should mask other long numbers in strict mode only', () => {
+      expect(redactText('Account 98765432').text).toBe('Account 98765432');
+      expect(redactText('Account 98765432', 'strict').text).toBe('Account [NUMBER]');
+    });
+
+    it('should mask nothing when off', () => {
+      const original = 'Call +1 415 555 0134';
+
+      expect(redactText(original, 'off')).toEqual({ text: original, counts: {} });
+    });
+  });
+
+  describe('redactEmail', () => {
+    const email = {
+      subject: 'Code 123456',
+      from: 'Jane <jane@example.com>',
+      body: 'Reach me at jane@example.com',
+    };
+
+    it('should keep the sender in standard mode and count across fields', () => {
+      const result = redactEmail(email, 'standard');
+
+      expect(result.email).toEqual({
+        subject: 'Code [OTP]',
+        from: 'Jane <jane@example.com>',
+        body: 'Reach me at [EMAIL]',
+      });
+      expect(result.counts).toEqual({ otp: 1, email: 1 });
+    });
+
+    it('should keep only the sender domain in strict mode', () => {
+      const result = redactEmail(email, 'strict');
+
+      expect(result.email.from).toBe('Jane <[EMAIL]@example.com>');
+      expect(result.counts.email).toBe(2);
+    });
+
+    it('should return the email unchanged when off', () => {
+      expect(redactEmail(email, 'off')).toEqual({ email, counts: {} });
+    });
+  });
+
+  describe('redactExamples', () => {
+    it('should mask example summaries', () => {
+      const [example] = redactExamples(
+        [{ sender: 'bank@example.com', summary: 'Call 415 555 0134', toCategory: 'Finance' }],
+        'standard'
+      );
+
+      expect(example).toEqual({
+        sender: 'bank@example.com',
+        summary: 'Call [PHONE]',
+        toCategory: 'Finance',
+      });
+    });
+  });
+});
@@ -125,7 +125,23 @@ const extractUnsubscribeLinks = (body, headers) => {
   return null;
 };
 
+// Readable text of an HTML email, keeping line breaks so quoted messages stay apart
+const htmlToText = html => {
+  const $ = cheerio.load(html);
+  $('script, style, head').remove();
+  $('br').replaceWith('\n');
+  $('p, div, li, tr, blockquote, h1, h2, h3, h4, h5, h6').append('\n');
+
+  return $.text()
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
 module.exports = {
   extractEmailContent,
   extractUnsubscribeLinks,
+  htmlToText,
 };
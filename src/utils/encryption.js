@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+// 32-byte key, hex encoded (64 characters)
+const getKey = () => {
+  const key = process.env.CREDENTIALS_ENCRYPTION_KEY;
+  if (!key || !/^[0-9a-f]{64}$/i.test(key)) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEY must be 64 hex characters');
+  }
+  return Buffer.from(key, 'hex');
+};
+
+// Encrypt a secret for storage, as "iv:authTag:ciphertext" in base64
+const encrypt = plaintext => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+};
+
+const decrypt = stored => {
+  const [iv, authTag, ciphertext] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = { encrypt, decrypt };
@@ -0,0 +1,55 @@
+// Language of email text by its most common words. Runs locally, so every email gets a
+// language whatever the LLM budget; returns an ISO 639-1 code or null when there is too
+// little text to tell.
+const LANGUAGES = {
+  en: 'English',
+  pt: 'Portuguese',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+};
+
+// Frequent words, each used by one of the languages only
+const STOPWORDS = {
+  en: 'the and you your for with this that is are have will from our please be not it of to',
+  pt: 'não você vocês com uma os da dos das em é seu sua obrigado olá são também ao pelo pela na',
+  es: 'el los las y es usted ustedes más gracias hola también muy pero hay ya puede ahora',
+  fr: 'le les des et est vous votre pour avec une dans pas sur nous merci bonjour au aux ce',
+  de: 'der die das und ist sie ihr ihre mit für nicht ein eine auf wir danke bitte zu den',
+  it: 'gli della delle che sono questo questa grazie ciao nel alla anche ancora è di non per',
+};
+
+const WORDS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([code, words]) => [code, new Set(words.split(' '))])
+);
+
+// Fewest stopwords to decide on, and how far ahead of the runner-up the winner must be
+const MIN_MATCHES = 3;
+const MIN_LEAD = 1.5;
+
+const detectLanguage = text => {
+  const tokens =
+    (text || '')
+      .slice(0, 3000)
+      .toLowerCase()
+      .match(/\p{L}+/gu) || [];
+
+  const scores = Object.keys(WORDS).map(code => ({
+    code,
+    matches: tokens.filter(token => WORDS[code].has(token)).length,
+  }));
+  scores.sort((a, b) => b.matches - a.matches);
+
+  const [best, second] = scores;
+  if (best.matches < MIN_MATCHES || best.matches < second.matches * MIN_LEAD) return null;
+  return best.code;
+};
+
+const languageName = code => LANGUAGES[code] || null;
+
+module.exports = {
+  LANGUAGES,
+  detectLanguage,
+  languageName,
+};
@@ -0,0 +1,151 @@
+// Masks personal data in email content before it is sent to a language model. Matches are
+// replaced by typed placeholders such as [EMAIL] or [PHONE], so the model still knows
+// what was there.
+//
+// Levels, chosen per user:
+// - off: nothing is masked
+// - standard: email addresses, phone numbers, card numbers, IBANs, one-time codes and
+//   street addresses
+// - strict: also any other long number and the sender's mailbox name
+const REDACTION_LEVELS = ['off', 'standard', 'strict'];
+
+const EMAIL = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const IBAN = /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g;
+const CARD = /\b\d(?:[ -]?\d){12,18}\b/g;
+// Codes are 4 to 8 digits next to a word saying what they are, in the same sentence
+const OTP_AFTER_KEYWORD =
+  /\b((?:code|otp|passcode|password|pin|verification|one-time)\b[^\d\n.]{0,30})(\d{4,8})\b/gi;
+const OTP_BEFORE_KEYWORD =
+  /\b(\d{4,8})\b(?=[^\d\n.]{0,30}\b(?:is your|code|otp|passcode|verification)\b)/gi;
+const PHONE =
+  /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]?\d{2,4}){2,4}(?!\w)/g;
+const ADDRESS =
+  /\b\d{1,5}[A-Za-z]?\s+(?:[A-Z][A-Za-z]*\.?\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Square|Sq|Terrace|Parkway|Pkwy)\b\.?/g;
+const LONG_NUMBER = /\b\d{6,}\b/g;
+
+const digitCount = value => value.replace(/\D/g, '').length;
+
+// Luhn checksum, so order numbers and the like are not mistaken for cards
+const isCardNumber = value => {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+// ISO 13616 mod-97 check
+const isIban = value => {
+  const compact = value.replace(/ /g, '').toUpperCase();
+  if (compact.length < 15 || compact.length > 34) return false;
+
+  const rearranged = compact.slice(4) + compact.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of code) {
+      remainder = (remainder * 10 + parseInt(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+};
+
+// Patterns in the order they are applied: specific ones first, so a card number is not
+// masked as a phone number
+const PATTERNS = [
+  { type: 'email', placeholder: '[EMAIL]', regex: EMAIL },
+  { type: 'iban', placeholder: '[IBAN]', regex: IBAN, check: isIban },
+  { type: 'card', placeholder: '[CARD]', regex: CARD, check: isCardNumber },
+  { type: 'otp', placeholder: '[OTP]', regex: OTP_AFTER_KEYWORD, group: 2 },
+  { type: 'otp', placeholder: '[OTP]', regex: OTP_BEFORE_KEYWORD, group: 1 },
+  {
+    type: 'phone',
+    placeholder: '[PHONE]',
+    regex: PHONE,
+    check: value => digitCount(value) >= 9 && digitCount(value) <= 15,
+  },
+  { type: 'address', placeholder: '[ADDRESS]', regex: ADDRESS },
+  { type: 'number', placeholder: '[NUMBER]', regex: LONG_NUMBER, strict: true },
+];
+
+const addCount = (counts, type, count = 1) => {
+  counts[type] = (counts[type] || 0) + count;
+};
+
+// Mask text at a level. Returns { text, counts } with the number of matches per type.
+const redactText = (text, level = 'standard', counts = {}) => {
+  if (!text || level === 'off') return { text, counts };
+
+  let redacted = text;
+  for (const pattern of PATTERNS) {
+    if (pattern.strict && level !== 'strict') continue;
+
+    redacted = redacted.replace(pattern.regex, (match, ...groups) => {
+      if (pattern.group) {
+        // Only the code is masked, not the words around it
+        addCount(counts, pattern.type);
+        return pattern.group === 2 ? `${groups[0]}${pattern.placeholder}` : pattern.placeholder;
+      }
+      if (pattern.check && !pattern.check(match)) return match;
+
+      addCount(counts, pattern.type);
+      return pattern.placeholder;
+    });
+  }
+
+  return { text: redacted, counts };
+};
+
+// Sender at a level: kept as is, since it matters for classification, except for the
+// mailbox name in strict mode ("Jane <[EMAIL]@example.com>")
+const redactSender = (from, level, counts) => {
+  if (!from || level !== 'strict') return from;
+
+  return from.replace(EMAIL, address => {
+    addCount(counts, 'email');
+    return `[EMAIL]@${address.split('@')[1]}`;
+  });
+};
+
+// Mask the subject, sender and body of an email. Returns { email, counts }; counts is
+// empty when nothing was masked.
+const redactEmail = ({ subject, from, body }, level = 'standard') => {
+  const counts = {};
+  if (level === 'off') return { email: { subject, from, body }, counts };
+
+  return {
+    email: {
+      subject: redactText(subject, level, counts).text,
+      from: redactSender(from, level, counts),
+      body: redactText(body, level, counts).text,
+    },
+    counts,
+  };
+};
+
+// Mask the user's past corrections ({ sender, summary, ... }) sent along as few-shot
+// examples. They are not counted: they were already counted as the emails they came from.
+const redactExamples = (examples, level = 'standard') => {
+  if (level === 'off') return examples;
+
+  return examples.map(example => ({
+    ...example,
+    sender: redactSender(example.sender, level, {}),
+    summary: redactText(example.summary, level).text,
+  }));
+};
+
+module.exports = {
+  REDACTION_LEVELS,
+  redactText,
+  redactEmail,
+  redactExamples,
+};
@@ -0,0 +1,174 @@
+const mockRedis = {
+  on: jest.fn(),
+  set: jest.fn(),
+  eval: jest.fn(),
+  disconnect: jest.fn()
+};
+
+jest.mock('ioredis', () => jest.fn().mockImplementation(() => mockRedis));
+jest.mock('bullmq', () => ({
+  Worker: jest.fn().mockImplementation(() => ({ on: jest.fn(), close: jest.fn() })),
+  DelayedError: class DelayedError extends Error {}
+}));
+jest.mock('../../services/gmail');
+jest.mock('../../services/backfill');
+jest.mock('../../utils/logger');
+
+const { DelayedError } = require('bullmq');
+const { processAccountJob, processJob } = require('../emailProcessingWorker');
+const { emailProcessingQueue } = require('../../config/queues');
+const { processNewEmails } = require('../../services/gmail');
+const { processBackfillPage } = require('../../services/backfill');
+
+describe('Email Processing Worker', () => {
+  let job;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    job = {
+      id: '42',
+      data: { userId: 123, accountId: 7, accountEmail: 'test@gmail.com', trigger: 'push' },
+      moveToDelayed: jest.fn(),
+      updateProgress: jest.fn()
+    };
+  });
+
+  it('should process the account while holding its lock', async () => {
+    mockRedis.set.mockResolvedValue('OK');
+    processNewEmails.mockResolvedValue(4);
+
+    const result = await processAccountJob(job, 'token');
+
+    expect(mockRedis.set).toHaveBeenCalledWith(
+      'email-processing:lock:account:7',
+      '42',
+      'PX',
+      expect.any(Number),
+      'NX'
+    );
+    expect(emailProcessingQueue.removeDeduplicationKey).toHaveBeenCalledWith('account-7');
+    expect(processNewEmails).toHaveBeenCalledWith(123, 'test@gmail.com');
+    expect(mockRedis.eval).toHaveBeenCalledWith(
+      expect.stringContaining('del'),
+      1,
+      'email-processing:lock:account:7',
+      '42'
+    );
+    expect(result).toEqual({ account: 'test@gmail.com', processed: 4 });
+  });
+
+  it('should delay the job when the account is already being processed', async () => {
+    mockRedis.set.mockResolvedValue(null);
+
+    await expect(processAccountJob(job, 'token')).rejects.toBeInstanceOf(DelayedError);
+
+    expect(job.moveToDelayed).toHaveBeenCalledWith(expect.any(Number), 'token');
+    expect(processNewEmails).not.toHaveBeenCalled();
+    expect(mockRedis.eval).not.toHaveBeenCalled();
+  });
+
+  it('should release the lock and rethrow so BullMQ retries on failure', async () => {
+    mockRedis.set.mockResolvedValue('OK');
+    processNewEmails.mockRejectedValue(new Error('Gmail API error'));
+
+    await expect(processAccountJob(job, 'token')).rejects.toThrow('Gmail API error');
+
+    expect(mockRedis.eval).toHaveBeenCalledWith(
+      expect.stringContaining('del'),
+      1,
+      'email-processing:lock:account:7',
+      '42'
+    );
+  });
+
+  it('should release the lock only while it still holds the job id', async () => {
+    mockRedis.set.mockResolvedValue('OK');
+    processNewEmails.mockResolvedValue(0);
+
+    await processAccountJob(job, 'token');
+
+    const [script] = mockRedis.eval.mock.calls[0];
+    expect(script).toContain('redis.call("get", KEYS[1]) == ARGV[1]');
+  });
+
+  it('should extend the lock while the run is in progress', async () => {
+    const extensions = () =>
+      mockRedis.eval.mock.calls.filter(([script]) => script.includes('pexpire'));
+    jest.useFakeTimers();
+    try {
+      mockRedis.set.mockResolvedValue('OK');
+      mockRedis.eval.mockResolvedValue(1);
+      let finishRun;
+      processNewEmails.mockReturnValue(new Promise(resolve => (finishRun = resolve)));
+
+      const run = processAccountJob(job, 'token');
+      await jest.advanceTimersByTimeAsync(65 * 1000);
+
+      expect(extensions()).toHaveLength(2);
+      expect(extensions()[0]).toEqual([
+        expect.any(String),
+        1,
+        'email-processing:lock:account:7',
+        '42',
+        expect.any(Number)
+      ]);
+
+      finishRun(1);
+      await run;
+      await jest.advanceTimersByTimeAsync(65 * 1000);
+      expect(extensions()).toHaveLength(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  describe('backfill jobs', () => {
+    beforeEach(() => {
+      job.name = 'backfill-page';
+      job.data = { backfillId: 5, userId: 123, accountId: 7, accountEmail: 'test@gmail.com', page: 2 };
+      mockRedis.set.mockResolvedValue('OK');
+    });
+
+    it('should run backfill pages under the account lock', async () => {
+      processBackfillPage.mockResolvedValue({ backfillId: 5, page: 2, processed: 10 });
+
+      const result = await processJob(job, 'token');
+
+      expect(processBackfillPage).toHaveBeenCalledWith(job);
+      expect(processNewEmails).not.toHaveBeenCalled();
+      expect(mockRedis.set).toHaveBeenCalledWith(
+        'email-processing:lock:account:7',
+        '42',
+        'PX',
+        expect.any(Number),
+        'NX'
+      );
+      expect(mockRedis.eval).toHaveBeenCalledWith(
+        expect.stringContaining('del'),
+        1,
+        'email-processing:lock:account:7',
+        '42'
+      );
+      expect(result).toEqual({ backfillId: 5, page: 2, processed: 10 });
+    });
+
+    it('should delay the page instead of failing when Gmail rate limits', async () => {
+      const error = new Error('Gmail rate limit exceeded');
+      error.retryAfterMs = 60000;
+      processBackfillPage.mockRejectedValue(error);
+
+      await expect(processJob(job, 'token')).rejects.toBeInstanceOf(DelayedError);
+
+      expect(job.moveToDelayed).toHaveBeenCalledWith(expect.any(Number), 'token');
+      expect(mockRedis.eval).toHaveBeenCalled();
+    });
+
+    it('should rethrow other errors so BullMQ retries the page', async () => {
+      processBackfillPage.mockRejectedValue(new Error('Database error'));
+
+      await expect(processJob(job, 'token')).rejects.toThrow('Database error');
+
+      expect(job.moveToDelayed).not.toHaveBeenCalled();
+    });
+  });
+});
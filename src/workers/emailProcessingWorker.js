@@ -0,0 +1,141 @@
+const { Worker, DelayedError } = require('bullmq');
+const Redis = require('ioredis');
+const { emailProcessingQueue, getRedisQueueUrl } = require('../config/queues');
+const { getDeduplicationId } = require('../jobs/emailProcessor');
+const { processNewEmails } = require('../services/gmail');
+const { processBackfillPage, failBackfill } = require('../services/backfill');
+const logger = require('../utils/logger');
+
+// Accounts processed in parallel by this worker
+const CONCURRENCY = parseInt(process.env.EMAIL_PROCESSING_CONCURRENCY) || 3;
+
+// A run holds its account lock this long, in case the worker dies mid-run. While the run is
+// alive the lock is extended every ACCOUNT_LOCK_HEARTBEAT_MS, so long runs keep it.
+const ACCOUNT_LOCK_TTL_MS = 2 * 60 * 1000;
+const ACCOUNT_LOCK_HEARTBEAT_MS = 30 * 1000;
+
+// Extend or release the lock only while it still holds this job's id
+const EXTEND_LOCK_SCRIPT =
+  'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("pexpire", KEYS[1], ARGV[2]) end return 0';
+const RELEASE_LOCK_SCRIPT =
+  'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) end return 0';
+
+// How long a job waits before retrying when its account is still being processed
+const ACCOUNT_BUSY_DELAY_MS = 10 * 1000;
+
+const redisConnection = new Redis(getRedisQueueUrl(), { family: 6, maxRetriesPerRequest: null });
+
+redisConnection.on('error', err => {
+  logger.error('Email processing worker Redis connection error:', err);
+});
+
+const getAccountLockKey = accountId => `email-processing:lock:account:${accountId}`;
+
+// Runs fn while holding the account lock, so one account is never processed twice at once
+const withAccountLock = async (job, token, fn) => {
+  const { accountId, accountEmail } = job.data;
+  const lockKey = getAccountLockKey(accountId);
+
+  const acquired = await redisConnection.set(lockKey, job.id, 'PX', ACCOUNT_LOCK_TTL_MS, 'NX');
+  if (!acquired) {
+    logger.info(`Account ${accountEmail} is busy, delaying job ${job.id}`);
+    await job.moveToDelayed(Date.now() + ACCOUNT_BUSY_DELAY_MS, token);
+    throw new DelayedError();
+  }
+
+  const heartbeat = setInterval(async () => {
+    try {
+      const extended = await redisConnection.eval(
+        EXTEND_LOCK_SCRIPT,
+        1,
+        lockKey,
+        String(job.id),
+        ACCOUNT_LOCK_TTL_MS
+      );
+      if (!extended) {
+        logger.warn(`Job ${job.id} lost the lock of account ${accountEmail}`);
+        clearInterval(heartbeat);
+      }
+    } catch (error) {
+      logger.error(`Failed to extend the lock of account ${accountEmail}:`, error);
+    }
+  }, ACCOUNT_LOCK_HEARTBEAT_MS);
+
+  try {
+    return await fn();
+  } finally {
+    clearInterval(heartbeat);
+    await redisConnection.eval(RELEASE_LOCK_SCRIPT, 1, lockKey, String(job.id));
+  }
+};
+
+const processAccountJob = (job, token) =>
+  withAccountLock(job, token, async () => {
+    const { userId, accountId, accountEmail, trigger } = job.data;
+
+    // Requests arriving during this run (e.g. push notifications) queue one follow-up job
+    await emailProcessingQueue.removeDeduplicationKey(getDeduplicationId(accountId));
+
+    logger.info(`Processing emails for account ${accountEmail} (job ${job.id}, ${trigger})`);
+    const processed = await processNewEmails(userId, accountEmail);
+    await job.updateProgress(100);
+
+    return { account: accountEmail, processed: processed || 0 };
+  });
+
+const processBackfillJob = (job, token) =>
+  withAccountLock(job, token, async () => {
+    try {
+      return await processBackfillPage(job);
+    } catch (error) {
+      // Gmail quota errors wait out the limit instead of using up an attempt
+      if (error.retryAfterMs) {
+        logger.warn(`Backfill job ${job.id} rate limited, retrying later`);
+        await job.moveToDelayed(Date.now() + error.retryAfterMs, token);
+        throw new DelayedError();
+      }
+      throw error;
+    }
+  });
+
+const processJob = (job, token) =>
+  job.name === 'backfill-page' ? processBackfillJob(job, token) : processAccountJob(job, token);
+
+const emailProcessingWorker = new Worker('email-processing', processJob, {
+  connection: redisConnection,
+  concurrency: CONCURRENCY,
+  removeOnComplete: { age: 24 * 60 * 60, count: 1000 },
+  removeOnFail: { age: 7 * 24 * 60 * 60 },
+});
+
+emailProcessingWorker.on('completed', (job, result) => {
+  logger.info(`Email processing job ${job.id} completed:`, result);
+});
+
+emailProcessingWorker.on('failed', (job, err) => {
+  logger.error(`Email processing job ${job?.id} failed:`, {
+    error: err.message,
+    attemptsMade: job?.attemptsMade,
+    data: job?.data,
+  });
+
+  // Out of attempts: mark the backfill failed so it can be resumed from its last page
+  if (job?.name === 'backfill-page' && job.attemptsMade >= (job.opts.attempts || 1)) {
+    failBackfill(job.data.backfillId, job.data.accountEmail, err.message).catch(error => {
+      logger.error(`Failed to mark backfill ${job.data.backfillId} as failed:`, error);
+    });
+  }
+});
+
+emailProcessingWorker.on('error', error => {
+  logger.error('Email processing worker error:', error);
+});
+
+logger.info('BullMQ Worker created for email-processing queue', { concurrency: CONCURRENCY });
+
+process.on('SIGTERM', async () => {
+  await emailProcessingWorker.close();
+  redisConnection.disconnect();
+});
+
+module.exports = { emailProcessingWorker, processJob, processAccountJob, processBackfillJob };
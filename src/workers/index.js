@@ -9,8 +9,11 @@ const initializeWorkers = () => {
     require('./unsubscribeWorker');
     logger.info('Unsubscribe worker initialized');
     
+    // Start email processing worker
+    require('./emailProcessingWorker');
+    logger.info('Email processing worker initialized');
+
     // Add other workers here as needed
-    // require('./emailProcessingWorker');
     
     logger.info('All queue workers initialized successfully');
   } catch (error) {
@@ -111,7 +111,9 @@ try {
         );
 
         // Attempt to unsubscribe
-        const unsubscribeResult = await unsubscribeService.unsubscribeFromEmail(unsubscribeLink);
+        const unsubscribeResult = await unsubscribeService.unsubscribeFromEmail(unsubscribeLink, {
+          userId,
+        });
 
         logger.info(`Unsubscribe result for email ${emailId}:`, {
           success: unsubscribeResult.success,